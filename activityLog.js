@@ -0,0 +1,96 @@
+// Aktivitätsprotokoll: jede Steueraktion am Bot wird als eigenes Dokument in der Untersammlung
+// guilds/{guildId}/activity abgelegt (nur anlegen, nie ändern – siehe firestore.rules).
+// Ein Eintrag enthält { actorId, action, summary, summaryKey?, summaryParams?, undo?, undoOf?, timestamp }.
+// - summary:       deutscher Text (ältere Einträge haben nur diesen)
+// - summaryKey/-Params: übersetzbare Zusammenfassung für die Anzeige (activity.summary.* in locales/)
+// - undo:   Daten, mit denen sich die Aktion rückgängig machen lässt (siehe createUndoMutation in guildMutations.js)
+// - undoOf: ID des Eintrags, der mit dieser Aktion rückgängig gemacht wurde
+// Die Einträge werden in derselben Transaktion wie die Änderung selbst geschrieben.
+// "Rückgängig"-Einträge haben die feste ID undo-{undoOf}: Die Transaktion bricht ab, wenn es ihn schon gibt,
+// und die Regeln verbieten das Überschreiben. So lässt sich jeder Eintrag nur einmal rückgängig machen.
+import { collection, doc, query, where, orderBy, limit, serverTimestamp } from 'firebase/firestore';
+import { translatable, toDefaultText } from './i18n.js';
+import { ACTIONS } from './permissions.js';
+
+export const ACTIVITY_COLLECTION = 'activity';
+export const ACTIVITY_PAGE_SIZE = 30; // Einträge pro nachgeladener Seite
+
+// actorId der Aktionen, die der Zeitplan (Worker bzw. lokales Dashboard) ausführt. Die Regeln erlauben ihn nur
+// Benutzern mit der Rolle "Besitzer", also auch dem als Besitzer eingeladenen Worker.
+export const SYSTEM_ACTOR_ID = 'system';
+
+// Anzeigenamen der Aktionen: activity.actions.* in locales/. Neue Aktionen auch in firestore.rules
+// (djActivityActions bzw. ownerActivityActions) eintragen, sonst wird ihr Eintrag abgelehnt.
+export const ACTIVITY_ACTIONS = {
+  BOT_ONLINE: 'bot_online',
+  BOT_OFFLINE: 'bot_offline',
+  PLAY_NEXT: 'play_next',
+  SKIP: 'skip',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  STOP: 'stop',
+  QUEUE_ADD: 'queue_add',
+  QUEUE_INSERT_NEXT: 'queue_insert_next',
+  QUEUE_REMOVE: 'queue_remove',
+  QUEUE_MOVE: 'queue_move',
+  QUEUE_SHUFFLE: 'queue_shuffle',
+  LOOP_MODE: 'loop_mode',
+  ACCOUNT_ADD: 'account_add',
+  ACCOUNT_REMOVE: 'account_remove',
+  ACCOUNT_UPDATE: 'account_update',
+  BACKUP_IMPORT: 'backup_import',
+  SCHEDULED_PLAYLIST: 'scheduled_playlist',
+  UNDO: 'undo'
+};
+
+// Berechtigung, die zum Rückgängigmachen einer protokollierten Aktion nötig ist
+export const UNDO_PERMISSIONS = {
+  [ACTIVITY_ACTIONS.ACCOUNT_REMOVE]: ACTIONS.MANAGE_ACCOUNTS,
+  [ACTIVITY_ACTIONS.QUEUE_REMOVE]: ACTIONS.CONTROL_QUEUE,
+  [ACTIVITY_ACTIONS.STOP]: ACTIONS.CONTROL_QUEUE,
+  [ACTIVITY_ACTIONS.SCHEDULED_PLAYLIST]: ACTIONS.CONTROL_QUEUE,
+  [ACTIVITY_ACTIONS.BACKUP_IMPORT]: ACTIONS.MANAGE_GUILDS
+};
+
+export const activityCollectionRef = guildDocRef => collection(guildDocRef, ACTIVITY_COLLECTION);
+
+// Neue Dokumentreferenz (zufällige ID), damit der Eintrag in einer Transaktion oder einem Batch angelegt werden kann
+export const newActivityDocRef = guildDocRef => doc(activityCollectionRef(guildDocRef));
+
+// Feste ID des Eintrags, mit dem der Eintrag entryId rückgängig gemacht wird
+export const undoActivityId = entryId => `undo-${entryId}`;
+
+export const undoActivityDocRef = (guildDocRef, entryId) => doc(activityCollectionRef(guildDocRef), undoActivityId(entryId));
+
+// Dokumentdaten eines Eintrags; entry.summary ist ein übersetzbarer Text (translatable) oder bei alten Einträgen
+// ein fester Text. timestamp ist z.B. serverTimestamp() oder Date.now()
+export const createActivityDoc = (entry, actorId, timestamp = serverTimestamp()) => ({
+  actorId,
+  action: entry.action,
+  summary: toDefaultText(entry.summary),
+  ...(typeof entry.summary === 'object' ? { summaryKey: entry.summary.key, summaryParams: entry.summary.params } : {}),
+  ...(entry.undo ? { undo: entry.undo } : {}),
+  ...(entry.undoOf ? { undoOf: entry.undoOf } : {}),
+  timestamp
+});
+
+// Zusammenfassung eines gespeicherten Eintrags für translateMessage (ältere Einträge: fester deutscher Text)
+export const getActivitySummary = entry => (entry.summaryKey
+  ? translatable(entry.summaryKey, entry.summaryParams || {})
+  : entry.summary);
+
+// Neueste Einträge zuerst, optional gefiltert nach Aktion und/oder Benutzer.
+// Die Kombinationen benötigen zusammengesetzte Indizes (siehe firestore.indexes.json).
+export const createActivityQuery = (collectionRef, { action = '', actorId = '' } = {}, pageCount = 1) => {
+  const constraints = [];
+  if (action) constraints.push(where('action', '==', action));
+  if (actorId) constraints.push(where('actorId', '==', actorId));
+  return query(collectionRef, ...constraints, orderBy('timestamp', 'desc'), limit(pageCount * ACTIVITY_PAGE_SIZE));
+};
+
+// Filter für Speicher-Backends ohne Abfragen (localBotStorage.js)
+export const matchesActivityFilter = (entry, { action = '', actorId = '' } = {}) =>
+  (!action || entry.action === action) && (!actorId || entry.actorId === actorId);
+
+// IDs der Einträge, die bereits rückgängig gemacht wurden (innerhalb der geladenen Einträge)
+export const getUndoneEntryIds = entries => new Set(entries.filter(entry => entry.undoOf).map(entry => entry.undoOf));
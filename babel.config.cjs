@@ -0,0 +1,7 @@
+// Nur für Jest: übersetzt ES-Module und JSX für die Tests
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    ['@babel/preset-react', { runtime: 'automatic' }]
+  ]
+};
@@ -0,0 +1,305 @@
+// Export und Import der Bot-Konfiguration einer Guild als versioniertes JSON.
+// Enthalten sind Konten, Warteschlange, aktueller Song und Einstellungen (Wiederholungsmodus).
+// Ältere Formate werden beim Import schrittweise auf die aktuelle Version angehoben (siehe UPGRADES).
+//
+// Versionen:
+// 1: Rohdaten des alten Einzeldokuments bot_data/config (ohne Format-Kennung; Songs nur mit url/title)
+// 2: { format, version, exportedAt, guildName, data: { socialAccounts, musicQueue, currentSong, settings } }
+import { TranslatableError } from './i18n.js';
+import { MUSIC_PLATFORMS, parseMusicUrl } from './musicResolver.js';
+import { LOOP_MODES } from './queue.js';
+import { DEFAULT_POLL_INTERVAL_MINUTES, normalizePollInterval, normalizeWebhookUrl } from './socialScheduler.js';
+import { ACCOUNT_TYPES, AccountInputError, normalizeAccountInput, getAccountKey } from './socialAccounts.js';
+
+export const BACKUP_FORMAT = 'discord-bot-dashboard';
+export const BACKUP_VERSION = 2;
+
+export const IMPORT_MODES = {
+  MERGE: 'merge', // Vorhandenes behalten, nur Neues ergänzen
+  REPLACE: 'replace' // Konten, Warteschlange und Einstellungen vollständig ersetzen
+};
+
+// Felder eines Kontos, die nur den Laufzeitzustand des Abrufs beschreiben und beim Import zurückgesetzt werden
+const RUNTIME_ACCOUNT_FIELDS = { lastError: null, lastErrorKey: null, lastErrorParams: null, failureCount: 0, retryAt: null };
+
+// Fehler für ungültige oder nicht unterstützte Sicherungsdateien (errors.backup.*).
+// Die übersetzte Meldung ist direkt für showMessage gedacht; path nennt den fehlerhaften Eintrag.
+export class BackupError extends TranslatableError {
+  constructor(key, params) {
+    super(`errors.backup.${key}`, params);
+    this.name = 'BackupError';
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Plattform eines Songs je nach Ergebnis von parseMusicUrl
+const PLATFORM_BY_KIND = {
+  youtube_video: MUSIC_PLATFORMS.YOUTUBE,
+  twitch_vod: MUSIC_PLATFORMS.TWITCH_VOD,
+  twitch_channel: MUSIC_PLATFORMS.TWITCH_CHANNEL,
+  audio: MUSIC_PLATFORMS.AUDIO_FILE
+};
+
+// Ergänzt Plattform und Video-ID für Songs aus der Zeit vor dem Musik-Resolver
+const upgradeLegacySong = (song) => {
+  let parsed = null;
+  try {
+    parsed = parseMusicUrl(song.url);
+  } catch (error) {
+    // Unbekannte URL: Song ohne Plattform übernehmen, die Validierung entscheidet
+  }
+  return {
+    ...song,
+    platform: song.platform || (parsed && PLATFORM_BY_KIND[parsed.kind]) || null,
+    videoId: song.videoId || (parsed && (parsed.videoId || parsed.channel)) || null,
+    duration: song.duration ?? null,
+    thumbnail: song.thumbnail ?? null
+  };
+};
+
+// Anhebung von Version n auf n + 1
+const UPGRADES = {
+  1: legacy => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    exportedAt: null,
+    guildName: null,
+    data: {
+      socialAccounts: Array.isArray(legacy.socialAccounts) ? legacy.socialAccounts : [],
+      musicQueue: (Array.isArray(legacy.musicQueue) ? legacy.musicQueue : []).map(song => (isPlainObject(song) ? upgradeLegacySong(song) : song)),
+      currentSong: isPlainObject(legacy.currentSong) ? upgradeLegacySong(legacy.currentSong) : null,
+      settings: { loopMode: legacy.loopMode || LOOP_MODES.OFF }
+    }
+  })
+};
+
+// Erkennt die Version einer eingelesenen Datei; alte Einzeldokumente haben keine Format-Kennung
+const detectVersion = (json) => {
+  if (!isPlainObject(json)) {
+    throw new BackupError('notABackup');
+  }
+  if (json.format === BACKUP_FORMAT) {
+    if (!Number.isInteger(json.version) || json.version < 1) {
+      throw new BackupError('invalidVersion');
+    }
+    return json.version;
+  }
+  if (Array.isArray(json.musicQueue) || Array.isArray(json.socialAccounts)) {
+    return 1;
+  }
+  throw new BackupError('unknownFormat');
+};
+
+// Nur absolute http(s)-Links; andere Protokolle (z.B. javascript:) würden im Dashboard als Link oder Bild landen
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const validateSong = (song, path) => {
+  if (!isPlainObject(song)) {
+    throw new BackupError('notASong', { path });
+  }
+  if (typeof song.url !== 'string' || song.url.trim() === '') {
+    throw new BackupError('missingUrl', { path });
+  }
+  if (!isHttpUrl(song.url.trim())) {
+    throw new BackupError('httpOnly', { path });
+  }
+  if (song.thumbnail !== null && song.thumbnail !== undefined && song.thumbnail !== ''
+    && (typeof song.thumbnail !== 'string' || !isHttpUrl(song.thumbnail.trim()))) {
+    throw new BackupError('invalidThumbnail', { path });
+  }
+  if (typeof song.title !== 'string' || song.title.trim() === '') {
+    throw new BackupError('missingTitle', { path });
+  }
+  if (song.duration !== null && song.duration !== undefined && !(Number.isFinite(song.duration) && song.duration >= 0)) {
+    throw new BackupError('invalidDuration', { path });
+  }
+  return {
+    id: typeof song.id === 'number' || typeof song.id === 'string' ? song.id : Date.now() + Math.random(),
+    url: song.url.trim(),
+    platform: song.platform || null,
+    videoId: song.videoId || null,
+    title: song.title.trim(),
+    // Katalogschlüssel für Songs ohne echten Titel (siehe getSongTitle in musicResolver.js); andere Schlüssel werden verworfen
+    ...(typeof song.titleKey === 'string' && song.titleKey.startsWith('music.songTitle.') && isPlainObject(song.titleParams)
+      ? { titleKey: song.titleKey, titleParams: song.titleParams }
+      : {}),
+    duration: song.duration ?? null,
+    thumbnail: song.thumbnail ? song.thumbnail.trim() : null
+  };
+};
+
+const validateAccount = (account, path) => {
+  if (!isPlainObject(account)) {
+    throw new BackupError('notAnAccount', { path });
+  }
+  if (!ACCOUNT_TYPES.includes(account.type)) {
+    throw new BackupError('unknownPlatform', { path, type: account.type });
+  }
+  if (typeof account.url !== 'string' || account.url.trim() === '') {
+    throw new BackupError('missingUrl', { path });
+  }
+  let normalized;
+  try {
+    normalized = normalizeAccountInput(account.type, account.url);
+  } catch (error) {
+    if (error instanceof AccountInputError) throw new BackupError('invalidAccount', { path, reason: error });
+    throw error;
+  }
+  const pollIntervalMinutes = account.pollIntervalMinutes === undefined
+    ? DEFAULT_POLL_INTERVAL_MINUTES
+    : normalizePollInterval(account.pollIntervalMinutes);
+  if (pollIntervalMinutes === null) {
+    throw new BackupError('invalidPollInterval', { path });
+  }
+  const webhookUrl = normalizeWebhookUrl(account.webhookUrl);
+  if (webhookUrl === null) {
+    throw new BackupError('invalidWebhookUrl', { path });
+  }
+  return {
+    ...account,
+    id: typeof account.id === 'number' || typeof account.id === 'string' ? account.id : Date.now() + Math.random(),
+    url: normalized.url,
+    handle: normalized.handle,
+    channelId: account.channelId || normalized.channelId || null,
+    lastFetched: account.lastFetched ?? null,
+    lastSeenItemId: account.lastSeenItemId ?? null,
+    pollIntervalMinutes,
+    webhookUrl,
+    announcementTemplate: typeof account.announcementTemplate === 'string' ? account.announcementTemplate : '',
+    ...RUNTIME_ACCOUNT_FIELDS
+  };
+};
+
+const validateList = (value, path, validateItem) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw new BackupError('listExpected', { path });
+  }
+  return value.map((item, index) => validateItem(item, `${path}[${index}]`));
+};
+
+// Prüft die Daten einer Sicherung der aktuellen Version und gibt sie normalisiert zurück
+const validateBackup = (backup) => {
+  const data = backup.data;
+  if (!isPlainObject(data)) {
+    throw new BackupError('noData');
+  }
+  const settings = isPlainObject(data.settings) ? data.settings : {};
+  const loopMode = settings.loopMode ?? LOOP_MODES.OFF;
+  if (!Object.values(LOOP_MODES).includes(loopMode)) {
+    throw new BackupError('unknownLoopMode', { path: 'settings.loopMode', loopMode });
+  }
+  return {
+    guildName: typeof backup.guildName === 'string' ? backup.guildName : null,
+    exportedAt: backup.exportedAt || null,
+    version: backup.version,
+    socialAccounts: validateList(data.socialAccounts, 'socialAccounts', validateAccount),
+    musicQueue: validateList(data.musicQueue, 'musicQueue', validateSong),
+    currentSong: data.currentSong ? validateSong(data.currentSong, 'currentSong') : null,
+    settings: { loopMode }
+  };
+};
+
+// Liest den Inhalt einer Sicherungsdatei, hebt ältere Versionen an und prüft das Schema.
+// Rückgabe: { socialAccounts, musicQueue, currentSong, settings, guildName, exportedAt, version (ursprüngliche Version) }
+export const parseBackup = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new BackupError('invalidJson');
+  }
+  const originalVersion = detectVersion(json);
+  if (originalVersion > BACKUP_VERSION) {
+    throw new BackupError('newerVersion', { version: originalVersion });
+  }
+  let backup = json;
+  for (let version = originalVersion; version < BACKUP_VERSION; version += 1) {
+    backup = UPGRADES[version](backup);
+  }
+  return { ...validateBackup(backup), version: originalVersion };
+};
+
+// Erstellt eine Sicherung aus dem Zustand einer Guild (siehe readBotState in guildMutations.js)
+export const createBackup = (state, { guildName = null, exportedAt = new Date() } = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  guildName,
+  data: {
+    socialAccounts: state.socialAccounts,
+    musicQueue: state.musicQueue,
+    currentSong: state.currentSong,
+    settings: { loopMode: state.loopMode }
+  }
+});
+
+// Dateiname für den Download, z.B. "bot-backup-standard-server-2024-05-01.json"
+export const getBackupFileName = (guildName, date = new Date()) => {
+  const slug = (guildName || 'server').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'server';
+  return `bot-backup-${slug}-${date.toISOString().slice(0, 10)}.json`;
+};
+
+// Berechnet den neuen Zustand nach einem Import.
+// - replace: Konten, Warteschlange, aktueller Song und Wiederholungsmodus werden aus der Sicherung übernommen
+// - merge: neue Konten und Songs werden ergänzt (bereits vorhandene übersprungen); ein importierter aktueller Song
+//   wird nur übernommen, wenn gerade nichts läuft, sonst als Nächstes eingereiht. Einstellungen bleiben unverändert.
+// Rückgabe: { socialAccounts, musicQueue, currentSong, loopMode, summary: { addedAccounts, addedSongs, skipped } }
+export const mergeBackup = (state, backup, mode) => {
+  if (mode === IMPORT_MODES.REPLACE) {
+    return {
+      socialAccounts: backup.socialAccounts,
+      musicQueue: backup.musicQueue,
+      currentSong: backup.currentSong,
+      loopMode: backup.settings.loopMode,
+      summary: {
+        addedAccounts: backup.socialAccounts.length,
+        addedSongs: backup.musicQueue.length + (backup.currentSong ? 1 : 0),
+        skipped: 0
+      }
+    };
+  }
+
+  const knownAccounts = new Set(state.socialAccounts.map(getAccountKey));
+  const newAccounts = backup.socialAccounts.filter((account) => {
+    const key = getAccountKey(account);
+    if (knownAccounts.has(key)) return false;
+    knownAccounts.add(key);
+    return true;
+  });
+
+  const knownSongIds = new Set([...state.musicQueue, ...(state.currentSong ? [state.currentSong] : [])].map(song => song.id));
+  const isNewSong = song => !knownSongIds.has(song.id);
+  const newSongs = backup.musicQueue.filter(isNewSong);
+  const importedCurrent = backup.currentSong && isNewSong(backup.currentSong) ? backup.currentSong : null;
+
+  let currentSong = state.currentSong;
+  let musicQueue = [...state.musicQueue, ...newSongs];
+  if (importedCurrent && !currentSong) {
+    currentSong = importedCurrent;
+  } else if (importedCurrent) {
+    musicQueue = [importedCurrent, ...musicQueue];
+  }
+
+  const totalImported = backup.socialAccounts.length + backup.musicQueue.length + (backup.currentSong ? 1 : 0);
+  const added = newAccounts.length + newSongs.length + (importedCurrent ? 1 : 0);
+  return {
+    socialAccounts: [...state.socialAccounts, ...newAccounts],
+    musicQueue,
+    currentSong,
+    loopMode: state.loopMode,
+    summary: {
+      addedAccounts: newAccounts.length,
+      addedSongs: newSongs.length + (importedCurrent ? 1 : 0),
+      skipped: totalImported - added
+    }
+  };
+};
@@ -0,0 +1,70 @@
+import { parseBackup, createBackup, mergeBackup, IMPORT_MODES, BackupError, BACKUP_FORMAT, BACKUP_VERSION } from './botBackup.js';
+
+const song = (id, fields = {}) => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, duration: 60, ...fields });
+
+const backupWith = (data) => JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: null, guildName: 'Test', data });
+
+const expectBackupError = (text, message) => {
+  expect(() => parseBackup(text)).toThrow(BackupError);
+  expect(() => parseBackup(text)).toThrow(message);
+};
+
+describe('parseBackup', () => {
+  it('übernimmt eine eigene Sicherung unverändert', () => {
+    const state = { socialAccounts: [], musicQueue: [song(1)], currentSong: song(2, { thumbnail: 'https://i.ytimg.com/vi/x/default.jpg' }), loopMode: 'queue' };
+    const backup = parseBackup(JSON.stringify(createBackup(state, { guildName: 'Test' })));
+    expect(backup.musicQueue.map(entry => entry.id)).toEqual([1]);
+    expect(backup.currentSong.thumbnail).toBe('https://i.ytimg.com/vi/x/default.jpg');
+    expect(backup.settings.loopMode).toBe('queue');
+  });
+
+  it('hebt alte Einzeldokumente an und erkennt die Plattform', () => {
+    const backup = parseBackup(JSON.stringify({ musicQueue: [{ id: 1, url: 'https://youtu.be/dQw4w9WgXcQ', title: 'Alt' }] }));
+    expect(backup.version).toBe(1);
+    expect(backup.musicQueue[0]).toMatchObject({ platform: 'youtube', videoId: 'dQw4w9WgXcQ' });
+  });
+
+  it.each([
+    ['javascript:alert(document.cookie)'],
+    ['data:text/html,<script>alert(1)</script>'],
+    ['ftp://example.com/song.mp3'],
+    ['kein Link']
+  ])('lehnt Songs mit der URL %s ab', (url) => {
+    expectBackupError(backupWith({ musicQueue: [song(1, { url })] }), 'musicQueue[0]');
+    expectBackupError(backupWith({ currentSong: song(1, { url }) }), 'currentSong');
+  });
+
+  it('lehnt Vorschaubilder ohne http(s)-Link ab', () => {
+    expectBackupError(backupWith({ musicQueue: [song(1, { thumbnail: 'javascript:alert(1)' })] }), 'musicQueue[0]');
+    expectBackupError(backupWith({ musicQueue: [song(1, { thumbnail: 42 })] }), 'musicQueue[0]');
+  });
+
+  it('prüft auch Songs aus alten Einzeldokumenten', () => {
+    expectBackupError(JSON.stringify({ musicQueue: [{ id: 1, url: 'javascript:alert(1)', title: 'Alt' }] }), 'musicQueue[0]');
+  });
+
+  it('lehnt kaputte und unbekannte Dateien ab', () => {
+    expectBackupError('{', 'JSON');
+    expectBackupError(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 }), String(BACKUP_VERSION + 1));
+    expectBackupError(JSON.stringify({ foo: 1 }), 'Dateiformat');
+  });
+});
+
+describe('mergeBackup', () => {
+  const state = { socialAccounts: [], musicQueue: [song(1)], currentSong: song(2), loopMode: 'off' };
+
+  it('ergänzt beim Zusammenführen nur neue Songs und reiht einen importierten aktuellen Song als Nächstes ein', () => {
+    const backup = parseBackup(backupWith({ musicQueue: [song(1), song(3)], currentSong: song(4) }));
+    const result = mergeBackup(state, backup, IMPORT_MODES.MERGE);
+    expect(result.currentSong.id).toBe(2);
+    expect(result.musicQueue.map(entry => entry.id)).toEqual([4, 1, 3]);
+    expect(result.summary).toEqual({ addedAccounts: 0, addedSongs: 2, skipped: 1 });
+  });
+
+  it('ersetzt beim Ersetzen alles', () => {
+    const backup = parseBackup(backupWith({ musicQueue: [song(3)], settings: { loopMode: 'track' } }));
+    const result = mergeBackup(state, backup, IMPORT_MODES.REPLACE);
+    expect(result).toMatchObject({ currentSong: null, loopMode: 'track' });
+    expect(result.musicQueue.map(entry => entry.id)).toEqual([3]);
+  });
+});
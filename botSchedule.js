@@ -0,0 +1,472 @@
+// Zeitplan des Bots pro Guild: wöchentliche Online-Fenster, einmalige Events mit gespeicherter Playlist
+// und Ruhezeiten, in denen Social-Media-Ankündigungen zurückgehalten werden.
+// Gespeichert im Bereich des Besitzers: artifacts/{appId}/users/{ownerId}/schedules/{guildId}
+//
+// Alle Uhrzeiten gelten in der Zeitzone des Zeitplans (nicht in der des Browsers oder Workers), auch über
+// Sommer-/Winterzeit hinweg. Die Auswertung ist rein und bekommt die Uhrzeit übergeben; ausgeführt wird der
+// Zeitplan vom Backend-Worker (worker/botScheduler.js) bzw. im lokalen Modus vom geöffneten Dashboard.
+//
+// Aufbau des Dokuments:
+// - timeZone: IANA-Zeitzone, z.B. "Europe/Berlin"
+// - onlineWindows: [{ id, days: [0-6, 0 = Sonntag], start: "18:00", end: "23:00" }]; endet ein Fenster
+//   vor seinem Beginn (z.B. 22:00-02:00), läuft es über Mitternacht in den nächsten Tag
+// - events: [{ id, title, startsAt: "2026-10-24T20:00", durationMinutes, playlistId, startedAt }]
+// - quietHours: { start, end } oder null (gilt täglich)
+// - playlists: [{ id, name, songs }] gespeicherte Playlists für Events
+import { runTransaction } from 'firebase/firestore';
+import { TranslatableError } from './i18n.js';
+import { setBotOnline, startScheduledPlaylist } from './guildMutations.js';
+import { requeueSong } from './queue.js';
+
+export const DEFAULT_TIME_ZONE = 'Europe/Berlin';
+export const SCHEDULE_TICK_INTERVAL_MS = 30 * 1000; // Wie oft der Zeitplan ausgewertet wird
+export const EVENT_START_GRACE_MS = 15 * 60 * 1000; // Verpasste Events (z.B. Worker-Neustart) starten bis zu 15 Minuten später
+export const DEFAULT_EVENT_DURATION_MINUTES = 120;
+export const MAX_EVENT_DURATION_MINUTES = 24 * 60;
+export const MAX_SAVED_PLAYLISTS = 20;
+export const MAX_PLAYLIST_SONGS = 200; // Der Zeitplan ist ein einzelnes Dokument (Größenlimit von Firestore)
+export const TIMELINE_DAYS = 7;
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Fehler bei ungültigen Eingaben im Zeitplan-Editor (errors.schedule.*)
+export class ScheduleError extends TranslatableError {
+  constructor(key, params) {
+    super(`errors.schedule.${key}`, params);
+    this.name = 'ScheduleError';
+  }
+}
+
+export const scheduleDocPath = (appId, ownerId, guildId) => `artifacts/${appId}/users/${ownerId}/schedules/${guildId}`;
+
+export const createScheduleId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// --- Zeitzonen ---
+
+const partsFormats = new Map();
+const getPartsFormat = (timeZone) => {
+  if (!partsFormats.has(timeZone)) {
+    partsFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormats.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getPartsFormat(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Zeitzone des Browsers bzw. Rechners als Vorschlag für neue Zeitpläne
+export const getLocalTimeZone = () => {
+  const timeZone = new Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+// Datum und Uhrzeit eines Zeitpunkts in einer Zeitzone.
+// Rückgabe: { year, month, day, weekday (0 = Sonntag), minutes (seit Mitternacht), seconds, dateKey ("2026-10-24") }
+export const getZonedParts = (timestamp, timeZone) => {
+  const parts = {};
+  getPartsFormat(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  const hour = Number(parts.hour) % 24;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    minutes: hour * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+// Abstand der Zeitzone zu UTC in Millisekunden zum angegebenen Zeitpunkt
+const getTimeZoneOffsetMs = (timestamp, timeZone) => {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Wandelt eine Ortszeit ("2026-10-24T20:00", wie input type="datetime-local") in Millisekunden um.
+// Gibt null zurück, wenn der Text ungültig ist. Ortszeiten in der Lücke der Zeitumstellung werden verschoben.
+export const zonedTimeToMillis = (localDateTime, timeZone) => {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(localDateTime || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  if (new Date(asUtc).getUTCDate() !== day) return null; // z.B. 31.02.
+  const firstGuess = asUtc - getTimeZoneOffsetMs(asUtc, timeZone);
+  const offset = getTimeZoneOffsetMs(firstGuess, timeZone);
+  return asUtc - offset;
+};
+
+// --- Uhrzeiten ---
+
+// "18:30" -> 1110 (Minuten seit Mitternacht); null, wenn ungültig
+export const parseTimeOfDay = (value) => {
+  const match = TIME_OF_DAY_PATTERN.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Liegt minutes im Bereich [start, end)? Bereiche mit end <= start laufen über Mitternacht.
+const isInDailyRange = (minutes, start, end) => (start < end
+  ? minutes >= start && minutes < end
+  : minutes >= start || minutes < end);
+
+const previousWeekday = weekday => (weekday + 6) % 7;
+
+// Ist ein Online-Fenster zum Zeitpunkt parts (siehe getZonedParts) aktiv?
+// Der Teil nach Mitternacht gehört zum Wochentag, an dem das Fenster begonnen hat.
+export const isWindowActive = (onlineWindow, parts) => {
+  const start = parseTimeOfDay(onlineWindow.start);
+  const end = parseTimeOfDay(onlineWindow.end);
+  if (start === null || end === null) return false;
+  if (start < end) {
+    return onlineWindow.days.includes(parts.weekday) && parts.minutes >= start && parts.minutes < end;
+  }
+  return (onlineWindow.days.includes(parts.weekday) && parts.minutes >= start)
+    || (onlineWindow.days.includes(previousWeekday(parts.weekday)) && parts.minutes < end);
+};
+
+export const isQuietTime = (quietHours, parts) => {
+  if (!quietHours) return false;
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  return start !== null && end !== null && isInDailyRange(parts.minutes, start, end);
+};
+
+// Beginn und Ende eines Events in Millisekunden (null, wenn startsAt ungültig ist)
+export const getEventTimes = (event, timeZone) => {
+  const startAt = zonedTimeToMillis(event.startsAt, timeZone);
+  if (startAt === null) return null;
+  return { startAt, endAt: startAt + event.durationMinutes * 60 * 1000 };
+};
+
+// --- Dokument ---
+
+const readTimeOfDay = value => (parseTimeOfDay(value) !== null ? value : null);
+
+const readOnlineWindow = onlineWindow => ({
+  id: onlineWindow.id,
+  days: Array.isArray(onlineWindow.days) ? onlineWindow.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6) : [],
+  start: readTimeOfDay(onlineWindow.start),
+  end: readTimeOfDay(onlineWindow.end)
+});
+
+const readEvent = event => ({
+  id: event.id,
+  title: event.title || '',
+  startsAt: event.startsAt || '',
+  durationMinutes: Number.isInteger(event.durationMinutes) ? event.durationMinutes : DEFAULT_EVENT_DURATION_MINUTES,
+  playlistId: event.playlistId || null,
+  startedAt: event.startedAt || null
+});
+
+// Liest einen gespeicherten Zeitplan; fehlende Felder werden mit leeren Werten aufgefüllt
+export const readSchedule = (data = {}) => ({
+  timeZone: isValidTimeZone(data.timeZone) ? data.timeZone : DEFAULT_TIME_ZONE,
+  onlineWindows: (data.onlineWindows || []).map(readOnlineWindow),
+  events: (data.events || []).map(readEvent),
+  quietHours: data.quietHours && readTimeOfDay(data.quietHours.start) && readTimeOfDay(data.quietHours.end)
+    ? { start: data.quietHours.start, end: data.quietHours.end }
+    : null,
+  playlists: data.playlists || []
+});
+
+export const hasScheduleEntries = schedule =>
+  schedule.onlineWindows.length > 0 || schedule.events.length > 0 || schedule.quietHours !== null;
+
+// Markiert ein Event als gestartet, damit es nur einmal ausgeführt wird.
+// Gibt null zurück, wenn das Event nicht mehr existiert oder bereits gestartet wurde.
+export const markEventStarted = (schedule, eventId, startedAt) => {
+  const event = schedule.events.find(entry => entry.id === eventId);
+  if (!event || event.startedAt) {
+    return null;
+  }
+  return { ...schedule, events: schedule.events.map(entry => (entry.id === eventId ? { ...entry, startedAt } : entry)) };
+};
+
+// Markiert ein Event in einer Transaktion als gestartet, damit gleichzeitige Änderungen im Editor erhalten bleiben.
+// Ergibt false, wenn es bereits gestartet wurde (z.B. von einem zweiten Worker); dann bleibt die Playlist ungeladen.
+export const claimScheduledEvent = (db, scheduleDocRef, eventId, startedAt) => runTransaction(db, async (transaction) => {
+  const docSnap = await transaction.get(scheduleDocRef);
+  const next = docSnap.exists() ? markEventStarted(readSchedule(docSnap.data()), eventId, startedAt) : null;
+  if (!next) {
+    return false;
+  }
+  transaction.update(scheduleDocRef, { events: next.events });
+  return true;
+});
+
+// --- Auswertung ---
+
+// Zustand des Zeitplans zum Zeitpunkt now (Millisekunden).
+// Rückgabe:
+// - shouldBeOnline: ein Online-Fenster oder ein Event ist aktiv
+// - quiet: Ruhezeit, Ankündigungen werden zurückgehalten
+// - activeWindowIds, activeEventIds: aktive Fenster und Events
+// - dueEvents: noch nicht gestartete Events, deren Beginn erreicht (und höchstens EVENT_START_GRACE_MS her) ist
+export const evaluateSchedule = (schedule, now) => {
+  const parts = getZonedParts(now, schedule.timeZone);
+  const activeWindowIds = schedule.onlineWindows.filter(onlineWindow => isWindowActive(onlineWindow, parts)).map(onlineWindow => onlineWindow.id);
+  const activeEventIds = [];
+  const dueEvents = [];
+  schedule.events.forEach((event) => {
+    const times = getEventTimes(event, schedule.timeZone);
+    if (!times) return;
+    if (times.startAt <= now && now < times.endAt) activeEventIds.push(event.id);
+    if (!event.startedAt && times.startAt <= now && now - times.startAt <= EVENT_START_GRACE_MS) dueEvents.push(event);
+  });
+  return {
+    shouldBeOnline: activeWindowIds.length > 0 || activeEventIds.length > 0,
+    quiet: isQuietTime(schedule.quietHours, parts),
+    activeWindowIds,
+    activeEventIds,
+    dueEvents
+  };
+};
+
+// Tage ab heute (in der Zeitzone des Zeitplans) mit ihren Abschnitten für die Kalenderansicht.
+// Rückgabe: [{ dateKey, weekday, isToday, segments: [{ kind: 'online' | 'event' | 'quiet', id, start, end }] }]
+// start/end sind Minuten seit Mitternacht des jeweiligen Tages (0-1440).
+export const getScheduleTimeline = (schedule, now, dayCount = TIMELINE_DAYS) => {
+  const today = getZonedParts(now, schedule.timeZone);
+  const quietStart = schedule.quietHours ? parseTimeOfDay(schedule.quietHours.start) : null;
+  const quietEnd = schedule.quietHours ? parseTimeOfDay(schedule.quietHours.end) : null;
+
+  // Abschnitte eines täglichen Bereichs; über Mitternacht laufende Bereiche ragen in den Folgetag
+  const dailySegments = (kind, id, start, end, startsToday, startedYesterday) => {
+    const segments = [];
+    if (start < end) {
+      if (startsToday) segments.push({ kind, id, start, end });
+      return segments;
+    }
+    if (startedYesterday && end > 0) segments.push({ kind, id, start: 0, end });
+    if (startsToday) segments.push({ kind, id, start, end: MINUTES_PER_DAY });
+    return segments;
+  };
+
+  return Array.from({ length: dayCount }, (unused, offset) => {
+    const dayStartUtc = Date.UTC(today.year, today.month - 1, today.day + offset);
+    const date = new Date(dayStartUtc);
+    const weekday = date.getUTCDay();
+    const dateKey = date.toISOString().slice(0, 10);
+    const segments = [];
+
+    if (quietStart !== null && quietEnd !== null) {
+      segments.push(...dailySegments('quiet', 'quiet', quietStart, quietEnd, true, true));
+    }
+    schedule.onlineWindows.forEach((onlineWindow) => {
+      const start = parseTimeOfDay(onlineWindow.start);
+      const end = parseTimeOfDay(onlineWindow.end);
+      if (start === null || end === null) return;
+      segments.push(...dailySegments('online', onlineWindow.id, start, end,
+        onlineWindow.days.includes(weekday), onlineWindow.days.includes(previousWeekday(weekday))));
+    });
+    schedule.events.forEach((event) => {
+      const match = LOCAL_DATE_TIME_PATTERN.exec(event.startsAt);
+      if (!match) return;
+      // Beginn relativ zu Mitternacht dieses Tages (Events können über Mitternacht hinaus dauern)
+      const dayDiff = Math.round((dayStartUtc - Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) / MS_PER_DAY);
+      const start = Number(match[4]) * 60 + Number(match[5]) - dayDiff * MINUTES_PER_DAY;
+      const end = start + event.durationMinutes;
+      if (end > 0 && start < MINUTES_PER_DAY) {
+        segments.push({ kind: 'event', id: event.id, start: Math.max(start, 0), end: Math.min(end, MINUTES_PER_DAY) });
+      }
+    });
+
+    return { dateKey, weekday, isToday: offset === 0, segments };
+  });
+};
+
+// --- Eingaben im Editor ---
+
+export const normalizeTimeZone = (timeZone) => {
+  const trimmed = (timeZone || '').trim();
+  if (!isValidTimeZone(trimmed)) {
+    throw new ScheduleError('unknownTimeZone', { timeZone: trimmed });
+  }
+  return trimmed;
+};
+
+const normalizeTimeRange = (start, end) => {
+  if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+    throw new ScheduleError('invalidTimeRange');
+  }
+  if (start === end) {
+    throw new ScheduleError('emptyTimeRange');
+  }
+  return { start, end };
+};
+
+// days: Wochentage (0 = Sonntag); Rückgabe: neues Online-Fenster mit eigener ID
+export const normalizeOnlineWindow = ({ days, start, end }) => {
+  const uniqueDays = [...new Set(days)].filter(day => Number.isInteger(day) && day >= 0 && day <= 6).sort((a, b) => a - b);
+  if (uniqueDays.length === 0) {
+    throw new ScheduleError('noWeekdays');
+  }
+  return { id: createScheduleId('window'), days: uniqueDays, ...normalizeTimeRange(start, end) };
+};
+
+export const normalizeQuietHours = ({ start, end }) => normalizeTimeRange(start, end);
+
+// Prüft ein neues Event gegen die gespeicherten Playlists des Zeitplans
+export const normalizeScheduledEvent = ({ title, startsAt, durationMinutes, playlistId }, schedule) => {
+  const trimmedTitle = (title || '').trim();
+  if (trimmedTitle === '' || trimmedTitle.length > 100) {
+    throw new ScheduleError('invalidEventTitle');
+  }
+  if (zonedTimeToMillis(startsAt, schedule.timeZone) === null) {
+    throw new ScheduleError('invalidEventStart');
+  }
+  const duration = Number(durationMinutes);
+  if (!Number.isInteger(duration) || duration < 1 || duration > MAX_EVENT_DURATION_MINUTES) {
+    throw new ScheduleError('invalidEventDuration', { max: MAX_EVENT_DURATION_MINUTES });
+  }
+  if (!schedule.playlists.some(playlist => playlist.id === playlistId)) {
+    throw new ScheduleError('noPlaylist');
+  }
+  return { id: createScheduleId('event'), title: trimmedTitle, startsAt, durationMinutes: duration, playlistId, startedAt: null };
+};
+
+// Speichert Songs (z.B. aktueller Song und Warteschlange) als Playlist für Events
+export const createSavedPlaylist = (name, songs, schedule) => {
+  const trimmedName = (name || '').trim();
+  if (trimmedName === '' || trimmedName.length > 100) {
+    throw new ScheduleError('invalidPlaylistName');
+  }
+  if (songs.length === 0) {
+    throw new ScheduleError('emptyPlaylist');
+  }
+  if (songs.length > MAX_PLAYLIST_SONGS) {
+    throw new ScheduleError('tooManySongs', { max: MAX_PLAYLIST_SONGS });
+  }
+  if (schedule.playlists.length >= MAX_SAVED_PLAYLISTS) {
+    throw new ScheduleError('tooManyPlaylists', { max: MAX_SAVED_PLAYLISTS });
+  }
+  return {
+    id: createScheduleId('playlist'),
+    name: trimmedName,
+    songs: songs.map(({ playedAt, ...song }) => song)
+  };
+};
+
+// --- Ausführung ---
+
+// Führt einen Zeitplan regelmäßig aus (Backend-Worker bzw. lokaler Modus).
+// Online-Fenster schalten den Bot nur beim Wechsel ein bzw. aus, damit manuelles Umschalten
+// innerhalb eines Fensters bis zum nächsten Wechsel bestehen bleibt. Fällige Events werden zuerst als
+// gestartet markiert (höchstens einmal ausgeführt) und laden dann ihre Playlist.
+// Optionen:
+// - getSchedule(): aktueller Zeitplan (readSchedule) oder null, solange er nicht geladen ist
+// - commitMutation(mutation): führt eine Änderung aus guildMutations.js am Guild-Dokument aus
+// - markEventStarted(eventId, startedAt): speichert den Start eines Events; ergibt false, wenn ein anderer
+//   Worker oder Tab es bereits gestartet hat
+// - tickIntervalMs: Abstand der Auswertungen
+// - now: Uhr (für Tests austauschbar)
+// - log: Funktion für Protokollausgaben
+export const createScheduleRunner = ({
+  getSchedule,
+  commitMutation,
+  markEventStarted: saveEventStarted,
+  tickIntervalMs = SCHEDULE_TICK_INTERVAL_MS,
+  now = Date.now,
+  log = console.log
+}) => {
+  let intervalId = null;
+  let running = null; // Laufende Auswertung; Ticks überlappen sich nicht
+  let lastShouldBeOnline = null; // Ergebnis der letzten Auswertung (null = noch keine)
+
+  const startEvent = async (schedule, event) => {
+    const startedAt = now();
+    if (!await saveEventStarted(event.id, startedAt)) {
+      log(`Event "${event.title}" wurde bereits gestartet.`);
+      return;
+    }
+    const playlist = schedule.playlists.find(entry => entry.id === event.playlistId);
+    if (!playlist || playlist.songs.length === 0) {
+      log(`Event "${event.title}": Die Playlist existiert nicht mehr oder ist leer.`);
+      return;
+    }
+    // Eigene IDs für jeden Start, damit die Songs nicht mit Verlauf oder Warteschlange kollidieren
+    await commitMutation(startScheduledPlaylist(playlist.songs.map(requeueSong), startedAt, {
+      event: event.title,
+      playlist: playlist.name
+    }));
+    log(`Event "${event.title}" gestartet: ${playlist.name} (${playlist.songs.length} Songs)`);
+  };
+
+  const evaluate = async () => {
+    const schedule = getSchedule();
+    if (!schedule) {
+      return null;
+    }
+    const evaluation = evaluateSchedule(schedule, now());
+    for (const event of evaluation.dueEvents) {
+      await startEvent(schedule, event);
+    }
+    // Beim ersten Durchgang nur einschalten: außerhalb der Fenster bleibt ein manuell gestarteter Bot an
+    const changed = lastShouldBeOnline === null ? evaluation.shouldBeOnline : evaluation.shouldBeOnline !== lastShouldBeOnline;
+    if (changed) {
+      await commitMutation(setBotOnline(evaluation.shouldBeOnline));
+      log(evaluation.shouldBeOnline ? "Zeitplan: Bot eingeschaltet." : "Zeitplan: Bot ausgeschaltet.");
+    }
+    lastShouldBeOnline = evaluation.shouldBeOnline;
+    return evaluation;
+  };
+
+  // Führt eine Auswertung aus (oder wartet auf die laufende); gibt ihr Ergebnis zurück
+  const tick = () => {
+    if (!running) {
+      running = evaluate()
+        .catch((error) => {
+          log("Fehler im Zeitplan:", error.message);
+          return null;
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  return {
+    tick,
+    start: () => {
+      if (intervalId) return;
+      intervalId = setInterval(tick, tickIntervalMs);
+      tick();
+    },
+    stop: async () => {
+      clearInterval(intervalId);
+      intervalId = null;
+      await running;
+    },
+
+    // Ruhezeit laut aktuellem Zeitplan (für den Social-Media-Abruf)
+    isQuiet: () => {
+      const schedule = getSchedule();
+      return Boolean(schedule) && evaluateSchedule(schedule, now()).quiet;
+    }
+  };
+};
@@ -0,0 +1,199 @@
+import {
+  readSchedule, evaluateSchedule, zonedTimeToMillis, getScheduleTimeline, createScheduleRunner, markEventStarted,
+  normalizeOnlineWindow, ScheduleError, EVENT_START_GRACE_MS
+} from './botSchedule.js';
+import { readBotState, applyBotPatch } from './guildMutations.js';
+import { createLocalBotStorage, LOCAL_USER_ID } from './localBotStorage.js';
+import { DEFAULT_GUILD_ID } from './guilds.js';
+import { createMemoryStorage } from './test/memoryStorage.js';
+
+const TIME_ZONE = 'Europe/Berlin';
+const at = localDateTime => zonedTimeToMillis(localDateTime, TIME_ZONE);
+
+// 2026-10-23 ist ein Freitag; in der Nacht auf den 25.10. endet die Sommerzeit
+const createSchedule = (overrides = {}) => readSchedule({
+  timeZone: TIME_ZONE,
+  onlineWindows: [{ id: 'friday-night', days: [5], start: '22:00', end: '02:00' }],
+  quietHours: { start: '23:00', end: '07:00' },
+  playlists: [{ id: 'party', name: 'Party', songs: [{ id: 1, title: 'A', url: 'https://example.com/a.mp3' }, { id: 2, title: 'B', url: 'https://example.com/b.mp3' }] }],
+  events: [{ id: 'event', title: 'Party', startsAt: '2026-10-24T20:00', durationMinutes: 60, playlistId: 'party', startedAt: null }],
+  ...overrides
+});
+
+describe('zonedTimeToMillis', () => {
+  it('rechnet in der Zeitzone des Zeitplans, auch über die Zeitumstellung', () => {
+    expect(new Date(at('2026-07-01T20:00')).toISOString()).toBe('2026-07-01T18:00:00.000Z');
+    expect(new Date(at('2026-12-01T20:00')).toISOString()).toBe('2026-12-01T19:00:00.000Z');
+    expect(new Date(zonedTimeToMillis('2026-10-24T20:00', 'America/New_York')).toISOString()).toBe('2026-10-25T00:00:00.000Z');
+  });
+
+  it('lehnt ungültige Zeitpunkte ab', () => {
+    expect(zonedTimeToMillis('2026-02-31T10:00', TIME_ZONE)).toBeNull();
+    expect(zonedTimeToMillis('morgen', TIME_ZONE)).toBeNull();
+  });
+});
+
+describe('evaluateSchedule', () => {
+  const schedule = createSchedule();
+
+  it.each([
+    ['2026-10-23T21:59', false, false],
+    ['2026-10-23T22:00', true, false],
+    ['2026-10-23T23:30', true, true],
+    ['2026-10-24T01:59', true, true],
+    ['2026-10-24T02:00', false, true],
+    ['2026-10-24T07:00', false, false]
+  ])('wertet %s aus (online: %s, Ruhezeit: %s)', (localDateTime, shouldBeOnline, quiet) => {
+    expect(evaluateSchedule(schedule, at(localDateTime))).toMatchObject({ shouldBeOnline, quiet });
+  });
+
+  it('meldet ein Event ab seinem Beginn bis zum Ende der Kulanzzeit als fällig', () => {
+    const start = at('2026-10-24T20:00');
+    expect(evaluateSchedule(schedule, start - 1).dueEvents).toEqual([]);
+    expect(evaluateSchedule(schedule, start).dueEvents.map(event => event.id)).toEqual(['event']);
+    expect(evaluateSchedule(schedule, start + EVENT_START_GRACE_MS).dueEvents).toHaveLength(1);
+    expect(evaluateSchedule(schedule, start + EVENT_START_GRACE_MS + 1).dueEvents).toEqual([]);
+    expect(evaluateSchedule(schedule, start + 30 * 60 * 1000)).toMatchObject({ shouldBeOnline: true, activeEventIds: ['event'] });
+  });
+
+  it('meldet ein gestartetes Event nicht erneut', () => {
+    const started = markEventStarted(schedule, 'event', at('2026-10-24T20:00'));
+    expect(evaluateSchedule(started, at('2026-10-24T20:01')).dueEvents).toEqual([]);
+  });
+
+  it('liefert für die Zeitleiste die Abschnitte pro Tag', () => {
+    const [friday, saturday] = getScheduleTimeline(schedule, at('2026-10-23T12:00'));
+    expect(friday.isToday).toBe(true);
+    expect(friday.segments).toContainEqual({ kind: 'online', id: 'friday-night', start: 22 * 60, end: 24 * 60 });
+    expect(saturday.segments).toContainEqual({ kind: 'online', id: 'friday-night', start: 0, end: 2 * 60 });
+    expect(saturday.segments).toContainEqual({ kind: 'event', id: 'event', start: 20 * 60, end: 21 * 60 });
+  });
+});
+
+describe('markEventStarted', () => {
+  it('markiert ein Event nur einmal', () => {
+    const started = markEventStarted(createSchedule(), 'event', 100);
+    expect(started.events[0].startedAt).toBe(100);
+    expect(markEventStarted(started, 'event', 200)).toBeNull();
+    expect(markEventStarted(createSchedule(), 'fehlt', 100)).toBeNull();
+  });
+});
+
+describe('normalizeOnlineWindow', () => {
+  it('sortiert die Tage und lehnt Fenster ohne Tage ab', () => {
+    expect(normalizeOnlineWindow({ days: [3, 1, 1], start: '10:00', end: '11:00' }).days).toEqual([1, 3]);
+    expect(() => normalizeOnlineWindow({ days: [], start: '10:00', end: '11:00' })).toThrow(ScheduleError);
+  });
+});
+
+describe('createScheduleRunner mit simulierter Uhr', () => {
+  let clock;
+  let botState;
+
+  // Führt Änderungen wie der Speicher auf einem gemeinsamen Zustand aus
+  const commitMutation = async (mutation) => {
+    const patch = mutation.apply(botState, clock);
+    if (patch) botState = applyBotPatch(botState, patch);
+    return patch;
+  };
+
+  const createRunner = (options) => createScheduleRunner({ commitMutation, now: () => clock, log: () => {}, ...options });
+
+  beforeEach(() => {
+    botState = readBotState({ loopMode: 'queue' });
+  });
+
+  it('schaltet den Bot nur beim Wechsel der Online-Fenster um', async () => {
+    const schedule = createSchedule({ events: [] });
+    const runner = createRunner({ getSchedule: () => schedule, markEventStarted: async () => true });
+
+    clock = at('2026-10-23T21:00');
+    await runner.tick();
+    expect(botState.isBotOnline).toBe(false);
+
+    clock = at('2026-10-23T22:00');
+    await runner.tick();
+    expect(botState.isBotOnline).toBe(true);
+
+    botState = applyBotPatch(botState, { isBotOnline: false }); // Manuell ausgeschaltet
+    clock = at('2026-10-23T23:00');
+    await runner.tick();
+    expect(botState.isBotOnline).toBe(false);
+
+    botState = applyBotPatch(botState, { isBotOnline: true });
+    clock = at('2026-10-24T02:00');
+    await runner.tick();
+    expect(botState.isBotOnline).toBe(false);
+    expect(runner.isQuiet()).toBe(true);
+  });
+
+  it('startet ein Event einmal mit seiner Playlist', async () => {
+    let schedule = createSchedule({ onlineWindows: [] });
+    const runner = createRunner({
+      getSchedule: () => schedule,
+      markEventStarted: async (eventId, startedAt) => {
+        const next = markEventStarted(schedule, eventId, startedAt);
+        if (next) schedule = next;
+        return Boolean(next);
+      }
+    });
+
+    clock = at('2026-10-24T19:59');
+    await runner.tick();
+    expect(botState.currentSong).toBeNull();
+
+    clock = at('2026-10-24T20:00');
+    await runner.tick();
+    expect(botState).toMatchObject({ isBotOnline: true, currentSong: { title: 'A' }, loopMode: 'queue' });
+    expect(botState.musicQueue.map(song => song.title)).toEqual(['B']);
+    expect(schedule.events[0].startedAt).toBe(clock);
+
+    clock = at('2026-10-24T20:01');
+    botState = applyBotPatch(botState, { musicQueue: [] });
+    await runner.tick();
+    expect(botState.musicQueue).toEqual([]);
+
+    clock = at('2026-10-24T21:00');
+    await runner.tick();
+    expect(botState.isBotOnline).toBe(false);
+  });
+
+  it('lädt die Playlist nicht, wenn ein anderer Tab das Event bereits gestartet hat', async () => {
+    const memory = createMemoryStorage();
+    const tabs = [createLocalBotStorage({ storage: memory }), createLocalBotStorage({ storage: memory })];
+    await tabs[0].saveSchedule(LOCAL_USER_ID, DEFAULT_GUILD_ID, createSchedule({ onlineWindows: [] }));
+    const staleSchedule = createSchedule({ onlineWindows: [] }); // Beide Tabs kennen nur den Stand vor dem Start
+    const started = [];
+    const runners = tabs.map(tab => createRunner({
+      getSchedule: () => staleSchedule,
+      commitMutation: async (mutation) => {
+        started.push(mutation);
+        return commitMutation(mutation);
+      },
+      markEventStarted: (eventId, startedAt) => tab.markScheduleEventStarted(LOCAL_USER_ID, DEFAULT_GUILD_ID, eventId, startedAt)
+    }));
+
+    clock = at('2026-10-24T20:00');
+    await Promise.all(runners.map(runner => runner.tick()));
+
+    expect(botState.musicQueue.map(song => song.title)).toEqual(['B']);
+    expect(started.filter(mutation => mutation.apply(readBotState(), clock).currentSong)).toHaveLength(1);
+  });
+
+  it('wertet nach start() im Abstand von tickIntervalMs aus', async () => {
+    jest.useFakeTimers();
+    try {
+      const getSchedule = jest.fn(() => null);
+      const runner = createRunner({ getSchedule, markEventStarted: async () => true, tickIntervalMs: 1000 });
+      runner.start();
+      expect(getSchedule).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(getSchedule).toHaveBeenCalledTimes(4);
+      await runner.stop();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(getSchedule).toHaveBeenCalledTimes(4);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,46 @@
+// Zustand der ausgewählten Guild im Dashboard als Reducer (für useReducer in App.js).
+// Die Zustandsübergänge (Warteschlange, Wiedergabe, Konten, ...) sind die Änderungen aus guildMutations.js; der Store
+// führt sie selbst aus (mutationApplied) und zeigt das Ergebnis sofort an, bis der Speicher den neuen Stand meldet.
+// Schlägt das Schreiben fehl, rollt er auf den bestätigten Zustand zurück. Da Uhrzeit und Zufall in der Änderung
+// bzw. im Zeitstempel der Aktion stehen, ist der Reducer rein und ohne Firebase nutzbar.
+// - bot:       angezeigter Zustand (inkl. noch nicht bestätigter Änderungen), siehe readBotState
+// - confirmed: zuletzt vom Speicher gemeldeter Zustand (Ziel eines Rollbacks)
+// - worker:    vom Backend-Worker gemeldeter Status (siehe workerStatus.js)
+import { readBotState, applyBotPatch } from './guildMutations.js';
+import { WORKER_FIELD } from './workerStatus.js';
+
+export const BOT_STORE_ACTIONS = {
+  GUILD_LOADED: 'guildLoaded',
+  MUTATION_APPLIED: 'mutationApplied',
+  ROLLED_BACK: 'rolledBack'
+};
+
+export const createInitialBotStoreState = () => {
+  const state = readBotState();
+  return { bot: state, confirmed: state, worker: null };
+};
+
+// data: Dokumentdaten der Guild (null, wenn sie noch nicht existiert oder gelöscht wurde)
+export const guildLoaded = data => ({ type: BOT_STORE_ACTIONS.GUILD_LOADED, data });
+
+// mutation: Änderung aus guildMutations.js; timestamp: lokale Uhrzeit für neue Wiedergabe-Zeitstempel
+export const mutationApplied = (mutation, timestamp) => ({ type: BOT_STORE_ACTIONS.MUTATION_APPLIED, mutation, timestamp });
+
+export const rolledBack = () => ({ type: BOT_STORE_ACTIONS.ROLLED_BACK });
+
+export const botStoreReducer = (state, action) => {
+  switch (action.type) {
+    case BOT_STORE_ACTIONS.GUILD_LOADED: {
+      const confirmed = readBotState(action.data || {});
+      return { bot: confirmed, confirmed, worker: (action.data && action.data[WORKER_FIELD]) || null };
+    }
+    case BOT_STORE_ACTIONS.MUTATION_APPLIED: {
+      const patch = action.mutation.apply(state.bot, action.timestamp);
+      return patch ? { ...state, bot: applyBotPatch(state.bot, patch) } : state;
+    }
+    case BOT_STORE_ACTIONS.ROLLED_BACK:
+      return { ...state, bot: state.confirmed };
+    default:
+      return state;
+  }
+};
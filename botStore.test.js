@@ -0,0 +1,73 @@
+import {
+  botStoreReducer, createInitialBotStoreState, guildLoaded, mutationApplied, rolledBack
+} from './botStore.js';
+import { appendSongs, playNext, shuffleSongs, setBotOnline } from './guildMutations.js';
+import { WORKER_FIELD } from './workerStatus.js';
+
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, platform: 'audio_file', videoId: null, duration: 60, thumbnail: null });
+
+const loaded = data => botStoreReducer(createInitialBotStoreState(), guildLoaded(data));
+
+describe('botStoreReducer', () => {
+  it('übernimmt die gemeldete Guild als angezeigten und bestätigten Zustand', () => {
+    const worker = { heartbeatAt: 1000, online: true };
+    const state = loaded({ isBotOnline: true, musicQueue: [song(1)], [WORKER_FIELD]: worker });
+
+    expect(state.bot.isBotOnline).toBe(true);
+    expect(state.bot.musicQueue).toEqual([song(1)]);
+    expect(state.confirmed).toBe(state.bot);
+    expect(state.worker).toBe(worker);
+  });
+
+  it('setzt den Zustand einer gelöschten Guild zurück', () => {
+    const state = botStoreReducer(loaded({ musicQueue: [song(1)] }), guildLoaded(null));
+
+    expect(state).toEqual(createInitialBotStoreState());
+  });
+
+  it('führt Änderungen aus, ohne den bestätigten Zustand zu verändern', () => {
+    const before = loaded({ musicQueue: [song(1)] });
+    const state = botStoreReducer(before, mutationApplied(appendSongs([song(2)]), 1000));
+
+    expect(state.bot.musicQueue).toEqual([song(1), song(2)]);
+    expect(state.confirmed.musicQueue).toEqual([song(1)]);
+  });
+
+  it('startet den nächsten Song mit dem Zeitstempel der Aktion', () => {
+    const state = botStoreReducer(loaded({ musicQueue: [song(1), song(2)] }), mutationApplied(playNext({ now: 500 }), 2000));
+
+    expect(state.bot.currentSong).toEqual(song(1));
+    expect(state.bot.musicQueue).toEqual([song(2)]);
+    expect(state.bot.playback).toEqual({ startedAt: 2000, pausedAt: null, position: 0 });
+  });
+
+  it('mischt mit demselben Startwert wie der Speicher in dieselbe Reihenfolge', () => {
+    const before = loaded({ musicQueue: [1, 2, 3, 4, 5, 6, 7, 8].map(song) });
+    const mutation = shuffleSongs(42);
+
+    const first = botStoreReducer(before, mutationApplied(mutation, 1000));
+    const second = botStoreReducer(before, mutationApplied(mutation, 1000));
+
+    expect(first.bot.musicQueue).toEqual(second.bot.musicQueue);
+    expect(first.bot.musicQueue).toEqual(mutation.apply(before.bot, 1000).musicQueue);
+    expect(first.bot.musicQueue.map(queued => queued.id).sort()).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('lässt den Zustand unverändert, wenn die Änderung nichts bewirkt', () => {
+    const before = loaded({ musicQueue: [] });
+
+    expect(botStoreReducer(before, mutationApplied(playNext({ now: 500 }), 1000)).bot).toEqual(before.bot);
+    expect(botStoreReducer(before, mutationApplied({ apply: () => null }, 1000))).toBe(before);
+  });
+
+  it('rollt nach einem Schreibfehler auf den bestätigten Zustand zurück', () => {
+    const before = loaded({ isBotOnline: false });
+    const optimistic = botStoreReducer(before, mutationApplied(setBotOnline(true), 1000));
+    expect(optimistic.bot.isBotOnline).toBe(true);
+
+    const state = botStoreReducer(optimistic, rolledBack());
+
+    expect(state.bot).toBe(before.confirmed);
+    expect(state.bot.isBotOnline).toBe(false);
+  });
+});
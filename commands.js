@@ -0,0 +1,163 @@
+// Slash-Befehle des Bots (/play, /skip, /stop, /queue, /nowplaying, /follow, /unfollow, /help).
+// Die Handler sind reine Funktionen: Sie lesen nur den übergebenen Zustand und liefern
+// { reply, action } zurück. "action" beschreibt die Zustandsänderung, die der Aufrufer ausführt –
+// im Dashboard dieselben Funktionen wie die Buttons, später z.B. ein echter Discord-Gateway-Adapter.
+// Antworten werden mit der übergebenen Übersetzungsfunktion t erzeugt (Texte: commands.* in locales/),
+// Fehler tragen einen Übersetzungsschlüssel (errors.command.*).
+import { TranslatableError, translatable } from './i18n.js';
+import { ACTIONS, can, isValidRole } from './permissions.js';
+import { formatDuration, getSongTitle } from './musicResolver.js';
+import { ACCOUNT_TYPES, findDuplicateAccount } from './socialAccounts.js';
+import { getElapsedSeconds, isPaused } from './playback.js';
+
+// Aktionstypen, die ein Befehl auslösen kann
+export const COMMAND_ACTIONS = {
+  ADD_MUSIC: 'addMusicToQueue',
+  SKIP: 'skipSong',
+  STOP: 'stopMusic',
+  ADD_ACCOUNT: 'addSocialAccount',
+  REMOVE_ACCOUNT: 'removeSocialAccount'
+};
+
+// Erlaubte Schreibweisen für den Kontotyp bei /follow
+const FOLLOW_TYPE_ALIASES = {
+  youtube: 'YouTube',
+  yt: 'YouTube',
+  twitch: 'Twitch',
+  x: 'X',
+  twitter: 'X',
+  other: 'Other',
+  andere: 'Other',
+  rss: 'Other'
+};
+
+const MAX_LISTED_SONGS = 10; // Anzahl der Songs, die /queue auflistet
+
+// Fehler für unbekannte Befehle, falsche Argumente oder fehlende Berechtigungen.
+// Die übersetzte Meldung ist direkt als Bot-Antwort gedacht.
+export class CommandError extends TranslatableError {
+  constructor(key, params) {
+    super(`errors.command.${key}`, params);
+    this.name = 'CommandError';
+  }
+}
+
+const usageError = name => new CommandError('usage', { usage: translatable(`commands.${name}.usage`) });
+
+const formatSongLine = (song, t) => {
+  const duration = formatDuration(song.duration);
+  return t(duration ? 'commands.queue.song' : 'commands.queue.songWithoutDuration', { title: getSongTitle(song), duration });
+};
+
+const formatAccountList = (accounts, t, allAccounts = accounts) =>
+  accounts.map(account => `${allAccounts.indexOf(account) + 1}. ${t(`accountTypes.${account.type}`)}: ${account.url}`).join('\n');
+
+// Sucht die verfolgten Konten zu einer Eingabe wie bei /follow (URL, @name, Kanalname).
+// Die Eingabe wird für jede Plattform normalisiert, damit z.B. "twitch.tv/Name/" die kanonische URL findet.
+const findAccountsByInput = (accounts, input) => ACCOUNT_TYPES
+  .map(type => findDuplicateAccount(accounts, { type, url: input }))
+  .filter((account, index, matches) => account && matches.indexOf(account) === index);
+
+// Befehlsdefinitionen: benötigte Berechtigung und Handler(args, state, t).
+// Verwendung und Beschreibung stehen im Katalog unter commands.<name>.usage bzw. commands.<name>.description.
+export const COMMANDS = {
+  play: {
+    permission: ACTIONS.CONTROL_QUEUE,
+    handler: ([url]) => {
+      if (!url) throw usageError('play');
+      return { action: { type: COMMAND_ACTIONS.ADD_MUSIC, url } };
+    }
+  },
+  skip: {
+    permission: ACTIONS.CONTROL_QUEUE,
+    handler: (args, { currentSong, musicQueue }) => {
+      if (!currentSong && musicQueue.length === 0) throw new CommandError('nothingToSkip');
+      return { action: { type: COMMAND_ACTIONS.SKIP } };
+    }
+  },
+  stop: {
+    permission: ACTIONS.CONTROL_QUEUE,
+    handler: () => ({ action: { type: COMMAND_ACTIONS.STOP } })
+  },
+  queue: {
+    handler: (args, { musicQueue }, t) => {
+      if (musicQueue.length === 0) return { reply: t('music.queueEmpty') };
+      const lines = musicQueue.slice(0, MAX_LISTED_SONGS).map((song, index) => `${index + 1}. ${formatSongLine(song, t)}`);
+      if (musicQueue.length > MAX_LISTED_SONGS) {
+        lines.push(t('commands.queue.more', { count: musicQueue.length - MAX_LISTED_SONGS }));
+      }
+      return { reply: `${t('commands.queue.title', { count: musicQueue.length })}\n${lines.join('\n')}` };
+    }
+  },
+  nowplaying: {
+    handler: (args, { currentSong, playback, now }, t) => {
+      if (!currentSong) return { reply: t('music.nothingPlaying') };
+      const params = {
+        title: getSongTitle(currentSong),
+        elapsed: formatDuration(getElapsedSeconds(playback, now)),
+        total: formatDuration(currentSong.duration) || t('commands.nowplaying.live'),
+        url: currentSong.url
+      };
+      return { reply: t(isPaused(playback) ? 'commands.nowplaying.pausedReply' : 'commands.nowplaying.reply', params) };
+    }
+  },
+  follow: {
+    permission: ACTIONS.MANAGE_ACCOUNTS,
+    handler: ([type, url]) => {
+      const accountType = FOLLOW_TYPE_ALIASES[(type || '').toLowerCase()];
+      if (!accountType || !url) throw usageError('follow');
+      return { action: { type: COMMAND_ACTIONS.ADD_ACCOUNT, accountType, url } };
+    }
+  },
+  unfollow: {
+    permission: ACTIONS.MANAGE_ACCOUNTS,
+    handler: ([target], { socialAccounts }, t) => {
+      if (socialAccounts.length === 0) return { reply: t('social.noAccounts') };
+      if (!target) {
+        return { reply: t('commands.unfollow.chooseAccount', { usage: t('commands.unfollow.usage'), accounts: formatAccountList(socialAccounts, t) }) };
+      }
+      if (/^\d+$/.test(target) && socialAccounts[Number(target) - 1]) {
+        return { action: { type: COMMAND_ACTIONS.REMOVE_ACCOUNT, id: socialAccounts[Number(target) - 1].id } };
+      }
+      const matches = findAccountsByInput(socialAccounts, target);
+      if (matches.length === 0) throw new CommandError('accountNotFound', { target });
+      if (matches.length > 1) {
+        throw new CommandError('ambiguousAccount', { target, accounts: formatAccountList(matches, t, socialAccounts) });
+      }
+      return { action: { type: COMMAND_ACTIONS.REMOVE_ACCOUNT, id: matches[0].id } };
+    }
+  },
+  help: {
+    handler: (args, state, t) => ({
+      reply: Object.keys(COMMANDS).map(name => `${t(`commands.${name}.usage`)} – ${t(`commands.${name}.description`)}`).join('\n')
+    })
+  }
+};
+
+// Zerlegt eine Eingabe wie "/follow twitch twitch.tv/name" in Befehlsname und Argumente
+export const parseCommand = (input) => {
+  const trimmed = (input || '').trim();
+  if (!trimmed.startsWith('/')) {
+    throw new CommandError('notACommand');
+  }
+  const [name, ...args] = trimmed.slice(1).split(/\s+/);
+  const commandName = name.toLowerCase();
+  if (!COMMANDS[commandName]) {
+    throw new CommandError('unknownCommand', { name });
+  }
+  return { name: commandName, args };
+};
+
+// Führt einen Befehl gegen den übergebenen Zustand aus.
+// state: { currentSong, musicQueue, playback, socialAccounts, now }
+// role: Rolle des ausführenden Benutzers (siehe permissions.js)
+// t: Übersetzungsfunktion für die Antwort (siehe createI18n in i18n.js)
+// Rückgabe: { reply?, action? } – wirft CommandError bei ungültiger Eingabe oder fehlender Berechtigung
+export const executeCommand = (input, state, role, t) => {
+  const { name, args } = parseCommand(input);
+  const command = COMMANDS[name];
+  if (command.permission && !can(role, command.permission)) {
+    throw new CommandError('forbidden', { role: translatable(isValidRole(role) ? `roles.${role}` : 'app.noRole'), name });
+  }
+  return command.handler(args, state, t);
+};
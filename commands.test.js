@@ -0,0 +1,179 @@
+import { COMMANDS, COMMAND_ACTIONS, CommandError, parseCommand, executeCommand } from './commands.js';
+import { ROLES } from './permissions.js';
+import { createI18n } from './i18n.js';
+
+const { t, translateMessage } = createI18n('de');
+
+const NOW = Date.UTC(2026, 9, 19, 20);
+const song = (id, duration = 180) => ({ id, url: `https://cdn.example.com/${id}.mp3`, title: `Song ${id}`, duration });
+
+const twitch = { id: 1, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde' };
+const youtube = { id: 2, type: 'YouTube', url: 'https://www.youtube.com/@kanalundfreunde' };
+const x = { id: 3, type: 'X', url: 'https://x.com/kanalfreunde' };
+
+const emptyState = { currentSong: null, musicQueue: [], playback: { startedAt: null, pausedAt: null, position: 0 }, socialAccounts: [], now: NOW };
+
+const run = (input, state = {}, role = ROLES.OWNER) => executeCommand(input, { ...emptyState, ...state }, role, t);
+
+// Liefert den CommandError eines Aufrufs
+const commandError = (call) => {
+  try {
+    call();
+  } catch (error) {
+    expect(error).toBeInstanceOf(CommandError);
+    return error;
+  }
+  throw new Error('Befehl wurde ohne Fehler ausgeführt');
+};
+
+describe('parseCommand', () => {
+  it('zerlegt Befehl und Argumente und ignoriert Groß-/Kleinschreibung des Namens', () => {
+    expect(parseCommand('  /FOLLOW  twitch   twitch.tv/Name ')).toEqual({ name: 'follow', args: ['twitch', 'twitch.tv/Name'] });
+    expect(parseCommand('/skip')).toEqual({ name: 'skip', args: [] });
+  });
+
+  it('lehnt Eingaben ohne "/" und unbekannte Befehle ab', () => {
+    expect(commandError(() => parseCommand('play https://youtu.be/abc')).key).toBe('errors.command.notACommand');
+    expect(commandError(() => parseCommand('')).key).toBe('errors.command.notACommand');
+
+    const unknown = commandError(() => parseCommand('/Tanzen jetzt'));
+    expect(unknown.key).toBe('errors.command.unknownCommand');
+    expect(translateMessage(unknown)).toBe('Unbekannter Befehl: /Tanzen. Tippe /help für eine Übersicht.');
+  });
+});
+
+describe('executeCommand', () => {
+  it('/play liefert die URL als Aktion und verlangt ein Argument', () => {
+    expect(run('/play https://youtu.be/dQw4w9WgXcQ')).toEqual({
+      action: { type: COMMAND_ACTIONS.ADD_MUSIC, url: 'https://youtu.be/dQw4w9WgXcQ' }
+    });
+    expect(translateMessage(commandError(() => run('/play')))).toBe('Verwendung: /play <url>');
+  });
+
+  it('/skip überspringt, solange ein Song läuft oder wartet', () => {
+    expect(run('/skip', { currentSong: song(1) })).toEqual({ action: { type: COMMAND_ACTIONS.SKIP } });
+    expect(run('/skip', { musicQueue: [song(2)] })).toEqual({ action: { type: COMMAND_ACTIONS.SKIP } });
+    expect(commandError(() => run('/skip')).key).toBe('errors.command.nothingToSkip');
+  });
+
+  it('/stop stoppt auch ohne laufenden Song', () => {
+    expect(run('/stop')).toEqual({ action: { type: COMMAND_ACTIONS.STOP } });
+  });
+
+  it('/queue antwortet bei leerer Warteschlange und listet höchstens zehn Songs', () => {
+    expect(run('/queue')).toEqual({ reply: t('music.queueEmpty') });
+    expect(run('/queue', { musicQueue: [song(1), song(2, null)] }).reply).toBe('Warteschlange (2):\n1. **Song 1** (3:00)\n2. **Song 2**');
+
+    const lines = run('/queue', { musicQueue: Array.from({ length: 12 }, (_, index) => song(index + 1)) }).reply.split('\n');
+    expect(lines).toHaveLength(12);
+    expect(lines[0]).toBe('Warteschlange (12):');
+    expect(lines[10]).toBe('10. **Song 10** (3:00)');
+    expect(lines[11]).toBe(t('commands.queue.more', { count: 2 }));
+  });
+
+  it('/nowplaying zeigt Fortschritt, Pause und Livestreams', () => {
+    expect(run('/nowplaying')).toEqual({ reply: t('music.nothingPlaying') });
+
+    const playing = { currentSong: song(1), playback: { startedAt: NOW - 65000, pausedAt: null, position: 0 } };
+    expect(run('/nowplaying', playing).reply).toBe('Aktuell spielt: **Song 1** [1:05 / 3:00]\nhttps://cdn.example.com/1.mp3');
+
+    const paused = { currentSong: song(1), playback: { startedAt: NOW - 65000, pausedAt: NOW - 5000, position: 10 } };
+    expect(run('/nowplaying', paused).reply).toBe('Aktuell spielt: **Song 1** [1:10 / 3:00] (pausiert)\nhttps://cdn.example.com/1.mp3');
+
+    const live = { currentSong: song(1, null), playback: { startedAt: NOW, pausedAt: null, position: 0 } };
+    expect(run('/nowplaying', live).reply).toContain('[0:00 / Live]');
+  });
+
+  it('/follow übersetzt den Kontotyp und verlangt Typ und URL', () => {
+    expect(run('/follow Twitter @kanalfreunde')).toEqual({
+      action: { type: COMMAND_ACTIONS.ADD_ACCOUNT, accountType: 'X', url: '@kanalfreunde' }
+    });
+    expect(run('/follow rss https://blog.example.com/feed.xml').action.accountType).toBe('Other');
+    expect(commandError(() => run('/follow mastodon @name')).key).toBe('errors.command.usage');
+    expect(commandError(() => run('/follow twitch')).key).toBe('errors.command.usage');
+  });
+
+  it('/unfollow listet ohne Argument die Konten mit Nummer', () => {
+    expect(run('/unfollow')).toEqual({ reply: t('social.noAccounts') });
+    expect(run('/unfollow', { socialAccounts: [twitch, youtube] }).reply).toBe(
+      'Verwendung: /unfollow <url|name|nummer>\n1. Twitch: https://www.twitch.tv/kanalundfreunde\n2. YouTube: https://www.youtube.com/@kanalundfreunde'
+    );
+  });
+
+  it('/unfollow entfernt ein Konto per Nummer', () => {
+    expect(run('/unfollow 2', { socialAccounts: [twitch, youtube] })).toEqual({ action: { type: COMMAND_ACTIONS.REMOVE_ACCOUNT, id: youtube.id } });
+    expect(commandError(() => run('/unfollow 3', { socialAccounts: [twitch, youtube] })).key).toBe('errors.command.accountNotFound');
+  });
+
+  it.each([
+    ['https://www.twitch.tv/kanalundfreunde', twitch],
+    ['twitch.tv/KanalUndFreunde', twitch],
+    ['https://www.twitch.tv/kanalundfreunde/?ref=chat', twitch],
+    ['youtube.com/@KanalUndFreunde', youtube],
+    ['https://twitter.com/KanalFreunde', x],
+    ['@kanalfreunde', x]
+  ])('/unfollow %s findet das Konto wie /follow', (target, account) => {
+    expect(run(`/unfollow ${target}`, { socialAccounts: [twitch, youtube, x] })).toEqual({
+      action: { type: COMMAND_ACTIONS.REMOVE_ACCOUNT, id: account.id }
+    });
+  });
+
+  it('/unfollow fragt bei mehrdeutigen Namen nach der Nummer', () => {
+    const error = commandError(() => run('/unfollow kanalundfreunde', { socialAccounts: [x, twitch, youtube] }));
+
+    expect(error.key).toBe('errors.command.ambiguousAccount');
+    expect(translateMessage(error)).toBe(
+      'Mehrere verfolgte Konten passen zu "kanalundfreunde", bitte die Nummer angeben:\n'
+      + '3. YouTube: https://www.youtube.com/@kanalundfreunde\n2. Twitch: https://www.twitch.tv/kanalundfreunde'
+    );
+  });
+
+  it('/unfollow meldet unbekannte Konten', () => {
+    const error = commandError(() => run('/unfollow twitch.tv/jemand', { socialAccounts: [twitch] }));
+
+    expect(translateMessage(error)).toBe('Kein verfolgtes Konto gefunden für "twitch.tv/jemand".');
+  });
+
+  it('/help listet alle Befehle mit Verwendung und Beschreibung', () => {
+    const lines = run('/help', {}, ROLES.VIEWER).reply.split('\n');
+
+    expect(lines).toHaveLength(Object.keys(COMMANDS).length);
+    expect(lines).toContain('/stop – Stoppt die Wiedergabe und leert die Warteschlange.');
+  });
+});
+
+describe('Berechtigungen', () => {
+  const state = { currentSong: song(1), musicQueue: [song(2)], socialAccounts: [twitch] };
+  const queueCommands = ['/play https://youtu.be/dQw4w9WgXcQ', '/skip', '/stop'];
+  const accountCommands = ['/follow twitch kanal', '/unfollow 1'];
+  const readCommands = ['/queue', '/nowplaying', '/help'];
+
+  it.each([...queueCommands, ...accountCommands, ...readCommands])('Besitzer dürfen %s', (input) => {
+    expect(() => run(input, state, ROLES.OWNER)).not.toThrow();
+  });
+
+  it.each(queueCommands)('DJs dürfen %s', (input) => {
+    expect(() => run(input, state, ROLES.DJ)).not.toThrow();
+  });
+
+  it.each(accountCommands)('DJs dürfen %s nicht', (input) => {
+    const error = commandError(() => run(input, state, ROLES.DJ));
+
+    expect(error.key).toBe('errors.command.forbidden');
+    expect(translateMessage(error)).toBe(`Deine Rolle (DJ) darf /${parseCommand(input).name} nicht verwenden.`);
+  });
+
+  it.each([...queueCommands, ...accountCommands])('Zuschauer dürfen %s nicht', (input) => {
+    expect(translateMessage(commandError(() => run(input, state, ROLES.VIEWER))))
+      .toBe(`Deine Rolle (Zuschauer) darf /${parseCommand(input).name} nicht verwenden.`);
+  });
+
+  it.each(readCommands)('Zuschauer und Benutzer ohne Rolle dürfen %s', (input) => {
+    expect(() => run(input, state, ROLES.VIEWER)).not.toThrow();
+    expect(() => run(input, state, null)).not.toThrow();
+  });
+
+  it('meldet Benutzer ohne Rolle', () => {
+    expect(translateMessage(commandError(() => run('/skip', state, null)))).toBe('Deine Rolle (keine) darf /skip nicht verwenden.');
+  });
+});
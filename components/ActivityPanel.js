@@ -0,0 +1,101 @@
+import React from 'react';
+import { Activity, Undo2 } from 'lucide-react';
+import { toMillis } from '../playback.js';
+import { ROLES, can } from '../permissions.js';
+import { ACTIVITY_ACTIONS, UNDO_PERMISSIONS, SYSTEM_ACTOR_ID, getUndoneEntryIds, getActivitySummary } from '../activityLog.js';
+import { isUndoable } from '../guildMutations.js';
+
+// Aktivitätsprotokoll: wer hat wann was geändert, mit Filter nach Aktion/Benutzer und "Rückgängig".
+// - entries: geladene (gefilterte) Einträge; undoEntries: letzte "Rückgängig"-Einträge unabhängig vom Filter
+// - userId/ownerId/members: für die Anzeigenamen der ausführenden Benutzer
+function ActivityPanel({
+  entries, undoEntries, filter, hasMore, role, userId, ownerId, members,
+  onChangeFilter, onLoadMore, onUndo, t, translateMessage, formatDateTime
+}) {
+  // Bereits rückgängig gemachte Einträge und bekannte Benutzer für den Filter
+  const undoneIds = getUndoneEntryIds([...undoEntries, ...entries]);
+  const actors = [...new Set([
+    ...entries.map(entry => entry.actorId),
+    ...(filter.actorId ? [filter.actorId] : [])
+  ])];
+
+  // Anzeigename des ausführenden Benutzers (eigene ID, Besitzer oder Mitglied mit Rolle)
+  const getActorLabel = (actorId) => {
+    if (actorId === userId) return t('activity.you');
+    if (actorId === SYSTEM_ACTOR_ID) return t('activity.system');
+    if (actorId === ownerId) return `${t(`roles.${ROLES.OWNER}`)} (${actorId.slice(0, 8)}…)`;
+    const member = members.find(existing => existing.userId === actorId);
+    return member ? `${t(`roles.${member.role}`)} (${actorId.slice(0, 8)}…)` : `${actorId.slice(0, 8)}…`;
+  };
+
+  return (
+    <div className="bg-gray-700 p-6 rounded-xl mt-8 shadow-inner">
+      <h2 className="text-2xl font-bold mb-4 flex items-center text-yellow-400">
+        <Activity className="mr-2" /> {t('activity.title')}
+      </h2>
+      <div className="flex flex-col sm:flex-row gap-2 mb-3 text-sm">
+        <select
+          value={filter.action}
+          onChange={(e) => onChangeFilter({ action: e.target.value })}
+          className="p-2 rounded-lg bg-gray-800 border border-gray-600 text-white"
+        >
+          <option value="">{t('activity.allActions')}</option>
+          {Object.values(ACTIVITY_ACTIONS).map(action => (
+            <option key={action} value={action}>{t(`activity.actions.${action}`)}</option>
+          ))}
+        </select>
+        <select
+          value={filter.actorId}
+          onChange={(e) => onChangeFilter({ actorId: e.target.value })}
+          className="p-2 rounded-lg bg-gray-800 border border-gray-600 text-white"
+        >
+          <option value="">{t('activity.allUsers')}</option>
+          {actors.map(actorId => (
+            <option key={actorId} value={actorId}>{getActorLabel(actorId)}</option>
+          ))}
+        </select>
+      </div>
+      {entries.length > 0 ? (
+        <ul className="bg-gray-800 p-4 rounded-lg shadow-inner text-gray-300 max-h-80 overflow-y-auto custom-scrollbar">
+          {entries.map((entry) => (
+            <li key={entry.id} className="py-1 border-b border-gray-700 last:border-b-0 flex items-center justify-between">
+              <span className="min-w-0">
+                <span className="block truncate">
+                  <span className="font-semibold">{t(`activity.actions.${entry.action}`)}</span>: {translateMessage(getActivitySummary(entry))}
+                </span>
+                <span className="block text-xs text-gray-500">
+                  {getActorLabel(entry.actorId)} · {formatDateTime(toMillis(entry.timestamp))}
+                </span>
+              </span>
+              {isUndoable(entry) && can(role, UNDO_PERMISSIONS[entry.action]) && (
+                undoneIds.has(entry.id) ? (
+                  <span className="text-xs text-gray-500 flex-shrink-0 ml-2">{t('activity.undone')}</span>
+                ) : (
+                  <button
+                    onClick={() => onUndo(entry)}
+                    className="text-yellow-400 hover:text-yellow-300 transition-colors duration-200 p-1 rounded-full hover:bg-gray-700 flex-shrink-0 ml-2"
+                    title={t('activity.undo')}
+                  >
+                    <Undo2 size={18} />
+                  </button>
+                )
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">{t('activity.empty')}</p>
+      )}
+      {hasMore && (
+        <button
+          onClick={onLoadMore}
+          className="mt-3 text-sm text-gray-400 hover:text-white"
+        >
+          {t('activity.loadMore')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ActivityPanel;
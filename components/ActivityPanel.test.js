@@ -0,0 +1,125 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID } from '../guilds.js';
+import { ROLES } from '../permissions.js';
+import { ACTIVITY_ACTIONS, ACTIVITY_PAGE_SIZE, SYSTEM_ACTOR_ID } from '../activityLog.js';
+import { addAccount, removeAccount, appendSongs, startScheduledPlaylist } from '../guildMutations.js';
+import { renderApp, createTestStorage, createTestSong, withMemorySharing, readGuild, t } from '../test/renderApp.js';
+
+const DJ_ID = 'dj-user-1234';
+const account = { id: 3, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde', handle: 'kanalundfreunde' };
+
+// Lokaler Speicher mit fortlaufender Uhr, damit die Reihenfolge der Einträge feststeht; DJ_ID ist als DJ eingeladen
+const createActivityStorage = async (ownerId = LOCAL_USER_ID) => {
+  let clock = Date.UTC(2026, 9, 19, 12);
+  const storage = withMemorySharing(createTestStorage({ now: () => clock++ }), {
+    [LOCAL_USER_ID]: { [DJ_ID]: ROLES.DJ },
+    'owner-1': { [LOCAL_USER_ID]: ROLES.DJ }
+  });
+  await storage.ensureDefaultGuild(ownerId);
+  return storage;
+};
+
+const commit = (storage, mutation, actorId, ownerId = LOCAL_USER_ID) =>
+  storage.commitMutation(ownerId, DEFAULT_GUILD_ID, mutation, actorId);
+
+const activityPanel = () => within(screen.getByText(t('activity.title')).closest('div'));
+const entryRows = () => activityPanel().queryAllByRole('listitem');
+
+describe('ActivityPanel', () => {
+  it('zeigt die Einträge mit ausführendem Benutzer, neueste zuerst', async () => {
+    const storage = await createActivityStorage();
+    await commit(storage, addAccount(account), LOCAL_USER_ID);
+    await commit(storage, appendSongs([createTestSong('https://cdn.example.com/intro.mp3')]), DJ_ID);
+    await renderApp({ storage });
+
+    const rows = entryRows();
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain(t(`activity.actions.${ACTIVITY_ACTIONS.QUEUE_ADD}`));
+    expect(rows[0].textContent).toContain(`${t(`roles.${ROLES.DJ}`)} (dj-user-…)`);
+    expect(rows[1].textContent).toContain(t(`activity.actions.${ACTIVITY_ACTIONS.ACCOUNT_ADD}`));
+    expect(rows[1].textContent).toContain(t('activity.you'));
+  });
+
+  it('filtert nach Aktion und Benutzer', async () => {
+    const storage = await createActivityStorage();
+    await commit(storage, addAccount(account), LOCAL_USER_ID);
+    await commit(storage, appendSongs([createTestSong('https://cdn.example.com/intro.mp3')]), DJ_ID);
+    await commit(storage, removeAccount(account.id), LOCAL_USER_ID);
+    await renderApp({ storage });
+
+    fireEvent.change(activityPanel().getByDisplayValue(t('activity.allActions')), { target: { value: ACTIVITY_ACTIONS.ACCOUNT_REMOVE } });
+    await waitFor(() => expect(entryRows()).toHaveLength(1));
+    expect(entryRows()[0].textContent).toContain(t(`activity.actions.${ACTIVITY_ACTIONS.ACCOUNT_REMOVE}`));
+
+    fireEvent.change(activityPanel().getByDisplayValue(t(`activity.actions.${ACTIVITY_ACTIONS.ACCOUNT_REMOVE}`)), { target: { value: '' } });
+    fireEvent.change(activityPanel().getByDisplayValue(t('activity.allUsers')), { target: { value: DJ_ID } });
+    await activityPanel().findByDisplayValue(`${t(`roles.${ROLES.DJ}`)} (dj-user-…)`);
+    expect(entryRows()).toHaveLength(1);
+    expect(entryRows()[0].textContent).toContain(t(`activity.actions.${ACTIVITY_ACTIONS.QUEUE_ADD}`));
+  });
+
+  it('macht das Entfernen eines Kontos rückgängig und markiert den Eintrag', async () => {
+    const storage = await createActivityStorage();
+    await commit(storage, addAccount(account), LOCAL_USER_ID);
+    await commit(storage, removeAccount(account.id), LOCAL_USER_ID);
+    await renderApp({ storage });
+
+    fireEvent.click(activityPanel().getByTitle(t('activity.undo')));
+
+    await waitFor(() => expect(entryRows()).toHaveLength(3));
+    const [undoRow, removeRow] = entryRows();
+    expect(undoRow.textContent).toContain(t(`activity.actions.${ACTIVITY_ACTIONS.UNDO}`));
+    expect(within(removeRow).getByText(t('activity.undone'))).toBeTruthy();
+    expect(activityPanel().queryByTitle(t('activity.undo'))).toBeNull();
+    expect(readGuild(storage).socialAccounts.map(restored => restored.id)).toEqual([account.id]);
+  });
+
+  it('zeigt vom Zeitplan ersetzte Warteschlangen und stellt sie wieder her', async () => {
+    const storage = await createActivityStorage();
+    const queued = createTestSong('https://cdn.example.com/wunsch.mp3');
+    await commit(storage, appendSongs([queued]), DJ_ID);
+    await commit(storage, startScheduledPlaylist([createTestSong('https://cdn.example.com/party.mp3')], Date.now(), {
+      event: 'Party', playlist: 'Partymix'
+    }), SYSTEM_ACTOR_ID);
+    await renderApp({ storage });
+
+    const [scheduledRow] = entryRows();
+    expect(scheduledRow.textContent).toContain(t('activity.system'));
+    expect(scheduledRow.textContent).toContain('Event "Party": Partymix gestartet, 1 Song der Warteschlange ersetzt');
+    expect(readGuild(storage).musicQueue).toEqual([]);
+
+    fireEvent.click(within(scheduledRow).getByTitle(t('activity.undo')));
+
+    await waitFor(() => expect(readGuild(storage).musicQueue.map(song => song.id)).toEqual([queued.id]));
+  });
+
+  it('bietet "Rückgängig" nur mit der nötigen Berechtigung an', async () => {
+    const storage = await createActivityStorage('owner-1');
+    await commit(storage, addAccount(account), 'owner-1', 'owner-1');
+    await commit(storage, removeAccount(account.id), 'owner-1', 'owner-1');
+    await renderApp({ storage });
+
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+
+    await waitFor(() => expect(entryRows()).toHaveLength(2));
+    expect(entryRows()[0].textContent).toContain(t(`activity.actions.${ACTIVITY_ACTIONS.ACCOUNT_REMOVE}`));
+    expect(activityPanel().queryByTitle(t('activity.undo'))).toBeNull();
+  });
+
+  it('lädt ältere Einträge nach', async () => {
+    const storage = await createActivityStorage();
+    for (let index = 0; index <= ACTIVITY_PAGE_SIZE; index += 1) {
+      await commit(storage, appendSongs([createTestSong(`https://cdn.example.com/song-${index}.mp3`)]), LOCAL_USER_ID);
+    }
+    await renderApp({ storage });
+    expect(entryRows()).toHaveLength(ACTIVITY_PAGE_SIZE);
+
+    fireEvent.click(activityPanel().getByText(t('activity.loadMore')));
+
+    expect(await activityPanel().findByText(/song-0\.mp3/)).toBeTruthy();
+    expect(entryRows()).toHaveLength(ACTIVITY_PAGE_SIZE + 1);
+    expect(activityPanel().queryByText(t('activity.loadMore'))).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import React, { useState, useRef } from 'react';
+import { Download, Upload, FileText } from 'lucide-react';
+import { IMPORT_MODES } from '../botBackup.js';
+
+// Sicherung: Export und Import der Konfiguration des ausgewählten Servers (siehe botBackup.js).
+// onImport(file, mode): mode ist der gewählte Import-Modus (IMPORT_MODES)
+function BackupPanel({ onExport, onImport, t }) {
+  const [importMode, setImportMode] = useState(IMPORT_MODES.MERGE); // Sicherung zusammenführen oder ersetzen
+  const fileInputRef = useRef(null); // Verstecktes Dateifeld für den Import einer Sicherung
+
+  return (
+    <div className="bg-gray-700 p-4 rounded-lg mb-6">
+      <h2 className="text-lg font-semibold mb-3 flex items-center text-gray-200">
+        <FileText className="mr-2" size={18} /> {t('backup.title')}
+      </h2>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          onClick={onExport}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300 flex items-center justify-center"
+        >
+          <Download className="mr-2" size={18} /> {t('backup.export')}
+        </button>
+        <select
+          value={importMode}
+          onChange={(e) => setImportMode(e.target.value)}
+          className="p-2 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white"
+          title={t('backup.importMode')}
+        >
+          <option value={IMPORT_MODES.MERGE}>{t('backup.modeMerge')}</option>
+          <option value={IMPORT_MODES.REPLACE}>{t('backup.modeReplace')}</option>
+        </select>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          className="bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300 flex items-center justify-center"
+        >
+          <Upload className="mr-2" size={18} /> {t('backup.import')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            onImport(e.target.files[0], importMode);
+            e.target.value = ''; // Dieselbe Datei soll erneut gewählt werden können
+          }}
+        />
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        {t('backup.description')}
+      </p>
+    </div>
+  );
+}
+
+export default BackupPanel;
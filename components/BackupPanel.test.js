@@ -0,0 +1,114 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID, DEFAULT_GUILD_NAME } from '../guilds.js';
+import { ROLES } from '../permissions.js';
+import { IMPORT_MODES, BACKUP_FORMAT, createBackup } from '../botBackup.js';
+import { appendSongs } from '../guildMutations.js';
+import { LOOP_MODES } from '../queue.js';
+import { renderApp, createTestStorage, createTestSong, withMemorySharing, readGuild, t } from '../test/renderApp.js';
+
+const queuedSong = createTestSong('https://cdn.example.com/intro.mp3');
+const importedSong = createTestSong('https://cdn.example.com/outro.mp3');
+const importedAccount = { id: 7, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde', handle: 'kanalundfreunde' };
+
+const backupFile = (content, name = 'sicherung.json') => ({ name, text: async () => content });
+
+const backupOf = ({ socialAccounts = [], musicQueue = [], currentSong = null, loopMode = LOOP_MODES.OFF }) =>
+  JSON.stringify(createBackup({ socialAccounts, musicQueue, currentSong, loopMode }, { guildName: 'Alt' }));
+
+const renderWithQueue = async () => {
+  const storage = createTestStorage();
+  await storage.ensureDefaultGuild(LOCAL_USER_ID);
+  await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, appendSongs([queuedSong]));
+  return renderApp({ storage });
+};
+
+const chooseFile = (container, file) => {
+  fireEvent.change(container.querySelector('input[type="file"][accept=".json,application/json"]'), { target: { files: [file] } });
+};
+
+const readBlob = blob => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('BackupPanel', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('exportiert Warteschlange und Einstellungen als JSON-Datei', async () => {
+    await renderWithQueue();
+    URL.createObjectURL = jest.fn(() => 'blob:sicherung');
+    URL.revokeObjectURL = jest.fn();
+    let download = null;
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+      download = { href: this.href, fileName: this.download };
+    });
+
+    fireEvent.click(screen.getByText(t('backup.export')));
+
+    expect(download).toEqual({ href: 'blob:sicherung', fileName: expect.stringMatching(/^bot-backup-standard-server-\d{4}-\d{2}-\d{2}\.json$/) });
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:sicherung');
+    const backup = JSON.parse(await readBlob(URL.createObjectURL.mock.calls[0][0]));
+    expect(backup).toEqual(expect.objectContaining({ format: BACKUP_FORMAT, guildName: DEFAULT_GUILD_NAME }));
+    expect(backup.data.musicQueue).toEqual([queuedSong]);
+    expect(screen.getByText(t('backup.exported'))).toBeTruthy();
+  });
+
+  it('führt eine Sicherung mit den vorhandenen Daten zusammen', async () => {
+    const { container, storage } = await renderWithQueue();
+
+    chooseFile(container, backupFile(backupOf({ socialAccounts: [importedAccount], musicQueue: [queuedSong, importedSong] })));
+
+    expect(await screen.findByText(/^Sicherung importiert: 1 Konto, 1 Song\./)).toBeTruthy();
+    const guild = readGuild(storage);
+    expect(guild.musicQueue.map(song => song.id)).toEqual([queuedSong.id, importedSong.id]);
+    expect(guild.socialAccounts.map(account => account.url)).toEqual([importedAccount.url]);
+  });
+
+  it('ersetzt die Daten erst nach Bestätigung', async () => {
+    const { container, storage } = await renderWithQueue();
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    fireEvent.change(screen.getByDisplayValue(t('backup.modeMerge')), { target: { value: IMPORT_MODES.REPLACE } });
+    const file = backupFile(backupOf({ musicQueue: [importedSong], loopMode: LOOP_MODES.QUEUE }));
+
+    chooseFile(container, file);
+    await waitFor(() => expect(confirm).toHaveBeenCalledWith(t('backup.confirmReplace')));
+    expect(readGuild(storage).musicQueue.map(song => song.id)).toEqual([queuedSong.id]);
+
+    chooseFile(container, file);
+
+    expect(await screen.findByText(/^Sicherung importiert: 0 Konten, 1 Song\./)).toBeTruthy();
+    const guild = readGuild(storage);
+    expect(guild.musicQueue.map(song => song.id)).toEqual([importedSong.id]);
+    expect(guild.loopMode).toBe(LOOP_MODES.QUEUE);
+  });
+
+  it('meldet eine ungültige Datei, ohne etwas zu ändern', async () => {
+    const { container, storage } = await renderWithQueue();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    chooseFile(container, backupFile('{"format":"etwas anderes"}'));
+
+    expect(await screen.findByText(/^Import fehlgeschlagen: /)).toBeTruthy();
+    expect(consoleError).toHaveBeenCalledWith('Fehler beim Lesen der Sicherung:', expect.any(Error));
+    expect(readGuild(storage).musicQueue.map(song => song.id)).toEqual([queuedSong.id]);
+  });
+
+  it('wird nur mit Berechtigung zur Server-Verwaltung angezeigt', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.DJ } });
+    await storage.ensureDefaultGuild('owner-1');
+    await renderApp({ storage });
+    expect(screen.getByText(t('backup.title'))).toBeTruthy();
+
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+
+    expect(await screen.findByText(t('dashboard.yourRole', { role: t(`roles.${ROLES.DJ}`) }))).toBeTruthy();
+    expect(screen.queryByText(t('backup.title'))).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { getBotStatusIndicator } from '../workerStatus.js';
+
+// Gewünschter Online-Status des Bots, tatsächlicher Zustand laut Backend-Worker und der Umschalter.
+// workerState: Ergebnis von getWorkerState (workerStatus.js); now: aktuelle Uhrzeit in Millisekunden
+function BotStatusPanel({ isBotOnline, workerState, now, canToggle, onToggle, t }) {
+  // isBotOnline ist nur der gewünschte Zustand; die Anzeige berücksichtigt den Heartbeat des Workers
+  const indicator = getBotStatusIndicator(isBotOnline, workerState);
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between bg-gray-700 p-4 rounded-xl mb-8 shadow-inner">
+      <div className="mb-4 sm:mb-0">
+        <div className="flex items-center">
+          <span className={`h-4 w-4 rounded-full mr-3 ${indicator.color}`}></span>
+          <span className="text-lg font-semibold">{t('bot.status', { status: t(`bot.state.${indicator.status}`) })}</span>
+        </div>
+        <p className="text-xs text-gray-400 mt-1 ml-7">
+          {workerState.heartbeatAt
+            ? t(workerState.isAlive ? 'bot.workerReachable' : 'bot.workerUnreachable', {
+              seconds: Math.max(0, Math.round((now - workerState.heartbeatAt) / 1000))
+            })
+            : t('bot.noWorker')}
+        </p>
+        {workerState.error && (
+          <p className="text-xs text-red-400 mt-1 ml-7 flex items-center">
+            <AlertTriangle className="mr-1 flex-shrink-0" size={14} /> {t('bot.workerError', { error: workerState.error.message })}
+          </p>
+        )}
+      </div>
+      <button
+        onClick={onToggle}
+        disabled={!canToggle}
+        className={`px-6 py-3 rounded-lg font-semibold transition-all duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed
+          ${isBotOnline
+            ? 'bg-red-600 hover:bg-red-700 text-white'
+            : 'bg-green-600 hover:bg-green-700 text-white'
+          }`}
+      >
+        {isBotOnline ? t('bot.turnOff') : t('bot.turnOn')}
+      </button>
+    </div>
+  );
+}
+
+export default BotStatusPanel;
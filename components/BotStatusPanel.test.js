@@ -0,0 +1,72 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BotStatusPanel from './BotStatusPanel.js';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { ROLES } from '../permissions.js';
+import { getWorkerState, WORKER_HEARTBEAT_TIMEOUT_MS } from '../workerStatus.js';
+import { renderApp, createTestStorage, withMemorySharing, readGuild, t } from '../test/renderApp.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const statusText = state => t('bot.status', { status: t(`bot.state.${state}`) });
+
+const panel = (isBotOnline, worker) => (
+  <BotStatusPanel
+    isBotOnline={isBotOnline}
+    workerState={getWorkerState(worker, NOW)}
+    now={NOW}
+    canToggle
+    onToggle={() => {}}
+    t={t}
+  />
+);
+
+describe('BotStatusPanel', () => {
+  it('schaltet den Bot ein und aus und speichert den gewünschten Status', async () => {
+    const { storage } = await renderApp();
+    expect(screen.getByText(statusText('offline'))).toBeTruthy();
+    expect(screen.getByText(t('bot.noWorker'))).toBeTruthy();
+
+    fireEvent.click(screen.getByText(t('bot.turnOn')));
+
+    expect(await screen.findByText(t('bot.nowOnline'))).toBeTruthy();
+    expect(screen.getByText(statusText('requested'))).toBeTruthy();
+    expect(readGuild(storage).isBotOnline).toBe(true);
+
+    fireEvent.click(screen.getByText(t('bot.turnOff')));
+
+    expect(await screen.findByText(t('bot.nowOffline'))).toBeTruthy();
+    expect(screen.getByText(statusText('offline'))).toBeTruthy();
+    expect(readGuild(storage).isBotOnline).toBe(false);
+  });
+
+  it('zeigt den tatsächlichen Zustand laut Heartbeat des Workers', () => {
+    const { rerender } = render(panel(true, { heartbeatAt: NOW - 5000, online: true }));
+    expect(screen.getByText(statusText('online'))).toBeTruthy();
+    expect(screen.getByText(t('bot.workerReachable', { seconds: 5 }))).toBeTruthy();
+
+    rerender(panel(true, { heartbeatAt: NOW - 5000, online: false }));
+    expect(screen.getByText(statusText('connecting'))).toBeTruthy();
+  });
+
+  it('meldet einen nicht erreichbaren Worker und seinen letzten Fehler', () => {
+    const heartbeatAt = NOW - WORKER_HEARTBEAT_TIMEOUT_MS - 10000;
+    render(panel(true, { heartbeatAt, online: true, error: { message: 'Token ungültig' } }));
+
+    expect(screen.getByText(statusText('requested'))).toBeTruthy();
+    expect(screen.getByText(t('bot.workerUnreachable', { seconds: 40 }))).toBeTruthy();
+    expect(screen.getByText(t('bot.workerError', { error: 'Token ungültig' }), { exact: false })).toBeTruthy();
+  });
+
+  it('sperrt den Umschalter ohne Berechtigung', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.DJ } });
+    await storage.ensureDefaultGuild('owner-1');
+    await renderApp({ storage });
+
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+
+    expect(await screen.findByText(t('dashboard.yourRole', { role: t(`roles.${ROLES.DJ}`) }))).toBeTruthy();
+    expect(screen.getByText(t('bot.turnOn')).closest('button').disabled).toBe(true);
+  });
+});
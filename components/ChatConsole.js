@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { User, Terminal, Send, Bot } from 'lucide-react';
+import { executeCommand, CommandError } from '../commands.js';
+
+const MAX_CHAT_MESSAGES = 100; // Anzahl der Nachrichten, die die Chat-Konsole behält
+
+// Gibt eine Bot-Antwort mit Discord-Markdown (**fett**) und Zeilenumbrüchen aus
+function ChatText({ text }) {
+  return text.split(/(\*\*[^*]+\*\*)/g).map((part, index) => (
+    part.startsWith('**') && part.endsWith('**')
+      ? <strong key={index}>{part.slice(2, -2)}</strong>
+      : <React.Fragment key={index}>{part}</React.Fragment>
+  ));
+}
+
+// Simulierte Chat-Konsole für Slash-Befehle (siehe commands.js).
+// - commandState: { currentSong, musicQueue, playback, socialAccounts } für die Auswertung der Befehle
+// - onAction(action): führt die vom Befehl beschriebene Aktion aus und liefert { ok, message } für die Antwort
+function ChatConsole({ commandState, role, onAction, t, translateMessage }) {
+  const [chatMessages, setChatMessages] = useState([]); // Verlauf der Konsole
+  const [chatInput, setChatInput] = useState(''); // Eingabefeld für Slash-Befehle
+  const chatEndRef = useRef(null); // Ende des Chatverlaufs, um automatisch nach unten zu scrollen
+
+  // Bei neuen Nachrichten nach unten scrollen
+  useEffect(() => {
+    if (chatEndRef.current) {
+      chatEndRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [chatMessages]);
+
+  const appendChatMessage = (author, text, ok = true) => {
+    setChatMessages(prevMessages => [...prevMessages, { id: Date.now() + Math.random(), author, text, ok }].slice(-MAX_CHAT_MESSAGES));
+  };
+
+  const submitChatCommand = async () => {
+    const input = chatInput.trim();
+    if (input === '') {
+      return;
+    }
+    setChatInput('');
+    appendChatMessage('user', input);
+    let result;
+    try {
+      result = executeCommand(input, { ...commandState, now: Date.now() }, role, t);
+    } catch (error) {
+      appendChatMessage('bot', error instanceof CommandError ? translateMessage(error) : t('chat.error', { error: translateMessage(error) }), false);
+      return;
+    }
+    if (result.reply) {
+      appendChatMessage('bot', result.reply);
+    }
+    if (result.action) {
+      const outcome = await onAction(result.action);
+      if (outcome) {
+        appendChatMessage('bot', outcome.message, outcome.ok);
+      }
+    }
+  };
+
+  return (
+    <div className="bg-gray-700 p-6 rounded-xl mt-8 shadow-inner">
+      <h2 className="text-2xl font-bold mb-4 flex items-center text-green-400">
+        <Terminal className="mr-2" /> {t('chat.title')}
+      </h2>
+      <p className="text-sm text-gray-400 mb-4">
+        {t('chat.intro')} <span className="font-mono">/play &lt;url&gt;</span>, <span className="font-mono">/queue</span> {t('chat.or')} <span className="font-mono">/help</span>.
+      </p>
+      <div className="bg-gray-800 p-4 rounded-lg shadow-inner h-64 overflow-y-auto custom-scrollbar mb-4 font-mono text-sm">
+        {chatMessages.length > 0 ? (
+          chatMessages.map((chatMessage) => (
+            <div key={chatMessage.id} className="mb-2 flex items-start">
+              {chatMessage.author === 'bot'
+                ? <Bot size={16} className="mr-2 mt-0.5 text-green-400 flex-shrink-0" />
+                : <User size={16} className="mr-2 mt-0.5 text-gray-400 flex-shrink-0" />}
+              <span className={`whitespace-pre-wrap break-words ${chatMessage.author === 'bot' ? (chatMessage.ok ? 'text-gray-200' : 'text-red-400') : 'text-gray-400'}`}>
+                <ChatText text={chatMessage.text} />
+              </span>
+            </div>
+          ))
+        ) : (
+          <p className="text-gray-500">{t('chat.empty')}</p>
+        )}
+        <div ref={chatEndRef} />
+      </div>
+      <div className="flex gap-4">
+        <input
+          type="text"
+          placeholder="/play https://youtu.be/…"
+          value={chatInput}
+          onChange={(e) => setChatInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && submitChatCommand()}
+          className="flex-grow p-3 rounded-lg bg-gray-800 border border-gray-600 focus:border-green-500 focus:ring focus:ring-green-500 focus:ring-opacity-50 text-white placeholder-gray-400 font-mono"
+        />
+        <button
+          onClick={submitChatCommand}
+          className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors duration-300 shadow-md flex items-center justify-center"
+        >
+          <Send className="mr-2" size={20} /> {t('chat.send')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ChatConsole;
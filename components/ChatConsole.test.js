@@ -0,0 +1,69 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, within } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID } from '../guilds.js';
+import { ROLES } from '../permissions.js';
+import { CommandError } from '../commands.js';
+import { appendSongs } from '../guildMutations.js';
+import { renderApp, createTestStorage, createTestSong, withMemorySharing, readGuild, t, translateMessage } from '../test/renderApp.js';
+
+const chatConsole = () => within(screen.getByText(t('chat.title')).closest('div'));
+
+const sendCommand = (input) => {
+  fireEvent.change(chatConsole().getByPlaceholderText('/play https://youtu.be/…'), { target: { value: input } });
+  fireEvent.keyDown(chatConsole().getByPlaceholderText('/play https://youtu.be/…'), { key: 'Enter' });
+};
+
+describe('ChatConsole', () => {
+  it('reiht per /play einen Song ein und antwortet mit dem Ergebnis', async () => {
+    const { storage, musicResolver } = await renderApp();
+    expect(chatConsole().getByText(t('chat.empty'))).toBeTruthy();
+
+    sendCommand('/play https://cdn.example.com/intro.mp3');
+
+    expect(await chatConsole().findByText(t('music.added', { count: 1, title: 'intro.mp3' }))).toBeTruthy();
+    expect(chatConsole().getByText('/play https://cdn.example.com/intro.mp3')).toBeTruthy();
+    expect(chatConsole().getByPlaceholderText('/play https://youtu.be/…').value).toBe('');
+    expect(musicResolver.resolve).toHaveBeenCalledWith('https://cdn.example.com/intro.mp3');
+    expect(readGuild(storage).musicQueue.map(song => song.title)).toEqual(['intro.mp3']);
+  });
+
+  it('listet die Warteschlange mit fett gedruckten Titeln', async () => {
+    const storage = createTestStorage();
+    await storage.ensureDefaultGuild(LOCAL_USER_ID);
+    await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, appendSongs([
+      createTestSong('https://cdn.example.com/intro.mp3'), createTestSong('https://cdn.example.com/outro.mp3')
+    ]));
+    await renderApp({ storage });
+
+    sendCommand('/queue');
+
+    expect(await chatConsole().findByText(/^Warteschlange \(2\):/)).toBeTruthy();
+    expect(chatConsole().getByText('intro.mp3').tagName).toBe('STRONG');
+    expect(chatConsole().getByText('outro.mp3').tagName).toBe('STRONG');
+  });
+
+  it('meldet unbekannte Befehle als Fehler', async () => {
+    const { storage } = await renderApp();
+
+    sendCommand('/tanzen');
+
+    const reply = await chatConsole().findByText(translateMessage(new CommandError('unknownCommand', { name: 'tanzen' })));
+    expect(reply.className).toContain('text-red-400');
+    expect(readGuild(storage).musicQueue).toEqual([]);
+  });
+
+  it('prüft die Rolle im geteilten Dashboard', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.VIEWER } });
+    await storage.ensureDefaultGuild('owner-1');
+    const { musicResolver } = await renderApp({ storage });
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+    await screen.findByText(t('dashboard.yourRole', { role: t(`roles.${ROLES.VIEWER}`) }));
+
+    sendCommand('/play https://cdn.example.com/intro.mp3');
+
+    expect(await chatConsole().findByText(t('errors.command.forbidden', { role: t(`roles.${ROLES.VIEWER}`), name: 'play' }))).toBeTruthy();
+    expect(musicResolver.resolve).not.toHaveBeenCalled();
+    expect(readGuild(storage, DEFAULT_GUILD_ID, 'owner-1').musicQueue).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Trash2, Server, Pencil, Check, Users, Eye, PlusCircle, X } from 'lucide-react';
+
+// Auswahl des Dashboards (eigenes oder geteiltes) und der Guild sowie Anlegen, Umbenennen und Löschen von Guilds.
+// Der Panel-Zustand umfasst nur den Bearbeitungsmodus und das Namensfeld; alles andere läuft über die Callbacks.
+// - sharedDashboards: [{ ownerId, role }]; activeOwnerId: Besitzer des angezeigten Dashboards (null = eigenes)
+// - onSaveGuild(mode, name) liefert { ok, message }; mode ist 'create' oder 'rename'
+function GuildPanel({
+  sharedDashboards, activeOwnerId, role, guilds, selectedGuildId, canManage,
+  onSwitchDashboard, onSelectGuild, onSaveGuild, onDeleteGuild, t
+}) {
+  const [editMode, setEditMode] = useState(null); // null, 'create' oder 'rename'
+  const [nameInput, setNameInput] = useState(''); // Eingabefeld für Anlegen/Umbenennen einer Guild
+
+  // Beim Wechsel des Dashboards eine angefangene Bearbeitung verwerfen
+  useEffect(() => {
+    setEditMode(null);
+  }, [activeOwnerId]);
+
+  const startEdit = (mode) => {
+    const selectedGuild = guilds.find(guild => guild.id === selectedGuildId);
+    setEditMode(mode);
+    setNameInput(mode === 'rename' && selectedGuild ? selectedGuild.name : '');
+  };
+
+  // Das Eingabefeld wird nur geschlossen, wenn die Guild tatsächlich gespeichert wurde
+  const submitEdit = async () => {
+    const result = await onSaveGuild(editMode, nameInput);
+    if (result && result.ok) {
+      setEditMode(null);
+      setNameInput('');
+    }
+  };
+
+  return (
+    <>
+      {/* Auswahl zwischen eigenem und geteilten Dashboards */}
+      {sharedDashboards.length > 0 && (
+        <div className="bg-gray-700 p-3 rounded-lg mb-6 flex flex-col sm:flex-row items-center gap-3">
+          <span className="flex items-center text-gray-300 text-sm font-semibold">
+            <Users className="mr-2" size={18} /> {t('dashboard.label')}
+          </span>
+          <select
+            value={activeOwnerId || ''}
+            onChange={(e) => onSwitchDashboard(e.target.value || null)}
+            className="flex-grow p-2 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white"
+          >
+            <option value="">{t('dashboard.own')}</option>
+            {sharedDashboards.map(shared => (
+              <option key={shared.ownerId} value={shared.ownerId}>
+                {t('dashboard.sharedBy', { ownerId: shared.ownerId, role: t(`roles.${shared.role}`) })}
+              </option>
+            ))}
+          </select>
+          <span className="flex items-center text-sm text-gray-300 bg-gray-800 px-3 py-1 rounded-full">
+            <Eye className="mr-1" size={14} /> {t('dashboard.yourRole', { role: role ? t(`roles.${role}`) : '…' })}
+          </span>
+        </div>
+      )}
+
+      {/* Guild-Auswahl und -Verwaltung */}
+      <div className="bg-gray-700 p-3 rounded-lg mb-6 flex flex-col sm:flex-row items-center gap-3">
+        <span className="flex items-center text-gray-300 text-sm font-semibold">
+          <Server className="mr-2" size={18} /> {t('guilds.label')}
+        </span>
+        {editMode ? (
+          <>
+            <input
+              type="text"
+              placeholder={t('guilds.namePlaceholder')}
+              value={nameInput}
+              onChange={(e) => setNameInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && submitEdit()}
+              className="flex-grow p-2 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white placeholder-gray-400"
+              autoFocus
+            />
+            <button
+              onClick={submitEdit}
+              className="text-green-400 hover:text-green-500 transition-colors duration-200 p-2 rounded-full hover:bg-gray-600"
+              title={editMode === 'create' ? t('guilds.create') : t('guilds.saveName')}
+            >
+              <Check size={18} />
+            </button>
+            <button
+              onClick={() => setEditMode(null)}
+              className="text-gray-400 hover:text-gray-300 transition-colors duration-200 p-2 rounded-full hover:bg-gray-600"
+              title={t('app.cancel')}
+            >
+              <X size={18} />
+            </button>
+          </>
+        ) : (
+          <>
+            <select
+              value={selectedGuildId}
+              onChange={(e) => onSelectGuild(e.target.value)}
+              className="flex-grow p-2 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white"
+            >
+              {guilds.map(guild => (
+                <option key={guild.id} value={guild.id}>{guild.name}</option>
+              ))}
+            </select>
+            {canManage && (
+              <>
+                <button
+                  onClick={() => startEdit('create')}
+                  className="text-green-400 hover:text-green-500 transition-colors duration-200 p-2 rounded-full hover:bg-gray-600"
+                  title={t('guilds.createNew')}
+                >
+                  <PlusCircle size={18} />
+                </button>
+                <button
+                  onClick={() => startEdit('rename')}
+                  className="text-blue-400 hover:text-blue-500 transition-colors duration-200 p-2 rounded-full hover:bg-gray-600"
+                  title={t('guilds.rename')}
+                >
+                  <Pencil size={18} />
+                </button>
+                <button
+                  onClick={onDeleteGuild}
+                  disabled={guilds.length <= 1}
+                  className="text-red-400 hover:text-red-500 transition-colors duration-200 p-2 rounded-full hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title={t('guilds.delete')}
+                >
+                  <Trash2 size={18} />
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default GuildPanel;
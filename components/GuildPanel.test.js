@@ -0,0 +1,88 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, within } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_NAME } from '../guilds.js';
+import { ROLES } from '../permissions.js';
+import { renderApp, createTestStorage, withMemorySharing, readOnce, t } from '../test/renderApp.js';
+
+const guildNames = storage => readOnce(storage.subscribeGuilds, LOCAL_USER_ID).map(guild => guild.name);
+
+const enterGuildName = (name) => {
+  const input = screen.getByPlaceholderText(t('guilds.namePlaceholder'));
+  fireEvent.change(input, { target: { value: name } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+};
+
+describe('GuildPanel', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('legt einen Server an und wählt ihn aus', async () => {
+    const { storage } = await renderApp();
+
+    fireEvent.click(screen.getByTitle(t('guilds.createNew')));
+    enterGuildName('  Gaming-Runde ');
+
+    expect(await screen.findByDisplayValue('Gaming-Runde')).toBeTruthy();
+    expect(screen.queryByPlaceholderText(t('guilds.namePlaceholder'))).toBeNull();
+    expect(screen.getByText(t('guilds.created', { name: 'Gaming-Runde' }))).toBeTruthy();
+    expect(guildNames(storage)).toEqual([DEFAULT_GUILD_NAME, 'Gaming-Runde']);
+  });
+
+  it('lässt das Namensfeld bei ungültigem Namen offen', async () => {
+    const { storage } = await renderApp();
+
+    fireEvent.click(screen.getByTitle(t('guilds.createNew')));
+    enterGuildName('   ');
+
+    expect(await screen.findByText(t('guilds.invalidName'))).toBeTruthy();
+    expect(screen.getByPlaceholderText(t('guilds.namePlaceholder'))).toBeTruthy();
+    expect(guildNames(storage)).toEqual([DEFAULT_GUILD_NAME]);
+  });
+
+  it('benennt den ausgewählten Server um', async () => {
+    const { storage } = await renderApp();
+
+    fireEvent.click(screen.getByTitle(t('guilds.rename')));
+    expect(screen.getByPlaceholderText(t('guilds.namePlaceholder')).value).toBe(DEFAULT_GUILD_NAME);
+    enterGuildName('Hauptserver');
+
+    expect(await screen.findByDisplayValue('Hauptserver')).toBeTruthy();
+    expect(guildNames(storage)).toEqual(['Hauptserver']);
+  });
+
+  it('löscht einen Server erst nach Bestätigung, den letzten gar nicht', async () => {
+    const storage = createTestStorage();
+    await storage.ensureDefaultGuild(LOCAL_USER_ID);
+    await storage.createGuild(LOCAL_USER_ID, 'Zweiter Server');
+    await renderApp({ storage });
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+    fireEvent.click(screen.getByTitle(t('guilds.delete')));
+    expect(confirm).toHaveBeenCalledWith(t('guilds.confirmDelete', { name: DEFAULT_GUILD_NAME }));
+    expect(guildNames(storage)).toEqual([DEFAULT_GUILD_NAME, 'Zweiter Server']);
+
+    fireEvent.click(screen.getByTitle(t('guilds.delete')));
+    expect(await screen.findByDisplayValue('Zweiter Server')).toBeTruthy();
+    expect(guildNames(storage)).toEqual(['Zweiter Server']);
+    expect(screen.getByTitle(t('guilds.delete')).disabled).toBe(true);
+  });
+
+  it('zeigt geteilte Dashboards mit der eigenen Rolle und ohne Verwaltung für DJs', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.DJ } });
+    await storage.ensureDefaultGuild('owner-1');
+    await storage.renameGuild('owner-1', 'default', 'Server von owner-1');
+    await renderApp({ storage });
+
+    const dashboardSelect = screen.getByDisplayValue(t('dashboard.own'));
+    expect(within(dashboardSelect).getByText(t('dashboard.sharedBy', { ownerId: 'owner-1', role: t(`roles.${ROLES.DJ}`) }))).toBeTruthy();
+
+    fireEvent.change(dashboardSelect, { target: { value: 'owner-1' } });
+
+    expect(await screen.findByDisplayValue('Server von owner-1')).toBeTruthy();
+    expect(screen.getByText(t('dashboard.yourRole', { role: t(`roles.${ROLES.DJ}`) }))).toBeTruthy();
+    expect(screen.queryByTitle(t('guilds.createNew'))).toBeNull();
+    expect(screen.queryByTitle(t('guilds.delete'))).toBeNull();
+  });
+});
@@ -0,0 +1,271 @@
+import React, { useState, useRef } from 'react';
+import {
+  Play, Pause, SkipForward, Music, Youtube, Twitch, Trash2, Loader2, Volume2, VolumeX, FileAudio, ListPlus, Shuffle,
+  Repeat, Repeat1, GripVertical, History, RotateCcw, CheckCircle2, PlusCircle, Upload,
+  Link as LinkIcon // Renamed Link to LinkIcon to avoid conflict
+} from 'lucide-react';
+import { formatDuration, getSongTitle, MUSIC_PLATFORMS } from '../musicResolver.js';
+import { isPaused, getElapsedSeconds } from '../playback.js';
+import { LOOP_MODES } from '../queue.js';
+import { PLAYLIST_FILE_EXTENSIONS } from '../playlistImport.js';
+
+// Symbol für die Plattform eines Songs
+function SongPlatformIcon({ platform }) {
+  if (platform === MUSIC_PLATFORMS.YOUTUBE) return <Youtube size={16} className="mr-2 text-red-500 flex-shrink-0" />;
+  if (platform === MUSIC_PLATFORMS.TWITCH_VOD || platform === MUSIC_PLATFORMS.TWITCH_CHANNEL) {
+    return <Twitch size={16} className="mr-2 text-purple-500 flex-shrink-0" />;
+  }
+  if (platform === MUSIC_PLATFORMS.AUDIO_FILE) return <FileAudio size={16} className="mr-2 text-gray-400 flex-shrink-0" />;
+  return <LinkIcon size={16} className="mr-2 text-gray-500 flex-shrink-0" />; // Ältere Einträge ohne Plattform
+}
+
+// Musiksteuerung: URL-Eingabe, Wiedergabe-Buttons, aktueller Song mit Fortschritt, Warteschlange und Verlauf.
+// Alle Änderungen laufen über die Callbacks (siehe App.js); der Panel-Zustand umfasst nur Eingabefeld und Drag-and-drop.
+// - onAddMusic({ url, position }) liefert { ok, message }; position ist 'end' oder 'next'
+// - onMoveSong(fromIndex, toIndex) verschiebt einen Eintrag der Warteschlange
+// - workerSongId: vom Backend-Worker bestätigter Song (null, wenn kein Worker spielt)
+function MusicPanel({
+  currentSong, playback, musicQueue, loopMode, playHistory, now, workerSongId, canControl,
+  isResolvingMusic, isImportingPlaylist, onAddMusic, onImportPlaylist, onPlay, onTogglePause, onSkip, onStop,
+  onShuffle, onCycleLoopMode, onRemoveSong, onMoveSong, onRequeue, t, translateMessage, formatTime
+}) {
+  const [newMusicUrl, setNewMusicUrl] = useState(''); // Eingabefeld für neue Musik-URL
+  const [draggedQueueIndex, setDraggedQueueIndex] = useState(null); // Index des per Drag-and-drop gezogenen Eintrags
+  const playlistFileInputRef = useRef(null); // Verstecktes Dateifeld für den Import von URL-Listen/M3U
+
+  // Das Eingabefeld wird nur geleert, wenn die Songs tatsächlich eingereiht wurden
+  const addMusic = async (position) => {
+    const result = await onAddMusic({ url: newMusicUrl, position });
+    if (result && result.ok) {
+      setNewMusicUrl('');
+    }
+  };
+
+  // Drag-and-drop-Handler für die Warteschlange
+  const handleQueueDrop = (targetIndex) => {
+    if (draggedQueueIndex !== null) {
+      onMoveSong(draggedQueueIndex, targetIndex);
+    }
+    setDraggedQueueIndex(null);
+  };
+
+  return (
+    <div className="bg-gray-700 p-6 rounded-xl mb-8 shadow-inner">
+      <h2 className="text-2xl font-bold mb-4 flex items-center text-blue-400">
+        <Music className="mr-2" /> {t('music.title')}
+      </h2>
+      <p className="text-sm text-gray-400 mb-4">
+        <span className="font-bold">{t('app.note')}</span> {t('music.note')}
+      </p>
+
+      {canControl && (
+        <div className="flex flex-col sm:flex-row gap-4 mb-4">
+          <input
+            type="text"
+            placeholder={t('music.urlPlaceholder')}
+            value={newMusicUrl}
+            onChange={(e) => setNewMusicUrl(e.target.value)}
+            className="flex-grow p-3 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white placeholder-gray-400"
+          />
+          <button
+            onClick={() => addMusic('end')}
+            disabled={isResolvingMusic}
+            className="bg-purple-600 hover:bg-purple-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+          >
+            {isResolvingMusic
+              ? <Loader2 className="animate-spin mr-2" size={20} />
+              : <PlusCircle className="mr-2" size={20} />} {t('music.addToQueue')}
+          </button>
+          <button
+            onClick={() => addMusic('next')}
+            disabled={isResolvingMusic}
+            className="bg-gray-600 hover:bg-gray-500 text-white px-6 py-3 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+            title={t('music.playNextTitle')}
+          >
+            <ListPlus className="mr-2" size={20} /> {t('music.playNext')}
+          </button>
+          <button
+            onClick={() => playlistFileInputRef.current && playlistFileInputRef.current.click()}
+            disabled={isImportingPlaylist}
+            className="bg-gray-600 hover:bg-gray-500 text-white px-6 py-3 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+            title={t('music.playlistFileTitle')}
+          >
+            {isImportingPlaylist
+              ? <Loader2 className="animate-spin mr-2" size={20} />
+              : <Upload className="mr-2" size={20} />} {t('music.playlistFile')}
+          </button>
+          <input
+            ref={playlistFileInputRef}
+            type="file"
+            accept={PLAYLIST_FILE_EXTENSIONS.join(',')}
+            className="hidden"
+            onChange={(e) => {
+              onImportPlaylist(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 justify-center mb-6">
+        <button
+          onClick={() => onPlay()}
+          disabled={!canControl || (musicQueue.length === 0 && !currentSong)}
+          className="bg-green-600 hover:bg-green-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+        >
+          <Play className="mr-2" size={20} /> {t('music.play')}
+        </button>
+        <button
+          onClick={onTogglePause}
+          disabled={!canControl || !currentSong}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+        >
+          {isPaused(playback)
+            ? <><Play className="mr-2" size={20} /> {t('music.resume')}</>
+            : <><Pause className="mr-2" size={20} /> {t('music.pause')}</>}
+        </button>
+        <button
+          onClick={onSkip}
+          disabled={!canControl || (!currentSong && musicQueue.length === 0)}
+          className="bg-yellow-600 hover:bg-yellow-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+        >
+          <SkipForward className="mr-2" size={20} /> {t('music.skip')}
+        </button>
+        <button
+          onClick={onStop}
+          disabled={!canControl || (!currentSong && musicQueue.length === 0)}
+          className="bg-red-600 hover:bg-red-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+        >
+          <VolumeX className="mr-2" size={20} /> {t('music.stop')}
+        </button>
+        <button
+          onClick={onShuffle}
+          disabled={!canControl || musicQueue.length < 2}
+          className="bg-gray-600 hover:bg-gray-500 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+        >
+          <Shuffle className="mr-2" size={20} /> {t('music.shuffle')}
+        </button>
+        <button
+          onClick={onCycleLoopMode}
+          disabled={!canControl}
+          className={`px-5 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center text-white
+            ${loopMode === LOOP_MODES.OFF ? 'bg-gray-600 hover:bg-gray-500' : 'bg-purple-600 hover:bg-purple-700'}`}
+          title={t('music.loopTitle')}
+        >
+          {loopMode === LOOP_MODES.TRACK ? <Repeat1 className="mr-2" size={20} /> : <Repeat className="mr-2" size={20} />}
+          {t(`music.loop.${loopMode}`)}
+        </button>
+      </div>
+
+      {/* Aktuell spielender Song und Warteschlange Anzeige */}
+      <div className="bg-gray-800 p-4 rounded-lg shadow-inner">
+        <h3 className="text-lg font-semibold mb-2 text-gray-300">{t('music.nowPlaying')}</h3>
+        {currentSong ? (
+          <div className="flex items-center text-green-400">
+            {currentSong.thumbnail && (
+              <img src={currentSong.thumbnail} alt="" className="w-20 h-12 object-cover rounded mr-3 flex-shrink-0" />
+            )}
+            <Volume2 className="mr-2 flex-shrink-0" size={18} />
+            <a href={currentSong.url} target="_blank" rel="noopener noreferrer" className="hover:underline break-all">
+              {translateMessage(getSongTitle(currentSong))}
+            </a>
+            {isPaused(playback) && <span className="ml-2 text-sm text-yellow-400">{t('music.paused')}</span>}
+            {workerSongId === currentSong.id && (
+              <span className="ml-2 flex items-center text-xs text-gray-400 flex-shrink-0" title={t('music.workerConfirmed')}>
+                <CheckCircle2 className="mr-1" size={14} /> {t('music.workerPlaying')}
+              </span>
+            )}
+          </div>
+        ) : (
+          <p className="text-gray-400">{t('music.nothingPlaying')}</p>
+        )}
+        {currentSong && (
+          <div className="mt-3">
+            <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${isPaused(playback) ? 'bg-yellow-500' : 'bg-green-500'}`}
+                style={{
+                  width: currentSong.duration
+                    ? `${Math.min(100, (getElapsedSeconds(playback, now) / currentSong.duration) * 100)}%`
+                    : '100%'
+                }}
+              />
+            </div>
+            <div className="flex justify-between text-xs text-gray-400 mt-1 font-mono">
+              <span>{formatDuration(currentSong.duration ? Math.min(getElapsedSeconds(playback, now), currentSong.duration) : getElapsedSeconds(playback, now))}</span>
+              <span>{formatDuration(currentSong.duration) || t('music.unknownDuration')}</span>
+            </div>
+          </div>
+        )}
+
+        <h3 className="text-lg font-semibold mt-4 mb-2 text-gray-300">{t('music.queue')}</h3>
+        {musicQueue.length > 0 ? (
+          <ul className="text-gray-300 max-h-60 overflow-y-auto custom-scrollbar">
+            {musicQueue.map((song, index) => (
+              <li
+                key={song.id}
+                draggable={canControl}
+                onDragStart={() => setDraggedQueueIndex(index)}
+                onDragOver={(e) => e.preventDefault()} // Erlaubt das Ablegen auf diesem Eintrag
+                onDrop={() => handleQueueDrop(index)}
+                onDragEnd={() => setDraggedQueueIndex(null)}
+                className={`py-1 flex items-center border-b border-gray-700 last:border-b-0 ${draggedQueueIndex === index ? 'opacity-50' : ''}`}
+              >
+                {canControl && <GripVertical size={16} className="mr-1 text-gray-500 cursor-grab flex-shrink-0" />}
+                {song.thumbnail ? (
+                  <img src={song.thumbnail} alt="" className="w-16 h-9 object-cover rounded mr-2 flex-shrink-0" />
+                ) : (
+                  <span className="w-16 h-9 mr-2 flex-shrink-0 rounded bg-gray-700" />
+                )}
+                <SongPlatformIcon platform={song.platform} />
+                <span className="flex-grow truncate" title={song.url}>{translateMessage(getSongTitle(song))}</span>
+                {formatDuration(song.duration) && (
+                  <span className="ml-2 text-sm text-gray-400 flex-shrink-0">{formatDuration(song.duration)}</span>
+                )}
+                {canControl && (
+                  <button
+                    onClick={() => onRemoveSong(song.id)}
+                    className="ml-2 text-red-400 hover:text-red-500 transition-colors duration-200 p-1 rounded-full hover:bg-gray-700 flex-shrink-0"
+                    title={t('music.removeFromQueue')}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-400">{t('music.queueEmpty')}</p>
+        )}
+
+        <h3 className="text-lg font-semibold mt-4 mb-2 text-gray-300 flex items-center">
+          <History className="mr-2" size={18} /> {t('music.history')}
+        </h3>
+        {playHistory.length > 0 ? (
+          <ul className="text-gray-400 max-h-40 overflow-y-auto custom-scrollbar">
+            {playHistory.map((entry) => (
+              <li key={`${entry.id}-${entry.playedAt}`} className="py-1 flex items-center">
+                <SongPlatformIcon platform={entry.platform} />
+                <span className="flex-grow truncate" title={entry.url}>{translateMessage(getSongTitle(entry))}</span>
+                <span className="ml-2 text-xs text-gray-500 flex-shrink-0">{formatTime(entry.playedAt)}</span>
+                {canControl && (
+                  <button
+                    onClick={() => onRequeue(entry)}
+                    className="ml-2 text-blue-400 hover:text-blue-500 transition-colors duration-200 p-1 rounded-full hover:bg-gray-700 flex-shrink-0"
+                    title={t('music.requeue')}
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-400">{t('music.noHistory')}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MusicPanel;
@@ -0,0 +1,97 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID } from '../guilds.js';
+import { ROLES } from '../permissions.js';
+import { appendSongs } from '../guildMutations.js';
+import { renderApp, createTestStorage, createTestSong, withMemorySharing, readGuild, t } from '../test/renderApp.js';
+
+const musicPanel = () => within(screen.getByText(t('music.title')).closest('div'));
+const queueTitles = () => musicPanel().queryAllByRole('listitem').map(item => item.textContent.replace(/3:00$/, ''));
+
+const renderWithQueue = async (fileNames, { storage = createTestStorage(), ownerId = LOCAL_USER_ID } = {}) => {
+  await storage.ensureDefaultGuild(ownerId);
+  await storage.commitMutation(ownerId, DEFAULT_GUILD_ID, appendSongs(
+    fileNames.map(fileName => createTestSong(`https://cdn.example.com/${fileName}`))
+  ));
+  return renderApp({ storage });
+};
+
+const addUrl = (url, buttonText) => {
+  fireEvent.change(musicPanel().getByPlaceholderText(t('music.urlPlaceholder')), { target: { value: url } });
+  fireEvent.click(musicPanel().getByText(buttonText));
+};
+
+describe('MusicPanel', () => {
+  it('hängt eine URL an die Warteschlange an und leert das Eingabefeld', async () => {
+    const { storage } = await renderWithQueue(['intro.mp3']);
+
+    addUrl('https://cdn.example.com/outro.mp3', t('music.addToQueue'));
+
+    await waitFor(() => expect(queueTitles()).toEqual(['intro.mp3', 'outro.mp3']));
+    expect(musicPanel().getByPlaceholderText(t('music.urlPlaceholder')).value).toBe('');
+    expect(readGuild(storage).musicQueue.map(song => song.title)).toEqual(['intro.mp3', 'outro.mp3']);
+  });
+
+  it('reiht eine URL als Nächstes ein', async () => {
+    const { storage } = await renderWithQueue(['intro.mp3', 'outro.mp3']);
+
+    addUrl('https://cdn.example.com/jingle.mp3', t('music.playNext'));
+
+    await waitFor(() => expect(queueTitles()).toEqual(['jingle.mp3', 'intro.mp3', 'outro.mp3']));
+    expect(readGuild(storage).musicQueue.map(song => song.title)).toEqual(['jingle.mp3', 'intro.mp3', 'outro.mp3']);
+  });
+
+  it('spielt den nächsten Song und überspringt auch ohne Warteschlange', async () => {
+    const { storage } = await renderWithQueue(['intro.mp3']);
+
+    fireEvent.click(musicPanel().getByText(t('music.play')));
+
+    expect(await musicPanel().findByRole('link', { name: 'intro.mp3' })).toBeTruthy();
+    expect(queueTitles()).toEqual([]);
+    expect(readGuild(storage).currentSong.title).toBe('intro.mp3');
+    const skipButton = musicPanel().getByText(t('music.skip')).closest('button');
+    expect(skipButton.disabled).toBe(false);
+
+    fireEvent.click(skipButton);
+
+    expect(await musicPanel().findByText(t('music.nothingPlaying'))).toBeTruthy();
+    expect(readGuild(storage).currentSong).toBeNull();
+    expect(skipButton.disabled).toBe(true);
+  });
+
+  it('zeigt nach dem Mischen dieselbe Reihenfolge wie der Speicher', async () => {
+    const fileNames = ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3', 'e.mp3', 'f.mp3', 'g.mp3', 'h.mp3'];
+    const { storage } = await renderWithQueue(fileNames);
+
+    fireEvent.click(musicPanel().getByText(t('music.shuffle')));
+
+    expect(await screen.findByText(t('music.shuffled'))).toBeTruthy();
+    const storedTitles = readGuild(storage).musicQueue.map(song => song.title);
+    expect([...storedTitles].sort()).toEqual(fileNames);
+    expect(queueTitles()).toEqual(storedTitles);
+  });
+
+  it('entfernt einen Song aus der Warteschlange', async () => {
+    const { storage } = await renderWithQueue(['intro.mp3', 'outro.mp3']);
+
+    fireEvent.click(within(musicPanel().getByText('intro.mp3').closest('li')).getByTitle(t('music.removeFromQueue')));
+
+    await waitFor(() => expect(queueTitles()).toEqual(['outro.mp3']));
+    expect(readGuild(storage).musicQueue.map(song => song.title)).toEqual(['outro.mp3']);
+  });
+
+  it('sperrt die Steuerung für Zuschauer', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.VIEWER } });
+    await renderWithQueue(['intro.mp3', 'outro.mp3'], { storage, ownerId: 'owner-1' });
+
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+
+    await waitFor(() => expect(queueTitles()).toEqual(['intro.mp3', 'outro.mp3']));
+    expect(musicPanel().queryByPlaceholderText(t('music.urlPlaceholder'))).toBeNull();
+    expect(musicPanel().queryByTitle(t('music.removeFromQueue'))).toBeNull();
+    [t('music.play'), t('music.skip'), t('music.stop'), t('music.shuffle')].forEach((label) => {
+      expect(musicPanel().getByText(label).closest('button').disabled).toBe(true);
+    });
+  });
+});
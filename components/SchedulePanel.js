@@ -0,0 +1,377 @@
+import React, { useState } from 'react';
+import { CalendarClock, PlusCircle, Trash2, Moon, ListMusic, CheckCircle2 } from 'lucide-react';
+import {
+  ScheduleError, DEFAULT_EVENT_DURATION_MINUTES, MAX_EVENT_DURATION_MINUTES, evaluateSchedule, getScheduleTimeline,
+  zonedTimeToMillis, getLocalTimeZone, normalizeTimeZone, normalizeOnlineWindow, normalizeQuietHours, normalizeScheduledEvent, createSavedPlaylist
+} from '../botSchedule.js';
+
+const WEEKDAYS_FROM_MONDAY = [1, 2, 3, 4, 5, 6, 0];
+const TIMELINE_HOURS = [0, 6, 12, 18, 24];
+const SEGMENT_COLORS = {
+  quiet: 'bg-indigo-900',
+  online: 'bg-green-600',
+  event: 'bg-teal-400'
+};
+
+// Zeitplan der Guild (siehe botSchedule.js): Kalenderansicht der nächsten Tage und der Editor für Online-Fenster,
+// Ruhezeiten, gespeicherte Playlists und Events. Ausgeführt wird der Zeitplan vom Backend-Worker.
+// - schedule: Ergebnis von readSchedule; songs: aktueller Song und Warteschlange (für "als Playlist speichern")
+// - onSave(schedule) speichert den geänderten Zeitplan und liefert { ok }
+// Eingabefehler (ScheduleError) erscheinen direkt im Panel.
+function SchedulePanel({ schedule, now, songs, canManage, onSave, t, translateMessage, formatTime, formatDate, formatDateTime }) {
+  const [inputError, setInputError] = useState('');
+  const [timeZoneInput, setTimeZoneInput] = useState(null); // null = gespeicherte Zeitzone anzeigen
+  const [windowInput, setWindowInput] = useState({ days: [], start: '18:00', end: '23:00' });
+  const [quietInput, setQuietInput] = useState({ start: '22:00', end: '08:00' });
+  const [playlistName, setPlaylistName] = useState('');
+  const [eventInput, setEventInput] = useState({
+    title: '', startsAt: '', durationMinutes: String(DEFAULT_EVENT_DURATION_MINUTES), playlistId: ''
+  });
+
+  const evaluation = evaluateSchedule(schedule, now);
+  const timeline = getScheduleTimeline(schedule, now);
+  const today = timeline[0];
+  const nowOffset = now - zonedTimeToMillis(`${today.dateKey}T00:00`, schedule.timeZone);
+  const playlistsById = new Map(schedule.playlists.map(playlist => [playlist.id, playlist]));
+
+  // Prüft die Eingabe (build wirft ScheduleError) und speichert die Änderung; reset leert danach das Formular
+  const save = async (build, reset = () => {}) => {
+    let changes;
+    try {
+      changes = build();
+    } catch (error) {
+      if (error instanceof ScheduleError) {
+        setInputError(translateMessage(error));
+        return;
+      }
+      throw error;
+    }
+    setInputError('');
+    const result = await onSave({ ...schedule, ...changes });
+    if (result && result.ok) {
+      reset();
+    }
+  };
+
+  const toggleWindowDay = (day) => {
+    const days = windowInput.days.includes(day) ? windowInput.days.filter(entry => entry !== day) : [...windowInput.days, day];
+    setWindowInput({ ...windowInput, days });
+  };
+
+  const formatDays = days => WEEKDAYS_FROM_MONDAY.filter(day => days.includes(day)).map(day => t(`schedule.weekdays.${day}`)).join(', ');
+
+  // Events stehen in der Ortszeit des Zeitplans und werden auch so angezeigt
+  const formatEventStart = event => formatDateTime(zonedTimeToMillis(event.startsAt, schedule.timeZone), schedule.timeZone);
+
+  const segmentTitle = (segment) => {
+    if (segment.kind === 'quiet') return t('schedule.quietHours');
+    if (segment.kind === 'online') return t('schedule.onlineWindow');
+    const event = schedule.events.find(entry => entry.id === segment.id);
+    return event ? event.title : '';
+  };
+
+  const inputClass = 'p-2 rounded-lg bg-gray-700 border border-gray-600 focus:border-teal-500 text-white placeholder-gray-400';
+  const addButtonClass = 'bg-teal-600 hover:bg-teal-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300 flex items-center justify-center';
+  const removeButtonClass = 'text-red-400 hover:text-red-500 transition-colors duration-200 p-1 rounded-full hover:bg-gray-700';
+
+  return (
+    <div className="bg-gray-700 p-6 rounded-xl mb-8 shadow-inner">
+      <h2 className="text-2xl font-bold mb-2 flex items-center text-teal-400">
+        <CalendarClock className="mr-2" /> {t('schedule.title')}
+      </h2>
+      <p className="text-sm text-gray-300 mb-1">
+        {t(evaluation.shouldBeOnline ? 'schedule.nowOnline' : 'schedule.nowOffline')}
+        {evaluation.quiet && ` · ${t('schedule.quietActive')}`}
+      </p>
+      <p className="text-xs text-gray-500 mb-4">
+        {t('schedule.timeZoneInfo', { timeZone: schedule.timeZone, time: formatTime(now, schedule.timeZone) })}
+      </p>
+
+      {/* Kalenderansicht: ein Balken pro Tag von 0 bis 24 Uhr */}
+      <div className="bg-gray-800 p-4 rounded-lg mb-4">
+        <div className="flex text-xs text-gray-500 mb-1">
+          <span className="w-24 flex-shrink-0"></span>
+          <span className="relative flex-grow h-4">
+            {TIMELINE_HOURS.map(hour => (
+              <span key={hour} className="absolute -translate-x-1/2" style={{ left: `${(hour / 24) * 100}%` }}>{hour}</span>
+            ))}
+          </span>
+        </div>
+        {timeline.map(day => (
+          <div key={day.dateKey} className="flex items-center mb-1">
+            <span className={`w-24 flex-shrink-0 text-xs ${day.isToday ? 'text-teal-300 font-semibold' : 'text-gray-400'}`}>
+              {t(`schedule.weekdays.${day.weekday}`)} {formatDate(Date.parse(`${day.dateKey}T12:00:00Z`), 'UTC')}
+            </span>
+            <span className="relative flex-grow h-5 bg-gray-700 rounded overflow-hidden">
+              {day.segments.map(segment => (
+                <span
+                  key={`${segment.kind}-${segment.id}-${segment.start}`}
+                  className={`absolute ${segment.kind === 'quiet' ? 'inset-y-0' : 'inset-y-1 rounded-sm'} ${SEGMENT_COLORS[segment.kind]}`}
+                  style={{ left: `${(segment.start / 1440) * 100}%`, width: `${((segment.end - segment.start) / 1440) * 100}%` }}
+                  title={segmentTitle(segment)}
+                ></span>
+              ))}
+              {day.isToday && (
+                <span className="absolute inset-y-0 w-0.5 bg-red-500" style={{ left: `${(nowOffset / 86400000) * 100}%` }}></span>
+              )}
+            </span>
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-4 text-xs text-gray-400 mt-2">
+          <span className="flex items-center"><span className={`h-3 w-3 rounded-sm mr-1 ${SEGMENT_COLORS.online}`}></span>{t('schedule.onlineWindow')}</span>
+          <span className="flex items-center"><span className={`h-3 w-3 rounded-sm mr-1 ${SEGMENT_COLORS.event}`}></span>{t('schedule.event')}</span>
+          <span className="flex items-center"><span className={`h-3 w-3 rounded-sm mr-1 ${SEGMENT_COLORS.quiet}`}></span>{t('schedule.quietHours')}</span>
+        </div>
+      </div>
+
+      {inputError && <p className="text-sm text-red-400 mb-3">{inputError}</p>}
+
+      {canManage && (
+        <div className="flex flex-col sm:flex-row gap-2 mb-4 text-sm">
+          <input
+            type="text"
+            placeholder={getLocalTimeZone()}
+            value={timeZoneInput ?? schedule.timeZone}
+            onChange={(e) => setTimeZoneInput(e.target.value)}
+            className={`flex-grow ${inputClass}`}
+          />
+          <button
+            onClick={() => save(() => ({ timeZone: normalizeTimeZone(timeZoneInput ?? schedule.timeZone) }), () => setTimeZoneInput(null))}
+            className={addButtonClass}
+          >
+            {t('schedule.saveTimeZone')}
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {/* Wöchentliche Online-Fenster */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h3 className="text-lg font-semibold mb-2 text-gray-200">{t('schedule.onlineWindows')}</h3>
+          {schedule.onlineWindows.length > 0 ? (
+            <ul className="space-y-1 mb-3 text-sm">
+              {schedule.onlineWindows.map(onlineWindow => (
+                <li key={onlineWindow.id} className="flex items-center justify-between bg-gray-700 p-2 rounded-md">
+                  <span className={evaluation.activeWindowIds.includes(onlineWindow.id) ? 'text-green-300' : 'text-gray-200'}>
+                    {formatDays(onlineWindow.days)} · {onlineWindow.start}–{onlineWindow.end}
+                  </span>
+                  {canManage && (
+                    <button
+                      onClick={() => save(() => ({ onlineWindows: schedule.onlineWindows.filter(entry => entry.id !== onlineWindow.id) }))}
+                      className={removeButtonClass}
+                      title={t('app.remove')}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-400 mb-3">{t('schedule.noWindows')}</p>
+          )}
+          {canManage && (
+            <div className="flex flex-col gap-2 text-sm">
+              <div className="flex flex-wrap gap-1">
+                {WEEKDAYS_FROM_MONDAY.map(day => (
+                  <button
+                    key={day}
+                    onClick={() => toggleWindowDay(day)}
+                    className={`px-2 py-1 rounded-md ${windowInput.days.includes(day) ? 'bg-teal-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                  >
+                    {t(`schedule.weekdays.${day}`)}
+                  </button>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <input type="time" value={windowInput.start} onChange={(e) => setWindowInput({ ...windowInput, start: e.target.value })} className={inputClass} />
+                <input type="time" value={windowInput.end} onChange={(e) => setWindowInput({ ...windowInput, end: e.target.value })} className={inputClass} />
+                <button
+                  onClick={() => save(
+                    () => ({ onlineWindows: [...schedule.onlineWindows, normalizeOnlineWindow(windowInput)] }),
+                    () => setWindowInput({ ...windowInput, days: [] })
+                  )}
+                  className={addButtonClass}
+                >
+                  <PlusCircle size={16} className="mr-1" /> {t('app.add')}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Ruhezeiten */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h3 className="text-lg font-semibold mb-2 text-gray-200 flex items-center"><Moon size={18} className="mr-2" /> {t('schedule.quietHours')}</h3>
+          <p className="text-sm text-gray-300 mb-1">
+            {schedule.quietHours
+              ? t('schedule.quietHoursRange', { start: schedule.quietHours.start, end: schedule.quietHours.end })
+              : t('schedule.noQuietHours')}
+          </p>
+          <p className="text-xs text-gray-500 mb-3">{t('schedule.quietHoursHint')}</p>
+          {canManage && (
+            <div className="flex flex-wrap gap-2 text-sm">
+              <input type="time" value={quietInput.start} onChange={(e) => setQuietInput({ ...quietInput, start: e.target.value })} className={inputClass} />
+              <input type="time" value={quietInput.end} onChange={(e) => setQuietInput({ ...quietInput, end: e.target.value })} className={inputClass} />
+              <button onClick={() => save(() => ({ quietHours: normalizeQuietHours(quietInput) }))} className={addButtonClass}>
+                {t('app.save')}
+              </button>
+              {schedule.quietHours && (
+                <button
+                  onClick={() => save(() => ({ quietHours: null }))}
+                  className="bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300"
+                >
+                  {t('app.remove')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Gespeicherte Playlists */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h3 className="text-lg font-semibold mb-2 text-gray-200 flex items-center"><ListMusic size={18} className="mr-2" /> {t('schedule.playlists')}</h3>
+          {schedule.playlists.length > 0 ? (
+            <ul className="space-y-1 mb-3 text-sm">
+              {schedule.playlists.map(playlist => (
+                <li key={playlist.id} className="flex items-center justify-between bg-gray-700 p-2 rounded-md">
+                  <span className="text-gray-200">
+                    {playlist.name} <span className="text-xs text-gray-400">({t('counts.songs', { count: playlist.songs.length })})</span>
+                  </span>
+                  {canManage && (
+                    <button
+                      onClick={() => save(() => {
+                        if (schedule.events.some(event => event.playlistId === playlist.id && !event.startedAt)) {
+                          throw new ScheduleError('playlistInUse');
+                        }
+                        return { playlists: schedule.playlists.filter(entry => entry.id !== playlist.id) };
+                      })}
+                      className={removeButtonClass}
+                      title={t('app.remove')}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-400 mb-3">{t('schedule.noPlaylists')}</p>
+          )}
+          {canManage && (
+            <div className="flex gap-2 text-sm">
+              <input
+                type="text"
+                placeholder={t('schedule.playlistName')}
+                value={playlistName}
+                onChange={(e) => setPlaylistName(e.target.value)}
+                className={`flex-grow ${inputClass}`}
+              />
+              <button
+                onClick={() => save(
+                  () => ({ playlists: [...schedule.playlists, createSavedPlaylist(playlistName, songs, schedule)] }),
+                  () => setPlaylistName('')
+                )}
+                disabled={songs.length === 0}
+                className={`${addButtonClass} disabled:opacity-50 disabled:cursor-not-allowed`}
+                title={t('schedule.saveQueueHint')}
+              >
+                {t('schedule.saveQueue', { count: songs.length })}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Einmalige Events */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h3 className="text-lg font-semibold mb-2 text-gray-200">{t('schedule.events')}</h3>
+          {schedule.events.length > 0 ? (
+            <ul className="space-y-1 mb-3 text-sm">
+              {[...schedule.events].sort((a, b) => a.startsAt.localeCompare(b.startsAt)).map(event => (
+                <li key={event.id} className="flex items-center justify-between bg-gray-700 p-2 rounded-md">
+                  <span className="min-w-0">
+                    <span className={`block truncate ${evaluation.activeEventIds.includes(event.id) ? 'text-teal-300' : 'text-gray-200'}`}>
+                      {event.title}
+                    </span>
+                    <span className="block text-xs text-gray-400">
+                      {formatEventStart(event)} · {t('schedule.duration', { count: event.durationMinutes })}
+                      {` · ${playlistsById.has(event.playlistId) ? playlistsById.get(event.playlistId).name : t('schedule.playlistMissing')}`}
+                    </span>
+                    {event.startedAt && (
+                      <span className="flex items-center text-xs text-green-400">
+                        <CheckCircle2 size={12} className="mr-1" /> {t('schedule.eventStarted', { time: formatDateTime(event.startedAt) })}
+                      </span>
+                    )}
+                  </span>
+                  {canManage && (
+                    <button
+                      onClick={() => save(() => ({ events: schedule.events.filter(entry => entry.id !== event.id) }))}
+                      className={removeButtonClass}
+                      title={t('app.remove')}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-400 mb-3">{t('schedule.noEvents')}</p>
+          )}
+          {canManage && (
+            <div className="flex flex-col gap-2 text-sm">
+              <input
+                type="text"
+                placeholder={t('schedule.eventTitle')}
+                value={eventInput.title}
+                onChange={(e) => setEventInput({ ...eventInput, title: e.target.value })}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <input
+                  type="datetime-local"
+                  value={eventInput.startsAt}
+                  onChange={(e) => setEventInput({ ...eventInput, startsAt: e.target.value })}
+                  className={`flex-grow ${inputClass}`}
+                />
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_EVENT_DURATION_MINUTES}
+                  value={eventInput.durationMinutes}
+                  onChange={(e) => setEventInput({ ...eventInput, durationMinutes: e.target.value })}
+                  className={`w-24 ${inputClass}`}
+                  title={t('schedule.durationMinutes')}
+                />
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value={eventInput.playlistId}
+                  onChange={(e) => setEventInput({ ...eventInput, playlistId: e.target.value })}
+                  className={`flex-grow ${inputClass}`}
+                >
+                  <option value="">{t('schedule.choosePlaylist')}</option>
+                  {schedule.playlists.map(playlist => (
+                    <option key={playlist.id} value={playlist.id}>{playlist.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => save(
+                    () => ({ events: [...schedule.events, normalizeScheduledEvent(eventInput, schedule)] }),
+                    () => setEventInput({ ...eventInput, title: '', startsAt: '' })
+                  )}
+                  className={addButtonClass}
+                >
+                  <PlusCircle size={16} className="mr-1" /> {t('app.add')}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500">{t('schedule.eventHint', { timeZone: schedule.timeZone })}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SchedulePanel;
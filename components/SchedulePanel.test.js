@@ -0,0 +1,86 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, within } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID } from '../guilds.js';
+import { ROLES } from '../permissions.js';
+import { appendSongs } from '../guildMutations.js';
+import { renderApp, createTestStorage, createTestSong, withMemorySharing, readOnce, t } from '../test/renderApp.js';
+
+const readStoredSchedule = (storage, ownerId = LOCAL_USER_ID) =>
+  readOnce(storage.subscribeSchedule, ownerId, DEFAULT_GUILD_ID);
+
+// Abschnitt des Zeitplan-Editors mit der angegebenen Überschrift (Online-Fenster, Playlists, Events, ...)
+const section = heading => within(screen.getByRole('heading', { name: heading }).closest('div'));
+
+describe('SchedulePanel', () => {
+  it('speichert ein wöchentliches Online-Fenster', async () => {
+    const { storage } = await renderApp();
+    const windows = section(t('schedule.onlineWindows'));
+
+    fireEvent.click(windows.getByText(t('schedule.weekdays.1')));
+    fireEvent.click(windows.getByText(t('schedule.weekdays.3')));
+    fireEvent.click(windows.getByText(t('app.add')));
+
+    expect(await windows.findByText(`${t('schedule.weekdays.1')}, ${t('schedule.weekdays.3')} · 18:00–23:00`)).toBeTruthy();
+    expect(screen.getByText(t('schedule.saved'))).toBeTruthy();
+    expect(readStoredSchedule(storage).onlineWindows).toEqual([
+      expect.objectContaining({ days: [1, 3], start: '18:00', end: '23:00' })
+    ]);
+  });
+
+  it('zeigt Eingabefehler im Panel an und speichert nichts', async () => {
+    const { storage } = await renderApp();
+
+    fireEvent.click(section(t('schedule.onlineWindows')).getByText(t('app.add')));
+
+    expect(await screen.findByText(t('errors.schedule.noWeekdays'))).toBeTruthy();
+    expect(readStoredSchedule(storage).onlineWindows).toEqual([]);
+  });
+
+  it('speichert die Warteschlange als Playlist und plant damit ein Event', async () => {
+    const storage = createTestStorage();
+    await storage.ensureDefaultGuild(LOCAL_USER_ID);
+    await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, appendSongs([
+      createTestSong('https://cdn.example.com/intro.mp3'), createTestSong('https://cdn.example.com/outro.mp3')
+    ]));
+    await renderApp({ storage });
+
+    const playlists = section(t('schedule.playlists'));
+    fireEvent.change(playlists.getByPlaceholderText(t('schedule.playlistName')), { target: { value: 'Abendshow' } });
+    fireEvent.click(playlists.getByText(t('schedule.saveQueue', { count: 2 })));
+    expect(await playlists.findByText('Abendshow')).toBeTruthy();
+
+    const events = section(t('schedule.events'));
+    const [startsAtInput] = events.getAllByDisplayValue('').filter(input => input.type === 'datetime-local');
+    fireEvent.change(events.getByPlaceholderText(t('schedule.eventTitle')), { target: { value: 'Release-Party' } });
+    fireEvent.change(startsAtInput, { target: { value: '2030-01-04T20:00' } });
+    fireEvent.change(events.getByDisplayValue(t('schedule.choosePlaylist')), {
+      target: { value: readStoredSchedule(storage).playlists[0].id }
+    });
+    fireEvent.click(events.getByText(t('app.add')));
+
+    expect(await events.findByText('Release-Party')).toBeTruthy();
+    const stored = readStoredSchedule(storage);
+    expect(stored.playlists).toEqual([expect.objectContaining({ name: 'Abendshow' })]);
+    expect(stored.playlists[0].songs.map(song => song.title)).toEqual(['intro.mp3', 'outro.mp3']);
+    expect(stored.events).toEqual([expect.objectContaining({
+      title: 'Release-Party', startsAt: '2030-01-04T20:00', playlistId: stored.playlists[0].id
+    })]);
+  });
+
+  it('zeigt DJs den Zeitplan ohne Editor', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.DJ } });
+    await storage.ensureDefaultGuild('owner-1');
+    await storage.saveSchedule('owner-1', DEFAULT_GUILD_ID, {
+      ...readStoredSchedule(storage, 'owner-1'),
+      quietHours: { start: '22:00', end: '08:00' }
+    });
+    await renderApp({ storage });
+
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+
+    expect(await screen.findByText(t('schedule.quietHoursRange', { start: '22:00', end: '08:00' }))).toBeTruthy();
+    expect(screen.queryByPlaceholderText(t('schedule.eventTitle'))).toBeNull();
+    expect(section(t('schedule.onlineWindows')).queryByText(t('app.add'))).toBeNull();
+  });
+});
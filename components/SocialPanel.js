@@ -0,0 +1,444 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Bell, Youtube, Twitch, X, PlusCircle, Trash2, Loader2, MessageSquare, Pencil, Check, Send, AlertTriangle, CheckCircle2,
+  ExternalLink
+} from 'lucide-react';
+import { ACCOUNT_TYPES, detectAccountType, getAccountProfile } from '../socialAccounts.js';
+import {
+  ANNOUNCEMENT_TEMPLATES, DEFAULT_POLL_INTERVAL_MINUTES, MIN_POLL_INTERVAL_MINUTES, MAX_POLL_INTERVAL_MINUTES, getNextPollAt,
+  getAccountError
+} from '../socialScheduler.js';
+import { UPDATES_PAGE_SIZE, MAX_UNREAD_COUNT, matchesSearch } from '../socialUpdates.js';
+
+const SEARCH_DELAY_MS = 300; // Wartezeit nach der letzten Eingabe, bevor der Verlauf durchsucht wird
+
+// Social-Media-Konten mit Abruf-Einstellungen und der Update-Verlauf mit Filtern, Suche und Gelesen-Status.
+// Alle Änderungen laufen über die Callbacks (siehe App.js); der Panel-Zustand umfasst nur Eingaben und die Suche.
+// - onAddAccount({ type, url, onInputError }) liefert { ok, message }; Eingabefehler gehen an onInputError
+// - onSaveAccountSettings(accountId, { pollIntervalMinutes, webhookUrl, announcementTemplate }) liefert { ok }
+// - updates: geladene Seiten des Verlaufs; updatesFilter: { accountType, accountId }
+// - onSearchUpdates(search, resultCount) durchsucht den gespeicherten Verlauf und liefert { updates, hasMore }
+function SocialPanel({
+  socialAccounts, now, canManage, isFetchingUpdates, updates, updatesFilter, hasMoreUpdates, isLoadingUpdates, unreadCount,
+  onAddAccount, onRemoveAccount, onSaveAccountSettings, onFetchUpdates, onChangeUpdatesFilter, onLoadMoreUpdates,
+  onSearchUpdates, onMarkRead, onMarkAllRead, t, translateMessage, formatTime, formatDateTime
+}) {
+  const [newSocialAccountUrl, setNewSocialAccountUrl] = useState(''); // Eingabefeld für neue Social-Media-URL
+  const [newSocialAccountType, setNewSocialAccountType] = useState('YouTube'); // Auswahl des Social-Media-Typs
+  const [accountInputError, setAccountInputError] = useState(''); // Fehlermeldung unter dem Konto-Eingabefeld
+  const [editingAccountId, setEditingAccountId] = useState(null); // Konto, dessen Abruf-Einstellungen bearbeitet werden
+  const [accountSettingsInput, setAccountSettingsInput] = useState({}); // Eingaben: pollIntervalMinutes, webhookUrl, announcementTemplate
+  const [updatesSearch, setUpdatesSearch] = useState(''); // Textsuche im Verlauf
+  const [searchPageCount, setSearchPageCount] = useState(1); // Angeforderte Trefferseiten der Suche
+  const [searchResults, setSearchResults] = useState(null); // { updates, hasMore } der letzten Suche, null ohne Suche
+  const [isSearching, setIsSearching] = useState(false);
+
+  const searchTerm = updatesSearch.trim();
+
+  // Die Suche läuft über den gespeicherten Verlauf, nicht nur über die geladenen Seiten
+  useEffect(() => {
+    if (searchTerm === '') {
+      setSearchResults(null);
+      setIsSearching(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      const result = await onSearchUpdates(searchTerm, searchPageCount * UPDATES_PAGE_SIZE);
+      if (!cancelled) {
+        setSearchResults(result);
+        setIsSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, updatesFilter.accountType, updatesFilter.accountId, searchPageCount]);
+
+  // Eingabe des Konto-Felds; eine eingefügte Plattform-URL wählt die passende Plattform automatisch aus
+  const changeSocialAccountInput = (value) => {
+    setNewSocialAccountUrl(value);
+    setAccountInputError('');
+    const detectedType = detectAccountType(value);
+    if (detectedType) {
+      setNewSocialAccountType(detectedType);
+    }
+  };
+
+  // Das Eingabefeld wird nur geleert, wenn das Konto tatsächlich hinzugefügt wurde
+  const addAccount = async () => {
+    const result = await onAddAccount({ type: newSocialAccountType, url: newSocialAccountUrl, onInputError: setAccountInputError });
+    if (result && result.ok) {
+      setNewSocialAccountUrl('');
+      setAccountInputError('');
+    }
+  };
+
+  // Öffnet die Abruf-Einstellungen eines Kontos
+  const startAccountEdit = (account) => {
+    setEditingAccountId(account.id);
+    setAccountSettingsInput({
+      pollIntervalMinutes: String(account.pollIntervalMinutes || DEFAULT_POLL_INTERVAL_MINUTES),
+      webhookUrl: account.webhookUrl || '',
+      announcementTemplate: account.announcementTemplate || ''
+    });
+  };
+
+  const saveAccountSettings = async () => {
+    const result = await onSaveAccountSettings(editingAccountId, accountSettingsInput);
+    if (result && result.ok) {
+      setEditingAccountId(null);
+    }
+  };
+
+  // Neue Suchbegriffe oder Filter verwerfen die bisherigen Treffer
+  const changeUpdatesSearch = (value) => {
+    setUpdatesSearch(value);
+    setSearchPageCount(1);
+    setSearchResults(null);
+  };
+
+  const changeUpdatesFilter = (changes) => {
+    onChangeUpdatesFilter(changes);
+    setSearchPageCount(1);
+    setSearchResults(null);
+  };
+
+  // Während einer Suche gelten Ladezustand und weitere Seiten der Suche statt des Listeners
+  const isSearchActive = searchTerm !== '';
+  const hasMore = isSearchActive ? Boolean(searchResults && searchResults.hasMore) : hasMoreUpdates;
+  const isLoading = isSearchActive ? isSearching : isLoadingUpdates;
+
+  const loadMore = () => {
+    if (!isSearchActive) {
+      onLoadMoreUpdates();
+    } else if (hasMore && !isLoading) {
+      setSearchPageCount(searchPageCount + 1);
+    }
+  };
+
+  // Lädt die nächste Seite beim Scrollen ans Ende der Liste
+  const handleUpdatesScroll = (event) => {
+    const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < 40) {
+      loadMore();
+    }
+  };
+
+  // Gelesen-Status auch in den Suchergebnissen sofort nachziehen (sie werden nicht live aktualisiert)
+  const markResultsRead = (isTarget) => setSearchResults(results => results && {
+    ...results,
+    updates: results.updates.map(update => (isTarget(update) ? { ...update, read: true } : update))
+  });
+
+  const markRead = (update) => {
+    onMarkRead(update);
+    markResultsRead(result => result.docId === update.docId);
+  };
+
+  const markAllRead = () => {
+    onMarkAllRead();
+    markResultsRead(() => true);
+  };
+
+  // Suchtreffer: Ergebnisse der Verlaufssuche ergänzt um passende Updates aus dem Listener (neu hinzugekommene,
+  // aktueller Gelesen-Status). Beide sind lückenlose Ausschnitte ab dem neuesten Update.
+  const visibleUpdates = (() => {
+    if (!isSearchActive) {
+      return updates;
+    }
+    const merged = new Map((searchResults ? searchResults.updates : []).map(update => [update.docId, update]));
+    updates.filter(update => matchesSearch(update, searchTerm)).forEach(update => merged.set(update.docId, update));
+    return [...merged.values()].sort((a, b) => b.timestamp - a.timestamp);
+  })();
+
+  // Kanonischer Handle und Profil-Link je Konto (ältere Konten wurden ohne Normalisierung gespeichert)
+  const accountProfiles = new Map(socialAccounts.map(account => [account.id, getAccountProfile(account)]));
+
+  return (
+    <div className="bg-gray-700 p-6 rounded-xl shadow-inner">
+      <h2 className="text-2xl font-bold mb-4 flex items-center text-orange-400">
+        <Bell className="mr-2" /> {t('social.title')}
+      </h2>
+      <p className="text-sm text-gray-400 mb-4">
+        <span className="font-bold">{t('app.note')}</span> {t('social.note')}
+      </p>
+
+      {canManage && (
+        <div className="mb-4">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <select
+              value={newSocialAccountType}
+              onChange={(e) => {
+                setNewSocialAccountType(e.target.value);
+                setAccountInputError('');
+              }}
+              className="p-3 rounded-lg bg-gray-800 border border-gray-600 focus:border-orange-500 focus:ring focus:ring-orange-500 focus:ring-opacity-50 text-white"
+            >
+              {ACCOUNT_TYPES.map(type => (
+                <option key={type} value={type}>{t(`accountTypes.${type}`)}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder={t(`social.placeholder.${newSocialAccountType}`)}
+              value={newSocialAccountUrl}
+              onChange={(e) => changeSocialAccountInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addAccount()}
+              aria-invalid={accountInputError !== ''}
+              className={`flex-grow p-3 rounded-lg bg-gray-800 border ${accountInputError ? 'border-red-500' : 'border-gray-600'} focus:border-orange-500 focus:ring focus:ring-orange-500 focus:ring-opacity-50 text-white placeholder-gray-400`}
+            />
+            <button
+              onClick={() => addAccount()}
+              className="bg-orange-600 hover:bg-orange-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors duration-300 shadow-md flex items-center justify-center"
+            >
+              <PlusCircle className="mr-2" size={20} /> {t('social.addAccount')}
+            </button>
+          </div>
+          {accountInputError && (
+            <p className="flex items-center text-sm text-red-400 mt-2">
+              <AlertTriangle size={14} className="mr-1 flex-shrink-0" /> {accountInputError}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Verfolgte Konten Anzeige */}
+      <div className="bg-gray-800 p-4 rounded-lg shadow-inner mb-6">
+        <h3 className="text-lg font-semibold mb-2 text-gray-300">{t('social.trackedAccounts')}</h3>
+        {socialAccounts.length > 0 ? (
+          <ul className="max-h-80 overflow-y-auto custom-scrollbar">
+            {socialAccounts.map((account) => (
+              <li key={account.id} className="py-1 border-b border-gray-700 last:border-b-0 text-gray-300">
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center min-w-0">
+                    {account.type === 'YouTube' && <Youtube size={18} className="mr-2 text-red-500 flex-shrink-0" />}
+                    {account.type === 'Twitch' && <Twitch size={18} className="mr-2 text-purple-500 flex-shrink-0" />}
+                    {account.type === 'X' && <X size={18} className="mr-2 text-blue-400 flex-shrink-0" />}
+                    {account.type === 'Other' && <MessageSquare size={18} className="mr-2 text-gray-400 flex-shrink-0" />}
+                    <span className="min-w-0">
+                      <span className="flex items-center min-w-0">
+                        <span className="truncate">
+                          {t(`accountTypes.${account.type}`)}: {accountProfiles.get(account.id).handle}
+                          {account.displayName && account.displayName !== accountProfiles.get(account.id).handle && (
+                            <span className="text-gray-500"> ({account.displayName})</span>
+                          )}
+                        </span>
+                        {accountProfiles.get(account.id).profileUrl && (
+                          <a
+                            href={accountProfiles.get(account.id).profileUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="ml-1 text-gray-400 hover:text-orange-400 flex-shrink-0"
+                            title={account.type === 'Other' ? t('social.openFeed') : t('social.openProfile')}
+                          >
+                            <ExternalLink size={14} />
+                          </a>
+                        )}
+                      </span>
+                      <span className="block text-xs text-gray-500">
+                        {account.lastFetched ? t('social.lastFetched', { time: formatDateTime(account.lastFetched) }) : t('social.neverFetched')}
+                        {` · ${t('social.pollInterval', { count: account.pollIntervalMinutes || DEFAULT_POLL_INTERVAL_MINUTES })}`}
+                        {getNextPollAt(account) > now && ` · ${t('social.nextPoll', { time: formatTime(getNextPollAt(account)) })}`}
+                      </span>
+                      {account.webhookUrl && (
+                        <span className="flex items-center text-xs text-gray-500">
+                          <Send size={12} className="mr-1 flex-shrink-0" /> {t('social.webhookAnnouncement')}
+                        </span>
+                      )}
+                      {account.lastError && (
+                        <span className="flex items-center text-xs text-red-400">
+                          <AlertTriangle size={12} className="mr-1 flex-shrink-0" /> {translateMessage(getAccountError(account))}
+                          {account.failureCount > 1 && ` (${t('social.failureCount', { count: account.failureCount })})`}
+                        </span>
+                      )}
+                    </span>
+                  </span>
+                  {canManage && (
+                    <span className="flex items-center flex-shrink-0">
+                      <button
+                        onClick={() => (editingAccountId === account.id ? setEditingAccountId(null) : startAccountEdit(account))}
+                        className="text-gray-400 hover:text-white transition-colors duration-200 p-1 rounded-full hover:bg-gray-700"
+                        title={t('social.pollSettings')}
+                      >
+                        <Pencil size={18} />
+                      </button>
+                      <button
+                        onClick={() => onRemoveAccount(account.id)}
+                        className="text-red-400 hover:text-red-500 transition-colors duration-200 p-1 rounded-full hover:bg-gray-700"
+                        title={t('social.removeAccount')}
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </span>
+                  )}
+                </div>
+                {editingAccountId === account.id && (
+                  <div className="mt-2 mb-1 flex flex-col gap-2 text-sm">
+                    <label className="flex items-center gap-2">
+                      <span className="w-40 text-gray-400">{t('social.intervalMinutes')}</span>
+                      <input
+                        type="number"
+                        min={MIN_POLL_INTERVAL_MINUTES}
+                        max={MAX_POLL_INTERVAL_MINUTES}
+                        value={accountSettingsInput.pollIntervalMinutes}
+                        onChange={(e) => setAccountSettingsInput({ ...accountSettingsInput, pollIntervalMinutes: e.target.value })}
+                        className="w-24 p-2 rounded-lg bg-gray-700 border border-gray-600 focus:border-orange-500 text-white"
+                      />
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <span className="w-40 text-gray-400">{t('social.webhookUrl')}</span>
+                      <input
+                        type="text"
+                        placeholder="https://discord.com/api/webhooks/..."
+                        value={accountSettingsInput.webhookUrl}
+                        onChange={(e) => setAccountSettingsInput({ ...accountSettingsInput, webhookUrl: e.target.value })}
+                        className="flex-grow p-2 rounded-lg bg-gray-700 border border-gray-600 focus:border-orange-500 text-white placeholder-gray-400"
+                      />
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <span className="w-40 text-gray-400">{t('social.template')}</span>
+                      <input
+                        type="text"
+                        placeholder={ANNOUNCEMENT_TEMPLATES[account.type] || ANNOUNCEMENT_TEMPLATES.Other}
+                        value={accountSettingsInput.announcementTemplate}
+                        onChange={(e) => setAccountSettingsInput({ ...accountSettingsInput, announcementTemplate: e.target.value })}
+                        className="flex-grow p-2 rounded-lg bg-gray-700 border border-gray-600 focus:border-orange-500 text-white placeholder-gray-400"
+                      />
+                    </label>
+                    <p className="text-xs text-gray-500">{t('social.templateHint', { placeholders: '{channel}, {title}, {url}, {platform}' })}</p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={saveAccountSettings}
+                        className="bg-orange-600 hover:bg-orange-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300 flex items-center"
+                      >
+                        <Check size={16} className="mr-1" /> {t('app.save')}
+                      </button>
+                      <button
+                        onClick={() => setEditingAccountId(null)}
+                        className="bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300"
+                      >
+                        {t('app.cancel')}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-400">{t('social.noAccounts')}</p>
+        )}
+      </div>
+
+      <button
+        onClick={onFetchUpdates}
+        disabled={!canManage || isFetchingUpdates}
+        className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors duration-300 shadow-md disabled:opacity-50 disabled:cursor-not-allowed w-full flex items-center justify-center mb-6"
+      >
+        {isFetchingUpdates ? <Loader2 className="mr-2 animate-spin" size={20} /> : <Bell className="mr-2" size={20} />} {t('social.fetchUpdates')}
+      </button>
+
+      {/* Update-Verlauf mit Filtern, Suche und Gelesen-Status */}
+      <div className="bg-gray-800 p-4 rounded-lg shadow-inner">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold text-gray-300 flex items-center">
+            {t('updates.title')}
+            {unreadCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 rounded-full bg-orange-600 text-white text-xs">
+                {t('updates.unread', { count: unreadCount > MAX_UNREAD_COUNT ? `${MAX_UNREAD_COUNT}+` : unreadCount })}
+              </span>
+            )}
+          </h3>
+          <button
+            onClick={markAllRead}
+            disabled={unreadCount === 0}
+            className="text-sm text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+          >
+            <CheckCircle2 size={16} className="mr-1" /> {t('updates.markAllRead')}
+          </button>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 mb-3 text-sm">
+          <select
+            value={updatesFilter.accountType}
+            onChange={(e) => changeUpdatesFilter({ accountType: e.target.value, accountId: null })}
+            className="p-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+          >
+            <option value="">{t('updates.allPlatforms')}</option>
+            {ACCOUNT_TYPES.map(type => (
+              <option key={type} value={type}>{t(`accountTypes.${type}`)}</option>
+            ))}
+          </select>
+          <select
+            value={updatesFilter.accountId === null ? '' : String(updatesFilter.accountId)}
+            onChange={(e) => changeUpdatesFilter({ accountId: e.target.value === '' ? null : Number(e.target.value) })}
+            className="p-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+          >
+            <option value="">{t('updates.allAccounts')}</option>
+            {socialAccounts
+              .filter(account => !updatesFilter.accountType || account.type === updatesFilter.accountType)
+              .map(account => (
+                <option key={account.id} value={String(account.id)}>{t(`accountTypes.${account.type}`)}: {account.displayName || account.url}</option>
+              ))}
+          </select>
+          <input
+            type="text"
+            placeholder={t('updates.search')}
+            value={updatesSearch}
+            onChange={(e) => changeUpdatesSearch(e.target.value)}
+            className="flex-grow p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400"
+          />
+        </div>
+        {visibleUpdates.length > 0 ? (
+          <ul onScroll={handleUpdatesScroll} className="text-gray-300 max-h-80 overflow-y-auto custom-scrollbar">
+            {visibleUpdates.map((update) => (
+              <li key={update.docId} className={`py-1 flex items-start ${update.read ? 'text-gray-400' : 'font-semibold'}`}>
+                <span className={`mt-2 mr-2 w-2 h-2 rounded-full flex-shrink-0 ${update.read ? 'bg-transparent' : 'bg-orange-500'}`} />
+                <span className="flex-grow min-w-0">
+                  {update.url ? (
+                    <a
+                      href={update.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={() => markRead(update)}
+                      className="text-blue-400 hover:underline"
+                    >
+                      {update.text}
+                    </a>
+                  ) : update.text}
+                  <span className="ml-2 text-xs text-gray-500 font-normal">{formatDateTime(update.timestamp)}</span>
+                </span>
+                {!update.read && (
+                  <button
+                    onClick={() => markRead(update)}
+                    className="text-gray-400 hover:text-white transition-colors duration-200 p-1 rounded-full hover:bg-gray-700 flex-shrink-0"
+                    title={t('updates.markRead')}
+                  >
+                    <Check size={16} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-400">
+            {isLoading ? t(isSearchActive ? 'updates.searching' : 'updates.loading') : isSearchActive ? t('updates.noMatches') : t('updates.empty')}
+          </p>
+        )}
+        {hasMore && (
+          <button
+            onClick={loadMore}
+            disabled={isLoading}
+            className="mt-3 text-sm text-gray-400 hover:text-white disabled:opacity-50 flex items-center"
+          >
+            {isLoading && <Loader2 size={14} className="mr-1 animate-spin" />} {t('updates.loadMore')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SocialPanel;
@@ -0,0 +1,175 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import SocialPanel from './SocialPanel.js';
+import { createI18n } from '../i18n.js';
+import { createLocalBotStorage, LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID } from '../guilds.js';
+import { createMemoryStorage } from '../test/memoryStorage.js';
+import { createSocialFetchers } from '../socialFeeds.js';
+import { createFixtureHttp } from '../test/fixtureHttp.js';
+import { renderApp, readGuild, readOnce } from '../test/renderApp.js';
+
+const { t, translateMessage, formatTime, formatDateTime } = createI18n('de');
+
+// 60 gespeicherte Updates; nur die ältesten drei (außerhalb der ersten Seite) enthalten "Release"
+const storedUpdates = Array.from({ length: 60 }, (_, index) => ({
+  id: `video-${index}`,
+  accountId: 1,
+  accountType: 'YouTube',
+  text: index < 3 ? `Release Teil ${index}` : `Video ${index}`,
+  timestamp: Date.UTC(2026, 0, 1) + index * 60000
+}));
+
+const renderPanel = async () => {
+  const storage = createLocalBotStorage({ storage: createMemoryStorage() });
+  await storage.ensureDefaultGuild(LOCAL_USER_ID);
+  await storage.saveSocialPollResults(LOCAL_USER_ID, DEFAULT_GUILD_ID, [{ account: { id: 1 }, newUpdates: storedUpdates }]);
+  let firstPage = null;
+  storage.subscribeUpdates(LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, 1, (updates, hasMore) => { firstPage = { updates, hasMore }; })();
+
+  const onSearchUpdates = jest.fn((search, resultCount) =>
+    storage.searchUpdates(LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, search, resultCount));
+  const onMarkRead = jest.fn();
+  render(
+    <SocialPanel
+      socialAccounts={[]}
+      now={Date.UTC(2026, 0, 2)}
+      canManage={false}
+      isFetchingUpdates={false}
+      updates={firstPage.updates}
+      updatesFilter={{ accountType: '', accountId: null }}
+      hasMoreUpdates={firstPage.hasMore}
+      isLoadingUpdates={false}
+      unreadCount={60}
+      onAddAccount={jest.fn()}
+      onRemoveAccount={jest.fn()}
+      onSaveAccountSettings={jest.fn()}
+      onFetchUpdates={jest.fn()}
+      onChangeUpdatesFilter={jest.fn()}
+      onLoadMoreUpdates={jest.fn()}
+      onSearchUpdates={onSearchUpdates}
+      onMarkRead={onMarkRead}
+      onMarkAllRead={jest.fn()}
+      t={t}
+      translateMessage={translateMessage}
+      formatTime={formatTime}
+      formatDateTime={formatDateTime}
+    />
+  );
+  return { onSearchUpdates, onMarkRead };
+};
+
+const search = async (value) => {
+  fireEvent.change(screen.getByPlaceholderText(t('updates.search')), { target: { value } });
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+};
+
+describe('SocialPanel: Suche im Update-Verlauf', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('findet Treffer außerhalb der geladenen Seite', async () => {
+    const { onSearchUpdates } = await renderPanel();
+    expect(screen.queryByText(/Release/)).toBeNull();
+
+    await search('release');
+    expect(onSearchUpdates).toHaveBeenCalledTimes(1);
+    expect(onSearchUpdates).toHaveBeenCalledWith('release', 20);
+    expect(screen.getAllByText(/Release Teil/).map(element => element.firstChild.textContent)).toEqual([
+      'Release Teil 2', 'Release Teil 1', 'Release Teil 0'
+    ]);
+    expect(screen.queryByText(t('updates.loadMore'))).toBeNull();
+  });
+
+  it('meldet keine Treffer erst nach der Suche im Verlauf', async () => {
+    await renderPanel();
+    fireEvent.change(screen.getByPlaceholderText(t('updates.search')), { target: { value: 'gibtesnicht' } });
+    expect(screen.getByText(t('updates.searching'))).toBeTruthy();
+
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(screen.getByText(t('updates.noMatches'))).toBeTruthy();
+  });
+
+  it('zeigt Suchtreffer nach dem Markieren sofort als gelesen', async () => {
+    const { onMarkRead } = await renderPanel();
+    await search('release teil 0');
+    expect(screen.getAllByTitle(t('updates.markRead'))).toHaveLength(1);
+
+    fireEvent.click(screen.getByTitle(t('updates.markRead')));
+    expect(onMarkRead).toHaveBeenCalledWith(expect.objectContaining({ id: 'video-0' }));
+    expect(screen.queryByTitle(t('updates.markRead'))).toBeNull();
+  });
+});
+
+describe('SocialPanel im Dashboard', () => {
+  const CHANNEL_ID = 'UC4R8DWoMoI7CAwX8_LjQHig';
+  const channelUrl = `https://www.youtube.com/channel/${CHANNEL_ID}`;
+  const socialFetchers = createSocialFetchers({
+    http: createFixtureHttp({ [`https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`]: 'youtube-channel.xml' })
+  });
+
+  const socialPanel = () => within(screen.getByText(t('social.title')).closest('div'));
+
+  const addChannel = (url) => {
+    fireEvent.change(socialPanel().getByPlaceholderText(t('social.placeholder.YouTube')), { target: { value: url } });
+    fireEvent.click(socialPanel().getByText(t('social.addAccount')));
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fügt ein Konto hinzu und lehnt Duplikate ab', async () => {
+    const { storage } = await renderApp({ socialFetchers });
+
+    addChannel(channelUrl);
+
+    expect(await screen.findByText(t('social.accountAdded', { type: 'YouTube', handle: CHANNEL_ID }))).toBeTruthy();
+    expect(readGuild(storage).socialAccounts).toEqual([expect.objectContaining({ type: 'YouTube', url: channelUrl, channelId: CHANNEL_ID })]);
+
+    addChannel(channelUrl);
+
+    expect(await socialPanel().findByText(t('social.alreadyTracked', { type: 'YouTube', handle: CHANNEL_ID }))).toBeTruthy();
+    expect(readGuild(storage).socialAccounts).toHaveLength(1);
+  });
+
+  it('ruft die Konten ab und speichert neue Updates im Verlauf', async () => {
+    const { storage } = await renderApp({ socialFetchers });
+    addChannel(channelUrl);
+    await screen.findByText(t('social.accountAdded', { type: 'YouTube', handle: CHANNEL_ID }));
+
+    fireEvent.click(socialPanel().getByText(t('social.fetchUpdates')));
+
+    expect(await screen.findByText(t('social.newUpdates', { count: 1 }))).toBeTruthy();
+    expect(screen.getByText('Neuer Beitrag von YouTube (Kanal & Freunde): Q&A-Stream – Teil 2')).toBeTruthy();
+    const [update] = readOnce(storage.subscribeUpdates, LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, 1);
+    expect(update).toEqual(expect.objectContaining({ accountType: 'YouTube', title: 'Q&A-Stream – Teil 2' }));
+    expect(readGuild(storage).socialAccounts[0].lastFetched).not.toBeNull();
+  });
+
+  it('entfernt ein Konto auf Wunsch samt Update-Verlauf', async () => {
+    const { storage } = await renderApp({ socialFetchers });
+    addChannel(channelUrl);
+    await screen.findByText(t('social.accountAdded', { type: 'YouTube', handle: CHANNEL_ID }));
+    fireEvent.click(socialPanel().getByText(t('social.fetchUpdates')));
+    await screen.findByText(t('social.newUpdates', { count: 1 }));
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    fireEvent.click(socialPanel().getByTitle(t('social.removeAccount')));
+
+    expect(await screen.findByText(t('social.accountAndUpdatesRemoved', { count: 1 }))).toBeTruthy();
+    expect(socialPanel().getByText(t('social.noAccounts'))).toBeTruthy();
+    expect(readGuild(storage).socialAccounts).toEqual([]);
+    expect(readOnce(storage.subscribeUpdates, LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, 1)).toEqual([]);
+  });
+});
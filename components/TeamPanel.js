@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Trash2, Users, UserPlus } from 'lucide-react';
+import { ROLES } from '../permissions.js';
+
+// Team-Verwaltung des eigenen Dashboards: Mitglieder per Benutzer-ID einladen, Rollen ändern und Zugriff entziehen.
+// - members: [{ userId, role }]
+// - onSaveMember(memberId, role) liefert { ok, message }; das Eingabefeld wird nur nach Erfolg geleert
+function TeamPanel({ members, onSaveMember, onRemoveMember, t }) {
+  const [newMemberId, setNewMemberId] = useState(''); // Eingabefeld für die Benutzer-ID eines neuen Mitglieds
+  const [newMemberRole, setNewMemberRole] = useState(ROLES.DJ); // Rolle für ein neues Mitglied
+
+  const inviteMember = async () => {
+    const result = await onSaveMember(newMemberId, newMemberRole);
+    if (result && result.ok) {
+      setNewMemberId('');
+    }
+  };
+
+  return (
+    <div className="bg-gray-700 p-4 rounded-lg mb-6">
+      <h2 className="text-lg font-semibold mb-3 flex items-center text-gray-200">
+        <Users className="mr-2" size={18} /> {t('team.title')}
+      </h2>
+      <div className="flex flex-col sm:flex-row gap-3 mb-3">
+        <input
+          type="text"
+          placeholder={t('team.memberIdPlaceholder')}
+          value={newMemberId}
+          onChange={(e) => setNewMemberId(e.target.value)}
+          className="flex-grow p-2 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white placeholder-gray-400 font-mono"
+        />
+        <select
+          value={newMemberRole}
+          onChange={(e) => setNewMemberRole(e.target.value)}
+          className="p-2 rounded-lg bg-gray-800 border border-gray-600 focus:border-purple-500 focus:ring focus:ring-purple-500 focus:ring-opacity-50 text-white"
+        >
+          {Object.values(ROLES).map(roleOption => (
+            <option key={roleOption} value={roleOption}>{t(`roles.${roleOption}`)}</option>
+          ))}
+        </select>
+        <button
+          onClick={inviteMember}
+          className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors duration-300 shadow-md flex items-center justify-center"
+        >
+          <UserPlus className="mr-2" size={18} /> {t('team.invite')}
+        </button>
+      </div>
+      {members.length > 0 ? (
+        <ul className="text-sm text-gray-300">
+          {members.map(member => (
+            <li key={member.userId} className="flex items-center justify-between py-1 border-b border-gray-600 last:border-b-0">
+              <span className="font-mono break-all mr-2">{member.userId}</span>
+              <span className="flex items-center">
+                <select
+                  value={member.role}
+                  onChange={(e) => onSaveMember(member.userId, e.target.value)}
+                  className="p-1 rounded bg-gray-800 border border-gray-600 text-white text-sm"
+                >
+                  {Object.values(ROLES).map(roleOption => (
+                    <option key={roleOption} value={roleOption}>{t(`roles.${roleOption}`)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onRemoveMember(member.userId)}
+                  className="ml-2 text-red-400 hover:text-red-500 transition-colors duration-200 p-1 rounded-full hover:bg-gray-600"
+                  title={t('team.removeAccess')}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-400">{t('team.noMembers')}</p>
+      )}
+    </div>
+  );
+}
+
+export default TeamPanel;
@@ -0,0 +1,75 @@
+/** @jest-environment jsdom */
+import { screen, fireEvent, within } from '@testing-library/react';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { ROLES } from '../permissions.js';
+import { renderApp, createTestStorage, withMemorySharing, readOnce, t } from '../test/renderApp.js';
+
+const readMembers = storage => readOnce(storage.subscribeMembers, LOCAL_USER_ID);
+
+const invite = (memberId, role) => {
+  fireEvent.change(screen.getByPlaceholderText(t('team.memberIdPlaceholder')), { target: { value: memberId } });
+  if (role) {
+    fireEvent.change(screen.getByPlaceholderText(t('team.memberIdPlaceholder')).nextSibling, { target: { value: role } });
+  }
+  fireEvent.click(screen.getByText(t('team.invite')));
+};
+
+const memberRow = memberId => screen.getByText(memberId).closest('li');
+
+describe('TeamPanel', () => {
+  it('wird ohne Freigaben (lokaler Modus) nicht angezeigt', async () => {
+    await renderApp();
+    expect(screen.queryByText(t('team.title'))).toBeNull();
+  });
+
+  it('lädt ein Mitglied ein und leert danach das Eingabefeld', async () => {
+    const storage = withMemorySharing(createTestStorage());
+    await renderApp({ storage });
+    expect(screen.getByText(t('team.noMembers'))).toBeTruthy();
+
+    invite(' dj-user ', ROLES.VIEWER);
+
+    expect(await screen.findByText('dj-user')).toBeTruthy();
+    expect(screen.getByPlaceholderText(t('team.memberIdPlaceholder')).value).toBe('');
+    expect(screen.getByText(t('team.memberSaved', { memberId: 'dj-user', role: t(`roles.${ROLES.VIEWER}`) }))).toBeTruthy();
+    expect(readMembers(storage)).toEqual([{ userId: 'dj-user', role: ROLES.VIEWER }]);
+  });
+
+  it('lehnt die eigene Benutzer-ID ab und behält die Eingabe', async () => {
+    const storage = withMemorySharing(createTestStorage());
+    await renderApp({ storage });
+
+    invite(LOCAL_USER_ID);
+
+    expect(await screen.findByText(t('team.cannotInviteSelf'))).toBeTruthy();
+    expect(screen.getByPlaceholderText(t('team.memberIdPlaceholder')).value).toBe(LOCAL_USER_ID);
+    expect(readMembers(storage)).toEqual([]);
+  });
+
+  it('ändert die Rolle eines Mitglieds und entzieht den Zugriff', async () => {
+    const storage = withMemorySharing(createTestStorage(), { [LOCAL_USER_ID]: { 'dj-user': ROLES.DJ } });
+    await renderApp({ storage });
+
+    fireEvent.change(within(memberRow('dj-user')).getByDisplayValue(t(`roles.${ROLES.DJ}`)), { target: { value: ROLES.VIEWER } });
+    expect(await within(memberRow('dj-user')).findByDisplayValue(t(`roles.${ROLES.VIEWER}`))).toBeTruthy();
+    expect(readMembers(storage)).toEqual([{ userId: 'dj-user', role: ROLES.VIEWER }]);
+
+    fireEvent.click(within(memberRow('dj-user')).getByTitle(t('team.removeAccess')));
+
+    expect(await screen.findByText(t('team.noMembers'))).toBeTruthy();
+    expect(screen.getByText(t('team.memberRemoved', { memberId: 'dj-user' }))).toBeTruthy();
+    expect(readMembers(storage)).toEqual([]);
+  });
+
+  it('wird in einem geteilten Dashboard nicht angezeigt', async () => {
+    const storage = withMemorySharing(createTestStorage(), { 'owner-1': { [LOCAL_USER_ID]: ROLES.DJ } });
+    await storage.ensureDefaultGuild('owner-1');
+    await renderApp({ storage });
+    expect(screen.getByText(t('team.title'))).toBeTruthy();
+
+    fireEvent.change(screen.getByDisplayValue(t('dashboard.own')), { target: { value: 'owner-1' } });
+
+    expect(await screen.findByText(t('dashboard.yourRole', { role: t(`roles.${ROLES.DJ}`) }))).toBeTruthy();
+    expect(screen.queryByText(t('team.title'))).toBeNull();
+  });
+});
@@ -0,0 +1,336 @@
+import { doc, setDoc, getDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { guildDocPath, legacyBotDataDocPath, createGuildData, DEFAULT_GUILD_ID } from './guilds.js';
+import { userSettingsDocPath } from './userSettings.js';
+import { scheduleDocPath } from './botSchedule.js';
+import { ROLES, DJ_WRITABLE_FIELDS, memberDocPath, sharedDashboardDocPath } from './permissions.js';
+import { ACTIVITY_COLLECTION, SYSTEM_ACTOR_ID, undoActivityId } from './activityLog.js';
+import { UPDATES_COLLECTION } from './socialUpdates.js';
+import { describeWithEmulator, setupTestEnvironment, APP_ID } from './test/emulator.js';
+
+jest.setTimeout(30000);
+
+const OWNER_ID = 'owner';
+const DJ_ID = 'dj';
+const VIEWER_ID = 'viewer';
+const WORKER_ID = 'worker'; // als Besitzer eingeladen (z.B. der Backend-Worker)
+const OUTSIDER_ID = 'outsider'; // angemeldet, aber kein Mitglied
+const NEW_MEMBER_ID = 'new-member';
+
+const GUILD_PATH = guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID);
+const UPDATE_PATH = `${GUILD_PATH}/${UPDATES_COLLECTION}/video-1`;
+const activityPath = entryId => `${GUILD_PATH}/${ACTIVITY_COLLECTION}/${entryId}`;
+const SCHEDULE_PATH = scheduleDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID);
+
+const account = { id: 10, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde', handle: 'kanalundfreunde', webhookUrl: '' };
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, platform: 'audio_file', videoId: null, duration: 60, thumbnail: null });
+
+// Neue Werte für die Felder, die ein DJ ändern darf
+const DJ_FIELD_VALUES = {
+  musicQueue: [song(2)],
+  currentSong: song(1),
+  startedAt: 1000,
+  pausedAt: 2000,
+  position: 30,
+  loopMode: 'queue',
+  playHistory: [song(3)]
+};
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await setupTestEnvironment();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  // Ausgangsdaten ohne Regelprüfung: Guild mit Update, Aktivitätseinträge (einer samt "Rückgängig"-Eintrag, zwei
+  // rückgängig zu machen), Zeitplan und Mitglieder
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, GUILD_PATH), createGuildData('Test'));
+      await setDoc(doc(db, UPDATE_PATH), { id: 'video-1', accountId: 1, text: 'Neues Video', timestamp: 1000, read: false });
+      await setDoc(doc(db, activityPath('entry-1')), { actorId: OWNER_ID, action: 'queue_remove', summary: 'Entfernt: Song 1', timestamp: 1000 });
+      await setDoc(doc(db, activityPath(undoActivityId('entry-1'))), {
+        actorId: OWNER_ID, action: 'undo', summary: 'Entfernt: Song 1', undoOf: 'entry-1', timestamp: 2000
+      });
+      await setDoc(doc(db, activityPath('removed-song')), {
+        actorId: DJ_ID, action: 'queue_remove', summary: 'Entfernt: Song 2', undo: { song: song(2), index: 0 }, timestamp: 3000
+      });
+      await setDoc(doc(db, activityPath('removed-account')), {
+        actorId: OWNER_ID, action: 'account_remove', summary: 'Twitch: kanalundfreunde', undo: { account }, timestamp: 4000
+      });
+      await setDoc(doc(db, SCHEDULE_PATH), { events: [], onlineWindows: [] });
+      await setDoc(doc(db, userSettingsDocPath(APP_ID, OWNER_ID)), { language: 'de' });
+      await setDoc(doc(db, legacyBotDataDocPath(APP_ID, OWNER_ID)), { musicQueue: [] });
+      for (const [memberId, role] of [[DJ_ID, ROLES.DJ], [VIEWER_ID, ROLES.VIEWER], [WORKER_ID, ROLES.OWNER]]) {
+        await setDoc(doc(db, memberDocPath(APP_ID, OWNER_ID, memberId)), { role });
+        await setDoc(doc(db, sharedDashboardDocPath(APP_ID, memberId, OWNER_ID)), { role });
+      }
+    });
+  });
+
+  const dbAs = uid => testEnv.authenticatedContext(uid).firestore();
+  const ref = (uid, path) => doc(dbAs(uid), path);
+  const anonymousRef = path => doc(testEnv.unauthenticatedContext().firestore(), path);
+
+  describe('Guilds', () => {
+    it.each([OWNER_ID, WORKER_ID, DJ_ID, VIEWER_ID])('%s darf die Guild lesen', async (uid) => {
+      await assertSucceeds(getDoc(ref(uid, GUILD_PATH)));
+    });
+
+    it('Nicht-Mitglieder und Abgemeldete dürfen die Guild nicht lesen', async () => {
+      await assertFails(getDoc(ref(OUTSIDER_ID, GUILD_PATH)));
+      await assertFails(getDoc(anonymousRef(GUILD_PATH)));
+    });
+
+    it.each([OWNER_ID, WORKER_ID])('%s darf Guilds anlegen, ändern und löschen', async (uid) => {
+      const otherGuildPath = guildDocPath(APP_ID, OWNER_ID, 'other');
+      await assertSucceeds(setDoc(ref(uid, otherGuildPath), createGuildData('Andere')));
+      await assertSucceeds(updateDoc(ref(uid, GUILD_PATH), { name: 'Neu', isBotOnline: true, socialAccounts: [] }));
+      await assertSucceeds(deleteDoc(ref(uid, otherGuildPath)));
+    });
+
+    it.each([DJ_ID, VIEWER_ID, OUTSIDER_ID])('%s darf keine Guilds anlegen oder löschen', async (uid) => {
+      await assertFails(setDoc(ref(uid, guildDocPath(APP_ID, OWNER_ID, 'other')), createGuildData('Andere')));
+      await assertFails(deleteDoc(ref(uid, GUILD_PATH)));
+    });
+
+    it.each(DJ_WRITABLE_FIELDS)('DJs dürfen %s ändern', async (field) => {
+      await assertSucceeds(updateDoc(ref(DJ_ID, GUILD_PATH), { [field]: DJ_FIELD_VALUES[field] }));
+    });
+
+    it.each(['isBotOnline', 'socialAccounts', 'name'])('DJs dürfen %s nicht ändern', async (field) => {
+      await assertFails(updateDoc(ref(DJ_ID, GUILD_PATH), { [field]: field === 'isBotOnline' ? true : [] }));
+    });
+
+    it('DJs dürfen Warteschlange und andere Felder nicht zusammen ändern', async () => {
+      await assertFails(updateDoc(ref(DJ_ID, GUILD_PATH), { musicQueue: [song(2)], isBotOnline: true }));
+    });
+
+    it.each([VIEWER_ID, OUTSIDER_ID])('%s darf die Warteschlange nicht ändern', async (uid) => {
+      await assertFails(updateDoc(ref(uid, GUILD_PATH), { musicQueue: [song(2)] }));
+    });
+  });
+
+  describe('Update-Verlauf', () => {
+    it.each([OWNER_ID, DJ_ID, VIEWER_ID])('%s darf Updates lesen', async (uid) => {
+      await assertSucceeds(getDoc(ref(uid, UPDATE_PATH)));
+    });
+
+    it('Nicht-Mitglieder dürfen Updates nicht lesen', async () => {
+      await assertFails(getDoc(ref(OUTSIDER_ID, UPDATE_PATH)));
+    });
+
+    it.each([DJ_ID, VIEWER_ID])('%s darf nur den Gelesen-Status ändern', async (uid) => {
+      await assertSucceeds(updateDoc(ref(uid, UPDATE_PATH), { read: true }));
+      await assertFails(updateDoc(ref(uid, UPDATE_PATH), { read: false, text: 'Geändert' }));
+    });
+
+    it('Nicht-Mitglieder dürfen den Gelesen-Status nicht ändern', async () => {
+      await assertFails(updateDoc(ref(OUTSIDER_ID, UPDATE_PATH), { read: true }));
+    });
+
+    it('nur Besitzer dürfen Updates anlegen, ändern und löschen', async () => {
+      const newUpdatePath = `${GUILD_PATH}/${UPDATES_COLLECTION}/video-2`;
+      const newUpdate = { id: 'video-2', accountId: 1, text: 'Noch ein Video', timestamp: 2000, read: false };
+      await assertFails(setDoc(ref(DJ_ID, newUpdatePath), newUpdate));
+      await assertFails(deleteDoc(ref(VIEWER_ID, UPDATE_PATH)));
+      await assertSucceeds(setDoc(ref(WORKER_ID, newUpdatePath), newUpdate));
+      await assertSucceeds(updateDoc(ref(OWNER_ID, UPDATE_PATH), { text: 'Geändert' }));
+      await assertSucceeds(deleteDoc(ref(OWNER_ID, UPDATE_PATH)));
+    });
+  });
+
+  describe('Aktivitätsprotokoll', () => {
+    const entry = actorId => ({ actorId, action: 'skip', summary: 'Übersprungen: Song 1', timestamp: serverTimestamp() });
+    const undoEntry = (actorId, undoOf) => ({ ...entry(actorId), action: 'undo', undoOf });
+
+    it.each([OWNER_ID, DJ_ID, VIEWER_ID])('%s darf das Protokoll lesen', async (uid) => {
+      await assertSucceeds(getDoc(ref(uid, activityPath('entry-1'))));
+    });
+
+    it('Nicht-Mitglieder dürfen das Protokoll nicht lesen', async () => {
+      await assertFails(getDoc(ref(OUTSIDER_ID, activityPath('entry-1'))));
+    });
+
+    it.each([OWNER_ID, DJ_ID])('%s darf Einträge unter der eigenen ID anlegen', async (uid) => {
+      await assertSucceeds(setDoc(ref(uid, activityPath('entry-2')), entry(uid)));
+    });
+
+    it('Einträge unter fremder ID werden abgelehnt', async () => {
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), entry(OWNER_ID)));
+    });
+
+    it('nur Besitzer (z.B. der Worker) protokollieren Aktionen des Zeitplans', async () => {
+      await assertSucceeds(setDoc(ref(WORKER_ID, activityPath('entry-2')), entry(SYSTEM_ACTOR_ID)));
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-3')), entry(SYSTEM_ACTOR_ID)));
+    });
+
+    it.each([VIEWER_ID, OUTSIDER_ID])('%s darf keine Einträge anlegen', async (uid) => {
+      await assertFails(setDoc(ref(uid, activityPath('entry-2')), entry(uid)));
+    });
+
+    it('rückdatierte Einträge werden abgelehnt', async () => {
+      await assertFails(setDoc(ref(OWNER_ID, activityPath('entry-2')), { ...entry(OWNER_ID), timestamp: 3000 }));
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), { ...entry(DJ_ID), timestamp: new Date(3000) }));
+    });
+
+    it('unbekannte Aktionen und Felder werden abgelehnt', async () => {
+      await assertFails(setDoc(ref(OWNER_ID, activityPath('entry-2')), { ...entry(OWNER_ID), action: 'grant_admin' }));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath('entry-2')), { ...entry(OWNER_ID), webhookUrl: 'https://example.com' }));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath('entry-2')), { ...entry(OWNER_ID), summary: { text: 'Übersprungen' } }));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath('entry-2')), { ...entry(OWNER_ID), summaryKey: 'errors.guildNotFound' }));
+    });
+
+    it('DJs protokollieren nur Aktionen an Warteschlange und Wiedergabe', async () => {
+      const accountRemoval = actorId => ({
+        ...entry(actorId), action: 'account_remove', undo: { account: { ...account, webhookUrl: 'https://angreifer.example.com/hook' } }
+      });
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), accountRemoval(DJ_ID)));
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), { ...entry(DJ_ID), action: 'bot_online' }));
+      await assertSucceeds(setDoc(ref(OWNER_ID, activityPath('entry-2')), accountRemoval(OWNER_ID)));
+    });
+
+    it('Daten zum Rückgängigmachen müssen zur Aktion passen', async () => {
+      const removal = undo => ({ ...entry(DJ_ID), action: 'queue_remove', undo });
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), removal({ account })));
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), removal({ song: song(1), index: '0' })));
+      await assertFails(setDoc(ref(DJ_ID, activityPath('entry-2')), { ...entry(DJ_ID), undo: { song: song(1), index: 0 } }));
+      await assertSucceeds(setDoc(ref(DJ_ID, activityPath('entry-2')), removal({ song: song(1), index: 0 })));
+    });
+
+    it.each([OWNER_ID, DJ_ID])('%s darf Einträge weder ändern noch löschen', async (uid) => {
+      await assertFails(updateDoc(ref(uid, activityPath('entry-1')), { summary: 'Geändert' }));
+      await assertFails(deleteDoc(ref(uid, activityPath('entry-1'))));
+    });
+
+    it('ein "Rückgängig"-Eintrag lässt sich einmal anlegen, aber nicht überschreiben', async () => {
+      await assertSucceeds(setDoc(ref(DJ_ID, activityPath(undoActivityId('removed-song'))), undoEntry(DJ_ID, 'removed-song')));
+      await assertFails(setDoc(ref(DJ_ID, activityPath(undoActivityId('removed-song'))), undoEntry(DJ_ID, 'removed-song')));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath(undoActivityId('entry-1'))), undoEntry(OWNER_ID, 'entry-1')));
+      await assertFails(deleteDoc(ref(OWNER_ID, activityPath(undoActivityId('entry-1')))));
+    });
+
+    it('undo-IDs sind nur für "Rückgängig"-Einträge zu vorhandenen Einträgen mit Daten zum Rückgängigmachen', async () => {
+      // Kein Eintrag bzw. nichts rückgängig zu machen (entry-2 ist ein gewöhnlicher Eintrag ohne undo)
+      await setDoc(ref(DJ_ID, activityPath('entry-2')), entry(DJ_ID));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath(undoActivityId('fehlt'))), undoEntry(OWNER_ID, 'fehlt')));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath(undoActivityId('entry-2'))), undoEntry(OWNER_ID, 'entry-2')));
+      // ID passt nicht zu undoOf bzw. keine "Rückgängig"-Aktion
+      await assertFails(setDoc(ref(OWNER_ID, activityPath(undoActivityId('removed-account'))), undoEntry(OWNER_ID, 'removed-song')));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath('entry-3')), undoEntry(OWNER_ID, 'removed-song')));
+      await assertFails(setDoc(ref(OWNER_ID, activityPath(undoActivityId('removed-song'))), entry(OWNER_ID)));
+    });
+
+    it('DJs belegen keine undo-IDs von Aktionen, die sie nicht rückgängig machen dürfen', async () => {
+      await assertFails(setDoc(ref(DJ_ID, activityPath(undoActivityId('removed-account'))), undoEntry(DJ_ID, 'removed-account')));
+      await assertSucceeds(setDoc(ref(OWNER_ID, activityPath(undoActivityId('removed-account'))), undoEntry(OWNER_ID, 'removed-account')));
+    });
+  });
+
+  describe('Zeitpläne', () => {
+    it.each([OWNER_ID, DJ_ID, VIEWER_ID])('%s darf den Zeitplan lesen', async (uid) => {
+      await assertSucceeds(getDoc(ref(uid, SCHEDULE_PATH)));
+    });
+
+    it('Nicht-Mitglieder dürfen den Zeitplan nicht lesen', async () => {
+      await assertFails(getDoc(ref(OUTSIDER_ID, SCHEDULE_PATH)));
+    });
+
+    it.each([OWNER_ID, WORKER_ID])('%s darf den Zeitplan schreiben', async (uid) => {
+      await assertSucceeds(updateDoc(ref(uid, SCHEDULE_PATH), { events: [{ id: 'event-1', startedAt: 1000 }] }));
+      await assertSucceeds(setDoc(ref(uid, scheduleDocPath(APP_ID, OWNER_ID, 'other')), { events: [] }));
+    });
+
+    it.each([DJ_ID, VIEWER_ID, OUTSIDER_ID])('%s darf den Zeitplan nicht schreiben', async (uid) => {
+      await assertFails(updateDoc(ref(uid, SCHEDULE_PATH), { events: [] }));
+      await assertFails(deleteDoc(ref(uid, SCHEDULE_PATH)));
+    });
+  });
+
+  describe('Mitglieder', () => {
+    it('der Kontoinhaber lädt ein wie addMember (Mitglied und Verweis in einem Batch)', async () => {
+      const db = dbAs(OWNER_ID);
+      const batch = writeBatch(db);
+      batch.set(doc(db, memberDocPath(APP_ID, OWNER_ID, NEW_MEMBER_ID)), { role: ROLES.VIEWER });
+      batch.set(doc(db, sharedDashboardDocPath(APP_ID, NEW_MEMBER_ID, OWNER_ID)), { role: ROLES.VIEWER });
+      await assertSucceeds(batch.commit());
+      await assertSucceeds(updateDoc(ref(OWNER_ID, memberDocPath(APP_ID, OWNER_ID, DJ_ID)), { role: ROLES.VIEWER }));
+      await assertSucceeds(deleteDoc(ref(OWNER_ID, memberDocPath(APP_ID, OWNER_ID, VIEWER_ID))));
+    });
+
+    it('ungültige Rollen und der Kontoinhaber selbst werden abgelehnt', async () => {
+      await assertFails(setDoc(ref(OWNER_ID, memberDocPath(APP_ID, OWNER_ID, NEW_MEMBER_ID)), { role: 'admin' }));
+      await assertFails(setDoc(ref(OWNER_ID, memberDocPath(APP_ID, OWNER_ID, OWNER_ID)), { role: ROLES.VIEWER }));
+    });
+
+    it.each([WORKER_ID, DJ_ID, VIEWER_ID, OUTSIDER_ID])('%s darf keine Mitglieder verwalten', async (uid) => {
+      await assertFails(setDoc(ref(uid, memberDocPath(APP_ID, OWNER_ID, NEW_MEMBER_ID)), { role: ROLES.DJ }));
+      await assertFails(deleteDoc(ref(uid, memberDocPath(APP_ID, OWNER_ID, VIEWER_ID))));
+    });
+
+    it('Mitglieder dürfen die eigene Rolle lesen, aber nicht ändern', async () => {
+      await assertSucceeds(getDoc(ref(VIEWER_ID, memberDocPath(APP_ID, OWNER_ID, VIEWER_ID))));
+      await assertFails(updateDoc(ref(VIEWER_ID, memberDocPath(APP_ID, OWNER_ID, VIEWER_ID)), { role: ROLES.OWNER }));
+    });
+
+    it('Mitglieder dürfen die Rollen anderer nicht lesen', async () => {
+      await assertFails(getDoc(ref(DJ_ID, memberDocPath(APP_ID, OWNER_ID, VIEWER_ID))));
+      await assertFails(getDoc(ref(OUTSIDER_ID, memberDocPath(APP_ID, OWNER_ID, DJ_ID))));
+    });
+  });
+
+  describe('Geteilte Dashboards', () => {
+    const djSharedPath = sharedDashboardDocPath(APP_ID, DJ_ID, OWNER_ID);
+
+    it('nur der eingeladene Benutzer liest seine Verweise', async () => {
+      await assertSucceeds(getDoc(ref(DJ_ID, djSharedPath)));
+      await assertFails(getDoc(ref(OWNER_ID, djSharedPath)));
+      await assertFails(getDoc(ref(OUTSIDER_ID, djSharedPath)));
+    });
+
+    it('Verweise legt nur der einladende Besitzer mit gültiger Rolle an', async () => {
+      const newSharedPath = sharedDashboardDocPath(APP_ID, NEW_MEMBER_ID, OWNER_ID);
+      await setDoc(ref(OWNER_ID, memberDocPath(APP_ID, OWNER_ID, NEW_MEMBER_ID)), { role: ROLES.DJ });
+      await assertFails(setDoc(ref(NEW_MEMBER_ID, newSharedPath), { role: ROLES.OWNER }));
+      await assertFails(setDoc(ref(OUTSIDER_ID, newSharedPath), { role: ROLES.DJ }));
+      await assertFails(setDoc(ref(OWNER_ID, newSharedPath), { role: 'admin' }));
+      await assertSucceeds(setDoc(ref(OWNER_ID, newSharedPath), { role: ROLES.DJ }));
+    });
+
+    it('Verweise ohne passendes Mitglieds-Dokument werden abgelehnt', async () => {
+      // Ein beliebiger Benutzer verweist im Bereich eines anderen auf das eigene Dashboard
+      await assertFails(setDoc(ref(OUTSIDER_ID, sharedDashboardDocPath(APP_ID, DJ_ID, OUTSIDER_ID)), { role: ROLES.OWNER }));
+      // Rolle weicht vom Mitglieds-Dokument ab
+      await assertFails(setDoc(ref(OWNER_ID, djSharedPath), { role: ROLES.OWNER }));
+      await assertSucceeds(setDoc(ref(OWNER_ID, djSharedPath), { role: ROLES.DJ }));
+    });
+
+    it.each([DJ_ID, OWNER_ID])('%s darf den Verweis entfernen', async (uid) => {
+      await assertSucceeds(deleteDoc(ref(uid, djSharedPath)));
+    });
+
+    it('Dritte dürfen Verweise nicht entfernen', async () => {
+      await assertFails(deleteDoc(ref(OUTSIDER_ID, djSharedPath)));
+      await assertFails(deleteDoc(ref(VIEWER_ID, djSharedPath)));
+    });
+  });
+
+  describe('Persönliche Daten', () => {
+    it.each([
+      ['Einstellungen', userSettingsDocPath(APP_ID, OWNER_ID)],
+      ['alte Bot-Daten', legacyBotDataDocPath(APP_ID, OWNER_ID)]
+    ])('%s liest und schreibt nur der Benutzer selbst', async (_, path) => {
+      await assertSucceeds(getDoc(ref(OWNER_ID, path)));
+      await assertSucceeds(setDoc(ref(OWNER_ID, path), { language: 'en' }, { merge: true }));
+      for (const uid of [WORKER_ID, DJ_ID, OUTSIDER_ID]) {
+        await assertFails(getDoc(ref(uid, path)));
+        await assertFails(setDoc(ref(uid, path), { language: 'en' }, { merge: true }));
+      }
+    });
+  });
+});
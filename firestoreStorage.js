@@ -0,0 +1,271 @@
+// Speicher-Backend auf Basis von Firestore (mit Offline-Persistenz, siehe initializeFirestore in App.js).
+// Implementiert dieselbe Schnittstelle wie createLocalBotStorage (localBotStorage.js), damit das Dashboard
+// unabhängig vom Backend bleibt. Alle Methoden adressieren eine Guild über ownerId und guildId.
+//
+// Offline sind Transaktionen nicht möglich. Änderungen werden dann auf dem lokalen Cache berechnet und als
+// normale Schreibvorgänge vorgemerkt; Firestore überträgt sie nach dem Reconnect (auch nach einem Neuladen).
+import {
+  doc, collection, query, orderBy, onSnapshot, setDoc, updateDoc, deleteDoc, getDocFromCache, arrayUnion, serverTimestamp,
+  writeBatch
+} from 'firebase/firestore';
+import {
+  guildsCollectionPath, guildDocPath, createGuildData, ensureDefaultGuild, saveSocialPollResults
+} from './guilds.js';
+import { readBotState, commitGuildMutation, describeMutation, getActivityDocRef } from './guildMutations.js';
+import {
+  UPDATES_PAGE_SIZE, updatesCollectionRef, createUpdatesQuery, createUnreadUpdatesQuery, searchUpdates, markUpdatesRead,
+  markAllUpdatesRead, deleteAccountUpdates, deleteAllUpdates, migrateLegacySocialUpdates
+} from './socialUpdates.js';
+import { ACTIVITY_PAGE_SIZE, activityCollectionRef, createActivityDoc, createActivityQuery } from './activityLog.js';
+import { createSyncTracker } from './syncStatus.js';
+import { userSettingsDocPath, readUserSettings } from './userSettings.js';
+import { scheduleDocPath, readSchedule, claimScheduledEvent } from './botSchedule.js';
+import {
+  isValidRole, membersCollectionPath, memberDocPath, sharedDashboardsCollectionPath, sharedDashboardDocPath
+} from './permissions.js';
+
+// Fehlercodes von Firestore, die nur eine fehlende Verbindung bedeuten
+const isConnectionError = (error) => error && (error.code === 'unavailable' || error.code === 'deadline-exceeded');
+
+// Standard: Verbindungsstatus des Browsers (im Node-Worker immer online)
+const browserIsOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+const watchBrowserOnline = (callback) => {
+  if (typeof window === 'undefined') return () => {};
+  const handleOnline = () => callback(true);
+  const handleOffline = () => callback(false);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+};
+
+export const createFirestoreStorage = ({
+  db,
+  appId,
+  isOnline = browserIsOnline,
+  watchOnline = watchBrowserOnline,
+  log = console.error
+}) => {
+  const tracker = createSyncTracker({ online: isOnline(), isConnectionError });
+  watchOnline(online => tracker.setOnline(online));
+
+  const guildRef = (ownerId, guildId) => doc(db, guildDocPath(appId, ownerId, guildId));
+  const updatesRef = (ownerId, guildId) => updatesCollectionRef(guildRef(ownerId, guildId));
+  const activityRef = (ownerId, guildId) => activityCollectionRef(guildRef(ownerId, guildId));
+  const scheduleRef = (ownerId, guildId) => doc(db, scheduleDocPath(appId, ownerId, guildId));
+
+  // Online: auf die Bestätigung des Servers warten. Offline: nur vormerken, der Sync-Status zeigt den Fortschritt.
+  const write = (promise) => {
+    const tracked = tracker.track(promise);
+    if (tracker.isOnline()) {
+      return tracked;
+    }
+    tracked.catch(error => log("Vorgemerkte Änderung konnte nicht übertragen werden:", error));
+    return Promise.resolve();
+  };
+
+  // Berechnet eine Änderung offline auf dem lokalen Cache und merkt sie (samt Protokolleintrag) als Batch vor
+  const queueMutation = async (ref, mutation, actorId) => {
+    let state = null;
+    let patch;
+    let update;
+    if (mutation.append) {
+      const { field, items } = mutation.append;
+      patch = { [field]: items };
+      update = { [field]: arrayUnion(...items) };
+    } else {
+      const cachedSnap = await getDocFromCache(ref);
+      state = readBotState(cachedSnap.data({ serverTimestamps: 'estimate' }));
+      patch = mutation.apply(state, serverTimestamp());
+      update = patch;
+    }
+    if (patch) {
+      const batch = writeBatch(db);
+      batch.update(ref, update);
+      const entry = describeMutation(mutation, state, patch, actorId);
+      if (entry) {
+        // Ein bereits rückgängig gemachter Eintrag lässt die Synchronisierung scheitern (Überschreiben verboten)
+        batch.set(getActivityDocRef(ref, mutation), createActivityDoc(entry, actorId));
+      }
+      await write(batch.commit());
+    }
+    return patch;
+  };
+
+  return {
+    mode: 'firestore',
+    supportsSharing: true, // Mitglieder und geteilte Dashboards benötigen Firebase-Authentifizierung
+
+    subscribeSyncStatus: listener => tracker.subscribe(listener),
+
+    // --- Guilds ---
+
+    subscribeGuilds: (ownerId, onChange, onError) => onSnapshot(
+      query(collection(db, guildsCollectionPath(appId, ownerId)), orderBy('createdAt')),
+      querySnap => onChange(querySnap.docs.map(guildSnap => ({ id: guildSnap.id, name: guildSnap.data().name || guildSnap.id }))),
+      onError
+    ),
+
+    ensureDefaultGuild: ownerId => tracker.track(ensureDefaultGuild(db, appId, ownerId)),
+
+    createGuild: async (ownerId, name) => {
+      const newGuildDocRef = doc(collection(db, guildsCollectionPath(appId, ownerId)));
+      await write(setDoc(newGuildDocRef, createGuildData(name)));
+      return newGuildDocRef.id;
+    },
+
+    renameGuild: (ownerId, guildId, name) => write(updateDoc(guildRef(ownerId, guildId), { name })),
+
+    deleteGuild: async (ownerId, guildId) => {
+      // Untersammlungen werden nicht automatisch gelöscht. Das Aktivitätsprotokoll bleibt als Nachweis erhalten;
+      // die Regeln erlauben kein Löschen einzelner Einträge (siehe README, Abschnitt Firestore).
+      await tracker.track(deleteAllUpdates(db, updatesRef(ownerId, guildId)));
+      await write(deleteDoc(scheduleRef(ownerId, guildId)));
+      await write(deleteDoc(guildRef(ownerId, guildId)));
+    },
+
+    // onChange(data) mit den Dokumentdaten oder null, wenn die Guild (noch) nicht existiert.
+    // Noch nicht bestätigte serverTimestamp()-Werte werden lokal geschätzt.
+    // Mit Metadaten-Änderungen, damit ein Snapshot vom Server (fromCache: false) nach einem Verbindungsabbruch
+    // den Offline-Status beendet, auch wenn sich die Daten nicht geändert haben.
+    subscribeGuild: (ownerId, guildId, onChange, onError) => onSnapshot(
+      guildRef(ownerId, guildId),
+      { includeMetadataChanges: true },
+      (docSnap) => {
+        if (!docSnap.metadata.fromCache) {
+          tracker.setOnline(true);
+        }
+        onChange(docSnap.exists() ? docSnap.data({ serverTimestamps: 'estimate' }) : null);
+      },
+      onError
+    ),
+
+    migrateLegacySocialUpdates: (ownerId, guildId) => migrateLegacySocialUpdates(db, guildRef(ownerId, guildId)),
+
+    // Führt eine Änderung aus guildMutations.js aus und protokolliert sie für actorId; gibt den geschriebenen Patch zurück
+    commitMutation: async (ownerId, guildId, mutation, actorId = null) => {
+      const ref = guildRef(ownerId, guildId);
+      if (tracker.isOnline() && !mutation.append) {
+        try {
+          return await tracker.track(commitGuildMutation(db, ref, mutation, actorId));
+        } catch (error) {
+          if (!isConnectionError(error)) throw error;
+          // Verbindung während der Transaktion verloren: wie offline behandeln
+        }
+      }
+      return queueMutation(ref, mutation, actorId);
+    },
+
+    saveSocialPollResults: (ownerId, guildId, results) =>
+      tracker.track(saveSocialPollResults(db, guildRef(ownerId, guildId), results)),
+
+    // --- Update-Verlauf ---
+
+    // onChange(updates, hasMore); filter: { accountType, accountId }
+    subscribeUpdates: (ownerId, guildId, filter, pageCount, onChange, onError) => onSnapshot(
+      createUpdatesQuery(updatesRef(ownerId, guildId), filter, pageCount),
+      querySnap => onChange(
+        querySnap.docs.map(updateSnap => ({ ...updateSnap.data(), docId: updateSnap.id })),
+        querySnap.size >= pageCount * UPDATES_PAGE_SIZE
+      ),
+      onError
+    ),
+
+    searchUpdates: (ownerId, guildId, filter, search, resultCount) =>
+      tracker.track(searchUpdates(updatesRef(ownerId, guildId), filter, search, resultCount)),
+
+    subscribeUnreadCount: (ownerId, guildId, onChange, onError) => onSnapshot(
+      createUnreadUpdatesQuery(updatesRef(ownerId, guildId)),
+      querySnap => onChange(querySnap.size),
+      onError
+    ),
+
+    markUpdatesRead: (ownerId, guildId, docIds) => write(markUpdatesRead(db, updatesRef(ownerId, guildId), docIds)),
+
+    markAllUpdatesRead: (ownerId, guildId) => tracker.track(markAllUpdatesRead(db, updatesRef(ownerId, guildId))),
+
+    deleteAccountUpdates: (ownerId, guildId, accountId) =>
+      tracker.track(deleteAccountUpdates(db, updatesRef(ownerId, guildId), accountId)),
+
+    // --- Aktivitätsprotokoll ---
+
+    // onChange(entries, hasMore); filter: { action, actorId }
+    subscribeActivity: (ownerId, guildId, filter, pageCount, onChange, onError) => onSnapshot(
+      createActivityQuery(activityRef(ownerId, guildId), filter, pageCount),
+      querySnap => onChange(
+        querySnap.docs.map(entrySnap => ({ ...entrySnap.data({ serverTimestamps: 'estimate' }), id: entrySnap.id })),
+        querySnap.size >= pageCount * ACTIVITY_PAGE_SIZE
+      ),
+      onError
+    ),
+
+    // --- Zeitplan ---
+
+    // onChange(schedule) mit dem Zeitplan der Guild (siehe readSchedule; ohne Dokument ein leerer Zeitplan)
+    subscribeSchedule: (ownerId, guildId, onChange, onError) => onSnapshot(
+      scheduleRef(ownerId, guildId),
+      scheduleSnap => onChange(readSchedule(scheduleSnap.data())),
+      onError
+    ),
+
+    saveSchedule: (ownerId, guildId, schedule) => write(setDoc(scheduleRef(ownerId, guildId), schedule)),
+
+    // Ergibt false, wenn das Event bereits gestartet wurde (siehe createScheduleRunner)
+    markScheduleEventStarted: (ownerId, guildId, eventId, startedAt) =>
+      tracker.track(claimScheduledEvent(db, scheduleRef(ownerId, guildId), eventId, startedAt)),
+
+    // --- Mitglieder und geteilte Dashboards ---
+
+    // onChange(dashboards) mit [{ ownerId, role }] der Dashboards, in die userId eingeladen wurde
+    subscribeSharedDashboards: (userId, onChange, onError) => onSnapshot(
+      collection(db, sharedDashboardsCollectionPath(appId, userId)),
+      querySnap => onChange(querySnap.docs.map(sharedSnap => ({ ownerId: sharedSnap.id, role: sharedSnap.data().role }))),
+      onError
+    ),
+
+    // onChange(members) mit [{ userId, role }] der Mitglieder im Dashboard von ownerId
+    subscribeMembers: (ownerId, onChange, onError) => onSnapshot(
+      collection(db, membersCollectionPath(appId, ownerId)),
+      querySnap => onChange(querySnap.docs.map(memberSnap => ({ userId: memberSnap.id, role: memberSnap.data().role }))),
+      onError
+    ),
+
+    // onChange(role) mit der Rolle von userId im Dashboard von ownerId; null, wenn der Zugriff entzogen wurde.
+    // Maßgeblich ist der Mitgliedseintrag beim Besitzer, nicht der Verweis beim Mitglied.
+    subscribeMemberRole: (ownerId, userId, onChange, onError) => onSnapshot(
+      doc(db, memberDocPath(appId, ownerId, userId)),
+      memberSnap => onChange(memberSnap.exists() && isValidRole(memberSnap.data().role) ? memberSnap.data().role : null),
+      onError
+    ),
+
+    // Lädt memberId ein bzw. ändert seine Rolle. Der Verweis im Bereich des Mitglieds
+    // sorgt dafür, dass das Dashboard in seiner Auswahl erscheint.
+    saveMember: (ownerId, memberId, role) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, memberDocPath(appId, ownerId, memberId)), { role, addedAt: serverTimestamp() });
+      batch.set(doc(db, sharedDashboardDocPath(appId, memberId, ownerId)), { role, addedAt: serverTimestamp() });
+      return write(batch.commit());
+    },
+
+    removeMember: (ownerId, memberId) => {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, memberDocPath(appId, ownerId, memberId)));
+      batch.delete(doc(db, sharedDashboardDocPath(appId, memberId, ownerId)));
+      return write(batch.commit());
+    },
+
+    // --- Persönliche Einstellungen ---
+
+    // onChange(settings) mit { language } (siehe readUserSettings)
+    subscribeUserSettings: (userId, onChange, onError) => onSnapshot(
+      doc(db, userSettingsDocPath(appId, userId)),
+      settingsSnap => onChange(readUserSettings(settingsSnap.data())),
+      onError
+    ),
+
+    saveUserSettings: (userId, settings) =>
+      write(setDoc(doc(db, userSettingsDocPath(appId, userId)), settings, { merge: true }))
+  };
+};
@@ -0,0 +1,82 @@
+import { doc, setDoc, getDoc, getDocs } from 'firebase/firestore';
+import { guildDocPath, createGuildData, DEFAULT_GUILD_ID } from './guilds.js';
+import {
+  commitGuildMutation, appendSongs, removeSong, moveSong, addAccount, removeAccount, createUndoMutation, AlreadyUndoneError
+} from './guildMutations.js';
+import { activityCollectionRef } from './activityLog.js';
+import { describeWithEmulator, setupTestEnvironment, APP_ID } from './test/emulator.js';
+
+jest.setTimeout(30000);
+
+const OWNER_ID = 'owner';
+
+const account = (id, handle) => ({ id, type: 'Twitch', url: `https://www.twitch.tv/${handle}`, handle, channelId: null });
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, platform: 'audio_file', videoId: null, duration: 60, thumbnail: null });
+
+describeWithEmulator('commitGuildMutation mit mehreren Clients', () => {
+  let testEnv;
+  let clients; // Zwei unabhängige Clients desselben Besitzers (z.B. zwei Tabs)
+
+  beforeAll(async () => {
+    testEnv = await setupTestEnvironment();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    clients = [0, 1].map(() => {
+      const db = testEnv.authenticatedContext(OWNER_ID).firestore();
+      return { db, guildDocRef: doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID)) };
+    });
+    await setDoc(clients[0].guildDocRef, createGuildData('Test'));
+  });
+
+  const commit = ({ db, guildDocRef }, mutation) => commitGuildMutation(db, guildDocRef, mutation, OWNER_ID);
+
+  const readGuild = async () => (await getDoc(clients[0].guildDocRef)).data();
+
+  it('verliert bei gleichzeitigen Änderungen an Warteschlange und Konten keine Einträge', async () => {
+    await commit(clients[0], appendSongs([song(1), song(2), song(3)]));
+    await commit(clients[0], addAccount(account(10, 'alt')));
+
+    await Promise.all([
+      commit(clients[0], appendSongs([song(4)])),
+      commit(clients[1], appendSongs([song(5)])),
+      commit(clients[0], removeSong(1)),
+      commit(clients[1], moveSong(3, 0)),
+      commit(clients[0], addAccount(account(20, 'eins'))),
+      commit(clients[1], addAccount(account(30, 'zwei'))),
+      commit(clients[1], removeAccount(10))
+    ]);
+
+    const data = await readGuild();
+    expect(data.musicQueue.map(queued => queued.id).sort()).toEqual([2, 3, 4, 5]);
+    expect(data.socialAccounts.map(existing => existing.id).sort()).toEqual([20, 30]);
+  });
+
+  it('fügt denselben Kanal bei gleichzeitigem Hinzufügen nur einmal hinzu', async () => {
+    const results = await Promise.all([
+      commit(clients[0], addAccount(account(20, 'kanal'))),
+      commit(clients[1], addAccount({ ...account(21, 'Kanal'), url: 'https://twitch.tv/Kanal/' }))
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect((await readGuild()).socialAccounts).toHaveLength(1);
+    const activity = await getDocs(activityCollectionRef(clients[0].guildDocRef));
+    expect(activity.docs.filter(entryDoc => entryDoc.data().action === 'account_add')).toHaveLength(1);
+  });
+
+  it('macht einen Eintrag auch bei gleichzeitigen Versuchen nur einmal rückgängig', async () => {
+    await commit(clients[0], appendSongs([song(1), song(2)]));
+    await commit(clients[0], removeSong(1));
+    const activity = await getDocs(activityCollectionRef(clients[0].guildDocRef));
+    const removeEntry = activity.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })).find(entry => entry.action === 'queue_remove');
+
+    const results = await Promise.allSettled(clients.map(client => commit(client, createUndoMutation(removeEntry))));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(AlreadyUndoneError);
+    expect((await readGuild()).musicQueue.map(queued => queued.id)).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,421 @@
+// Konfliktsichere Änderungen am Guild-Dokument.
+// Jede Änderung wird als reine Funktion apply(state, timestamp) => patch | null beschrieben und zweimal ausgeführt:
+// lokal mit Date.now() im Store für die sofortige (optimistische) Anzeige (siehe botStore.js) und in einer Transaktion
+// auf den aktuellen Serverdaten mit serverTimestamp(). So gehen gleichzeitige Änderungen aus mehreren Tabs nicht verloren.
+// Uhrzeit (außer dem Zeitstempel) und Zufall werden beim Erstellen der Änderung festgelegt, damit apply für denselben
+// Zustand immer dasselbe Ergebnis liefert.
+// Reines Anhängen (append) wird ohne Transaktion per arrayUnion geschrieben.
+//
+// activity(state, patch) beschreibt die Änderung für das Aktivitätsprotokoll (siehe activityLog.js) und
+// liefert { action, summary, undo? } oder null; summary ist ein übersetzbarer Text (activity.summary.* in locales/).
+// Bei append-Änderungen ist state null (es wird nichts gelesen).
+// undoOf (nur bei createUndoMutation): ID des rückgängig gemachten Eintrags; die Transaktion bricht mit
+// AlreadyUndoneError ab, wenn er bereits rückgängig gemacht wurde.
+import { runTransaction, writeBatch, arrayUnion, serverTimestamp } from 'firebase/firestore';
+import { TranslatableError, translatable } from './i18n.js';
+import {
+  STOPPED_PLAYBACK, readPlayback, isPaused, getElapsedSeconds, createStartPatch, createPausePatch, createResumePatch
+} from './playback.js';
+import {
+  LOOP_MODES, getNextLoopMode, moveQueueItem, removeQueueItem, insertNext, shuffleQueue, createSeededRandom, advanceQueue
+} from './queue.js';
+import { mergeBackup, IMPORT_MODES } from './botBackup.js';
+import { ACTIVITY_ACTIONS, newActivityDocRef, undoActivityDocRef, createActivityDoc, getActivitySummary } from './activityLog.js';
+import { findDuplicateAccount } from './socialAccounts.js';
+import { getSongTitle } from './musicResolver.js';
+
+const PLAYBACK_FIELDS = Object.keys(STOPPED_PLAYBACK);
+
+// Zustand, auf dem die Änderungen arbeiten (aus einem Guild-Dokument gelesen)
+export const readBotState = (data = {}) => ({
+  isBotOnline: data.isBotOnline || false,
+  currentSong: data.currentSong || null,
+  playback: readPlayback(data),
+  musicQueue: data.musicQueue || [],
+  loopMode: data.loopMode || LOOP_MODES.OFF,
+  playHistory: data.playHistory || [],
+  socialAccounts: data.socialAccounts || []
+});
+
+// Wendet einen Patch (Dokumentfelder) auf einen Zustand an; Wiedergabefelder landen in state.playback
+export const applyBotPatch = (state, patch) => {
+  const next = { ...state, playback: { ...state.playback } };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (PLAYBACK_FIELDS.includes(key)) {
+      next.playback[key] = value;
+    } else {
+      next[key] = value;
+    }
+  });
+  return next;
+};
+
+// Der Protokolleintrag wurde bereits von einem anderen Tab oder Benutzer rückgängig gemacht
+export class AlreadyUndoneError extends TranslatableError {
+  constructor() {
+    super('errors.alreadyUndone');
+    this.name = 'AlreadyUndoneError';
+  }
+}
+
+// Die Guild wurde inzwischen (z.B. in einem anderen Tab) gelöscht
+export class GuildNotFoundError extends TranslatableError {
+  constructor() {
+    super('errors.guildNotFound');
+    this.name = 'GuildNotFoundError';
+  }
+}
+
+// Dokumentreferenz für den Protokolleintrag einer Änderung (feste ID beim Rückgängigmachen)
+export const getActivityDocRef = (guildDocRef, mutation) => (mutation.undoOf
+  ? undoActivityDocRef(guildDocRef, mutation.undoOf)
+  : newActivityDocRef(guildDocRef));
+
+// Eintrag für das Aktivitätsprotokoll, sofern die Änderung protokolliert wird und ein Benutzer bekannt ist
+export const describeMutation = (mutation, state, patch, actorId) => {
+  if (!actorId || !patch || !mutation.activity) return null;
+  return mutation.activity(state, patch);
+};
+
+// Führt eine Änderung atomar auf den aktuellen Serverdaten aus und protokolliert sie (actorId: ausführender
+// Benutzer, null = nicht protokollieren). Gibt den geschriebenen Patch zurück (oder null, wenn es nach dem
+// aktuellen Stand nichts zu tun gab).
+export const commitGuildMutation = async (db, guildDocRef, mutation, actorId = null) => {
+  if (mutation.append) {
+    const { field, items } = mutation.append;
+    const patch = { [field]: items };
+    const batch = writeBatch(db);
+    batch.update(guildDocRef, { [field]: arrayUnion(...items) });
+    const entry = describeMutation(mutation, null, patch, actorId);
+    if (entry) {
+      batch.set(newActivityDocRef(guildDocRef), createActivityDoc(entry, actorId));
+    }
+    await batch.commit();
+    return patch;
+  }
+  return runTransaction(db, async (transaction) => {
+    const docSnap = await transaction.get(guildDocRef);
+    if (!docSnap.exists()) {
+      throw new GuildNotFoundError();
+    }
+    const entryRef = getActivityDocRef(guildDocRef, mutation);
+    if (mutation.undoOf && (await transaction.get(entryRef)).exists()) {
+      throw new AlreadyUndoneError();
+    }
+    const state = readBotState(docSnap.data());
+    const patch = mutation.apply(state, serverTimestamp());
+    if (patch) {
+      transaction.update(guildDocRef, patch);
+      const entry = describeMutation(mutation, state, patch, actorId);
+      if (entry) {
+        transaction.set(entryRef, createActivityDoc(entry, actorId));
+      }
+    }
+    return patch;
+  });
+};
+
+const songTitles = songs => (songs.length === 1 ? getSongTitle(songs[0]) : translatable('counts.songs', { count: songs.length }));
+const accountLabel = account => ({ type: translatable(`accountTypes.${account.type}`), account: account.handle || account.url });
+const summaryText = (key, params) => translatable(`activity.summary.${key}`, params);
+
+// --- Bot ---
+
+export const setBotOnline = (isBotOnline) => ({
+  apply: () => ({ isBotOnline }),
+  activity: () => ({
+    action: isBotOnline ? ACTIVITY_ACTIONS.BOT_ONLINE : ACTIVITY_ACTIONS.BOT_OFFLINE,
+    summary: summaryText(isBotOnline ? 'botOnline' : 'botOffline')
+  })
+});
+
+// --- Wiedergabe ---
+
+// Nächster Song unter Berücksichtigung von Wiederholungsmodus und Verlauf (skipped: beim Überspringen,
+// now: Zeitpunkt für den Verlaufseintrag des bisherigen Songs)
+export const playNext = ({ skipped = false, now = Date.now() } = {}) => ({
+  apply: (state, timestamp) => {
+    const next = advanceQueue(state, { skipped, now });
+    return {
+      currentSong: next.currentSong,
+      musicQueue: next.musicQueue,
+      playHistory: next.playHistory,
+      ...(next.currentSong ? createStartPatch(timestamp) : STOPPED_PLAYBACK)
+    };
+  },
+  activity: (state, patch) => ({
+    action: skipped ? ACTIVITY_ACTIONS.SKIP : ACTIVITY_ACTIONS.PLAY_NEXT,
+    summary: patch.currentSong
+      ? (skipped && state.currentSong
+        ? summaryText('skipped', { skipped: getSongTitle(state.currentSong), title: getSongTitle(patch.currentSong) })
+        : summaryText('playing', { title: getSongTitle(patch.currentSong) }))
+      : summaryText('queueFinished')
+  })
+});
+
+// Schaltet nach dem natürlichen Ende eines Songs weiter. Läuft inzwischen ein anderer Song
+// (ein anderes Dashboard oder der Worker hat bereits weitergeschaltet), passiert nichts.
+export const finishSong = (finishedSongId, now = Date.now()) => ({
+  apply: (state, timestamp) => (state.currentSong && state.currentSong.id === finishedSongId
+    ? playNext({ now }).apply(state, timestamp)
+    : null)
+});
+
+// Pausiert bzw. setzt fort, je nachdem, was der aktuelle Stand ist
+export const togglePause = () => ({
+  apply: (state, timestamp) => {
+    if (!state.currentSong) return null;
+    return isPaused(state.playback) ? createResumePatch(state.playback, timestamp) : createPausePatch(timestamp);
+  },
+  activity: state => (isPaused(state.playback)
+    ? { action: ACTIVITY_ACTIONS.RESUME, summary: summaryText('resumed', { title: getSongTitle(state.currentSong) }) }
+    : { action: ACTIVITY_ACTIONS.PAUSE, summary: summaryText('paused', { title: getSongTitle(state.currentSong) }) })
+});
+
+// Abgespielte Sekunden beim Stoppen (höchstens die Songdauer, falls die Uhren abweichen)
+const getStopPosition = (state) => {
+  if (!state.currentSong) return 0;
+  const elapsed = Math.floor(getElapsedSeconds(state.playback, Date.now()));
+  return state.currentSong.duration ? Math.min(elapsed, state.currentSong.duration) : elapsed;
+};
+
+// Das Protokoll merkt sich Song, Position und Warteschlange, damit das Stoppen rückgängig gemacht werden kann
+export const stopPlayback = () => ({
+  apply: () => ({ currentSong: null, musicQueue: [], ...STOPPED_PLAYBACK }),
+  activity: state => ({
+    action: ACTIVITY_ACTIONS.STOP,
+    summary: state.currentSong
+      ? summaryText('stoppedSong', { title: getSongTitle(state.currentSong), count: state.musicQueue.length })
+      : summaryText('stopped', { count: state.musicQueue.length }),
+    undo: state.currentSong || state.musicQueue.length > 0
+      ? { currentSong: state.currentSong, position: getStopPosition(state), musicQueue: state.musicQueue }
+      : null
+  })
+});
+
+// Geplantes Event (siehe botSchedule.js): schaltet den Bot ein, ersetzt die Warteschlange durch die
+// Playlist und startet ihren ersten Song. Ein laufender Song landet im Verlauf, der Wiederholungsmodus
+// "queue" stellt ihn nicht in die neue Warteschlange. now: Startzeit des Events; event/playlist: Namen für das
+// Protokoll, das sich die ersetzte Warteschlange merkt (Rückgängigmachen wie beim Stoppen)
+export const startScheduledPlaylist = (songs, now = Date.now(), { event = '', playlist = '' } = {}) => ({
+  apply: (state, timestamp) => {
+    if (songs.length === 0) return null;
+    const next = advanceQueue({ ...state, musicQueue: songs, loopMode: LOOP_MODES.OFF }, { skipped: true, now });
+    return {
+      isBotOnline: true,
+      currentSong: next.currentSong,
+      musicQueue: next.musicQueue,
+      playHistory: next.playHistory,
+      ...createStartPatch(timestamp)
+    };
+  },
+  activity: state => ({
+    action: ACTIVITY_ACTIONS.SCHEDULED_PLAYLIST,
+    summary: summaryText('scheduledPlaylist', { event, playlist, count: state.musicQueue.length }),
+    undo: state.musicQueue.length > 0 ? { currentSong: null, position: 0, musicQueue: state.musicQueue } : null
+  })
+});
+
+// --- Warteschlange ---
+
+// Songs haben eindeutige IDs, daher kann hinten per arrayUnion ohne Lesen angehängt werden
+export const appendSongs = (songs) => ({
+  apply: state => ({ musicQueue: [...state.musicQueue, ...songs] }),
+  append: { field: 'musicQueue', items: songs },
+  activity: () => ({ action: ACTIVITY_ACTIONS.QUEUE_ADD, summary: summaryText('added', { songs: songTitles(songs) }) })
+});
+
+export const insertSongsNext = (songs) => ({
+  apply: state => ({ musicQueue: insertNext(state.musicQueue, songs) }),
+  activity: () => ({ action: ACTIVITY_ACTIONS.QUEUE_INSERT_NEXT, summary: summaryText('insertedNext', { songs: songTitles(songs) }) })
+});
+
+export const removeSong = (songId) => ({
+  apply: state => (state.musicQueue.some(song => song.id === songId)
+    ? { musicQueue: removeQueueItem(state.musicQueue, songId) }
+    : null),
+  activity: (state) => {
+    const index = state.musicQueue.findIndex(song => song.id === songId);
+    const song = state.musicQueue[index];
+    return { action: ACTIVITY_ACTIONS.QUEUE_REMOVE, summary: summaryText('removed', { title: getSongTitle(song) }), undo: { song, index } };
+  }
+});
+
+// Verschiebt anhand der Song-ID, damit zwischenzeitliche Änderungen anderer Tabs nicht den falschen Song treffen
+export const moveSong = (songId, toIndex) => ({
+  apply: (state) => {
+    const fromIndex = state.musicQueue.findIndex(song => song.id === songId);
+    if (fromIndex < 0) return null;
+    return { musicQueue: moveQueueItem(state.musicQueue, fromIndex, Math.min(toIndex, state.musicQueue.length - 1)) };
+  },
+  activity: (state) => {
+    const song = state.musicQueue.find(queued => queued.id === songId);
+    return {
+      action: ACTIVITY_ACTIONS.QUEUE_MOVE,
+      summary: summaryText('moved', { title: getSongTitle(song), position: Math.min(toIndex, state.musicQueue.length - 1) + 1 })
+    };
+  }
+});
+
+// seed: Startwert des Zufallsgenerators, damit jede Ausführung von apply gleich mischt
+export const shuffleSongs = (seed = Math.floor(Math.random() * 2 ** 32)) => ({
+  apply: state => ({ musicQueue: shuffleQueue(state.musicQueue, createSeededRandom(seed)) }),
+  activity: state => ({ action: ACTIVITY_ACTIONS.QUEUE_SHUFFLE, summary: summaryText('shuffled', { count: state.musicQueue.length }) })
+});
+
+export const cycleLoopMode = () => ({
+  apply: state => ({ loopMode: getNextLoopMode(state.loopMode) }),
+  activity: (state, patch) => ({
+    action: ACTIVITY_ACTIONS.LOOP_MODE,
+    summary: summaryText('loopMode', { from: translatable(`loopModes.${state.loopMode}`), to: translatable(`loopModes.${patch.loopMode}`) })
+  })
+});
+
+// --- Social-Media-Konten ---
+
+// Prüft in der Transaktion auf ein bereits verfolgtes Konto (gleiche Plattform und kanonische URL), damit
+// gleichzeitiges Hinzufügen desselben Kanals aus mehreren Tabs nur ein Konto ergibt; dann null
+export const addAccount = (account) => ({
+  apply: state => (findDuplicateAccount(state.socialAccounts, account)
+    ? null
+    : { socialAccounts: [...state.socialAccounts, account] }),
+  activity: () => ({ action: ACTIVITY_ACTIONS.ACCOUNT_ADD, summary: summaryText('account', accountLabel(account)) })
+});
+
+// Entfernt anhand der ID (arrayRemove würde nach Abrufen mit geänderten Feldern nicht mehr greifen)
+export const removeAccount = (accountId) => ({
+  apply: state => (state.socialAccounts.some(account => account.id === accountId)
+    ? { socialAccounts: state.socialAccounts.filter(account => account.id !== accountId) }
+    : null),
+  activity: (state) => {
+    const account = state.socialAccounts.find(existing => existing.id === accountId);
+    return { action: ACTIVITY_ACTIONS.ACCOUNT_REMOVE, summary: summaryText('account', accountLabel(account)), undo: { account } };
+  }
+});
+
+export const updateAccount = (accountId, changes) => ({
+  apply: state => (state.socialAccounts.some(account => account.id === accountId)
+    ? { socialAccounts: state.socialAccounts.map(account => (account.id === accountId ? { ...account, ...changes } : account)) }
+    : null),
+  activity: (state) => {
+    const account = state.socialAccounts.find(existing => existing.id === accountId);
+    return {
+      action: ACTIVITY_ACTIONS.ACCOUNT_UPDATE,
+      summary: summaryText('accountUpdated', { ...accountLabel(account), fields: Object.keys(changes).join(', ') })
+    };
+  }
+});
+
+// --- Import ---
+
+// Übernimmt eine Sicherung (siehe parseBackup/mergeBackup in botBackup.js).
+// Ein neu gesetzter aktueller Song beginnt pausiert am Anfang.
+export const importBackup = (backup, mode) => ({
+  apply: (state, timestamp) => {
+    const next = mergeBackup(state, backup, mode);
+    const patch = { socialAccounts: next.socialAccounts, musicQueue: next.musicQueue, loopMode: next.loopMode };
+    if (next.currentSong !== state.currentSong) {
+      patch.currentSong = next.currentSong;
+      Object.assign(patch, next.currentSong ? { ...createStartPatch(timestamp), ...createPausePatch(timestamp) } : STOPPED_PLAYBACK);
+    }
+    return patch;
+  },
+  // Beim Ersetzen werden der vorherige Stand (previous) und der importierte Stand (imported, nur IDs) protokolliert,
+  // damit sich der Import rückgängig machen lässt, ohne spätere Änderungen zu überschreiben
+  activity: (state, patch) => {
+    const { summary: counts } = mergeBackup(state, backup, mode);
+    const currentSong = 'currentSong' in patch ? patch.currentSong : state.currentSong;
+    return {
+      action: ACTIVITY_ACTIONS.BACKUP_IMPORT,
+      summary: summaryText(mode === IMPORT_MODES.REPLACE ? 'backupReplaced' : 'backupMerged', {
+        accounts: translatable('counts.accounts', { count: counts.addedAccounts }),
+        songs: translatable('counts.songs', { count: counts.addedSongs })
+      }),
+      undo: mode === IMPORT_MODES.REPLACE
+        ? {
+          previous: { socialAccounts: state.socialAccounts, musicQueue: state.musicQueue, currentSong: state.currentSong, loopMode: state.loopMode },
+          imported: {
+            socialAccountIds: patch.socialAccounts.map(account => account.id),
+            musicQueueIds: patch.musicQueue.map(song => song.id),
+            currentSongId: currentSong ? currentSong.id : null,
+            loopMode: patch.loopMode
+          }
+        }
+        : null
+    };
+  }
+});
+
+// --- Rückgängig machen ---
+
+// Ein gestoppter Song wird pausiert an der gespeicherten Position wiederhergestellt
+const createPausedAtPatch = (position, timestamp) => ({ startedAt: timestamp, pausedAt: timestamp, position });
+
+// Stellt gestoppten Song und Warteschlange wieder her (Stoppen und geplante Events)
+const restoreQueue = ({ currentSong, position, musicQueue }) => (state, timestamp) => {
+  const knownIds = new Set([...state.musicQueue, ...(state.currentSong ? [state.currentSong] : [])].map(song => song.id));
+  const restoredQueue = musicQueue.filter(song => !knownIds.has(song.id));
+  const restoreCurrent = currentSong && !state.currentSong && !knownIds.has(currentSong.id);
+  const queuedCurrent = currentSong && state.currentSong && !knownIds.has(currentSong.id) ? [currentSong] : [];
+  if (!restoreCurrent && restoredQueue.length === 0 && queuedCurrent.length === 0) return null;
+  return {
+    musicQueue: [...queuedCurrent, ...restoredQueue, ...state.musicQueue],
+    ...(restoreCurrent ? { currentSong, ...createPausedAtPatch(position, timestamp) } : {})
+  };
+};
+
+// Stellt den Zustand vor der protokollierten Aktion wieder her, soweit er seitdem nicht verändert wurde.
+// Vorhandene Einträge werden nicht doppelt eingefügt. Gibt null zurück, wenn die Aktion nicht rückgängig zu machen ist.
+const UNDO_APPLIERS = {
+  [ACTIVITY_ACTIONS.ACCOUNT_REMOVE]: ({ account }) => state => (state.socialAccounts.some(existing => existing.id === account.id)
+    ? null
+    : { socialAccounts: [...state.socialAccounts, account] }),
+
+  [ACTIVITY_ACTIONS.QUEUE_REMOVE]: ({ song, index }) => (state) => {
+    if (state.musicQueue.some(queued => queued.id === song.id)) return null;
+    const musicQueue = [...state.musicQueue];
+    musicQueue.splice(Math.min(index, musicQueue.length), 0, song);
+    return { musicQueue };
+  },
+
+  [ACTIVITY_ACTIONS.STOP]: restoreQueue,
+
+  // Ein geplantes Event ersetzt nur die Warteschlange (der vorherige Song steht im Verlauf)
+  [ACTIVITY_ACTIONS.SCHEDULED_PLAYLIST]: restoreQueue,
+
+  // Nur Felder, die noch dem importierten Stand entsprechen (Konten und Songs werden per ID verglichen,
+  // damit z.B. der Abrufstatus der Konten nicht zählt)
+  [ACTIVITY_ACTIONS.BACKUP_IMPORT]: ({ previous, imported }) => (state, timestamp) => {
+    const patch = {};
+    if (hasSameIds(state.socialAccounts, imported.socialAccountIds)) {
+      patch.socialAccounts = previous.socialAccounts;
+    }
+    if (hasSameIds(state.musicQueue, imported.musicQueueIds)) {
+      patch.musicQueue = previous.musicQueue;
+    }
+    if (state.loopMode === imported.loopMode) {
+      patch.loopMode = previous.loopMode;
+    }
+    const currentSongId = state.currentSong ? state.currentSong.id : null;
+    const previousSongId = previous.currentSong ? previous.currentSong.id : null;
+    if (currentSongId === imported.currentSongId && currentSongId !== previousSongId) {
+      patch.currentSong = previous.currentSong;
+      Object.assign(patch, previous.currentSong ? createPausedAtPatch(0, timestamp) : STOPPED_PLAYBACK);
+    }
+    return Object.keys(patch).length > 0 ? patch : null;
+  }
+};
+
+const hasSameIds = (items, ids) => items.length === ids.length && items.every((item, index) => item.id === ids[index]);
+
+// Einträge von Importen vor der Einführung von "imported" lassen sich nicht sicher zurücknehmen
+const hasUndoData = entry => entry.action !== ACTIVITY_ACTIONS.BACKUP_IMPORT || Boolean(entry.undo.imported);
+
+export const isUndoable = entry => Boolean(entry.undo && UNDO_APPLIERS[entry.action] && hasUndoData(entry));
+
+// Änderung, die einen Protokolleintrag ({ id, action, summary, undo }) rückgängig macht
+export const createUndoMutation = entry => ({
+  apply: UNDO_APPLIERS[entry.action](entry.undo),
+  activity: () => ({ action: ACTIVITY_ACTIONS.UNDO, summary: getActivitySummary(entry), undoOf: entry.id }),
+  undoOf: entry.id
+});
@@ -0,0 +1,87 @@
+import {
+  readBotState, applyBotPatch, importBackup, playNext, cycleLoopMode, addAccount, isUndoable, createUndoMutation
+} from './guildMutations.js';
+import { parseBackup, createBackup, IMPORT_MODES } from './botBackup.js';
+import { ACTIVITY_ACTIONS } from './activityLog.js';
+
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, platform: 'audio_file', videoId: null, duration: 60, thumbnail: null });
+const account = (id, handle) => ({ id, type: 'Twitch', url: `https://www.twitch.tv/${handle}`, handle });
+
+// Führt eine Änderung wie der Server aus und liefert neuen Zustand und Protokolleintrag
+const run = (state, mutation, timestamp = 1000) => {
+  const patch = mutation.apply(state, timestamp);
+  return { state: patch ? applyBotPatch(state, patch) : state, patch, entry: patch && mutation.activity ? mutation.activity(state, patch) : null };
+};
+
+describe('Rückgängigmachen eines Imports', () => {
+  const before = readBotState({
+    currentSong: song(1), musicQueue: [song(2)], loopMode: 'off', socialAccounts: [account(10, 'alt')], startedAt: 500
+  });
+  const backup = parseBackup(JSON.stringify(createBackup(
+    { socialAccounts: [account(20, 'neu')], musicQueue: [song(3), song(4)], currentSong: song(5), loopMode: 'queue' },
+    { guildName: 'Import' }
+  )));
+
+  const importReplace = () => {
+    const { state, entry } = run(before, importBackup(backup, IMPORT_MODES.REPLACE));
+    return { state, entry: { id: 'entry-1', ...entry } };
+  };
+
+  it('stellt den vorherigen Stand wieder her, solange nichts geändert wurde', () => {
+    const { state, entry } = importReplace();
+    expect(isUndoable(entry)).toBe(true);
+    const { patch } = run(state, createUndoMutation(entry), 2000);
+    expect(patch).toMatchObject({
+      socialAccounts: before.socialAccounts, musicQueue: before.musicQueue, loopMode: 'off', currentSong: song(1), pausedAt: 2000, position: 0
+    });
+  });
+
+  it('lässt seitdem geänderte Felder unverändert', () => {
+    const imported = importReplace();
+    let { state } = run(imported.state, playNext()); // Song 3 läuft, Warteschlange [4]
+    ({ state } = run(state, cycleLoopMode()));
+    const { patch } = run(state, createUndoMutation(imported.entry), 2000);
+    expect(patch).toEqual({ socialAccounts: before.socialAccounts });
+  });
+
+  it('meldet nichts zu tun, wenn alles geändert wurde', () => {
+    const imported = importReplace();
+    const changed = applyBotPatch(imported.state, { socialAccounts: [], musicQueue: [], currentSong: null, loopMode: 'track' });
+    expect(run(changed, createUndoMutation(imported.entry)).patch).toBeNull();
+  });
+
+  it('zählt den Abrufstatus der Konten nicht als Änderung', () => {
+    const imported = importReplace();
+    const polled = applyBotPatch(imported.state, {
+      socialAccounts: imported.state.socialAccounts.map(existing => ({ ...existing, lastFetched: 1500, lastSeenItemId: 'x' }))
+    });
+    expect(run(polled, createUndoMutation(imported.entry)).patch.socialAccounts).toEqual(before.socialAccounts);
+  });
+
+  it('bietet Zusammenführen und Einträge ohne importierten Stand nicht zum Rückgängigmachen an', () => {
+    const { entry } = run(before, importBackup(backup, IMPORT_MODES.MERGE));
+    expect(isUndoable(entry)).toBe(false);
+    const legacyEntry = { id: 'alt', action: ACTIVITY_ACTIONS.BACKUP_IMPORT, undo: { socialAccounts: [], musicQueue: [], currentSong: null, loopMode: 'off' } };
+    expect(isUndoable(legacyEntry)).toBe(false);
+  });
+
+  it('verweist im Rückgängig-Eintrag auf den ursprünglichen Eintrag', () => {
+    const { state, entry } = importReplace();
+    const undo = createUndoMutation(entry);
+    expect(undo.undoOf).toBe('entry-1');
+    expect(run(state, undo).entry).toMatchObject({ action: ACTIVITY_ACTIONS.UNDO, undoOf: 'entry-1' });
+  });
+});
+
+describe('addAccount', () => {
+  const state = readBotState({ socialAccounts: [account(10, 'kanal')] });
+
+  it('fügt ein neues Konto hinzu', () => {
+    expect(run(state, addAccount(account(20, 'anderer'))).patch.socialAccounts.map(existing => existing.id)).toEqual([10, 20]);
+  });
+
+  it('ignoriert einen Kanal, der auf dem aktuellen Stand bereits verfolgt wird', () => {
+    const sameChannel = { ...account(20, 'Kanal'), url: 'https://twitch.tv/Kanal/' };
+    expect(run(state, addAccount(sameChannel)).patch).toBeNull();
+  });
+});
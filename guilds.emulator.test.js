@@ -0,0 +1,98 @@
+import { doc, setDoc, getDoc, deleteDoc } from 'firebase/firestore';
+import {
+  ensureDefaultGuild, guildDocPath, legacyBotDataDocPath, createEmptyBotData, DEFAULT_GUILD_ID, DEFAULT_GUILD_NAME
+} from './guilds.js';
+import { describeWithEmulator, setupTestEnvironment, APP_ID } from './test/emulator.js';
+
+jest.setTimeout(30000);
+
+const OWNER_ID = 'owner';
+
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, platform: 'audio_file', videoId: null, duration: 60, thumbnail: null });
+const account = { id: 10, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde', handle: 'kanalundfreunde' };
+
+// Einzeldokument aus der Zeit vor der Guild-Unterstützung (ohne playHistory, mit einem unbekannten Feld)
+const legacyData = {
+  isBotOnline: true,
+  musicQueue: [song(2), song(3)],
+  currentSong: song(1),
+  startedAt: 1000,
+  pausedAt: 2000,
+  position: 30,
+  loopMode: 'queue',
+  socialAccounts: [account],
+  socialUpdates: [{ id: 'video-1', accountId: 10, text: 'Neues Video', timestamp: 1000 }],
+  theme: 'dark'
+};
+
+describeWithEmulator('ensureDefaultGuild', () => {
+  let testEnv;
+  let db;
+
+  const guildRef = () => doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID));
+  const legacyRef = () => doc(db, legacyBotDataDocPath(APP_ID, OWNER_ID));
+  const read = async ref => (await getDoc(ref)).data();
+
+  beforeAll(async () => {
+    testEnv = await setupTestEnvironment();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    db = testEnv.authenticatedContext(OWNER_ID).firestore();
+  });
+
+  it('übernimmt die bekannten Felder des alten Einzeldokuments und markiert es', async () => {
+    await setDoc(legacyRef(), legacyData);
+
+    expect(await ensureDefaultGuild(db, APP_ID, OWNER_ID)).toBe(true);
+
+    const { theme, ...knownFields } = legacyData;
+    const guild = await read(guildRef());
+    expect(guild).toEqual({ ...createEmptyBotData(), ...knownFields, name: DEFAULT_GUILD_NAME, createdAt: expect.anything() });
+    expect(guild.theme).toBeUndefined();
+    expect(guild.playHistory).toEqual([]);
+    expect(await read(legacyRef())).toEqual({ ...legacyData, theme, migratedToGuild: DEFAULT_GUILD_ID });
+  });
+
+  it('ändert beim zweiten Aufruf nichts', async () => {
+    await setDoc(legacyRef(), legacyData);
+    await ensureDefaultGuild(db, APP_ID, OWNER_ID);
+    const guild = await read(guildRef());
+    const legacy = await read(legacyRef());
+
+    expect(await ensureDefaultGuild(db, APP_ID, OWNER_ID)).toBe(false);
+
+    expect(await read(guildRef())).toEqual(guild);
+    expect(await read(legacyRef())).toEqual(legacy);
+  });
+
+  it('migriert bei gleichzeitigen Aufrufen aus zwei Tabs nur einmal', async () => {
+    await setDoc(legacyRef(), legacyData);
+    const otherTab = testEnv.authenticatedContext(OWNER_ID).firestore();
+
+    const results = await Promise.all([ensureDefaultGuild(db, APP_ID, OWNER_ID), ensureDefaultGuild(otherTab, APP_ID, OWNER_ID)]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect((await read(guildRef())).musicQueue).toEqual(legacyData.musicQueue);
+  });
+
+  it('übernimmt ein bereits migriertes Dokument nicht erneut', async () => {
+    await setDoc(legacyRef(), legacyData);
+    await ensureDefaultGuild(db, APP_ID, OWNER_ID);
+    await deleteDoc(guildRef());
+
+    expect(await ensureDefaultGuild(db, APP_ID, OWNER_ID)).toBe(false);
+
+    expect(await read(guildRef())).toEqual({ ...createEmptyBotData(), name: DEFAULT_GUILD_NAME, createdAt: expect.anything() });
+  });
+
+  it('legt ohne altes Dokument eine leere Standard-Guild an', async () => {
+    expect(await ensureDefaultGuild(db, APP_ID, OWNER_ID)).toBe(false);
+
+    expect(await read(guildRef())).toEqual({ ...createEmptyBotData(), name: DEFAULT_GUILD_NAME, createdAt: expect.anything() });
+    expect((await getDoc(legacyRef())).exists()).toBe(false);
+  });
+});
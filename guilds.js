@@ -0,0 +1,104 @@
+// Verwaltung mehrerer Discord-Server (Guilds) pro Benutzer.
+// Jede Guild hat ein eigenes Dokument mit Status, Warteschlange, aktuellem Song und Konten:
+// artifacts/{appId}/users/{userId}/guilds/{guildId}
+// Der Update-Verlauf liegt in der Untersammlung "updates" (siehe socialUpdates.js).
+import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { STOPPED_PLAYBACK } from './playback.js';
+import { LOOP_MODES } from './queue.js';
+import { commitGuildMutation, finishSong } from './guildMutations.js';
+import { mergePollResults } from './socialScheduler.js';
+import { updatesCollectionRef, updateDocId, createUpdateDoc } from './socialUpdates.js';
+
+export const DEFAULT_GUILD_ID = 'default';
+export const DEFAULT_GUILD_NAME = 'Standard-Server';
+
+// Pfade der Firestore-Dokumente und -Sammlungen
+export const guildsCollectionPath = (appId, userId) => `artifacts/${appId}/users/${userId}/guilds`;
+export const guildDocPath = (appId, userId, guildId) => `${guildsCollectionPath(appId, userId)}/${guildId}`;
+// Altes Einzeldokument aus der Zeit vor der Guild-Unterstützung
+export const legacyBotDataDocPath = (appId, userId) => `artifacts/${appId}/users/${userId}/bot_data/config`;
+
+// Bot-Daten einer frisch angelegten Guild
+export const createEmptyBotData = () => ({
+  isBotOnline: false,
+  musicQueue: [],
+  currentSong: null,
+  ...STOPPED_PLAYBACK,
+  loopMode: LOOP_MODES.OFF,
+  playHistory: [],
+  socialAccounts: []
+});
+
+// Vollständiges Dokument für eine neue Guild
+export const createGuildData = (name) => ({
+  name,
+  createdAt: serverTimestamp(),
+  ...createEmptyBotData()
+});
+
+// Prüft und bereinigt einen Guild-Namen; gibt null zurück, wenn der Name ungültig ist
+export const normalizeGuildName = (name) => {
+  const trimmed = (name || '').trim().replace(/\s+/g, ' ');
+  return trimmed.length > 0 && trimmed.length <= 100 ? trimmed : null;
+};
+
+// Legt beim ersten Laden die Standard-Guild an und übernimmt dabei die Daten aus dem alten
+// Einzeldokument "bot_data/config". Die Transaktion verhindert doppelte Migrationen aus mehreren Tabs.
+// Gibt true zurück, wenn alte Daten übernommen wurden.
+export const ensureDefaultGuild = async (db, appId, userId) => {
+  const guildDocRef = doc(db, guildDocPath(appId, userId, DEFAULT_GUILD_ID));
+  const legacyDocRef = doc(db, legacyBotDataDocPath(appId, userId));
+
+  return runTransaction(db, async (transaction) => {
+    const guildSnap = await transaction.get(guildDocRef);
+    const legacySnap = await transaction.get(legacyDocRef);
+    if (guildSnap.exists()) {
+      return false; // Bereits angelegt (z.B. von einem anderen Tab)
+    }
+    const legacyData = legacySnap.exists() && !legacySnap.data().migratedToGuild ? legacySnap.data() : null;
+    const migratedFields = {};
+    if (legacyData) {
+      // Nur bekannte Felder übernehmen, fehlende Felder mit Standardwerten auffüllen
+      // "socialUpdates" wird danach von migrateLegacySocialUpdates in die Untersammlung verschoben
+      [...Object.keys(createEmptyBotData()), 'socialUpdates'].forEach((key) => {
+        if (legacyData[key] !== undefined) migratedFields[key] = legacyData[key];
+      });
+    }
+    transaction.set(guildDocRef, { ...createGuildData(DEFAULT_GUILD_NAME), ...migratedFields });
+    if (legacyData) {
+      // Altes Dokument markieren statt löschen, damit die Migration nachvollziehbar bleibt
+      transaction.set(legacyDocRef, { migratedToGuild: DEFAULT_GUILD_ID }, { merge: true });
+    }
+    return Boolean(legacyData);
+  });
+};
+
+// Schaltet nach dem Ende eines Songs weiter (Backend-Worker).
+// Die Transaktion stellt sicher, dass bei mehreren Beteiligten nur einer weiterschaltet:
+// Läuft bereits ein anderer Song als finishedSongId, passiert nichts.
+export const advanceFinishedSong = (db, guildDocRef, finishedSongId) =>
+  commitGuildMutation(db, guildDocRef, finishSong(finishedSongId)).then(patch => patch !== null);
+
+// Speichert die Ergebnisse eines Social-Media-Abrufs (Dashboard und Backend-Worker).
+// Die Transaktion übernimmt nur die Abruf-Felder in die aktuelle Kontenliste, damit gleichzeitig
+// hinzugefügte, entfernte oder bearbeitete Konten nicht überschrieben werden. Neue Updates werden
+// als eigene Dokumente angelegt; bereits vorhandene (gleiche ID) bleiben samt Gelesen-Status unverändert.
+export const saveSocialPollResults = (db, guildDocRef, results) =>
+  runTransaction(db, async (transaction) => {
+    const newUpdates = results.flatMap(result => result.newUpdates);
+    const updateRefs = newUpdates.map(update => doc(updatesCollectionRef(guildDocRef), updateDocId(update)));
+    const docSnap = await transaction.get(guildDocRef);
+    if (!docSnap.exists()) {
+      return false; // Guild wurde inzwischen gelöscht
+    }
+    const existingUpdates = await Promise.all(updateRefs.map(ref => transaction.get(ref)));
+    transaction.update(guildDocRef, {
+      socialAccounts: mergePollResults(docSnap.data().socialAccounts || [], results)
+    });
+    newUpdates.forEach((update, index) => {
+      if (!existingUpdates[index].exists()) {
+        transaction.set(updateRefs[index], createUpdateDoc(update));
+      }
+    });
+    return true;
+  });
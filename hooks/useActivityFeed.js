@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { ACTIVITY_ACTIONS, UNDO_PERMISSIONS, getActivitySummary } from '../activityLog.js';
+import { createUndoMutation } from '../guildMutations.js';
+
+const NO_ACTIVITY_FILTER = { action: '', actorId: '' };
+
+// Aktivitätsprotokoll einer Guild: geladene Seiten mit Filter nach Aktion und Benutzer sowie "Rückgängig"
+// (siehe activityLog.js). Rückgängig läuft wie jede andere Änderung über commitMutation.
+function useActivityFeed({ storage, isAuthReady, ownerId, guildId, commitMutation, ensurePermission, i18n, showMessage }) {
+  const [entries, setEntries] = useState([]);
+  const [filter, setFilter] = useState(NO_ACTIVITY_FILTER);
+  const [pageCount, setPageCount] = useState(1); // Anzahl geladener Seiten des Protokolls
+  const [hasMore, setHasMore] = useState(false); // Gibt es ältere Einträge?
+  const [undoEntries, setUndoEntries] = useState([]); // Letzte "Rückgängig"-Einträge (auch bei aktivem Filter)
+  const { t } = i18n;
+
+  // Beim Wechsel der Guild oder des Dashboards wieder ab der ersten Seite und ohne Filter anzeigen
+  useEffect(() => {
+    setPageCount(1);
+    setFilter(NO_ACTIVITY_FILTER);
+  }, [ownerId, guildId]);
+
+  // Listener des Protokolls (alle geladenen Seiten, gefiltert)
+  useEffect(() => {
+    if (!isAuthReady || !ownerId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeActivity(ownerId, guildId, filter, pageCount, (nextEntries, nextHasMore) => {
+      setEntries(nextEntries);
+      setHasMore(nextHasMore);
+    }, (error) => {
+      console.error("Fehler beim Abrufen der Aktivität:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, ownerId, storage, guildId, filter, pageCount]);
+
+  // Listener für die letzten "Rückgängig"-Einträge, damit bereits rückgängig gemachte Aktionen
+  // auch bei gefiltertem Protokoll erkannt werden
+  useEffect(() => {
+    if (!isAuthReady || !ownerId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeActivity(ownerId, guildId, { action: ACTIVITY_ACTIONS.UNDO }, 1, setUndoEntries, (error) => {
+      console.error("Fehler beim Abrufen der Aktivität:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, ownerId, storage, guildId]);
+
+  const changeFilter = (changes) => {
+    setFilter(previous => ({ ...previous, ...changes }));
+    setPageCount(1);
+  };
+
+  const loadMore = () => setPageCount(count => count + 1);
+
+  const undo = async (entry) => {
+    if (!ensurePermission(UNDO_PERMISSIONS[entry.action])) {
+      return;
+    }
+    const result = await commitMutation(createUndoMutation(entry));
+    if (!result.ok) {
+      return;
+    }
+    showMessage(result.patch
+      ? t('activity.undoneToast', { summary: getActivitySummary(entry) })
+      : t('activity.nothingToRestore'));
+  };
+
+  return { entries, undoEntries, filter, hasMore, changeFilter, loadMore, undo };
+}
+
+export default useActivityFeed;
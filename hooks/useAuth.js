@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+
+// Anmeldung bei Firebase (mit dem Initial-Auth-Token oder anonym); im lokalen Modus ein fester lokaler Benutzer.
+// Rückgabe: { userId, isAuthReady, isLoading }
+function useAuth({ storage, auth, initialAuthToken, i18n, showMessage }) {
+  const [userId, setUserId] = useState(null); // Die Firebase-Benutzer-ID für die Datenspeicherung
+  const [isAuthReady, setIsAuthReady] = useState(false); // Zeigt an, ob die Firebase-Authentifizierung abgeschlossen ist
+  const [isLoading, setIsLoading] = useState(true); // Zeigt an, ob die Initialdaten geladen werden
+  const { t, translateMessage } = i18n;
+
+  useEffect(() => {
+    // Lokaler Modus: keine Anmeldung, ein fester lokaler Benutzer
+    if (storage.mode === 'local') {
+      setUserId(LOCAL_USER_ID);
+      setIsAuthReady(true);
+      setIsLoading(false);
+      showMessage(t('app.localModeNotice'), 5000);
+      return undefined;
+    }
+
+    const setupFirebase = async () => {
+      try {
+        // Versuche, sich mit dem bereitgestellten Initial-Auth-Token anzumelden
+        if (initialAuthToken) {
+          await signInWithCustomToken(auth, initialAuthToken);
+        } else {
+          // Wenn kein Token vorhanden ist, melde dich anonym an
+          await signInAnonymously(auth);
+        }
+      } catch (error) {
+        console.error("Fehler bei der Firebase-Authentifizierung:", error);
+        showMessage(t('app.authError', { error: translateMessage(error) }));
+      } finally {
+        setIsAuthReady(true); // Setze den Authentifizierungsstatus auf bereit
+      }
+    };
+
+    setupFirebase(); // Rufe die Setup-Funktion auf
+
+    // Listener für Änderungen im Authentifizierungsstatus
+    const unsubscribeAuth = onAuthStateChanged(auth, (user) => {
+      if (user) {
+        setUserId(user.uid); // Setze die Benutzer-ID, wenn ein Benutzer angemeldet ist
+        console.log("Benutzer angemeldet:", user.uid);
+      } else {
+        setUserId(null); // Setze die Benutzer-ID auf null, wenn kein Benutzer angemeldet ist
+        console.log("Benutzer abgemeldet.");
+      }
+      setIsLoading(false); // Beende den Ladezustand, sobald der Auth-Status geprüft wurde
+    });
+
+    // Cleanup-Funktion: Entfernt den Auth-Listener, wenn die Komponente unmontiert wird
+    return () => unsubscribeAuth();
+  }, [storage, auth, initialAuthToken]); // Läuft nur einmal beim Mounten (bzw. bei einem anderen Speicher-Backend)
+
+  return { userId, isAuthReady, isLoading };
+}
+
+export default useAuth;
@@ -0,0 +1,58 @@
+import { ACTIONS } from '../permissions.js';
+import { importBackup } from '../guildMutations.js';
+import { IMPORT_MODES, BackupError, parseBackup, createBackup, mergeBackup, getBackupFileName } from '../botBackup.js';
+
+// Sicherung der Guild als JSON-Datei (BackupPanel). Nur für Besitzer, da die Sicherung Webhook-URLs enthält.
+// Rückgabe: { exportBackup, importBackupFile }
+function useBackup({ bot, guildName, commitMutation, ensurePermission, i18n, showMessage }) {
+  const { socialAccounts, musicQueue, currentSong, loopMode } = bot;
+  const { t, translateMessage } = i18n;
+
+  // Lädt Konten, Warteschlange, aktuellen Song und Einstellungen der Guild als JSON-Datei herunter
+  const exportBackup = () => {
+    if (!ensurePermission(ACTIONS.MANAGE_GUILDS)) {
+      return;
+    }
+    const backup = createBackup({ socialAccounts, musicQueue, currentSong, loopMode }, { guildName });
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = getBackupFileName(guildName);
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showMessage(t('backup.exported'));
+  };
+
+  // Importiert eine Sicherung (auch ältere Versionen) im gewählten Modus (IMPORT_MODES)
+  const importBackupFile = async (file, importMode) => {
+    if (!file || !ensurePermission(ACTIONS.MANAGE_GUILDS)) {
+      return;
+    }
+    let backup;
+    try {
+      backup = parseBackup(await file.text());
+    } catch (error) {
+      console.error("Fehler beim Lesen der Sicherung:", error);
+      showMessage(t(error instanceof BackupError ? 'backup.importFailed' : 'backup.readError', { error: translateMessage(error) }), 5000);
+      return;
+    }
+    if (importMode === IMPORT_MODES.REPLACE
+      && !window.confirm(t('backup.confirmReplace'))) {
+      return;
+    }
+    const { summary } = mergeBackup({ socialAccounts, musicQueue, currentSong, loopMode }, backup, importMode);
+    const result = await commitMutation(importBackup(backup, importMode));
+    if (!result.ok) {
+      return;
+    }
+    const imported = t('backup.imported', {
+      accounts: t('counts.accounts', { count: summary.addedAccounts }),
+      songs: t('counts.songs', { count: summary.addedSongs })
+    });
+    showMessage(summary.skipped > 0 ? `${imported} ${t('backup.skipped', { count: summary.skipped })}` : imported, 5000);
+  };
+
+  return { exportBackup, importBackupFile };
+}
+
+export default useBackup;
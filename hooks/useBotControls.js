@@ -0,0 +1,211 @@
+import { useState, useEffect, useRef } from 'react';
+import { getSongTitle, MusicUrlError } from '../musicResolver.js';
+import { isPaused, hasPlaybackEnded } from '../playback.js';
+import { requeueSong } from '../queue.js';
+import { ACTIONS } from '../permissions.js';
+import {
+  setBotOnline, playNext, finishSong, togglePause as togglePauseMutation,
+  stopPlayback, appendSongs, insertSongsNext, removeSong, moveSong, shuffleSongs, cycleLoopMode as cycleLoopModeMutation
+} from '../guildMutations.js';
+import { MAX_PLAYLIST_IMPORT_ENTRIES, parsePlaylistText, resolvePlaylistEntries } from '../playlistImport.js';
+
+// Bot-Status, Wiedergabe und Warteschlange der Guild (BotStatusPanel, MusicPanel und Chat-Konsole).
+// Alle Änderungen laufen über commitMutation (siehe useGuildSubscription) und arbeiten mit Song-IDs
+// auf der aktuellen Warteschlange des Servers (siehe guildMutations.js).
+function useBotControls({ bot, now, userId, canControlQueue, commitMutation, ensurePermission, musicResolver, i18n, showMessage, respond }) {
+  const [isResolvingMusic, setIsResolvingMusic] = useState(false); // Zeigt an, ob gerade Song-Metadaten geladen werden
+  const [isImportingPlaylist, setIsImportingPlaylist] = useState(false); // Lade-Status beim Playlist-Import
+  const advancingSongIdRef = useRef(null); // Verhindert mehrfaches automatisches Weiterschalten für denselben Song
+  const { isBotOnline, currentSong, playback, musicQueue } = bot;
+  const { t, translateMessage } = i18n;
+
+  // Funktion zum Umschalten des Bot-Status (Online/Offline)
+  const toggleBotStatus = async () => {
+    if (!ensurePermission(ACTIONS.TOGGLE_BOT)) {
+      return;
+    }
+    const newStatus = !isBotOnline;
+    const result = await commitMutation(setBotOnline(newStatus));
+    if (result.ok) {
+      showMessage(newStatus ? t('bot.nowOnline') : t('bot.nowOffline'));
+    }
+  };
+
+  // url: zu ladende URL (Eingabefeld der Musiksteuerung oder /play)
+  // position: 'end' hängt die Songs hinten an, 'next' fügt sie direkt nach dem aktuellen Song ein
+  const addMusicToQueue = async ({ url = '', position = 'end' } = {}) => {
+    if (!ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    if (url.trim() === '') {
+      return respond(false, t('music.enterUrl'));
+    }
+    setIsResolvingMusic(true);
+    try {
+      // Löse die URL in Song-Objekte mit echten Metadaten auf (Playlists ergeben mehrere Einträge)
+      const songs = await musicResolver.resolve(url);
+      // Hinten anhängen per arrayUnion, "Als Nächstes" per Transaktion auf der aktuellen Warteschlange
+      const result = await commitMutation(position === 'next' ? insertSongsNext(songs) : appendSongs(songs));
+      if (!result.ok) {
+        return result;
+      }
+      return respond(true, t(position === 'next' ? 'music.addedNext' : 'music.added', { count: songs.length, title: getSongTitle(songs[0]) }));
+    } catch (error) {
+      console.error("Fehler beim Auflösen der Musik-URL:", error);
+      return respond(false, error instanceof MusicUrlError
+        ? translateMessage(error)
+        : t('music.resolveError', { error: translateMessage(error) }));
+    } finally {
+      setIsResolvingMusic(false);
+    }
+  };
+
+  // Importiert eine Textdatei mit einer URL pro Zeile oder eine M3U/M3U8-Playlist ans Ende der Warteschlange
+  const importPlaylistFile = async (file) => {
+    if (!file || !ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    setIsImportingPlaylist(true);
+    try {
+      const entries = parsePlaylistText(await file.text());
+      if (entries.length === 0) {
+        showMessage(t('playlist.noUrls'));
+        return;
+      }
+      const { songs, failures, truncated } = await resolvePlaylistEntries(entries, musicResolver);
+      if (songs.length === 0) {
+        showMessage(t('playlist.noneResolved', { line: failures[0].line, error: translateMessage(failures[0].reason) }), 5000);
+        return;
+      }
+      const result = await commitMutation(appendSongs(songs));
+      if (!result.ok) {
+        return;
+      }
+      const notes = [
+        failures.length > 0 ? t('playlist.skippedLines', { count: failures.length, line: failures[0].line }) : null,
+        truncated ? t('playlist.truncated', { count: MAX_PLAYLIST_IMPORT_ENTRIES }) : null
+      ].filter(Boolean);
+      const imported = t('playlist.imported', { count: songs.length, file: file.name });
+      showMessage(notes.length > 0 ? `${imported} ${notes.join(', ')}.` : imported, notes.length > 0 ? 5000 : 3000);
+    } catch (error) {
+      console.error("Fehler beim Importieren der Playlist:", error);
+      showMessage(t('playlist.importError', { error: translateMessage(error) }));
+    } finally {
+      setIsImportingPlaylist(false);
+    }
+  };
+
+  // skipped: true beim Überspringen, damit der Wiederholungsmodus "track" den Song nicht erneut startet
+  const playNextSong = async ({ skipped = false } = {}) => {
+    if (!ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    // Nächsten Song unter Berücksichtigung von Wiederholungsmodus und Verlauf bestimmen
+    const previousSongId = currentSong ? currentSong.id : null;
+    const result = await commitMutation(playNext({ skipped }));
+    if (!result.ok) {
+      return result;
+    }
+    const nextSong = result.patch.currentSong;
+    if (nextSong) {
+      return respond(true, t(nextSong.id === previousSongId ? 'music.repeating' : 'music.playing', { title: getSongTitle(nextSong) }));
+    }
+    return respond(true, t('music.queueEmpty'));
+  };
+
+  // Schaltet automatisch weiter, wenn die Dauer des aktuellen Songs abgelaufen ist
+  const handleSongFinished = async (finishedSongId) => {
+    if (!userId) {
+      return;
+    }
+    // Die Transaktion stellt sicher, dass bei mehreren Dashboards (und dem Worker) nur einer weiterschaltet
+    await commitMutation(finishSong(finishedSongId));
+  };
+
+  // Effekt-Hook für das automatische Weiterschalten am Ende eines Songs (nur mit Berechtigung zur Wiedergabesteuerung)
+  useEffect(() => {
+    if (canControlQueue && hasPlaybackEnded(currentSong, playback, now) && advancingSongIdRef.current !== currentSong.id) {
+      advancingSongIdRef.current = currentSong.id;
+      handleSongFinished(currentSong.id);
+    }
+  }, [now, currentSong, playback, canControlQueue]);
+
+  // Pausiert den aktuellen Song bzw. setzt ihn fort
+  const togglePause = async () => {
+    if (!currentSong || !ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    const wasPaused = isPaused(playback);
+    const result = await commitMutation(togglePauseMutation());
+    if (result.ok && result.patch) {
+      showMessage(wasPaused ? t('music.resumed', { title: getSongTitle(currentSong) }) : t('music.pausedToast'));
+    }
+  };
+
+  const skipSong = () => {
+    return playNextSong({ skipped: true }); // Simuliert das Überspringen, indem einfach der nächste Song abgespielt wird
+  };
+
+  const updateQueue = async (mutation, successMessage) => {
+    if (!ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    const result = await commitMutation(mutation);
+    if (result.ok && successMessage) {
+      showMessage(successMessage);
+    }
+  };
+
+  const removeFromQueue = (songId) => updateQueue(removeSong(songId), t('music.removed'));
+
+  const moveInQueue = (fromIndex, toIndex) => {
+    const song = musicQueue[fromIndex];
+    return song && updateQueue(moveSong(song.id, toIndex));
+  };
+
+  const shuffleMusicQueue = () => updateQueue(shuffleSongs(), t('music.shuffled'));
+
+  const cycleLoopMode = async () => {
+    if (!ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    const result = await commitMutation(cycleLoopModeMutation());
+    if (result.ok) {
+      showMessage(t(`music.loopChanged.${result.patch.loopMode}`));
+    }
+  };
+
+  // Fügt einen Song aus dem Verlauf erneut hinten an die Warteschlange an
+  const requeueFromHistory = (entry) =>
+    updateQueue(appendSongs([requeueSong(entry)]), t('music.requeued', { title: entry.title }));
+
+  const stopMusic = async () => {
+    if (!ensurePermission(ACTIONS.CONTROL_QUEUE)) {
+      return;
+    }
+    const result = await commitMutation(stopPlayback()); // Aktuellen Song stoppen und Warteschlange leeren
+    if (!result.ok) {
+      return result;
+    }
+    return respond(true, t('music.stopped'));
+  };
+
+  return {
+    isResolvingMusic,
+    isImportingPlaylist,
+    toggleBotStatus,
+    addMusicToQueue,
+    importPlaylistFile,
+    playNextSong,
+    togglePause,
+    skipSong,
+    stopMusic,
+    shuffleMusicQueue,
+    cycleLoopMode,
+    removeFromQueue,
+    moveInQueue,
+    requeueFromHistory
+  };
+}
+
+export default useBotControls;
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_GUILD_ID, normalizeGuildName } from '../guilds.js';
+import { ROLES, ACTIONS, can } from '../permissions.js';
+
+// Angezeigtes Dashboard (eigenes oder geteiltes), die eigene Rolle darin und die Guilds des Besitzers.
+// Rückgabe: Dashboard- und Guild-Zustand, ensurePermission sowie die Aktionen des GuildPanels
+function useDashboard({ storage, userId, isAuthReady, i18n, showMessage, respond }) {
+  const [activeOwnerId, setActiveOwnerId] = useState(null); // Besitzer des angezeigten Dashboards (null = eigenes)
+  const [memberRole, setMemberRole] = useState(null); // Eigene Rolle in einem geteilten Dashboard
+  const [sharedDashboards, setSharedDashboards] = useState([]); // Dashboards, in die der Benutzer eingeladen wurde
+  const [guilds, setGuilds] = useState([]); // Alle Discord-Server (Guilds) des Besitzers
+  const [selectedGuildId, setSelectedGuildId] = useState(DEFAULT_GUILD_ID); // Aktuell verwaltete Guild
+  const { t, translateMessage } = i18n;
+
+  // Das angezeigte Dashboard gehört entweder dem Benutzer selbst oder einem Besitzer, der ihn eingeladen hat
+  const dashboardOwnerId = activeOwnerId || userId;
+  const isOwnDashboard = dashboardOwnerId === userId;
+  const role = isOwnDashboard ? ROLES.OWNER : memberRole;
+
+  // Wechselt zwischen dem eigenen (ownerId = null) und einem geteilten Dashboard
+  const switchDashboard = (ownerId) => {
+    setActiveOwnerId(ownerId && ownerId !== userId ? ownerId : null);
+    setGuilds([]);
+    setSelectedGuildId(DEFAULT_GUILD_ID);
+  };
+
+  // Effekt-Hook für die Liste der mit dem Benutzer geteilten Dashboards
+  useEffect(() => {
+    if (!isAuthReady || !userId || !storage.supportsSharing) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeSharedDashboards(userId, setSharedDashboards, (error) => {
+      console.error("Fehler beim Abrufen der geteilten Dashboards:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, userId, storage]);
+
+  // Effekt-Hook für die eigene Rolle in einem geteilten Dashboard.
+  // Maßgeblich ist der Mitgliedseintrag beim Besitzer; wird er entfernt, wechselt die Ansicht zurück.
+  useEffect(() => {
+    if (!isAuthReady || !userId || !storage.supportsSharing || isOwnDashboard) {
+      setMemberRole(null);
+      return;
+    }
+
+    const unsubscribe = storage.subscribeMemberRole(dashboardOwnerId, userId, (sharedRole) => {
+      if (sharedRole) {
+        setMemberRole(sharedRole);
+      } else {
+        showMessage(t('dashboard.accessRevoked'));
+        switchDashboard(null);
+      }
+    }, (error) => {
+      console.error("Fehler beim Abrufen der Mitgliedsrolle:", error);
+      showMessage(t('dashboard.noAccess', { error: translateMessage(error) }));
+      switchDashboard(null);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, userId, storage, dashboardOwnerId, isOwnDashboard]);
+
+  // Effekt-Hook für den Listener der Guild-Liste
+  useEffect(() => {
+    if (!isAuthReady || !dashboardOwnerId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeGuilds(dashboardOwnerId, (guildList) => {
+      if (guildList.length === 0) {
+        if (!isOwnDashboard) {
+          setGuilds([]);
+          return; // Nur der Besitzer legt die Standard-Guild an
+        }
+        // Erster Aufruf: Standard-Guild anlegen und ggf. das alte Einzeldokument übernehmen
+        storage.ensureDefaultGuild(userId)
+          .then((migrated) => migrated && showMessage(t('guilds.migrated')))
+          .catch(e => console.error("Fehler beim Anlegen der Standard-Guild:", e));
+        return;
+      }
+      setGuilds(guildList);
+    }, (error) => {
+      console.error("Fehler beim Abrufen der Guilds:", error);
+      showMessage(t('guilds.loadError', { error: translateMessage(error) }));
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, userId, storage, dashboardOwnerId, isOwnDashboard]);
+
+  // Falls die ausgewählte Guild gelöscht wurde, auf die erste vorhandene Guild wechseln
+  useEffect(() => {
+    if (guilds.length > 0 && !guilds.some(guild => guild.id === selectedGuildId)) {
+      setSelectedGuildId(guilds[0].id);
+    }
+  }, [guilds, selectedGuildId]);
+
+  // Prüft eine Berechtigung und zeigt einen Hinweis an, wenn die eigene Rolle sie nicht erlaubt
+  const ensurePermission = (action) => {
+    if (can(role, action)) {
+      return true;
+    }
+    showMessage(t('app.permissionDenied', { role: role ? t(`roles.${role}`) : t('app.noRole') }));
+    return false;
+  };
+
+  // Legt eine Guild an (mode 'create') oder benennt die ausgewählte um (mode 'rename')
+  const saveGuild = async (mode, nameInput) => {
+    if (!ensurePermission(ACTIONS.MANAGE_GUILDS)) {
+      return;
+    }
+    const name = normalizeGuildName(nameInput);
+    if (!name) {
+      return respond(false, t('guilds.invalidName'));
+    }
+    if (!userId) {
+      return respond(false, t('app.notAuthenticated'));
+    }
+    try {
+      if (mode === 'create') {
+        const newGuildId = await storage.createGuild(dashboardOwnerId, name);
+        setSelectedGuildId(newGuildId);
+        return respond(true, t('guilds.created', { name }));
+      }
+      await storage.renameGuild(dashboardOwnerId, selectedGuildId, name);
+      return respond(true, t('guilds.renamed', { name }));
+    } catch (e) {
+      console.error("Fehler beim Speichern der Guild:", e);
+      return respond(false, t('guilds.saveError', { error: translateMessage(e) }));
+    }
+  };
+
+  const deleteSelectedGuild = async () => {
+    const selectedGuild = guilds.find(guild => guild.id === selectedGuildId);
+    if (!selectedGuild || !userId || !ensurePermission(ACTIONS.MANAGE_GUILDS)) {
+      return;
+    }
+    if (guilds.length <= 1) {
+      showMessage(t('guilds.cannotDeleteLast'));
+      return;
+    }
+    if (!window.confirm(t('guilds.confirmDelete', { name: selectedGuild.name }))) {
+      return;
+    }
+    try {
+      await storage.deleteGuild(dashboardOwnerId, selectedGuild.id);
+      setSelectedGuildId(guilds.find(guild => guild.id !== selectedGuild.id).id);
+      showMessage(t('guilds.deleted', { name: selectedGuild.name }));
+    } catch (e) {
+      console.error("Fehler beim Löschen der Guild:", e);
+      showMessage(t('guilds.deleteError', { error: translateMessage(e) }));
+    }
+  };
+
+  const selectedGuild = guilds.find(guild => guild.id === selectedGuildId) || null;
+
+  return {
+    activeOwnerId,
+    dashboardOwnerId,
+    isOwnDashboard,
+    role,
+    sharedDashboards,
+    guilds,
+    selectedGuildId,
+    selectedGuild,
+    ensurePermission,
+    switchDashboard,
+    selectGuild: setSelectedGuildId,
+    saveGuild,
+    deleteSelectedGuild
+  };
+}
+
+export default useDashboard;
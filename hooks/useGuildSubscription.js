@@ -0,0 +1,67 @@
+import { useEffect, useReducer } from 'react';
+import { botStoreReducer, createInitialBotStoreState, guildLoaded, mutationApplied, rolledBack } from '../botStore.js';
+
+// Bot-Daten einer Guild (angezeigt, zuletzt bestätigt, Worker-Status, siehe botStore.js) mit Echtzeit-Listener
+// (Firestore: artifacts/{appId}/users/{ownerId}/guilds/{guildId}).
+// Rückgabe: { botState, commitMutation }
+function useGuildSubscription({ storage, isAuthReady, userId, ownerId, guildId, isOwnDashboard, i18n, showMessage, respond }) {
+  const [botState, dispatchBotState] = useReducer(botStoreReducer, undefined, createInitialBotStoreState);
+  const { t, translateMessage } = i18n;
+
+  useEffect(() => {
+    // Führe den Listener nur aus, wenn Authentifizierung bereit und Benutzer-ID vorhanden ist
+    if (!isAuthReady || !ownerId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeGuild(ownerId, guildId, (guildData) => {
+      // Fehlt die Guild (noch nicht angelegt oder gelöscht), werden Standardwerte angezeigt.
+      dispatchBotState(guildLoaded(guildData));
+      // Alte Dokumente enthalten die letzten Updates noch als Array; der Besitzer verschiebt sie in den Verlauf
+      if (guildData && Array.isArray(guildData.socialUpdates) && isOwnDashboard) {
+        storage.migrateLegacySocialUpdates(ownerId, guildId)
+          .catch(e => console.error("Fehler beim Übernehmen der alten Updates:", e));
+      }
+    }, (error) => {
+      console.error("Fehler beim Abrufen der Bot-Daten:", error);
+      showMessage(t('app.loadDataError', { error: translateMessage(error) }));
+    });
+
+    // Cleanup-Funktion: Entfernt den Listener beim Wechsel der Guild oder wenn die Komponente unmontiert wird
+    return () => unsubscribe();
+  }, [isAuthReady, ownerId, storage, guildId, isOwnDashboard]);
+
+  // Führt eine Änderung aus guildMutations.js aus: sofort lokal (optimistisch), dann atomar auf den
+  // aktuellen Serverdaten (offline vorgemerkt, siehe firestoreStorage.js). Schlägt das Schreiben fehl,
+  // wird der zuletzt bestätigte Serverzustand wiederhergestellt.
+  // Rückgabe: { ok, patch } mit dem lokal angewendeten Patch (null, wenn es nichts zu tun gab) bzw. { ok: false, message }
+  const commitMutation = async (mutation) => {
+    if (!userId) {
+      return respond(false, t('app.notAuthenticated'));
+    }
+    // Lokale Schätzung bis zur Bestätigung durch den Server; der Store führt dieselbe Änderung mit demselben Zeitstempel aus
+    const timestamp = Date.now();
+    const patch = mutation.apply(botState.bot, timestamp);
+    if (!patch) {
+      return { ok: true, patch: null };
+    }
+    dispatchBotState(mutationApplied(mutation, timestamp));
+    try {
+      // Inkl. Eintrag im Aktivitätsprotokoll; null, wenn es auf dem Stand des Servers nichts zu tun gab
+      const committedPatch = await storage.commitMutation(ownerId, guildId, mutation, userId);
+      if (!committedPatch) {
+        dispatchBotState(rolledBack());
+        return { ok: true, patch: null };
+      }
+      return { ok: true, patch };
+    } catch (e) {
+      console.error("Fehler beim Speichern der Bot-Daten:", e);
+      dispatchBotState(rolledBack());
+      return respond(false, t('app.changeNotSaved', { error: translateMessage(e) }));
+    }
+  };
+
+  return { botState, commitMutation };
+}
+
+export default useGuildSubscription;
@@ -0,0 +1,81 @@
+/** @jest-environment jsdom */
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useGuildSubscription from './useGuildSubscription.js';
+import { LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID } from '../guilds.js';
+import { appendSongs, setBotOnline } from '../guildMutations.js';
+import { createI18n } from '../i18n.js';
+import { createTestStorage, createTestSong, readGuild } from '../test/renderApp.js';
+
+const i18n = createI18n('de');
+
+// Rendert den Hook für die Standard-Guild des lokalen Benutzers; respond liefert wie in App.js { ok, message }
+const renderGuildSubscription = async (storage) => {
+  await storage.ensureDefaultGuild(LOCAL_USER_ID);
+  const respond = jest.fn((ok, message) => ({ ok, message }));
+  const hook = renderHook(() => useGuildSubscription({
+    storage,
+    isAuthReady: true,
+    userId: LOCAL_USER_ID,
+    ownerId: LOCAL_USER_ID,
+    guildId: DEFAULT_GUILD_ID,
+    isOwnDashboard: true,
+    i18n,
+    showMessage: jest.fn(),
+    respond
+  }));
+  await waitFor(() => expect(hook.result.current.botState.bot.isBotOnline).toBe(false));
+  return { ...hook, respond };
+};
+
+describe('useGuildSubscription', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('zeigt eine Änderung sofort an und übernimmt sie in den Speicher', async () => {
+    const storage = createTestStorage();
+    const { result } = await renderGuildSubscription(storage);
+    const song = createTestSong('https://cdn.example.com/eins.mp3');
+
+    let commit;
+    await act(async () => {
+      commit = await result.current.commitMutation(appendSongs([song]));
+    });
+
+    expect(commit).toEqual({ ok: true, patch: expect.objectContaining({ musicQueue: [song] }) });
+    expect(result.current.botState.bot.musicQueue).toEqual([song]);
+    expect(readGuild(storage).musicQueue).toEqual([song]);
+  });
+
+  it('stellt nach einem fehlgeschlagenen Schreiben den bestätigten Zustand wieder her', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const storage = createTestStorage();
+    const failingStorage = { ...storage, commitMutation: jest.fn(() => Promise.reject(new Error('offline'))) };
+    const { result, respond } = await renderGuildSubscription(failingStorage);
+
+    let commit;
+    await act(async () => {
+      commit = await result.current.commitMutation(setBotOnline(true));
+    });
+
+    expect(commit.ok).toBe(false);
+    expect(respond).toHaveBeenCalledWith(false, i18n.t('app.changeNotSaved', { error: 'offline' }));
+    expect(result.current.botState.bot.isBotOnline).toBe(false);
+    expect(readGuild(storage).isBotOnline).toBe(false);
+  });
+
+  it('verlangt eine Anmeldung', async () => {
+    const storage = createTestStorage();
+    await storage.ensureDefaultGuild(LOCAL_USER_ID);
+    const respond = jest.fn((ok, message) => ({ ok, message }));
+    const { result } = renderHook(() => useGuildSubscription({
+      storage, isAuthReady: true, userId: null, ownerId: null, guildId: DEFAULT_GUILD_ID,
+      isOwnDashboard: true, i18n, showMessage: jest.fn(), respond
+    }));
+
+    const commit = await result.current.commitMutation(setBotOnline(true));
+
+    expect(commit).toEqual({ ok: false, message: i18n.t('app.notAuthenticated') });
+  });
+});
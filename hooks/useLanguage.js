@@ -0,0 +1,21 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createI18n, detectLanguage } from '../i18n.js';
+
+// Sprache der Oberfläche, zunächst die Browsersprache. Die gespeicherte Wahl des Benutzers übernimmt
+// useUserSettings nach der Anmeldung (die selbst schon übersetzte Hinweise anzeigt).
+// Rückgabe: { language, i18n, setLanguage }
+function useLanguage() {
+  const [language, setLanguage] = useState(detectLanguage);
+
+  // Übersetzung und Datumsformatierung für die gewählte Sprache (siehe i18n.js)
+  const i18n = useMemo(() => createI18n(language), [language]);
+
+  // Sprache des Dokuments für Screenreader und die Silbentrennung des Browsers
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return { language, i18n, setLanguage };
+}
+
+export default useLanguage;
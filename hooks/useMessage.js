@@ -0,0 +1,28 @@
+import { useState, useRef } from 'react';
+
+// Temporäre Nachricht am oberen Bildschirmrand (z.B. "Song hinzugefügt")
+// Rückgabe: { message, showMessage(msg, duration), respond(ok, msg) }
+function useMessage() {
+  const [message, setMessage] = useState('');
+  const messageTimeoutRef = useRef(null); // Referenz für den Timeout der Nachrichtenanzeige
+
+  const showMessage = (msg, duration = 3000) => {
+    setMessage(msg);
+    if (messageTimeoutRef.current) {
+      clearTimeout(messageTimeoutRef.current); // Vorherigen Timeout löschen, falls vorhanden
+    }
+    messageTimeoutRef.current = setTimeout(() => {
+      setMessage(''); // Nachricht nach 'duration' Millisekunden ausblenden
+    }, duration);
+  };
+
+  // Zeigt eine Nachricht an und liefert sie als Ergebnis zurück, damit z.B. die Chat-Konsole darauf antworten kann
+  const respond = (ok, msg) => {
+    showMessage(msg);
+    return { ok, message: msg };
+  };
+
+  return { message, showMessage, respond };
+}
+
+export default useMessage;
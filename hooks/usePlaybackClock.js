@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { isPaused } from '../playback.js';
+
+// Aktuelle Uhrzeit für die Fortschrittsanzeige: jede Sekunde, solange ein Song läuft, sonst alle 5 Sekunden
+// (für die Auswertung des Worker-Heartbeats).
+// Die Position selbst stammt immer aus den gemeinsamen Zeitstempeln im Dokument, nicht aus diesem Timer.
+function usePlaybackClock(currentSong, playback) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const isPlaying = currentSong && !isPaused(playback);
+    setNow(Date.now());
+    const intervalId = setInterval(() => setNow(Date.now()), isPlaying ? 1000 : 5000);
+    return () => clearInterval(intervalId);
+  }, [currentSong, playback]);
+
+  return now;
+}
+
+export default usePlaybackClock;
@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import { ACTIONS } from '../permissions.js';
+import { SYSTEM_ACTOR_ID } from '../activityLog.js';
+import { readSchedule, createScheduleRunner } from '../botSchedule.js';
+
+// Zeitplan einer Guild (siehe botSchedule.js). Im lokalen Modus gibt es keinen Backend-Worker;
+// dann führt das geöffnete Dashboard den Zeitplan aus.
+// Rückgabe: { schedule, saveSchedule }
+function useSchedule({ storage, isAuthReady, ownerId, guildId, ensurePermission, i18n, respond }) {
+  const [schedule, setSchedule] = useState(readSchedule);
+  const { t, translateMessage } = i18n;
+
+  useEffect(() => {
+    if (!isAuthReady || !ownerId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeSchedule(ownerId, guildId, setSchedule, (error) => {
+      console.error("Fehler beim Abrufen des Zeitplans:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, ownerId, storage, guildId]);
+
+  useEffect(() => {
+    if (!isAuthReady || !ownerId || storage.mode !== 'local') {
+      return;
+    }
+
+    let currentSchedule = null;
+    const unsubscribe = storage.subscribeSchedule(ownerId, guildId, (nextSchedule) => {
+      currentSchedule = nextSchedule;
+    });
+    const runner = createScheduleRunner({
+      getSchedule: () => currentSchedule,
+      commitMutation: mutation => storage.commitMutation(ownerId, guildId, mutation, SYSTEM_ACTOR_ID),
+      markEventStarted: (eventId, startedAt) => storage.markScheduleEventStarted(ownerId, guildId, eventId, startedAt)
+    });
+    runner.start();
+
+    return () => {
+      unsubscribe();
+      runner.stop();
+    };
+  }, [isAuthReady, ownerId, storage, guildId]);
+
+  // Speichert den im SchedulePanel geänderten Zeitplan (die Eingaben prüft das Panel)
+  const saveSchedule = async (nextSchedule) => {
+    if (!ensurePermission(ACTIONS.MANAGE_SCHEDULE)) {
+      return;
+    }
+    try {
+      await storage.saveSchedule(ownerId, guildId, nextSchedule);
+    } catch (e) {
+      console.error("Fehler beim Speichern des Zeitplans:", e);
+      return respond(false, t('app.saveDataError', { error: translateMessage(e) }));
+    }
+    return respond(true, t('schedule.saved'));
+  };
+
+  return { schedule, saveSchedule };
+}
+
+export default useSchedule;
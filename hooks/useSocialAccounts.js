@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { ACTIONS } from '../permissions.js';
+import { addAccount, removeAccount, updateAccount } from '../guildMutations.js';
+import { AccountInputError, normalizeAccountInput, findDuplicateAccount } from '../socialAccounts.js';
+import {
+  DEFAULT_POLL_INTERVAL_MINUTES, MIN_POLL_INTERVAL_MINUTES, MAX_POLL_INTERVAL_MINUTES,
+  pollAccount, normalizePollInterval, normalizeWebhookUrl, isAnnouncementHeld
+} from '../socialScheduler.js';
+import { evaluateSchedule } from '../botSchedule.js';
+
+// Verfolgte Social-Media-Konten der Guild: anlegen, entfernen, Abruf-Einstellungen und sofortiger Abruf
+// (SocialPanel und Chat-Konsole). onAccountRemoved(id) wird nach dem Entfernen eines Kontos aufgerufen.
+function useSocialAccounts({
+  storage, ownerId, guildId, socialAccounts, schedule, commitMutation, ensurePermission, onAccountRemoved,
+  socialFetchers, webhookClient, i18n, showMessage, respond
+}) {
+  const [isFetchingUpdates, setIsFetchingUpdates] = useState(false); // Zeigt an, ob gerade Feeds abgerufen werden
+  const { t, translateMessage } = i18n;
+
+  // type/url: Kontodaten aus dem Eingabefeld oder der Chat-Konsole
+  // onInputError: zeigt Eingabefehler direkt unter dem Feld an (ohne: Hinweis bzw. Antwort in der Chat-Konsole)
+  const addSocialAccount = async ({ type, url, onInputError } = {}) => {
+    if (!ensurePermission(ACTIONS.MANAGE_ACCOUNTS)) {
+      return;
+    }
+    const reject = (msg) => {
+      if (onInputError) {
+        onInputError(msg);
+        return { ok: false, message: msg };
+      }
+      return respond(false, msg);
+    };
+    // Eingabe prüfen und in die kanonische Form bringen (z.B. "twitch.tv/Name" -> https://www.twitch.tv/name)
+    let normalized;
+    try {
+      normalized = normalizeAccountInput(type, url);
+    } catch (error) {
+      if (error instanceof AccountInputError) {
+        return reject(translateMessage(error));
+      }
+      throw error;
+    }
+    const duplicate = findDuplicateAccount(socialAccounts, { type, url: normalized.url });
+    if (duplicate) {
+      return reject(t('social.alreadyTracked', { type: t(`accountTypes.${type}`), handle: normalized.handle }));
+    }
+    // Erstelle ein neues Social-Media-Konto-Objekt
+    const newAccount = {
+      id: Date.now(),
+      type,
+      url: normalized.url, // Kanonische Profil- bzw. Feed-URL
+      handle: normalized.handle, // Kanonischer Handle für die Anzeige
+      channelId: normalized.channelId || null, // YouTube-Kanal-ID, falls direkt angegeben
+      lastFetched: null, // Zeitpunkt des letzten erfolgreichen Abrufs
+      lastSeenItemId: null, // Neuester bereits gesehener Feed-Eintrag (Deduplizierung)
+      lastError: null, // Fehlermeldung des letzten Abrufs
+      lastErrorKey: null, // Übersetzungsschlüssel der Fehlermeldung (errors.feed.*, errors.webhook.*)
+      lastErrorParams: null,
+      failureCount: 0, // Fehlschläge in Folge (für den Backoff)
+      retryAt: null, // Nächster Versuch nach einem Fehler
+      pollIntervalMinutes: DEFAULT_POLL_INTERVAL_MINUTES, // Abrufintervall des Zeitplans im Worker
+      webhookUrl: '', // Discord-Webhook des Zielkanals (leer = keine Ankündigungen)
+      announcementTemplate: '' // Eigene Vorlage (leer = Standardvorlage der Plattform)
+    };
+    const result = await commitMutation(addAccount(newAccount)); // Prüft Duplikate erneut auf dem Stand des Servers
+    if (!result.ok) {
+      return result;
+    }
+    if (!result.patch) {
+      return reject(t('social.alreadyTracked', { type: t(`accountTypes.${type}`), handle: normalized.handle }));
+    }
+    return respond(true, t('social.accountAdded', { type: t(`accountTypes.${type}`), handle: normalized.handle }));
+  };
+
+  // Entfernt ein Konto; auf Nachfrage wird auch sein Update-Verlauf gelöscht
+  const removeSocialAccount = async (id) => {
+    if (!ensurePermission(ACTIONS.MANAGE_ACCOUNTS)) {
+      return;
+    }
+    const account = socialAccounts.find(acc => acc.id === id);
+    if (!account) {
+      return respond(false, t('social.accountNotFound'));
+    }
+    const deleteHistory = window.confirm(t('social.confirmDeleteHistory', { type: t(`accountTypes.${account.type}`), url: account.url }));
+    const result = await commitMutation(removeAccount(id)); // Entferne das Konto
+    if (!result.ok) {
+      return result;
+    }
+    onAccountRemoved(id);
+    if (!deleteHistory) {
+      return respond(true, t('social.accountRemoved'));
+    }
+    try {
+      const deletedCount = await storage.deleteAccountUpdates(ownerId, guildId, id);
+      return respond(true, t('social.accountAndUpdatesRemoved', { count: deletedCount }));
+    } catch (e) {
+      console.error("Fehler beim Löschen des Update-Verlaufs:", e);
+      return respond(false, t('social.historyDeleteFailed', { error: translateMessage(e) }));
+    }
+  };
+
+  // Speichert die Abruf-Einstellungen eines Kontos (Eingaben: pollIntervalMinutes, webhookUrl, announcementTemplate)
+  const saveAccountSettings = async (accountId, input) => {
+    if (!ensurePermission(ACTIONS.MANAGE_ACCOUNTS)) {
+      return;
+    }
+    const pollIntervalMinutes = normalizePollInterval(input.pollIntervalMinutes);
+    if (pollIntervalMinutes === null) {
+      return respond(false, t('social.invalidInterval', { min: MIN_POLL_INTERVAL_MINUTES, max: MAX_POLL_INTERVAL_MINUTES }));
+    }
+    const webhookUrl = normalizeWebhookUrl(input.webhookUrl);
+    if (webhookUrl === null) {
+      return respond(false, t('social.invalidWebhook'));
+    }
+    const result = await commitMutation(updateAccount(accountId, {
+      pollIntervalMinutes,
+      webhookUrl,
+      announcementTemplate: input.announcementTemplate.trim()
+    }));
+    if (result.ok) {
+      showMessage(t('social.settingsSaved'));
+    }
+    return result;
+  };
+
+  // Ruft sofort alle verfolgten Konten ab (wie der Zeitplan im Worker) und kündigt neue Einträge
+  // über die Webhooks der Konten an. Fehler einzelner Konten brechen den Abruf nicht ab, sondern werden am Konto gespeichert.
+  const fetchSocialUpdates = async () => {
+    if (!ensurePermission(ACTIONS.MANAGE_ACCOUNTS)) {
+      return;
+    }
+    if (socialAccounts.length === 0) {
+      showMessage(t('social.noAccountsToFetch'));
+      return;
+    }
+
+    setIsFetchingUpdates(true);
+    const fetchedAt = Date.now();
+    // In der Ruhezeit des Zeitplans werden Konten mit Webhook (wie im Worker) erst danach abgerufen
+    const quiet = evaluateSchedule(schedule, fetchedAt).quiet;
+    const heldCount = socialAccounts.filter(account => isAnnouncementHeld(account, quiet)).length;
+    const results = await Promise.all(socialAccounts
+      .filter(account => !isAnnouncementHeld(account, quiet))
+      .map(account => pollAccount(account, { fetchers: socialFetchers, webhook: webhookClient, now: fetchedAt })));
+    try {
+      // Die Transaktion übernimmt nur die Abruf-Felder, damit gleichzeitige Änderungen erhalten bleiben
+      await storage.saveSocialPollResults(ownerId, guildId, results);
+    } catch (e) {
+      console.error("Fehler beim Speichern der Social-Media-Updates:", e);
+      showMessage(t('app.saveDataError', { error: translateMessage(e) }));
+      return;
+    } finally {
+      setIsFetchingUpdates(false);
+    }
+
+    const newUpdateCount = results.reduce((count, result) => count + result.newUpdates.length, 0);
+    const failedCount = results.filter(result => result.failed).length;
+    const summary = [newUpdateCount === 0 ? t('social.noNewUpdates') : t('social.newUpdates', { count: newUpdateCount })];
+    if (failedCount > 0) {
+      summary.push(t('social.failedAccounts', { count: failedCount }));
+    }
+    if (heldCount > 0) {
+      summary.push(t('social.heldForQuietHours', { count: heldCount }));
+    }
+    showMessage(summary.join(' '));
+  };
+
+  return { isFetchingUpdates, addSocialAccount, removeSocialAccount, saveAccountSettings, fetchSocialUpdates };
+}
+
+export default useSocialAccounts;
@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react';
+import { SYNC_STATUS } from '../syncStatus.js';
+
+// Sync-Status des Speichers für die Anzeige im Kopfbereich (siehe syncStatus.js)
+function useSyncStatus(storage) {
+  const [syncState, setSyncState] = useState({ status: SYNC_STATUS.SYNCED, pendingCount: 0, error: null });
+
+  useEffect(() => storage.subscribeSyncStatus(setSyncState), [storage]);
+
+  return syncState;
+}
+
+export default useSyncStatus;
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { isValidRole } from '../permissions.js';
+
+// Eingeladene Mitglieder des eigenen Dashboards (nur mit einem Speicher, der Teilen unterstützt)
+// Rückgabe: { members, saveMember, removeMember }
+function useTeam({ storage, userId, isAuthReady, i18n, showMessage, respond }) {
+  const [members, setMembers] = useState([]);
+  const { t, translateMessage } = i18n;
+
+  useEffect(() => {
+    if (!isAuthReady || !userId || !storage.supportsSharing) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeMembers(userId, setMembers, (error) => {
+      console.error("Fehler beim Abrufen der Mitglieder:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, userId, storage]);
+
+  // Lädt einen Benutzer ein bzw. ändert seine Rolle (siehe saveMember in firestoreStorage.js)
+  const saveMember = async (memberId, memberRole) => {
+    const trimmedId = (memberId || '').trim();
+    if (!trimmedId) {
+      return respond(false, t('team.enterUserId'));
+    }
+    if (trimmedId === userId) {
+      return respond(false, t('team.cannotInviteSelf'));
+    }
+    if (!isValidRole(memberRole) || !userId) {
+      return;
+    }
+    try {
+      await storage.saveMember(userId, trimmedId, memberRole);
+      return respond(true, t('team.memberSaved', { memberId: trimmedId, role: t(`roles.${memberRole}`) }));
+    } catch (e) {
+      console.error("Fehler beim Speichern des Mitglieds:", e);
+      return respond(false, t('team.inviteError', { error: translateMessage(e) }));
+    }
+  };
+
+  const removeMember = async (memberId) => {
+    if (!userId) {
+      return;
+    }
+    try {
+      await storage.removeMember(userId, memberId);
+      showMessage(t('team.memberRemoved', { memberId }));
+    } catch (e) {
+      console.error("Fehler beim Entfernen des Mitglieds:", e);
+      showMessage(t('team.removeError', { error: translateMessage(e) }));
+    }
+  };
+
+  return { members, saveMember, removeMember };
+}
+
+export default useTeam;
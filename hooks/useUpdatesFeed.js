@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+
+const NO_UPDATES_FILTER = { accountType: '', accountId: null };
+
+// Update-Verlauf einer Guild: geladene Seiten (neueste zuerst) mit Filter nach Plattform/Konto,
+// Zähler der ungelesenen Updates, Textsuche und Gelesen-Status (siehe socialUpdates.js)
+function useUpdatesFeed({ storage, isAuthReady, ownerId, guildId, i18n, showMessage }) {
+  const [updates, setUpdates] = useState([]);
+  const [pageCount, setPageCount] = useState(1); // Anzahl der geladenen Seiten des Verlaufs
+  const [hasMore, setHasMore] = useState(false); // Gibt es ältere Updates, die nachgeladen werden können?
+  const [isLoading, setIsLoading] = useState(false); // Zeigt an, ob gerade Updates geladen werden
+  const [filter, setFilter] = useState(NO_UPDATES_FILTER);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const { t, translateMessage } = i18n;
+
+  // Beim Wechsel der Guild oder des Dashboards den Verlauf wieder ab der ersten Seite und ohne Filter anzeigen
+  useEffect(() => {
+    setPageCount(1);
+    setFilter(NO_UPDATES_FILTER);
+  }, [ownerId, guildId]);
+
+  // Listener des Verlaufs (alle geladenen Seiten, gefiltert)
+  useEffect(() => {
+    if (!isAuthReady || !ownerId) {
+      return;
+    }
+
+    setIsLoading(true);
+    const unsubscribe = storage.subscribeUpdates(ownerId, guildId, filter, pageCount, (nextUpdates, nextHasMore) => {
+      setUpdates(nextUpdates);
+      setHasMore(nextHasMore);
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Fehler beim Abrufen der Updates:", error);
+      showMessage(t('updates.loadError', { error: translateMessage(error) }));
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, ownerId, storage, guildId, filter, pageCount]);
+
+  // Listener für den Zähler der ungelesenen Updates
+  useEffect(() => {
+    if (!isAuthReady || !ownerId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeUnreadCount(ownerId, guildId, setUnreadCount, (error) => {
+      console.error("Fehler beim Zählen der ungelesenen Updates:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, ownerId, storage, guildId]);
+
+  const changeFilter = (changes) => {
+    setFilter({ ...filter, ...changes });
+    setPageCount(1);
+  };
+
+  // Lädt die nächste Seite (Button oder Scrollen ans Ende der Liste)
+  const loadMore = () => {
+    if (hasMore && !isLoading) {
+      setPageCount(pageCount + 1);
+    }
+  };
+
+  // Textsuche im gespeicherten Verlauf mit dem aktuellen Filter; liefert { updates, hasMore }
+  const search = async (text, resultCount) => {
+    try {
+      return await storage.searchUpdates(ownerId, guildId, filter, text, resultCount);
+    } catch (e) {
+      console.error("Fehler bei der Suche im Update-Verlauf:", e);
+      showMessage(t('app.loadDataError', { error: translateMessage(e) }));
+      return { updates: [], hasMore: false };
+    }
+  };
+
+  // Markiert Updates als gelesen (alle Rollen dürfen den Gelesen-Status ändern)
+  const markRead = async (update) => {
+    if (update.read) {
+      return;
+    }
+    try {
+      await storage.markUpdatesRead(ownerId, guildId, [update.docId]);
+    } catch (e) {
+      console.error("Fehler beim Markieren als gelesen:", e);
+      showMessage(t('app.saveDataError', { error: translateMessage(e) }));
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      const count = await storage.markAllUpdatesRead(ownerId, guildId);
+      showMessage(count > 0 ? t('updates.markedRead', { count }) : t('updates.noUnread'));
+    } catch (e) {
+      console.error("Fehler beim Markieren als gelesen:", e);
+      showMessage(t('app.saveDataError', { error: translateMessage(e) }));
+    }
+  };
+
+  return { updates, filter, hasMore, isLoading, unreadCount, changeFilter, loadMore, search, markRead, markAllRead };
+}
+
+export default useUpdatesFeed;
@@ -0,0 +1,41 @@
+import { useEffect } from 'react';
+import { createI18n } from '../i18n.js';
+
+// Persönliche Einstellungen (Sprache) des angemeldeten Benutzers, gespeichert über den Speicher (siehe userSettings.js)
+// Rückgabe: { changeLanguage }
+function useUserSettings({ storage, userId, isAuthReady, setLanguage, showMessage }) {
+  useEffect(() => {
+    if (!isAuthReady || !userId) {
+      return;
+    }
+
+    const unsubscribe = storage.subscribeUserSettings(userId, (settings) => {
+      if (settings.language) {
+        setLanguage(settings.language); // Ohne gespeicherte Wahl bleibt die Browsersprache
+      }
+    }, (error) => {
+      console.error("Fehler beim Abrufen der Einstellungen:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, userId, storage]);
+
+  // Wechselt die Sprache sofort und speichert sie für den Benutzer (gilt dann auf allen Geräten)
+  const changeLanguage = async (nextLanguage) => {
+    setLanguage(nextLanguage);
+    if (!userId) {
+      return;
+    }
+    try {
+      await storage.saveUserSettings(userId, { language: nextLanguage });
+    } catch (e) {
+      console.error("Fehler beim Speichern der Sprache:", e);
+      const nextI18n = createI18n(nextLanguage);
+      showMessage(nextI18n.t('app.languageSaveError', { error: nextI18n.translateMessage(e) }));
+    }
+  };
+
+  return { changeLanguage };
+}
+
+export default useUserSettings;
@@ -0,0 +1,155 @@
+// Übersetzungen der Dashboard-Oberfläche (Deutsch und Englisch).
+// Die Kataloge in locales/ sind flache Objekte "bereich.name" -> Text. Platzhalter stehen in geschweiften
+// Klammern ("Server angelegt: {name}"); unbekannte Platzhalter bleiben unverändert stehen.
+// Pluralformen sind Objekte mit den Kategorien von Intl.PluralRules ({ one, other }) und werden über
+// params.count ausgewählt. Fehlt ein Text, wird Deutsch verwendet, danach der Schlüssel selbst.
+//
+// Die Module (commands.js, socialAccounts.js, musicResolver.js, botBackup.js, botSchedule.js, guildMutations.js)
+// liefern keine fertigen Texte, sondern Schlüssel: Fehler als TranslatableError, sonstige Texte über translatable().
+// Die Oberfläche zeigt beides mit translateMessage in der gewählten Sprache an.
+import de from './locales/de.js';
+import en from './locales/en.js';
+
+export const LANGUAGES = {
+  DE: 'de',
+  EN: 'en'
+};
+
+// Namen der Sprachen in der jeweiligen Sprache selbst (für die Sprachauswahl)
+export const LANGUAGE_LABELS = {
+  [LANGUAGES.DE]: 'Deutsch',
+  [LANGUAGES.EN]: 'English'
+};
+
+export const DEFAULT_LANGUAGE = LANGUAGES.DE;
+
+export const CATALOGUES = {
+  [LANGUAGES.DE]: de,
+  [LANGUAGES.EN]: en
+};
+
+// Locale für Intl (Datum, Uhrzeit, Pluralregeln)
+const INTL_LOCALES = {
+  [LANGUAGES.DE]: 'de-DE',
+  [LANGUAGES.EN]: 'en-GB'
+};
+
+export const isSupportedLanguage = language => Object.values(LANGUAGES).includes(language);
+
+// Sprache des Browsers, falls unterstützt (für Benutzer ohne gespeicherte Einstellung)
+export const detectLanguage = (languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => {
+  const match = languages
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(isSupportedLanguage);
+  return match || DEFAULT_LANGUAGE;
+};
+
+const pluralRulesCache = new Map();
+const getPluralRules = (language) => {
+  if (!pluralRulesCache.has(language)) {
+    pluralRulesCache.set(language, new Intl.PluralRules(INTL_LOCALES[language] || language));
+  }
+  return pluralRulesCache.get(language);
+};
+
+const isPluralEntry = value => value !== null && typeof value === 'object';
+
+// Übersetzbarer Text: Schlüssel und Platzhalter-Werte. Platzhalter-Werte dürfen selbst übersetzbare Texte sein,
+// z.B. translatable('errors.account.wrongPlatform', { detected: translatable('accountTypes.Other') }).
+export const translatable = (key, params = {}) => ({ key, params });
+
+const isTranslatable = value => value !== null && typeof value === 'object' && typeof value.key === 'string';
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+
+// Liefert die Übersetzungsfunktion t(key, params) und die Formatierung für eine Sprache
+export const createI18n = (language) => {
+  const activeLanguage = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+  const locale = INTL_LOCALES[activeLanguage];
+
+  const resolve = (key, params) => {
+    for (const catalogueLanguage of [activeLanguage, DEFAULT_LANGUAGE]) {
+      const entry = CATALOGUES[catalogueLanguage][key];
+      if (entry === undefined) continue;
+      if (!isPluralEntry(entry)) return entry;
+      const category = getPluralRules(catalogueLanguage).select(Number(params.count));
+      return entry[category] ?? entry.other;
+    }
+    return key;
+  };
+
+  const t = (key, params = {}) => {
+    const resolvedParams = Object.fromEntries(Object.entries(params)
+      .map(([name, value]) => [name, isTranslatable(value) ? t(value.key, value.params) : value]));
+    return interpolate(resolve(key, resolvedParams), resolvedParams);
+  };
+
+  // Text eines Moduls: übersetzbarer Text oder TranslatableError; andere Fehler mit ihrer Meldung, Texte unverändert
+  const translateMessage = (value) => {
+    if (isTranslatable(value)) return t(value.key, value.params);
+    if (value instanceof Error) return value.message;
+    return value === null || value === undefined ? '' : String(value);
+  };
+
+  // value: Millisekunden oder Date; leere Werte ergeben ''
+  // timeZone: optionale IANA-Zeitzone (z.B. für den Zeitplan), sonst die des Browsers
+  const format = (options) => {
+    const formatters = new Map();
+    return (value, timeZone) => {
+      if (value === null || value === undefined) return '';
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return '';
+      const key = timeZone || '';
+      if (!formatters.has(key)) {
+        formatters.set(key, new Intl.DateTimeFormat(locale, timeZone ? { ...options, timeZone } : options));
+      }
+      return formatters.get(key).format(date);
+    };
+  };
+
+  return {
+    language: activeLanguage,
+    t,
+    translateMessage,
+    formatDateTime: format({ dateStyle: 'short', timeStyle: 'medium' }),
+    formatDate: format({ dateStyle: 'short' }),
+    formatTime: format({ timeStyle: 'medium' })
+  };
+};
+
+// Prüft, ob alle Kataloge dieselben Schlüssel enthalten und jede Pluralform die Kategorien ihrer Sprache abdeckt.
+// Rückgabe: Liste wie ["en: music.queueEmpty", "de: social.newUpdates (one)"]; leer, wenn alles vollständig ist.
+export const getMissingTranslationKeys = (catalogues = CATALOGUES) => {
+  const allKeys = new Set(Object.values(catalogues).flatMap(catalogue => Object.keys(catalogue)));
+  const missing = [];
+  Object.entries(catalogues).forEach(([language, catalogue]) => {
+    const categories = getPluralRules(language).resolvedOptions().pluralCategories;
+    allKeys.forEach((key) => {
+      const entry = catalogue[key];
+      if (entry === undefined) {
+        missing.push(`${language}: ${key}`);
+      } else if (isPluralEntry(entry)) {
+        categories.filter(category => entry[category] === undefined).forEach(category => missing.push(`${language}: ${key} (${category})`));
+      }
+    });
+  });
+  return missing;
+};
+
+const defaultI18n = createI18n(DEFAULT_LANGUAGE);
+
+// Basisklasse für Fehler der Module mit Übersetzungsschlüssel (errors.* in locales/).
+// message ist der deutsche Text für Protokolle und den Worker; die Oberfläche nutzt translateMessage(error).
+export class TranslatableError extends Error {
+  constructor(key, params = {}) {
+    super(defaultI18n.t(key, params));
+    this.name = 'TranslatableError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+// Deutscher Text eines übersetzbaren Texts (z.B. für gespeicherte Daten, die ältere Clients direkt anzeigen)
+export const toDefaultText = value => defaultI18n.translateMessage(value);
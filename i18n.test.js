@@ -0,0 +1,118 @@
+import { CATALOGUES, LANGUAGES, createI18n, getMissingTranslationKeys, translatable, TranslatableError, toDefaultText } from './i18n.js';
+import { AccountInputError, normalizeAccountInput } from './socialAccounts.js';
+import { CommandError, executeCommand } from './commands.js';
+import { parseMusicUrl } from './musicResolver.js';
+import { parseBackup } from './botBackup.js';
+import { AlreadyUndoneError, removeSong, cycleLoopMode, createUndoMutation } from './guildMutations.js';
+import { createActivityDoc, getActivitySummary } from './activityLog.js';
+import { LOOP_MODES } from './queue.js';
+
+const de = createI18n(LANGUAGES.DE);
+const en = createI18n(LANGUAGES.EN);
+
+const catchError = (run) => {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Kein Fehler geworfen');
+};
+
+describe('Kataloge', () => {
+  it('enthalten in allen Sprachen dieselben Schlüssel und Pluralformen', () => {
+    expect(getMissingTranslationKeys()).toEqual([]);
+  });
+
+  it('melden fehlende Schlüssel und Pluralformen', () => {
+    expect(getMissingTranslationKeys({
+      [LANGUAGES.DE]: { 'a.text': 'Text', 'a.count': { one: '{count} Song', other: '{count} Songs' } },
+      [LANGUAGES.EN]: { 'a.count': { other: '{count} songs' } }
+    })).toEqual(['en: a.text', 'en: a.count (one)']);
+  });
+
+  it('verwenden in jedem Text nur Platzhalter, die auch der deutsche Text kennt', () => {
+    const placeholders = value => [...JSON.stringify(value).matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+    const mismatched = Object.keys(CATALOGUES[LANGUAGES.DE])
+      .filter(key => placeholders(CATALOGUES[LANGUAGES.EN][key]).some(name => !placeholders(CATALOGUES[LANGUAGES.DE][key]).includes(name)));
+    expect(mismatched).toEqual([]);
+  });
+});
+
+describe('Übersetzbare Texte der Module', () => {
+  it('übersetzt verschachtelte Platzhalter', () => {
+    const text = translatable('errors.account.wrongPlatform', {
+      detected: translatable('accountTypes.YouTube'),
+      type: translatable('accountTypes.X')
+    });
+    expect(de.translateMessage(text)).toBe('Das ist eine YouTube-URL, nicht X (Twitter).');
+    expect(en.translateMessage(text)).toBe('That is a YouTube URL, not X (Twitter).');
+  });
+
+  it('behält den deutschen Text als Fehlermeldung für Protokolle', () => {
+    const error = catchError(() => normalizeAccountInput('Twitch', 'https://www.youtube.com/@kanal'));
+    expect(error).toBeInstanceOf(AccountInputError);
+    expect(error).toBeInstanceOf(TranslatableError);
+    expect(error.message).toBe('Das ist eine YouTube-URL, nicht Twitch.');
+    expect(en.translateMessage(error)).toBe('That is a YouTube URL, not Twitch.');
+  });
+
+  it('übersetzt Fehler aus Musik-URLs und Sicherungen', () => {
+    expect(en.translateMessage(catchError(() => parseMusicUrl('ftp://example.com/song.mp3'))))
+      .toBe('Invalid protocol "ftp:". Only http(s) links are supported.');
+    const backupError = catchError(() => parseBackup(JSON.stringify({
+      format: 'discord-bot-dashboard',
+      version: 2,
+      data: { socialAccounts: [{ type: 'X', url: 'https://x.com/home' }] }
+    })));
+    expect(backupError.message).toBe('socialAccounts[0]: Bitte die Profil-URL angeben (x.com/name).');
+    expect(en.translateMessage(backupError)).toBe('socialAccounts[0]: Please enter the profile URL (x.com/name).');
+    expect(en.translateMessage(new AlreadyUndoneError())).toBe('This entry has already been undone.');
+  });
+
+  it('gibt andere Fehler und feste Texte unverändert aus', () => {
+    expect(en.translateMessage(new Error('permission-denied'))).toBe('permission-denied');
+    expect(en.translateMessage('Entfernt: Song 1')).toBe('Entfernt: Song 1');
+  });
+});
+
+describe('Slash-Befehle', () => {
+  const state = { currentSong: null, musicQueue: [], playback: null, socialAccounts: [], now: 0 };
+
+  it('antworten in der gewählten Sprache', () => {
+    expect(executeCommand('/queue', state, 'owner', en.t).reply).toBe('Queue is empty.');
+    expect(executeCommand('/help', state, 'viewer', en.t).reply.split('\n')).toContain('/skip – Skips the current song.');
+    expect(executeCommand('/help', state, 'viewer', de.t).reply.split('\n')).toContain('/skip – Überspringt den aktuellen Song.');
+  });
+
+  it('melden fehlende Berechtigungen mit übersetzter Rolle', () => {
+    const error = catchError(() => executeCommand('/skip', state, 'viewer', en.t));
+    expect(error).toBeInstanceOf(CommandError);
+    expect(error.message).toBe('Deine Rolle (Zuschauer) darf /skip nicht verwenden.');
+    expect(en.translateMessage(error)).toBe('Your role (Viewer) may not use /skip.');
+  });
+});
+
+describe('Zusammenfassungen im Aktivitätsprotokoll', () => {
+  const song = { id: 1, url: 'https://example.com/1.mp3', title: 'Song 1', duration: 60 };
+
+  it('speichert den deutschen Text und den Schlüssel für die Übersetzung', () => {
+    const mutation = cycleLoopMode();
+    const entry = mutation.activity({ loopMode: LOOP_MODES.OFF }, { loopMode: LOOP_MODES.TRACK });
+    const activityDoc = createActivityDoc(entry, 'user-1', 1000);
+    expect(activityDoc.summary).toBe('Wiederholen: Aus → Song');
+    expect(en.translateMessage(getActivitySummary(activityDoc))).toBe('Loop: Off → Song');
+  });
+
+  it('zeigt ältere Einträge ohne Schlüssel mit ihrem gespeicherten Text', () => {
+    expect(en.translateMessage(getActivitySummary({ summary: 'Entfernt: Song 1' }))).toBe('Entfernt: Song 1');
+  });
+
+  it('übernimmt die Zusammenfassung beim Rückgängigmachen', () => {
+    const removeEntry = { id: 'entry-1', ...createActivityDoc(removeSong(1).activity({ musicQueue: [song] }), 'user-1', 1000) };
+    const undoDoc = createActivityDoc(createUndoMutation(removeEntry).activity(), 'user-1', 2000);
+    expect(undoDoc.summary).toBe('Entfernt: Song 1');
+    expect(toDefaultText(getActivitySummary(undoDoc))).toBe('Entfernt: Song 1');
+    expect(en.translateMessage(getActivitySummary(undoDoc))).toBe('Removed: Song 1');
+  });
+});
@@ -0,0 +1,311 @@
+// Speicher-Backend ohne Server: alle Daten liegen als JSON im localStorage des Browsers.
+// Wird verwendet, wenn keine Firebase-Konfiguration (__firebase_config) vorhanden ist oder Firebase
+// nicht initialisiert werden kann, damit das Dashboard als eigenständige Demo funktioniert.
+// Implementiert dieselbe Schnittstelle wie createFirestoreStorage (firestoreStorage.js).
+// Änderungen aus anderen Tabs werden über das "storage"-Ereignis übernommen.
+import { DEFAULT_GUILD_ID, DEFAULT_GUILD_NAME, createEmptyBotData } from './guilds.js';
+import { readBotState, describeMutation, AlreadyUndoneError, GuildNotFoundError } from './guildMutations.js';
+import { mergePollResults } from './socialScheduler.js';
+import { UPDATES_PAGE_SIZE, MAX_UNREAD_COUNT, updateDocId, matchesSearch } from './socialUpdates.js';
+import { ACTIVITY_PAGE_SIZE, createActivityDoc, matchesActivityFilter, undoActivityId } from './activityLog.js';
+import { SYNC_STATUS } from './syncStatus.js';
+import { TranslatableError } from './i18n.js';
+import { readUserSettings } from './userSettings.js';
+import { readSchedule, markEventStarted } from './botSchedule.js';
+
+export const LOCAL_USER_ID = 'local-user'; // Benutzer-ID im lokalen Modus (ohne Anmeldung)
+const MAX_LOCAL_ACTIVITY_ENTRIES = 500; // Der Browser-Speicher ist begrenzt; ältere Protokolleinträge fallen weg
+
+const emptyDatabase = () => ({ guilds: {}, updates: {}, activity: {}, settings: {}, schedules: {} });
+
+// Optionen:
+// - storage: Web-Storage-kompatibles Objekt (getItem/setItem), Standard window.localStorage
+// - key: Schlüssel, unter dem die Daten gespeichert werden
+// - now: Uhr (für Tests austauschbar)
+export const createLocalBotStorage = ({
+  storage = typeof window !== 'undefined' ? window.localStorage : null,
+  key = 'discord-bot-dashboard',
+  now = Date.now
+} = {}) => {
+  const listeners = new Set();
+
+  const load = () => {
+    try {
+      const raw = storage ? storage.getItem(key) : null;
+      return raw ? { ...emptyDatabase(), ...JSON.parse(raw) } : emptyDatabase();
+    } catch (error) {
+      console.error("Lokale Daten konnten nicht gelesen werden:", error);
+      return emptyDatabase();
+    }
+  };
+
+  let database = load();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  // Schreibt die geänderte Datenbank; wirft z.B. bei vollem Speicher, damit das Dashboard zurückrollen kann
+  const commit = (nextDatabase) => {
+    if (storage) {
+      storage.setItem(key, JSON.stringify(nextDatabase));
+    }
+    database = nextDatabase;
+    notify();
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key === key) {
+        database = load();
+        notify();
+      }
+    });
+  }
+
+  // Ruft compute() sofort und nach jeder Änderung auf
+  const watch = (compute) => {
+    const listener = () => compute();
+    listeners.add(listener);
+    listener();
+    return () => listeners.delete(listener);
+  };
+
+  const guildsOf = ownerId => database.guilds[ownerId] || {};
+  const getGuild = (ownerId, guildId) => guildsOf(ownerId)[guildId] || null;
+  const updatesKey = (ownerId, guildId) => `${ownerId}/${guildId}`;
+  const updatesOf = (ownerId, guildId) => database.updates[updatesKey(ownerId, guildId)] || {};
+  const activityOf = (ownerId, guildId) => database.activity[updatesKey(ownerId, guildId)] || [];
+
+  // Updates einer Guild nach Plattform oder Konto gefiltert, neueste zuerst
+  const filteredUpdates = (ownerId, guildId, { accountType = '', accountId = null } = {}) =>
+    Object.entries(updatesOf(ownerId, guildId))
+      .map(([docId, update]) => ({ ...update, docId }))
+      .filter(update => (accountId !== null ? update.accountId === accountId : !accountType || update.accountType === accountType))
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+  const withGuild = (ownerId, guildId, data) => ({
+    ...database,
+    guilds: { ...database.guilds, [ownerId]: { ...guildsOf(ownerId), [guildId]: data } }
+  });
+
+  const withUpdates = (base, ownerId, guildId, updates) => ({
+    ...base,
+    updates: { ...base.updates, [updatesKey(ownerId, guildId)]: updates }
+  });
+
+  const withActivity = (base, ownerId, guildId, entries) => ({
+    ...base,
+    activity: { ...base.activity, [updatesKey(ownerId, guildId)]: entries }
+  });
+
+  const updateGuild = (ownerId, guildId, patch) => {
+    const data = getGuild(ownerId, guildId);
+    if (!data) {
+      throw new GuildNotFoundError();
+    }
+    commit(withGuild(ownerId, guildId, { ...data, ...patch }));
+  };
+
+  const setUpdates = (ownerId, guildId, transform) => {
+    commit(withUpdates(database, ownerId, guildId, transform(updatesOf(ownerId, guildId))));
+  };
+
+  const createGuildData = name => ({ name, createdAt: now(), ...createEmptyBotData() });
+
+  return {
+    mode: 'local',
+    supportsSharing: false,
+
+    subscribeSyncStatus: (listener) => {
+      listener({ status: SYNC_STATUS.LOCAL, pendingCount: 0, error: null });
+      return () => {};
+    },
+
+    // --- Guilds ---
+
+    subscribeGuilds: (ownerId, onChange) => watch(() => onChange(
+      Object.entries(guildsOf(ownerId))
+        .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+        .map(([id, data]) => ({ id, name: data.name || id }))
+    )),
+
+    ensureDefaultGuild: async (ownerId) => {
+      if (!getGuild(ownerId, DEFAULT_GUILD_ID)) {
+        commit(withGuild(ownerId, DEFAULT_GUILD_ID, createGuildData(DEFAULT_GUILD_NAME)));
+      }
+      return false; // Im lokalen Modus gibt es keine alten Daten zu übernehmen
+    },
+
+    createGuild: async (ownerId, name) => {
+      const guildId = `guild-${now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      commit(withGuild(ownerId, guildId, createGuildData(name)));
+      return guildId;
+    },
+
+    renameGuild: async (ownerId, guildId, name) => updateGuild(ownerId, guildId, { name }),
+
+    deleteGuild: async (ownerId, guildId) => {
+      const remainingGuilds = { ...guildsOf(ownerId) };
+      delete remainingGuilds[guildId];
+      const remainingSchedules = { ...database.schedules };
+      delete remainingSchedules[updatesKey(ownerId, guildId)];
+      const withoutGuild = { ...database, guilds: { ...database.guilds, [ownerId]: remainingGuilds }, schedules: remainingSchedules };
+      commit(withActivity(withUpdates(withoutGuild, ownerId, guildId, {}), ownerId, guildId, []));
+    },
+
+    subscribeGuild: (ownerId, guildId, onChange) => watch(() => onChange(getGuild(ownerId, guildId))),
+
+    migrateLegacySocialUpdates: async () => false,
+
+    // Einzelner Tab, synchroner Speicher: Änderung und Protokolleintrag werden gemeinsam geschrieben
+    commitMutation: async (ownerId, guildId, mutation, actorId = null) => {
+      const data = getGuild(ownerId, guildId);
+      if (!data) {
+        throw new GuildNotFoundError();
+      }
+      const entryId = mutation.undoOf
+        ? undoActivityId(mutation.undoOf)
+        : `activity-${now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      if (mutation.undoOf && activityOf(ownerId, guildId).some(existing => existing.id === entryId)) {
+        throw new AlreadyUndoneError();
+      }
+      const state = readBotState(data);
+      const patch = mutation.apply(state, now());
+      if (patch) {
+        const next = withGuild(ownerId, guildId, { ...data, ...patch });
+        const entry = describeMutation(mutation, state, patch, actorId);
+        commit(entry
+          ? withActivity(next, ownerId, guildId, [
+            ...activityOf(ownerId, guildId),
+            { ...createActivityDoc(entry, actorId, now()), id: entryId }
+          ].slice(-MAX_LOCAL_ACTIVITY_ENTRIES))
+          : next);
+      }
+      return patch;
+    },
+
+    saveSocialPollResults: async (ownerId, guildId, results) => {
+      const data = getGuild(ownerId, guildId);
+      if (!data) {
+        return false; // Guild wurde inzwischen gelöscht
+      }
+      const updates = { ...updatesOf(ownerId, guildId) };
+      results.flatMap(result => result.newUpdates).forEach((update) => {
+        const docId = updateDocId(update);
+        if (!updates[docId]) {
+          updates[docId] = { ...update, read: false, createdAt: now() };
+        }
+      });
+      commit(withUpdates(
+        withGuild(ownerId, guildId, { ...data, socialAccounts: mergePollResults(data.socialAccounts || [], results) }),
+        ownerId, guildId, updates
+      ));
+      return true;
+    },
+
+    // --- Update-Verlauf ---
+
+    subscribeUpdates: (ownerId, guildId, filter, pageCount, onChange) => watch(() => {
+      const matching = filteredUpdates(ownerId, guildId, filter);
+      const limit = pageCount * UPDATES_PAGE_SIZE;
+      onChange(matching.slice(0, limit), matching.length > limit);
+    }),
+
+    searchUpdates: async (ownerId, guildId, filter, search, resultCount) => {
+      const matching = filteredUpdates(ownerId, guildId, filter).filter(update => matchesSearch(update, search));
+      return { updates: matching.slice(0, resultCount), hasMore: matching.length > resultCount };
+    },
+
+    subscribeUnreadCount: (ownerId, guildId, onChange) => watch(() => onChange(
+      Math.min(Object.values(updatesOf(ownerId, guildId)).filter(update => !update.read).length, MAX_UNREAD_COUNT + 1)
+    )),
+
+    markUpdatesRead: async (ownerId, guildId, docIds) => setUpdates(ownerId, guildId, (updates) => {
+      const next = { ...updates };
+      docIds.forEach((docId) => {
+        if (next[docId]) next[docId] = { ...next[docId], read: true };
+      });
+      return next;
+    }),
+
+    markAllUpdatesRead: async (ownerId, guildId) => {
+      const unreadIds = Object.keys(updatesOf(ownerId, guildId)).filter(docId => !updatesOf(ownerId, guildId)[docId].read);
+      setUpdates(ownerId, guildId, updates => Object.fromEntries(
+        Object.entries(updates).map(([docId, update]) => [docId, { ...update, read: true }])
+      ));
+      return unreadIds.length;
+    },
+
+    deleteAccountUpdates: async (ownerId, guildId, accountId) => {
+      const all = updatesOf(ownerId, guildId);
+      const remaining = Object.fromEntries(Object.entries(all).filter(([, update]) => update.accountId !== accountId));
+      setUpdates(ownerId, guildId, () => remaining);
+      return Object.keys(all).length - Object.keys(remaining).length;
+    },
+
+    // --- Aktivitätsprotokoll ---
+
+    subscribeActivity: (ownerId, guildId, filter, pageCount, onChange) => watch(() => {
+      const matching = activityOf(ownerId, guildId)
+        .filter(entry => matchesActivityFilter(entry, filter))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      const limit = pageCount * ACTIVITY_PAGE_SIZE;
+      onChange(matching.slice(0, limit), matching.length > limit);
+    }),
+
+    // --- Zeitplan ---
+
+    subscribeSchedule: (ownerId, guildId, onChange) => watch(() => onChange(readSchedule(database.schedules[updatesKey(ownerId, guildId)]))),
+
+    saveSchedule: async (ownerId, guildId, schedule) => commit({
+      ...database,
+      schedules: { ...database.schedules, [updatesKey(ownerId, guildId)]: schedule }
+    }),
+
+    // Jeder geöffnete Tab führt den Zeitplan aus. Der Speicher wird daher vor der Prüfung neu gelesen, damit ein
+    // Event, das ein anderer Tab gerade gestartet hat, nicht ein zweites Mal startet; dann false.
+    markScheduleEventStarted: async (ownerId, guildId, eventId, startedAt) => {
+      database = load();
+      const scheduleKey = updatesKey(ownerId, guildId);
+      const next = markEventStarted(readSchedule(database.schedules[scheduleKey]), eventId, startedAt);
+      if (!next) {
+        return false;
+      }
+      commit({ ...database, schedules: { ...database.schedules, [scheduleKey]: next } });
+      return true;
+    },
+
+    // --- Mitglieder und geteilte Dashboards: ohne Anmeldung nicht möglich (supportsSharing: false) ---
+
+    subscribeSharedDashboards: (userId, onChange) => {
+      onChange([]);
+      return () => {};
+    },
+
+    subscribeMembers: (ownerId, onChange) => {
+      onChange([]);
+      return () => {};
+    },
+
+    subscribeMemberRole: (ownerId, userId, onChange) => {
+      onChange(null);
+      return () => {};
+    },
+
+    saveMember: async () => {
+      throw new TranslatableError('errors.localSharing');
+    },
+
+    removeMember: async () => {
+      throw new TranslatableError('errors.localSharing');
+    },
+
+    // --- Persönliche Einstellungen ---
+
+    subscribeUserSettings: (userId, onChange) => watch(() => onChange(readUserSettings(database.settings[userId]))),
+
+    saveUserSettings: async (userId, settings) => commit({
+      ...database,
+      settings: { ...database.settings, [userId]: { ...database.settings[userId], ...settings } }
+    })
+  };
+};
@@ -0,0 +1,88 @@
+import { createLocalBotStorage, LOCAL_USER_ID } from './localBotStorage.js';
+import { DEFAULT_GUILD_ID } from './guilds.js';
+import { appendSongs, removeSong, createUndoMutation, AlreadyUndoneError } from './guildMutations.js';
+import { ACTIVITY_ACTIONS } from './activityLog.js';
+import { createMemoryStorage } from './test/memoryStorage.js';
+
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, duration: 60 });
+
+const readActivity = (storage) => {
+  let entries = [];
+  storage.subscribeActivity(LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, 1, (result) => { entries = result; })();
+  return entries;
+};
+
+const readUpdates = (storage, filter = {}) => {
+  let page = null;
+  storage.subscribeUpdates(LOCAL_USER_ID, DEFAULT_GUILD_ID, filter, 1, (updates, hasMore) => { page = { updates, hasMore }; })();
+  return page;
+};
+
+const readGuild = (storage) => {
+  let data = null;
+  storage.subscribeGuild(LOCAL_USER_ID, DEFAULT_GUILD_ID, (result) => { data = result; })();
+  return data;
+};
+
+describe('createLocalBotStorage', () => {
+  let storage;
+  let clock;
+
+  beforeEach(async () => {
+    clock = 1000;
+    storage = createLocalBotStorage({ storage: createMemoryStorage(), now: () => clock++ });
+    await storage.ensureDefaultGuild(LOCAL_USER_ID);
+  });
+
+  it('macht einen Protokolleintrag nur einmal rückgängig', async () => {
+    await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, appendSongs([song(1), song(2)]), LOCAL_USER_ID);
+    await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, removeSong(1), LOCAL_USER_ID);
+    const [removeEntry] = readActivity(storage);
+    expect(removeEntry.action).toBe(ACTIVITY_ACTIONS.QUEUE_REMOVE);
+
+    await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, createUndoMutation(removeEntry), LOCAL_USER_ID);
+    expect(readGuild(storage).musicQueue.map(queued => queued.id)).toEqual([1, 2]);
+    expect(readActivity(storage)[0]).toMatchObject({ id: `undo-${removeEntry.id}`, undoOf: removeEntry.id });
+
+    // Zweiter Versuch (z.B. aus einem anderen Tab mit veralteter Liste)
+    await storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, removeSong(1), LOCAL_USER_ID);
+    await expect(storage.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, createUndoMutation(removeEntry), LOCAL_USER_ID))
+      .rejects.toThrow(AlreadyUndoneError);
+    expect(readGuild(storage).musicQueue.map(queued => queued.id)).toEqual([2]);
+  });
+
+  it('übernimmt Daten aus demselben Speicher in einer neuen Instanz', async () => {
+    const memory = createMemoryStorage();
+    const first = createLocalBotStorage({ storage: memory });
+    await first.ensureDefaultGuild(LOCAL_USER_ID);
+    await first.commitMutation(LOCAL_USER_ID, DEFAULT_GUILD_ID, appendSongs([song(1)]), LOCAL_USER_ID);
+    expect(readGuild(createLocalBotStorage({ storage: memory })).musicQueue).toEqual([song(1)]);
+  });
+
+  it('durchsucht den gesamten gespeicherten Verlauf statt nur die geladene Seite', async () => {
+    // 60 Updates, nur die ältesten drei enthalten den Suchbegriff
+    const newUpdates = Array.from({ length: 60 }, (_, index) => ({
+      id: `video-${index}`,
+      accountId: 1,
+      accountType: 'YouTube',
+      text: index < 3 ? `Release Teil ${index}` : `Video ${index}`,
+      timestamp: index
+    }));
+    await storage.saveSocialPollResults(LOCAL_USER_ID, DEFAULT_GUILD_ID, [{ account: { id: 1 }, newUpdates }]);
+
+    const firstPage = readUpdates(storage);
+    expect(firstPage.hasMore).toBe(true);
+    expect(firstPage.updates.filter(update => update.text.startsWith('Release'))).toEqual([]);
+
+    const result = await storage.searchUpdates(LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, 'release', 20);
+    expect(result.updates.map(update => update.id)).toEqual(['video-2', 'video-1', 'video-0']);
+    expect(result.hasMore).toBe(false);
+
+    const limited = await storage.searchUpdates(LOCAL_USER_ID, DEFAULT_GUILD_ID, {}, 'release', 2);
+    expect(limited.updates.map(update => update.id)).toEqual(['video-2', 'video-1']);
+    expect(limited.hasMore).toBe(true);
+
+    const otherPlatform = await storage.searchUpdates(LOCAL_USER_ID, DEFAULT_GUILD_ID, { accountType: 'Twitch' }, 'release', 20);
+    expect(otherPlatform.updates).toEqual([]);
+  });
+});
@@ -0,0 +1,480 @@
+// Deutscher Katalog (Standardsprache). Neue Schlüssel immer auch in en.js ergänzen (siehe getMissingTranslationKeys in i18n.js).
+const de = {
+  'app.title': 'Discord Bot Simulator',
+  'app.loading': 'Lade Bot-Konfiguration...',
+  'app.language': 'Sprache',
+  'app.languageSaveError': 'Sprache konnte nicht gespeichert werden: {error}',
+  'app.localModeNotice': 'Keine Firebase-Verbindung: Die Daten werden nur lokal in diesem Browser gespeichert.',
+  'app.authError': 'Fehler bei der Authentifizierung: {error}',
+  'app.notAuthenticated': 'Benutzer nicht authentifiziert.',
+  'app.userId': 'Deine Benutzer-ID:',
+  'app.permissionDenied': 'Deine Rolle ({role}) erlaubt diese Aktion nicht.',
+  'app.noRole': 'keine',
+  'app.changeNotSaved': 'Änderung konnte nicht gespeichert werden: {error}',
+  'app.saveDataError': 'Fehler beim Speichern der Daten: {error}',
+  'app.loadDataError': 'Fehler beim Laden der Daten: {error}',
+  'app.note': 'Hinweis:',
+  'app.save': 'Speichern',
+  'app.cancel': 'Abbrechen',
+  'app.add': 'Hinzufügen',
+  'app.remove': 'Entfernen',
+
+  'sync.status.synced': 'Synchronisiert',
+  'sync.status.pending': 'Wird synchronisiert',
+  'sync.status.offline': 'Offline',
+  'sync.status.error': 'Sync-Fehler',
+  'sync.status.local': 'Nur lokal gespeichert',
+  'sync.pendingCount': '{count} ausstehend',
+  'sync.lastError': 'Letzter Fehler: {error}',
+
+  'roles.owner': 'Besitzer',
+  'roles.dj': 'DJ',
+  'roles.viewer': 'Zuschauer',
+
+  'dashboard.label': 'Dashboard:',
+  'dashboard.own': 'Eigenes Dashboard',
+  'dashboard.sharedBy': 'Geteilt von {ownerId} ({role})',
+  'dashboard.yourRole': 'Deine Rolle: {role}',
+  'dashboard.accessRevoked': 'Dein Zugriff auf dieses Dashboard wurde entzogen.',
+  'dashboard.noAccess': 'Kein Zugriff auf dieses Dashboard: {error}',
+
+  'guilds.label': 'Server:',
+  'guilds.namePlaceholder': 'Name des Servers',
+  'guilds.create': 'Server anlegen',
+  'guilds.saveName': 'Namen speichern',
+  'guilds.createNew': 'Neuen Server anlegen',
+  'guilds.rename': 'Server umbenennen',
+  'guilds.delete': 'Server löschen',
+  'guilds.invalidName': 'Bitte einen Servernamen mit 1 bis 100 Zeichen eingeben.',
+  'guilds.created': 'Server angelegt: {name}',
+  'guilds.renamed': 'Server umbenannt in: {name}',
+  'guilds.saveError': 'Fehler beim Speichern des Servers: {error}',
+  'guilds.cannotDeleteLast': 'Der letzte Server kann nicht gelöscht werden.',
+  'guilds.confirmDelete': 'Server "{name}" mit Warteschlange, Konten und Updates wirklich löschen?',
+  'guilds.deleted': 'Server gelöscht: {name}',
+  'guilds.deleteError': 'Fehler beim Löschen des Servers: {error}',
+  'guilds.migrated': 'Bestehende Bot-Daten wurden in den Standard-Server übernommen.',
+  'guilds.loadError': 'Fehler beim Laden der Server: {error}',
+
+  'backup.title': 'Sicherung',
+  'backup.export': 'Exportieren',
+  'backup.import': 'Importieren',
+  'backup.importMode': 'Import-Modus',
+  'backup.modeMerge': 'Zusammenführen',
+  'backup.modeReplace': 'Ersetzen',
+  'backup.description': 'Enthält Konten (inkl. Webhook-URLs), Warteschlange, aktuellen Song und Wiederholungsmodus. "Zusammenführen" ergänzt nur fehlende Einträge, "Ersetzen" überschreibt den Server.',
+  'backup.exported': 'Sicherung wurde exportiert.',
+  'backup.importFailed': 'Import fehlgeschlagen: {error}',
+  'backup.readError': 'Fehler beim Lesen der Datei: {error}',
+  'backup.confirmReplace': 'Konten, Warteschlange und Einstellungen dieses Servers werden durch die Sicherung ersetzt. Fortfahren?',
+  'backup.imported': 'Sicherung importiert: {accounts}, {songs}.',
+  'backup.skipped': {
+    one: '{count} bereits vorhandener Eintrag übersprungen.',
+    other: '{count} bereits vorhandene Einträge übersprungen.'
+  },
+
+  'counts.accounts': { one: '{count} Konto', other: '{count} Konten' },
+  'counts.songs': { one: '{count} Song', other: '{count} Songs' },
+
+  'team.title': 'Team & Berechtigungen',
+  'team.memberIdPlaceholder': 'Benutzer-ID des Mitglieds',
+  'team.invite': 'Einladen',
+  'team.removeAccess': 'Zugriff entfernen',
+  'team.noMembers': 'Noch keine Mitglieder eingeladen.',
+  'team.enterUserId': 'Bitte eine Benutzer-ID eingeben.',
+  'team.cannotInviteSelf': 'Du kannst dich nicht selbst einladen.',
+  'team.memberSaved': '{memberId} hat jetzt die Rolle {role}.',
+  'team.inviteError': 'Fehler beim Einladen: {error}',
+  'team.memberRemoved': 'Zugriff für {memberId} entfernt.',
+  'team.removeError': 'Fehler beim Entfernen: {error}',
+
+  'bot.status': 'Bot Status: {status}',
+  'bot.state.online': 'Online',
+  'bot.state.connecting': 'Verbindet…',
+  'bot.state.requested': 'Online angefordert – kein Worker erreichbar',
+  'bot.state.offline': 'Offline',
+  'bot.workerReachable': 'Worker erreichbar, letzter Heartbeat vor {seconds} s',
+  'bot.workerUnreachable': 'Worker nicht erreichbar, letzter Heartbeat vor {seconds} s',
+  'bot.noWorker': 'Noch kein Backend-Worker verbunden.',
+  'bot.workerError': 'Worker-Fehler: {error}',
+  'bot.turnOn': 'Bot einschalten',
+  'bot.turnOff': 'Bot ausschalten',
+  'bot.nowOnline': 'Bot ist jetzt online.',
+  'bot.nowOffline': 'Bot ist jetzt offline.',
+
+  'schedule.title': 'Zeitplan',
+  'schedule.nowOnline': 'Laut Zeitplan ist der Bot jetzt online.',
+  'schedule.nowOffline': 'Laut Zeitplan ist der Bot jetzt offline.',
+  'schedule.quietActive': 'Ruhezeit: Ankündigungen werden zurückgehalten',
+  'schedule.timeZoneInfo': 'Zeitzone {timeZone} (dort jetzt {time}). Ausgeführt wird der Zeitplan vom Backend-Worker.',
+  'schedule.saveTimeZone': 'Zeitzone speichern',
+  'schedule.saved': 'Zeitplan gespeichert.',
+  'schedule.weekdays.0': 'So',
+  'schedule.weekdays.1': 'Mo',
+  'schedule.weekdays.2': 'Di',
+  'schedule.weekdays.3': 'Mi',
+  'schedule.weekdays.4': 'Do',
+  'schedule.weekdays.5': 'Fr',
+  'schedule.weekdays.6': 'Sa',
+  'schedule.onlineWindow': 'Online-Fenster',
+  'schedule.onlineWindows': 'Wöchentliche Online-Fenster',
+  'schedule.noWindows': 'Keine Online-Fenster geplant.',
+  'schedule.quietHours': 'Ruhezeit',
+  'schedule.quietHoursRange': 'Täglich {start}–{end}',
+  'schedule.noQuietHours': 'Keine Ruhezeit festgelegt.',
+  'schedule.quietHoursHint': 'Konten mit Webhook werden in der Ruhezeit nicht abgerufen; neue Einträge werden danach angekündigt.',
+  'schedule.playlists': 'Gespeicherte Playlists',
+  'schedule.noPlaylists': 'Keine Playlists gespeichert.',
+  'schedule.playlistName': 'Name der Playlist',
+  'schedule.saveQueue': {
+    one: 'Warteschlange speichern ({count} Song)',
+    other: 'Warteschlange speichern ({count} Songs)'
+  },
+  'schedule.saveQueueHint': 'Speichert den aktuellen Song und die Warteschlange als Playlist für Events.',
+  'schedule.playlistMissing': 'Playlist gelöscht',
+  'schedule.event': 'Event',
+  'schedule.events': 'Events',
+  'schedule.noEvents': 'Keine Events geplant.',
+  'schedule.eventTitle': 'Titel des Events',
+  'schedule.durationMinutes': 'Dauer in Minuten',
+  'schedule.duration': {
+    one: '{count} Minute',
+    other: '{count} Minuten'
+  },
+  'schedule.choosePlaylist': 'Playlist auswählen...',
+  'schedule.eventHint': 'Zum Start wird der Bot eingeschaltet und die Warteschlange durch die Playlist ersetzt. Uhrzeit in {timeZone}.',
+  'schedule.eventStarted': 'Gestartet {time}',
+
+  'music.title': 'Musiksteuerung (Simuliert)',
+  'music.note': 'Die tatsächliche Musikwiedergabe übernimmt der Backend-Worker (worker/index.js), der dieselben Daten liest und den Empfang bestätigt. Ohne laufenden Worker ist dies eine reine Frontend-Simulation.',
+  'music.urlPlaceholder': 'YouTube-/Twitch-Link, Playlist oder Audiodatei-URL hier einfügen',
+  'music.addToQueue': 'Zur Warteschlange hinzufügen',
+  'music.playNext': 'Als Nächstes',
+  'music.playNextTitle': 'Direkt nach dem aktuellen Song einfügen',
+  'music.playlistFile': 'Playlist-Datei',
+  'music.playlistFileTitle': 'Textdatei mit einer URL pro Zeile oder M3U-Playlist importieren',
+  'music.play': 'Spielen',
+  'music.pause': 'Pause',
+  'music.resume': 'Fortsetzen',
+  'music.skip': 'Überspringen',
+  'music.stop': 'Stoppen',
+  'music.shuffle': 'Mischen',
+  'music.loopTitle': 'Wiederholungsmodus wechseln',
+  'music.loop.off': 'Wiederholen: Aus',
+  'music.loop.track': 'Wiederholen: Song',
+  'music.loop.queue': 'Wiederholen: Warteschlange',
+  'music.nowPlaying': 'Aktuell spielt:',
+  'music.paused': '(pausiert)',
+  'music.workerConfirmed': 'Vom Backend-Worker bestätigt',
+  'music.workerPlaying': 'Worker spielt',
+  'music.nothingPlaying': 'Nichts spielt gerade.',
+  'music.unknownDuration': 'Live / unbekannt',
+  'music.queue': 'Warteschlange:',
+  'music.queueEmpty': 'Warteschlange ist leer.',
+  'music.songTitle.twitchVod': 'Twitch-VOD {videoId}',
+  'music.songTitle.twitchChannel': 'Twitch-Kanal {channel}',
+  'music.songTitle.twitchChannelOffline': 'Twitch-Kanal {channel} (offline)',
+  'music.removeFromQueue': 'Aus der Warteschlange entfernen',
+  'music.history': 'Zuletzt gespielt:',
+  'music.noHistory': 'Noch keine Songs gespielt.',
+  'music.requeue': 'Erneut zur Warteschlange hinzufügen',
+  'music.enterUrl': 'Bitte eine URL eingeben.',
+  'music.added': {
+    one: 'Song zur Warteschlange hinzugefügt: {title}',
+    other: '{count} Songs zur Warteschlange hinzugefügt.'
+  },
+  'music.addedNext': {
+    one: 'Wird als Nächstes gespielt: {title}',
+    other: '{count} Songs werden als Nächstes gespielt.'
+  },
+  'music.resolveError': 'Fehler beim Laden der Song-Informationen: {error}',
+  'music.repeating': 'Wiederhole: {title}',
+  'music.playing': 'Spiele jetzt: {title}',
+  'music.resumed': 'Wiedergabe fortgesetzt: {title}',
+  'music.pausedToast': 'Wiedergabe pausiert.',
+  'music.removed': 'Song aus der Warteschlange entfernt.',
+  'music.shuffled': 'Warteschlange gemischt.',
+  'music.loopChanged.off': 'Wiederholung ausgeschaltet.',
+  'music.loopChanged.track': 'Aktueller Song wird wiederholt.',
+  'music.loopChanged.queue': 'Warteschlange wird wiederholt.',
+  'music.requeued': 'Erneut zur Warteschlange hinzugefügt: {title}',
+  'music.stopped': 'Musikwiedergabe gestoppt und Warteschlange geleert.',
+
+  'playlist.noUrls': 'Die Datei enthält keine URLs.',
+  'playlist.noneResolved': 'Keine der URLs konnte aufgelöst werden. Zeile {line}: {error}',
+  'playlist.imported': {
+    one: '{count} Song aus {file} zur Warteschlange hinzugefügt.',
+    other: '{count} Songs aus {file} zur Warteschlange hinzugefügt.'
+  },
+  'playlist.skippedLines': {
+    one: '{count} Zeile übersprungen (Zeile {line})',
+    other: '{count} Zeilen übersprungen (erste: Zeile {line})'
+  },
+  'playlist.truncated': 'nur die ersten {count} Einträge übernommen',
+  'playlist.importError': 'Fehler beim Importieren der Playlist: {error}',
+
+  'accountTypes.YouTube': 'YouTube',
+  'accountTypes.Twitch': 'Twitch',
+  'accountTypes.X': 'X (Twitter)',
+  'accountTypes.Other': 'Andere',
+
+  'social.title': 'Social Media Updates',
+  'social.note': 'YouTube-Kanäle und X-Profile (über Nitter) werden per RSS abgerufen, bei "Andere" eine beliebige RSS/Atom-Feed-URL. Für Twitch werden Client-ID und Access-Token benötigt. Im Browser ist für die meisten Feeds ein CORS-Proxy erforderlich (siehe __social_feed_config). Der Backend-Worker ruft die Konten automatisch im eingestellten Intervall ab und kündigt neue Einträge über den Discord-Webhook des Kontos an.',
+  'social.placeholder.YouTube': '@handle oder youtube.com/channel/UC…',
+  'social.placeholder.Twitch': 'Kanalname oder twitch.tv/name',
+  'social.placeholder.X': '@name oder x.com/name',
+  'social.placeholder.Other': 'RSS/Atom-Feed-URL (https://…)',
+  'social.addAccount': 'Konto hinzufügen',
+  'social.trackedAccounts': 'Verfolgte Konten:',
+  'social.noAccounts': 'Keine Konten verfolgt.',
+  'social.openFeed': 'Feed öffnen',
+  'social.openProfile': 'Profil öffnen',
+  'social.lastFetched': 'Zuletzt abgerufen: {time}',
+  'social.neverFetched': 'Noch nicht abgerufen',
+  'social.pollInterval': 'alle {count} Min.',
+  'social.nextPoll': 'nächster Abruf: {time}',
+  'social.webhookAnnouncement': 'Ankündigung per Webhook',
+  'social.failureCount': '{count}× in Folge',
+  'social.pollSettings': 'Abruf-Einstellungen',
+  'social.removeAccount': 'Konto entfernen',
+  'social.intervalMinutes': 'Intervall (Minuten)',
+  'social.webhookUrl': 'Discord-Webhook-URL',
+  'social.template': 'Vorlage',
+  'social.templateHint': 'Platzhalter: {placeholders}. Leer lassen für die Standardvorlage.',
+  'social.fetchUpdates': 'Updates abrufen',
+  'social.alreadyTracked': '{type}-Konto {handle} wird bereits verfolgt.',
+  'social.accountAdded': 'Social-Media-Konto hinzugefügt: {type} - {handle}',
+  'social.accountNotFound': 'Konto nicht gefunden.',
+  'social.confirmDeleteHistory': 'Auch den Update-Verlauf von {type}: {url} löschen?',
+  'social.accountRemoved': 'Social-Media-Konto entfernt.',
+  'social.accountAndUpdatesRemoved': {
+    one: 'Social-Media-Konto und {count} Update entfernt.',
+    other: 'Social-Media-Konto und {count} Updates entfernt.'
+  },
+  'social.historyDeleteFailed': 'Konto entfernt, Verlauf konnte nicht gelöscht werden: {error}',
+  'social.invalidInterval': 'Das Abrufintervall muss zwischen {min} und {max} Minuten liegen.',
+  'social.invalidWebhook': 'Bitte eine gültige Webhook-URL (http/https) eingeben oder das Feld leer lassen.',
+  'social.settingsSaved': 'Abruf-Einstellungen gespeichert.',
+  'social.noAccountsToFetch': 'Keine Social-Media-Konten zum Abrufen.',
+  'social.noNewUpdates': 'Keine neuen Updates.',
+  'social.newUpdates': {
+    one: '{count} neues Update gefunden.',
+    other: '{count} neue Updates gefunden.'
+  },
+  'social.failedAccounts': {
+    one: '{count} Konto mit Fehlern (siehe Kontenliste).',
+    other: '{count} Konten mit Fehlern (siehe Kontenliste).'
+  },
+  'social.heldForQuietHours': {
+    one: '{count} Konto mit Webhook wird wegen der Ruhezeit später abgerufen.',
+    other: '{count} Konten mit Webhook werden wegen der Ruhezeit später abgerufen.'
+  },
+
+  'updates.title': 'Update-Verlauf',
+  'updates.unread': '{count} ungelesen',
+  'updates.markAllRead': 'Alle als gelesen markieren',
+  'updates.markRead': 'Als gelesen markieren',
+  'updates.allPlatforms': 'Alle Plattformen',
+  'updates.allAccounts': 'Alle Konten',
+  'updates.search': 'Suchen...',
+  'updates.loading': 'Lade Updates...',
+  'updates.searching': 'Durchsuche Verlauf...',
+  'updates.noMatches': 'Keine passenden Updates gefunden.',
+  'updates.empty': 'Keine Updates vorhanden.',
+  'updates.loadMore': 'Ältere Updates laden',
+  'updates.loadError': 'Fehler beim Laden der Updates: {error}',
+  'updates.markedRead': {
+    one: '{count} Update als gelesen markiert.',
+    other: '{count} Updates als gelesen markiert.'
+  },
+  'updates.noUnread': 'Keine ungelesenen Updates.',
+
+  'activity.title': 'Aktivität',
+  'activity.allActions': 'Alle Aktionen',
+  'activity.allUsers': 'Alle Benutzer',
+  'activity.you': 'Du',
+  'activity.system': 'Zeitplan',
+  'activity.undo': 'Rückgängig machen',
+  'activity.undone': 'Rückgängig gemacht',
+  'activity.undoneToast': 'Rückgängig gemacht: {summary}',
+  'activity.nothingToRestore': 'Nichts wiederherzustellen – der Zustand wurde inzwischen bereits geändert.',
+  'activity.empty': 'Noch keine Aktivität.',
+  'activity.loadMore': 'Ältere Einträge laden',
+  'activity.actions.bot_online': 'Bot online',
+  'activity.actions.bot_offline': 'Bot offline',
+  'activity.actions.play_next': 'Wiedergabe gestartet',
+  'activity.actions.skip': 'Übersprungen',
+  'activity.actions.pause': 'Pausiert',
+  'activity.actions.resume': 'Fortgesetzt',
+  'activity.actions.stop': 'Gestoppt',
+  'activity.actions.queue_add': 'Zur Warteschlange hinzugefügt',
+  'activity.actions.queue_insert_next': 'Als Nächstes eingereiht',
+  'activity.actions.queue_remove': 'Aus Warteschlange entfernt',
+  'activity.actions.queue_move': 'Warteschlange umsortiert',
+  'activity.actions.queue_shuffle': 'Warteschlange gemischt',
+  'activity.actions.loop_mode': 'Wiederholungsmodus geändert',
+  'activity.actions.account_add': 'Konto hinzugefügt',
+  'activity.actions.account_remove': 'Konto entfernt',
+  'activity.actions.account_update': 'Konto-Einstellungen geändert',
+  'activity.actions.backup_import': 'Sicherung importiert',
+  'activity.actions.scheduled_playlist': 'Geplante Playlist gestartet',
+  'activity.actions.undo': 'Rückgängig gemacht',
+
+  'chat.title': 'Chat-Konsole (Simuliert)',
+  'chat.intro': 'Steuere den Bot wie in Discord mit Slash-Befehlen, z.B.',
+  'chat.or': 'oder',
+  'chat.empty': 'Noch keine Befehle. Tippe /help für eine Übersicht.',
+  'chat.send': 'Senden',
+  'chat.error': 'Fehler: {error}',
+  'chat.unknownAction': 'Unbekannte Aktion: {type}',
+
+  'errors.account.videoLink': 'Das ist ein Video-Link. Bitte die Kanal-URL oder den @handle angeben.',
+  'errors.account.notYoutube': 'Keine YouTube-URL.',
+  'errors.account.unsupportedYoutubeUrl': 'Nicht unterstützte YouTube-URL. Erlaubt sind youtube.com/@handle und youtube.com/channel/UC…',
+  'errors.account.invalidYoutubeHandle': 'Ungültiger YouTube-Handle. Erlaubt sind 3–30 Buchstaben, Ziffern, Punkt, Binde- und Unterstrich.',
+  'errors.account.notTwitch': 'Keine Twitch-URL.',
+  'errors.account.twitchChannelUrl': 'Bitte die Kanal-URL angeben (twitch.tv/name).',
+  'errors.account.invalidTwitchName': 'Ungültiger Twitch-Kanalname. Erlaubt sind 3–25 Buchstaben, Ziffern und Unterstriche.',
+  'errors.account.notX': 'Keine X-URL.',
+  'errors.account.xProfileUrl': 'Bitte die Profil-URL angeben (x.com/name).',
+  'errors.account.invalidXName': 'Ungültiger X-Benutzername. Erlaubt sind 1–15 Buchstaben, Ziffern und Unterstriche.',
+  'errors.account.feedUrlRequired': 'Für "Andere" wird eine Feed-URL (http/https) benötigt.',
+  'errors.account.unknownPlatform': 'Unbekannte Plattform "{type}".',
+  'errors.account.empty': 'Bitte eine URL oder einen Benutzernamen eingeben.',
+  'errors.account.wrongPlatform': 'Das ist eine {detected}-URL, nicht {type}.',
+
+  'errors.music.empty': 'Bitte eine URL eingeben.',
+  'errors.music.invalidUrl': 'Ungültige URL: {url}',
+  'errors.music.invalidProtocol': 'Ungültiges Protokoll "{protocol}". Nur http(s)-Links werden unterstützt.',
+  'errors.music.invalidPlaylistId': 'Die YouTube-Playlist-URL enthält keine gültige Playlist-ID.',
+  'errors.music.invalidYoutubeVideoId': 'Die YouTube-URL enthält keine gültige Video-ID.',
+  'errors.music.invalidTwitchVodId': 'Die Twitch-VOD-URL enthält keine gültige Video-ID.',
+  'errors.music.unsupportedTwitchUrl': 'Nicht unterstützte Twitch-URL. Erlaubt sind VODs (twitch.tv/videos/…) und Kanäle (twitch.tv/name).',
+  'errors.music.unsupportedUrl': 'Nicht unterstützte URL. Erlaubt sind YouTube-Videos/-Playlists, Twitch-VODs/-Kanäle und direkte Audiodateien.',
+  'errors.music.metadataHttpError': 'Metadaten konnten nicht geladen werden (HTTP {status}).',
+  'errors.music.youtubeVideoNotFound': 'YouTube-Video nicht gefunden oder privat.',
+  'errors.music.youtubePlaylistNotFound': 'YouTube-Playlist nicht gefunden oder privat.',
+  'errors.music.playlistNeedsApiKey': 'Für YouTube-Playlists wird ein YouTube-API-Schlüssel benötigt.',
+  'errors.music.playlistEmpty': 'Die YouTube-Playlist enthält keine abspielbaren Videos.',
+  'errors.music.twitchNotFound': 'Twitch-Inhalt nicht gefunden.',
+  'errors.music.twitchVodNotFound': 'Twitch-VOD nicht gefunden.',
+  'errors.feed.invalidFeed': 'Die Antwort ist kein gültiger RSS- oder Atom-Feed.',
+  'errors.feed.network': 'Netzwerkfehler beim Abruf: {error}',
+  'errors.feed.httpStatus': 'Abruf fehlgeschlagen (HTTP {status}).',
+  'errors.feed.youtubeChannelId': 'YouTube-Kanal-ID konnte nicht ermittelt werden.',
+  'errors.feed.twitchCredentials': 'Für Twitch werden Client-ID und Access-Token benötigt.',
+  'errors.feed.twitchName': 'Twitch-Kanalname konnte nicht gelesen werden.',
+  'errors.feed.xName': 'X-Benutzername konnte nicht gelesen werden.',
+  'errors.feed.feedUrlRequired': 'Für "Andere" wird eine Feed-URL (http/https) benötigt.',
+  'errors.feed.unknownType': 'Unbekannter Kontotyp: {type}',
+  'errors.webhook.unreachable': 'Webhook nicht erreichbar: {error}',
+  'errors.webhook.rateLimited': 'Webhook-Rate-Limit erreicht.',
+  'errors.webhook.httpStatus': 'Webhook-Zustellung fehlgeschlagen (HTTP {status}).',
+
+  'errors.backup.notABackup': 'Die Datei enthält keine gültige Sicherung.',
+  'errors.backup.invalidVersion': 'Die Sicherung hat keine gültige Versionsnummer.',
+  'errors.backup.unknownFormat': 'Unbekanntes Dateiformat. Erwartet wird eine Sicherung dieses Dashboards.',
+  'errors.backup.invalidJson': 'Die Datei ist kein gültiges JSON.',
+  'errors.backup.newerVersion': 'Die Sicherung stammt aus einer neueren Version ({version}) und kann nicht importiert werden.',
+  'errors.backup.noData': 'Die Sicherung enthält keine Daten.',
+  'errors.backup.listExpected': '{path}: Liste erwartet.',
+  'errors.backup.notASong': '{path}: Eintrag ist kein Song.',
+  'errors.backup.missingUrl': '{path}: URL fehlt.',
+  'errors.backup.httpOnly': '{path}: Nur http(s)-Links werden unterstützt.',
+  'errors.backup.invalidThumbnail': '{path}: Ungültiges Vorschaubild.',
+  'errors.backup.missingTitle': '{path}: Titel fehlt.',
+  'errors.backup.invalidDuration': '{path}: Ungültige Dauer.',
+  'errors.backup.notAnAccount': '{path}: Eintrag ist kein Konto.',
+  'errors.backup.unknownPlatform': '{path}: Unbekannte Plattform "{type}".',
+  'errors.backup.invalidAccount': '{path}: {reason}',
+  'errors.backup.invalidPollInterval': '{path}: Ungültiges Abrufintervall.',
+  'errors.backup.invalidWebhookUrl': '{path}: Ungültige Webhook-URL.',
+  'errors.backup.unknownLoopMode': '{path}: Unbekannter Wiederholungsmodus "{loopMode}".',
+
+  'errors.schedule.unknownTimeZone': 'Unbekannte Zeitzone: "{timeZone}". Beispiel: Europe/Berlin',
+  'errors.schedule.invalidTimeRange': 'Bitte Beginn und Ende als Uhrzeit (HH:MM) angeben.',
+  'errors.schedule.emptyTimeRange': 'Beginn und Ende dürfen nicht gleich sein.',
+  'errors.schedule.noWeekdays': 'Bitte mindestens einen Wochentag auswählen.',
+  'errors.schedule.invalidEventTitle': 'Bitte einen Titel mit höchstens 100 Zeichen angeben.',
+  'errors.schedule.invalidEventStart': 'Bitte Datum und Uhrzeit des Events angeben.',
+  'errors.schedule.invalidEventDuration': 'Die Dauer muss zwischen 1 und {max} Minuten liegen.',
+  'errors.schedule.noPlaylist': 'Bitte eine gespeicherte Playlist auswählen.',
+  'errors.schedule.invalidPlaylistName': 'Bitte einen Namen mit höchstens 100 Zeichen angeben.',
+  'errors.schedule.emptyPlaylist': 'Die Warteschlange ist leer – es gibt nichts zu speichern.',
+  'errors.schedule.tooManySongs': 'Eine Playlist darf höchstens {max} Songs enthalten.',
+  'errors.schedule.tooManyPlaylists': 'Es können höchstens {max} Playlists gespeichert werden.',
+  'errors.schedule.playlistInUse': 'Die Playlist wird von einem geplanten Event verwendet.',
+
+  'commands.play.usage': '/play <url>',
+  'commands.play.description': 'Fügt einen Song, eine Playlist oder einen Stream zur Warteschlange hinzu.',
+  'commands.skip.usage': '/skip',
+  'commands.skip.description': 'Überspringt den aktuellen Song.',
+  'commands.stop.usage': '/stop',
+  'commands.stop.description': 'Stoppt die Wiedergabe und leert die Warteschlange.',
+  'commands.queue.usage': '/queue',
+  'commands.queue.description': 'Zeigt die Warteschlange an.',
+  'commands.queue.title': 'Warteschlange ({count}):',
+  'commands.queue.song': '**{title}** ({duration})',
+  'commands.queue.songWithoutDuration': '**{title}**',
+  'commands.queue.more': '… und {count} weitere',
+  'commands.nowplaying.usage': '/nowplaying',
+  'commands.nowplaying.description': 'Zeigt den aktuell spielenden Song mit Fortschritt an.',
+  'commands.nowplaying.reply': 'Aktuell spielt: **{title}** [{elapsed} / {total}]\n{url}',
+  'commands.nowplaying.pausedReply': 'Aktuell spielt: **{title}** [{elapsed} / {total}] (pausiert)\n{url}',
+  'commands.nowplaying.live': 'Live',
+  'commands.follow.usage': '/follow <youtube|twitch|x|other> <url>',
+  'commands.follow.description': 'Verfolgt ein Social-Media-Konto.',
+  'commands.unfollow.usage': '/unfollow <url|name|nummer>',
+  'commands.unfollow.description': 'Entfernt ein verfolgtes Konto (Nummer siehe /unfollow ohne Argument).',
+  'commands.unfollow.chooseAccount': 'Verwendung: {usage}\n{accounts}',
+  'commands.help.usage': '/help',
+  'commands.help.description': 'Listet alle Befehle auf.',
+
+  'errors.command.usage': 'Verwendung: {usage}',
+  'errors.command.nothingToSkip': 'Es gibt nichts zu überspringen.',
+  'errors.command.accountNotFound': 'Kein verfolgtes Konto gefunden für "{target}".',
+  'errors.command.ambiguousAccount': 'Mehrere verfolgte Konten passen zu "{target}", bitte die Nummer angeben:\n{accounts}',
+  'errors.command.notACommand': 'Befehle beginnen mit "/". Tippe /help für eine Übersicht.',
+  'errors.command.unknownCommand': 'Unbekannter Befehl: /{name}. Tippe /help für eine Übersicht.',
+  'errors.command.forbidden': 'Deine Rolle ({role}) darf /{name} nicht verwenden.',
+
+  'loopModes.off': 'Aus',
+  'loopModes.track': 'Song',
+  'loopModes.queue': 'Warteschlange',
+
+  'activity.summary.botOnline': 'Bot eingeschaltet',
+  'activity.summary.botOffline': 'Bot ausgeschaltet',
+  'activity.summary.playing': 'Jetzt: {title}',
+  'activity.summary.skipped': '{skipped} übersprungen, jetzt: {title}',
+  'activity.summary.queueFinished': 'Warteschlange beendet',
+  'activity.summary.resumed': 'Fortgesetzt: {title}',
+  'activity.summary.paused': 'Pausiert: {title}',
+  'activity.summary.stoppedSong': {
+    one: '{title} gestoppt, {count} Song aus der Warteschlange entfernt',
+    other: '{title} gestoppt, {count} Songs aus der Warteschlange entfernt'
+  },
+  'activity.summary.stopped': {
+    one: 'Gestoppt, {count} Song aus der Warteschlange entfernt',
+    other: 'Gestoppt, {count} Songs aus der Warteschlange entfernt'
+  },
+  'activity.summary.added': 'Hinzugefügt: {songs}',
+  'activity.summary.insertedNext': 'Als Nächstes: {songs}',
+  'activity.summary.removed': 'Entfernt: {title}',
+  'activity.summary.moved': '{title} auf Position {position} verschoben',
+  'activity.summary.shuffled': { one: '{count} Song gemischt', other: '{count} Songs gemischt' },
+  'activity.summary.loopMode': 'Wiederholen: {from} → {to}',
+  'activity.summary.account': '{type}: {account}',
+  'activity.summary.accountUpdated': '{type}: {account} ({fields})',
+  'activity.summary.backupReplaced': 'Ersetzt: {accounts}, {songs}',
+  'activity.summary.backupMerged': 'Zusammengeführt: {accounts}, {songs}',
+  'activity.summary.scheduledPlaylist': {
+    one: 'Event "{event}": {playlist} gestartet, {count} Song der Warteschlange ersetzt',
+    other: 'Event "{event}": {playlist} gestartet, {count} Songs der Warteschlange ersetzt'
+  },
+
+  'errors.alreadyUndone': 'Dieser Eintrag wurde bereits rückgängig gemacht.',
+  'errors.guildNotFound': 'Der Server existiert nicht mehr.',
+  'errors.localSharing': 'Im lokalen Modus kann das Dashboard nicht geteilt werden.'
+};
+
+export default de;
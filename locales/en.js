@@ -0,0 +1,480 @@
+// Englischer Katalog. Schlüssel und Platzhalter müssen mit de.js übereinstimmen.
+const en = {
+  'app.title': 'Discord Bot Simulator',
+  'app.loading': 'Loading bot configuration...',
+  'app.language': 'Language',
+  'app.languageSaveError': 'Could not save the language: {error}',
+  'app.localModeNotice': 'No Firebase connection: data is only stored locally in this browser.',
+  'app.authError': 'Authentication failed: {error}',
+  'app.notAuthenticated': 'User not authenticated.',
+  'app.userId': 'Your user ID:',
+  'app.permissionDenied': 'Your role ({role}) does not allow this action.',
+  'app.noRole': 'none',
+  'app.changeNotSaved': 'Could not save the change: {error}',
+  'app.saveDataError': 'Error while saving data: {error}',
+  'app.loadDataError': 'Error while loading data: {error}',
+  'app.note': 'Note:',
+  'app.save': 'Save',
+  'app.cancel': 'Cancel',
+  'app.add': 'Add',
+  'app.remove': 'Remove',
+
+  'sync.status.synced': 'Synced',
+  'sync.status.pending': 'Syncing',
+  'sync.status.offline': 'Offline',
+  'sync.status.error': 'Sync error',
+  'sync.status.local': 'Stored locally only',
+  'sync.pendingCount': '{count} pending',
+  'sync.lastError': 'Last error: {error}',
+
+  'roles.owner': 'Owner',
+  'roles.dj': 'DJ',
+  'roles.viewer': 'Viewer',
+
+  'dashboard.label': 'Dashboard:',
+  'dashboard.own': 'My dashboard',
+  'dashboard.sharedBy': 'Shared by {ownerId} ({role})',
+  'dashboard.yourRole': 'Your role: {role}',
+  'dashboard.accessRevoked': 'Your access to this dashboard has been revoked.',
+  'dashboard.noAccess': 'No access to this dashboard: {error}',
+
+  'guilds.label': 'Server:',
+  'guilds.namePlaceholder': 'Server name',
+  'guilds.create': 'Create server',
+  'guilds.saveName': 'Save name',
+  'guilds.createNew': 'Create new server',
+  'guilds.rename': 'Rename server',
+  'guilds.delete': 'Delete server',
+  'guilds.invalidName': 'Please enter a server name with 1 to 100 characters.',
+  'guilds.created': 'Server created: {name}',
+  'guilds.renamed': 'Server renamed to: {name}',
+  'guilds.saveError': 'Error while saving the server: {error}',
+  'guilds.cannotDeleteLast': 'The last server cannot be deleted.',
+  'guilds.confirmDelete': 'Really delete server "{name}" including its queue, accounts and updates?',
+  'guilds.deleted': 'Server deleted: {name}',
+  'guilds.deleteError': 'Error while deleting the server: {error}',
+  'guilds.migrated': 'Existing bot data was moved to the default server.',
+  'guilds.loadError': 'Error while loading the servers: {error}',
+
+  'backup.title': 'Backup',
+  'backup.export': 'Export',
+  'backup.import': 'Import',
+  'backup.importMode': 'Import mode',
+  'backup.modeMerge': 'Merge',
+  'backup.modeReplace': 'Replace',
+  'backup.description': 'Contains accounts (including webhook URLs), queue, current song and loop mode. "Merge" only adds missing entries, "Replace" overwrites the server.',
+  'backup.exported': 'Backup exported.',
+  'backup.importFailed': 'Import failed: {error}',
+  'backup.readError': 'Error while reading the file: {error}',
+  'backup.confirmReplace': 'Accounts, queue and settings of this server will be replaced by the backup. Continue?',
+  'backup.imported': 'Backup imported: {accounts}, {songs}.',
+  'backup.skipped': {
+    one: 'Skipped {count} existing entry.',
+    other: 'Skipped {count} existing entries.'
+  },
+
+  'counts.accounts': { one: '{count} account', other: '{count} accounts' },
+  'counts.songs': { one: '{count} song', other: '{count} songs' },
+
+  'team.title': 'Team & permissions',
+  'team.memberIdPlaceholder': "Member's user ID",
+  'team.invite': 'Invite',
+  'team.removeAccess': 'Remove access',
+  'team.noMembers': 'No members invited yet.',
+  'team.enterUserId': 'Please enter a user ID.',
+  'team.cannotInviteSelf': 'You cannot invite yourself.',
+  'team.memberSaved': '{memberId} now has the role {role}.',
+  'team.inviteError': 'Error while inviting: {error}',
+  'team.memberRemoved': 'Access removed for {memberId}.',
+  'team.removeError': 'Error while removing: {error}',
+
+  'bot.status': 'Bot status: {status}',
+  'bot.state.online': 'Online',
+  'bot.state.connecting': 'Connecting…',
+  'bot.state.requested': 'Online requested – no worker reachable',
+  'bot.state.offline': 'Offline',
+  'bot.workerReachable': 'Worker reachable, last heartbeat {seconds} s ago',
+  'bot.workerUnreachable': 'Worker unreachable, last heartbeat {seconds} s ago',
+  'bot.noWorker': 'No backend worker connected yet.',
+  'bot.workerError': 'Worker error: {error}',
+  'bot.turnOn': 'Turn bot on',
+  'bot.turnOff': 'Turn bot off',
+  'bot.nowOnline': 'Bot is now online.',
+  'bot.nowOffline': 'Bot is now offline.',
+
+  'schedule.title': 'Schedule',
+  'schedule.nowOnline': 'According to the schedule the bot is online now.',
+  'schedule.nowOffline': 'According to the schedule the bot is offline now.',
+  'schedule.quietActive': 'Quiet hours: announcements are held back',
+  'schedule.timeZoneInfo': 'Time zone {timeZone} (currently {time} there). The schedule is run by the backend worker.',
+  'schedule.saveTimeZone': 'Save time zone',
+  'schedule.saved': 'Schedule saved.',
+  'schedule.weekdays.0': 'Sun',
+  'schedule.weekdays.1': 'Mon',
+  'schedule.weekdays.2': 'Tue',
+  'schedule.weekdays.3': 'Wed',
+  'schedule.weekdays.4': 'Thu',
+  'schedule.weekdays.5': 'Fri',
+  'schedule.weekdays.6': 'Sat',
+  'schedule.onlineWindow': 'Online window',
+  'schedule.onlineWindows': 'Weekly online windows',
+  'schedule.noWindows': 'No online windows scheduled.',
+  'schedule.quietHours': 'Quiet hours',
+  'schedule.quietHoursRange': 'Daily {start}–{end}',
+  'schedule.noQuietHours': 'No quiet hours set.',
+  'schedule.quietHoursHint': 'Accounts with a webhook are not fetched during quiet hours; new entries are announced afterwards.',
+  'schedule.playlists': 'Saved playlists',
+  'schedule.noPlaylists': 'No playlists saved.',
+  'schedule.playlistName': 'Playlist name',
+  'schedule.saveQueue': {
+    one: 'Save queue ({count} song)',
+    other: 'Save queue ({count} songs)'
+  },
+  'schedule.saveQueueHint': 'Saves the current song and the queue as a playlist for events.',
+  'schedule.playlistMissing': 'Playlist deleted',
+  'schedule.event': 'Event',
+  'schedule.events': 'Events',
+  'schedule.noEvents': 'No events scheduled.',
+  'schedule.eventTitle': 'Event title',
+  'schedule.durationMinutes': 'Duration in minutes',
+  'schedule.duration': {
+    one: '{count} minute',
+    other: '{count} minutes'
+  },
+  'schedule.choosePlaylist': 'Choose playlist...',
+  'schedule.eventHint': 'At the start the bot is switched on and the queue is replaced by the playlist. Time in {timeZone}.',
+  'schedule.eventStarted': 'Started {time}',
+
+  'music.title': 'Music controls (simulated)',
+  'music.note': 'Actual playback is handled by the backend worker (worker/index.js), which reads the same data and confirms what it plays. Without a running worker this is a frontend-only simulation.',
+  'music.urlPlaceholder': 'Paste a YouTube/Twitch link, playlist or audio file URL',
+  'music.addToQueue': 'Add to queue',
+  'music.playNext': 'Play next',
+  'music.playNextTitle': 'Insert right after the current song',
+  'music.playlistFile': 'Playlist file',
+  'music.playlistFileTitle': 'Import a text file with one URL per line or an M3U playlist',
+  'music.play': 'Play',
+  'music.pause': 'Pause',
+  'music.resume': 'Resume',
+  'music.skip': 'Skip',
+  'music.stop': 'Stop',
+  'music.shuffle': 'Shuffle',
+  'music.loopTitle': 'Change loop mode',
+  'music.loop.off': 'Loop: off',
+  'music.loop.track': 'Loop: song',
+  'music.loop.queue': 'Loop: queue',
+  'music.nowPlaying': 'Now playing:',
+  'music.paused': '(paused)',
+  'music.workerConfirmed': 'Confirmed by the backend worker',
+  'music.workerPlaying': 'Worker playing',
+  'music.nothingPlaying': 'Nothing is playing.',
+  'music.unknownDuration': 'Live / unknown',
+  'music.queue': 'Queue:',
+  'music.queueEmpty': 'Queue is empty.',
+  'music.songTitle.twitchVod': 'Twitch VOD {videoId}',
+  'music.songTitle.twitchChannel': 'Twitch channel {channel}',
+  'music.songTitle.twitchChannelOffline': 'Twitch channel {channel} (offline)',
+  'music.removeFromQueue': 'Remove from queue',
+  'music.history': 'Recently played:',
+  'music.noHistory': 'No songs played yet.',
+  'music.requeue': 'Add to queue again',
+  'music.enterUrl': 'Please enter a URL.',
+  'music.added': {
+    one: 'Song added to queue: {title}',
+    other: '{count} songs added to queue.'
+  },
+  'music.addedNext': {
+    one: 'Playing next: {title}',
+    other: '{count} songs will play next.'
+  },
+  'music.resolveError': 'Error while loading song information: {error}',
+  'music.repeating': 'Repeating: {title}',
+  'music.playing': 'Now playing: {title}',
+  'music.resumed': 'Playback resumed: {title}',
+  'music.pausedToast': 'Playback paused.',
+  'music.removed': 'Song removed from queue.',
+  'music.shuffled': 'Queue shuffled.',
+  'music.loopChanged.off': 'Loop turned off.',
+  'music.loopChanged.track': 'Repeating the current song.',
+  'music.loopChanged.queue': 'Repeating the queue.',
+  'music.requeued': 'Added to queue again: {title}',
+  'music.stopped': 'Playback stopped and queue cleared.',
+
+  'playlist.noUrls': 'The file does not contain any URLs.',
+  'playlist.noneResolved': 'None of the URLs could be resolved. Line {line}: {error}',
+  'playlist.imported': {
+    one: 'Added {count} song from {file} to the queue.',
+    other: 'Added {count} songs from {file} to the queue.'
+  },
+  'playlist.skippedLines': {
+    one: 'skipped {count} line (line {line})',
+    other: 'skipped {count} lines (first: line {line})'
+  },
+  'playlist.truncated': 'only the first {count} entries were imported',
+  'playlist.importError': 'Error while importing the playlist: {error}',
+
+  'accountTypes.YouTube': 'YouTube',
+  'accountTypes.Twitch': 'Twitch',
+  'accountTypes.X': 'X (Twitter)',
+  'accountTypes.Other': 'Other',
+
+  'social.title': 'Social media updates',
+  'social.note': 'YouTube channels and X profiles (via Nitter) are fetched via RSS; "Other" accepts any RSS/Atom feed URL. Twitch needs a client ID and access token. In the browser most feeds require a CORS proxy (see __social_feed_config). The backend worker fetches the accounts automatically at the configured interval and announces new entries via the account\'s Discord webhook.',
+  'social.placeholder.YouTube': '@handle or youtube.com/channel/UC…',
+  'social.placeholder.Twitch': 'Channel name or twitch.tv/name',
+  'social.placeholder.X': '@name or x.com/name',
+  'social.placeholder.Other': 'RSS/Atom feed URL (https://…)',
+  'social.addAccount': 'Add account',
+  'social.trackedAccounts': 'Tracked accounts:',
+  'social.noAccounts': 'No accounts tracked.',
+  'social.openFeed': 'Open feed',
+  'social.openProfile': 'Open profile',
+  'social.lastFetched': 'Last fetched: {time}',
+  'social.neverFetched': 'Not fetched yet',
+  'social.pollInterval': 'every {count} min',
+  'social.nextPoll': 'next fetch: {time}',
+  'social.webhookAnnouncement': 'Announced via webhook',
+  'social.failureCount': '{count}× in a row',
+  'social.pollSettings': 'Fetch settings',
+  'social.removeAccount': 'Remove account',
+  'social.intervalMinutes': 'Interval (minutes)',
+  'social.webhookUrl': 'Discord webhook URL',
+  'social.template': 'Template',
+  'social.templateHint': 'Placeholders: {placeholders}. Leave empty for the default template.',
+  'social.fetchUpdates': 'Fetch updates',
+  'social.alreadyTracked': '{type} account {handle} is already tracked.',
+  'social.accountAdded': 'Social media account added: {type} - {handle}',
+  'social.accountNotFound': 'Account not found.',
+  'social.confirmDeleteHistory': 'Also delete the update history of {type}: {url}?',
+  'social.accountRemoved': 'Social media account removed.',
+  'social.accountAndUpdatesRemoved': {
+    one: 'Removed the social media account and {count} update.',
+    other: 'Removed the social media account and {count} updates.'
+  },
+  'social.historyDeleteFailed': 'Account removed, but its history could not be deleted: {error}',
+  'social.invalidInterval': 'The fetch interval must be between {min} and {max} minutes.',
+  'social.invalidWebhook': 'Please enter a valid webhook URL (http/https) or leave the field empty.',
+  'social.settingsSaved': 'Fetch settings saved.',
+  'social.noAccountsToFetch': 'No social media accounts to fetch.',
+  'social.noNewUpdates': 'No new updates.',
+  'social.newUpdates': {
+    one: 'Found {count} new update.',
+    other: 'Found {count} new updates.'
+  },
+  'social.failedAccounts': {
+    one: '{count} account failed (see account list).',
+    other: '{count} accounts failed (see account list).'
+  },
+  'social.heldForQuietHours': {
+    one: '{count} account with a webhook will be fetched after quiet hours.',
+    other: '{count} accounts with a webhook will be fetched after quiet hours.'
+  },
+
+  'updates.title': 'Update history',
+  'updates.unread': '{count} unread',
+  'updates.markAllRead': 'Mark all as read',
+  'updates.markRead': 'Mark as read',
+  'updates.allPlatforms': 'All platforms',
+  'updates.allAccounts': 'All accounts',
+  'updates.search': 'Search...',
+  'updates.loading': 'Loading updates...',
+  'updates.searching': 'Searching history...',
+  'updates.noMatches': 'No matching updates found.',
+  'updates.empty': 'No updates yet.',
+  'updates.loadMore': 'Load older updates',
+  'updates.loadError': 'Error while loading updates: {error}',
+  'updates.markedRead': {
+    one: 'Marked {count} update as read.',
+    other: 'Marked {count} updates as read.'
+  },
+  'updates.noUnread': 'No unread updates.',
+
+  'activity.title': 'Activity',
+  'activity.allActions': 'All actions',
+  'activity.allUsers': 'All users',
+  'activity.you': 'You',
+  'activity.system': 'Schedule',
+  'activity.undo': 'Undo',
+  'activity.undone': 'Undone',
+  'activity.undoneToast': 'Undone: {summary}',
+  'activity.nothingToRestore': 'Nothing to restore – the state has already changed in the meantime.',
+  'activity.empty': 'No activity yet.',
+  'activity.loadMore': 'Load older entries',
+  'activity.actions.bot_online': 'Bot online',
+  'activity.actions.bot_offline': 'Bot offline',
+  'activity.actions.play_next': 'Playback started',
+  'activity.actions.skip': 'Skipped',
+  'activity.actions.pause': 'Paused',
+  'activity.actions.resume': 'Resumed',
+  'activity.actions.stop': 'Stopped',
+  'activity.actions.queue_add': 'Added to queue',
+  'activity.actions.queue_insert_next': 'Queued to play next',
+  'activity.actions.queue_remove': 'Removed from queue',
+  'activity.actions.queue_move': 'Queue reordered',
+  'activity.actions.queue_shuffle': 'Queue shuffled',
+  'activity.actions.loop_mode': 'Loop mode changed',
+  'activity.actions.account_add': 'Account added',
+  'activity.actions.account_remove': 'Account removed',
+  'activity.actions.account_update': 'Account settings changed',
+  'activity.actions.backup_import': 'Backup imported',
+  'activity.actions.scheduled_playlist': 'Scheduled playlist started',
+  'activity.actions.undo': 'Undone',
+
+  'chat.title': 'Chat console (simulated)',
+  'chat.intro': 'Control the bot with slash commands just like in Discord, e.g.',
+  'chat.or': 'or',
+  'chat.empty': 'No commands yet. Type /help for an overview.',
+  'chat.send': 'Send',
+  'chat.error': 'Error: {error}',
+  'chat.unknownAction': 'Unknown action: {type}',
+
+  'errors.account.videoLink': 'That is a video link. Please enter the channel URL or the @handle.',
+  'errors.account.notYoutube': 'Not a YouTube URL.',
+  'errors.account.unsupportedYoutubeUrl': 'Unsupported YouTube URL. Allowed are youtube.com/@handle and youtube.com/channel/UC…',
+  'errors.account.invalidYoutubeHandle': 'Invalid YouTube handle. Allowed are 3–30 letters, digits, dots, hyphens and underscores.',
+  'errors.account.notTwitch': 'Not a Twitch URL.',
+  'errors.account.twitchChannelUrl': 'Please enter the channel URL (twitch.tv/name).',
+  'errors.account.invalidTwitchName': 'Invalid Twitch channel name. Allowed are 3–25 letters, digits and underscores.',
+  'errors.account.notX': 'Not an X URL.',
+  'errors.account.xProfileUrl': 'Please enter the profile URL (x.com/name).',
+  'errors.account.invalidXName': 'Invalid X username. Allowed are 1–15 letters, digits and underscores.',
+  'errors.account.feedUrlRequired': '"Other" accounts need a feed URL (http/https).',
+  'errors.account.unknownPlatform': 'Unknown platform "{type}".',
+  'errors.account.empty': 'Please enter a URL or a username.',
+  'errors.account.wrongPlatform': 'That is a {detected} URL, not {type}.',
+
+  'errors.music.empty': 'Please enter a URL.',
+  'errors.music.invalidUrl': 'Invalid URL: {url}',
+  'errors.music.invalidProtocol': 'Invalid protocol "{protocol}". Only http(s) links are supported.',
+  'errors.music.invalidPlaylistId': 'The YouTube playlist URL does not contain a valid playlist ID.',
+  'errors.music.invalidYoutubeVideoId': 'The YouTube URL does not contain a valid video ID.',
+  'errors.music.invalidTwitchVodId': 'The Twitch VOD URL does not contain a valid video ID.',
+  'errors.music.unsupportedTwitchUrl': 'Unsupported Twitch URL. Allowed are VODs (twitch.tv/videos/…) and channels (twitch.tv/name).',
+  'errors.music.unsupportedUrl': 'Unsupported URL. Allowed are YouTube videos/playlists, Twitch VODs/channels and direct audio files.',
+  'errors.music.metadataHttpError': 'Metadata could not be loaded (HTTP {status}).',
+  'errors.music.youtubeVideoNotFound': 'YouTube video not found or private.',
+  'errors.music.youtubePlaylistNotFound': 'YouTube playlist not found or private.',
+  'errors.music.playlistNeedsApiKey': 'YouTube playlists require a YouTube API key.',
+  'errors.music.playlistEmpty': 'The YouTube playlist contains no playable videos.',
+  'errors.music.twitchNotFound': 'Twitch content not found.',
+  'errors.music.twitchVodNotFound': 'Twitch VOD not found.',
+  'errors.feed.invalidFeed': 'The response is not a valid RSS or Atom feed.',
+  'errors.feed.network': 'Network error while fetching: {error}',
+  'errors.feed.httpStatus': 'Fetch failed (HTTP {status}).',
+  'errors.feed.youtubeChannelId': 'Could not determine the YouTube channel ID.',
+  'errors.feed.twitchCredentials': 'Twitch requires a client ID and an access token.',
+  'errors.feed.twitchName': 'Could not read the Twitch channel name.',
+  'errors.feed.xName': 'Could not read the X username.',
+  'errors.feed.feedUrlRequired': '"Other" requires a feed URL (http/https).',
+  'errors.feed.unknownType': 'Unknown account type: {type}',
+  'errors.webhook.unreachable': 'Webhook unreachable: {error}',
+  'errors.webhook.rateLimited': 'Webhook rate limit reached.',
+  'errors.webhook.httpStatus': 'Webhook delivery failed (HTTP {status}).',
+
+  'errors.backup.notABackup': 'The file does not contain a valid backup.',
+  'errors.backup.invalidVersion': 'The backup has no valid version number.',
+  'errors.backup.unknownFormat': 'Unknown file format. Expected a backup of this dashboard.',
+  'errors.backup.invalidJson': 'The file is not valid JSON.',
+  'errors.backup.newerVersion': 'The backup comes from a newer version ({version}) and cannot be imported.',
+  'errors.backup.noData': 'The backup contains no data.',
+  'errors.backup.listExpected': '{path}: List expected.',
+  'errors.backup.notASong': '{path}: Entry is not a song.',
+  'errors.backup.missingUrl': '{path}: URL missing.',
+  'errors.backup.httpOnly': '{path}: Only http(s) links are supported.',
+  'errors.backup.invalidThumbnail': '{path}: Invalid thumbnail.',
+  'errors.backup.missingTitle': '{path}: Title missing.',
+  'errors.backup.invalidDuration': '{path}: Invalid duration.',
+  'errors.backup.notAnAccount': '{path}: Entry is not an account.',
+  'errors.backup.unknownPlatform': '{path}: Unknown platform "{type}".',
+  'errors.backup.invalidAccount': '{path}: {reason}',
+  'errors.backup.invalidPollInterval': '{path}: Invalid poll interval.',
+  'errors.backup.invalidWebhookUrl': '{path}: Invalid webhook URL.',
+  'errors.backup.unknownLoopMode': '{path}: Unknown loop mode "{loopMode}".',
+
+  'errors.schedule.unknownTimeZone': 'Unknown time zone: "{timeZone}". Example: Europe/Berlin',
+  'errors.schedule.invalidTimeRange': 'Please enter start and end as a time of day (HH:MM).',
+  'errors.schedule.emptyTimeRange': 'Start and end must not be the same.',
+  'errors.schedule.noWeekdays': 'Please select at least one weekday.',
+  'errors.schedule.invalidEventTitle': 'Please enter a title of at most 100 characters.',
+  'errors.schedule.invalidEventStart': 'Please enter the date and time of the event.',
+  'errors.schedule.invalidEventDuration': 'The duration must be between 1 and {max} minutes.',
+  'errors.schedule.noPlaylist': 'Please select a saved playlist.',
+  'errors.schedule.invalidPlaylistName': 'Please enter a name of at most 100 characters.',
+  'errors.schedule.emptyPlaylist': 'The queue is empty – there is nothing to save.',
+  'errors.schedule.tooManySongs': 'A playlist may contain at most {max} songs.',
+  'errors.schedule.tooManyPlaylists': 'At most {max} playlists can be saved.',
+  'errors.schedule.playlistInUse': 'The playlist is used by a scheduled event.',
+
+  'commands.play.usage': '/play <url>',
+  'commands.play.description': 'Adds a song, a playlist or a stream to the queue.',
+  'commands.skip.usage': '/skip',
+  'commands.skip.description': 'Skips the current song.',
+  'commands.stop.usage': '/stop',
+  'commands.stop.description': 'Stops playback and clears the queue.',
+  'commands.queue.usage': '/queue',
+  'commands.queue.description': 'Shows the queue.',
+  'commands.queue.title': 'Queue ({count}):',
+  'commands.queue.song': '**{title}** ({duration})',
+  'commands.queue.songWithoutDuration': '**{title}**',
+  'commands.queue.more': '… and {count} more',
+  'commands.nowplaying.usage': '/nowplaying',
+  'commands.nowplaying.description': 'Shows the song that is playing and its progress.',
+  'commands.nowplaying.reply': 'Now playing: **{title}** [{elapsed} / {total}]\n{url}',
+  'commands.nowplaying.pausedReply': 'Now playing: **{title}** [{elapsed} / {total}] (paused)\n{url}',
+  'commands.nowplaying.live': 'Live',
+  'commands.follow.usage': '/follow <youtube|twitch|x|other> <url>',
+  'commands.follow.description': 'Follows a social media account.',
+  'commands.unfollow.usage': '/unfollow <url|name|number>',
+  'commands.unfollow.description': 'Removes a followed account (for the number, run /unfollow without an argument).',
+  'commands.unfollow.chooseAccount': 'Usage: {usage}\n{accounts}',
+  'commands.help.usage': '/help',
+  'commands.help.description': 'Lists all commands.',
+
+  'errors.command.usage': 'Usage: {usage}',
+  'errors.command.nothingToSkip': 'There is nothing to skip.',
+  'errors.command.accountNotFound': 'No followed account found for "{target}".',
+  'errors.command.ambiguousAccount': 'Several followed accounts match "{target}", please give the number:\n{accounts}',
+  'errors.command.notACommand': 'Commands start with "/". Type /help for an overview.',
+  'errors.command.unknownCommand': 'Unknown command: /{name}. Type /help for an overview.',
+  'errors.command.forbidden': 'Your role ({role}) may not use /{name}.',
+
+  'loopModes.off': 'Off',
+  'loopModes.track': 'Song',
+  'loopModes.queue': 'Queue',
+
+  'activity.summary.botOnline': 'Bot turned on',
+  'activity.summary.botOffline': 'Bot turned off',
+  'activity.summary.playing': 'Now: {title}',
+  'activity.summary.skipped': '{skipped} skipped, now: {title}',
+  'activity.summary.queueFinished': 'Queue finished',
+  'activity.summary.resumed': 'Resumed: {title}',
+  'activity.summary.paused': 'Paused: {title}',
+  'activity.summary.stoppedSong': {
+    one: '{title} stopped, {count} song removed from the queue',
+    other: '{title} stopped, {count} songs removed from the queue'
+  },
+  'activity.summary.stopped': {
+    one: 'Stopped, {count} song removed from the queue',
+    other: 'Stopped, {count} songs removed from the queue'
+  },
+  'activity.summary.added': 'Added: {songs}',
+  'activity.summary.insertedNext': 'Up next: {songs}',
+  'activity.summary.removed': 'Removed: {title}',
+  'activity.summary.moved': '{title} moved to position {position}',
+  'activity.summary.shuffled': { one: '{count} song shuffled', other: '{count} songs shuffled' },
+  'activity.summary.loopMode': 'Loop: {from} → {to}',
+  'activity.summary.account': '{type}: {account}',
+  'activity.summary.accountUpdated': '{type}: {account} ({fields})',
+  'activity.summary.backupReplaced': 'Replaced: {accounts}, {songs}',
+  'activity.summary.backupMerged': 'Merged: {accounts}, {songs}',
+  'activity.summary.scheduledPlaylist': {
+    one: 'Event "{event}": started {playlist}, replaced {count} song in the queue',
+    other: 'Event "{event}": started {playlist}, replaced {count} songs in the queue'
+  },
+
+  'errors.alreadyUndone': 'This entry has already been undone.',
+  'errors.guildNotFound': 'The server no longer exists.',
+  'errors.localSharing': 'The dashboard cannot be shared in local mode.'
+};
+
+export default en;
@@ -0,0 +1,308 @@
+// Auflösung von Musik-URLs in Song-Objekte mit echten Metadaten (Titel, Dauer, Vorschaubild).
+// Erkannt werden YouTube-Videos, YouTube-Playlists, Twitch-VODs/-Kanäle und direkte Audiodateien.
+// Die Endpunkte und die fetch-Implementierung sind austauschbar, damit Tests gegen einen lokalen Stub laufen können.
+import { TranslatableError, translatable, toDefaultText } from './i18n.js';
+
+// Plattform-Kennungen, die in jedem Song-Objekt gespeichert werden
+export const MUSIC_PLATFORMS = {
+  YOUTUBE: 'youtube',
+  TWITCH_VOD: 'twitch_vod',
+  TWITCH_CHANNEL: 'twitch_channel',
+  AUDIO_FILE: 'audio'
+};
+
+// Standard-Endpunkte der öffentlichen APIs (können für Tests überschrieben werden)
+export const DEFAULT_MUSIC_ENDPOINTS = {
+  youtubeOEmbed: 'https://www.youtube.com/oembed',
+  youtubeDataApi: 'https://www.googleapis.com/youtube/v3',
+  twitchHelix: 'https://api.twitch.tv/helix'
+};
+
+const AUDIO_FILE_EXTENSIONS = ['mp3', 'ogg', 'oga', 'opus', 'wav', 'flac', 'm4a', 'aac', 'webm'];
+const YOUTUBE_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{10,}$/;
+const TWITCH_NAME_PATTERN = /^[A-Za-z0-9_]{3,25}$/;
+const TWITCH_RESERVED_PATHS = ['directory', 'downloads', 'jobs', 'p', 'settings', 'subscriptions', 'turbo', 'videos', 'wallet'];
+const MAX_PLAYLIST_ITEMS = 200; // Obergrenze, damit riesige Playlists die Warteschlange nicht sprengen
+
+// Fehler für ungültige, nicht unterstützte oder nicht auflösbare Musik-URLs (errors.music.*).
+// Die übersetzte Meldung ist direkt für showMessage gedacht.
+export class MusicUrlError extends TranslatableError {
+  constructor(key, params) {
+    super(`errors.music.${key}`, params);
+    this.name = 'MusicUrlError';
+  }
+}
+
+// Wandelt eine Eingabe in ein URL-Objekt um; URLs ohne Protokoll (z.B. "youtu.be/abc") werden ergänzt
+const toUrl = (input) => {
+  const trimmed = input.trim();
+  const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  let url;
+  try {
+    url = new URL(withProtocol);
+  } catch (error) {
+    throw new MusicUrlError('invalidUrl', { url: trimmed });
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new MusicUrlError('invalidProtocol', { protocol: url.protocol });
+  }
+  return url;
+};
+
+// Entfernt typische Subdomains (www., m., music.), damit die Host-Erkennung einheitlich bleibt
+const normalizeHost = (hostname) => hostname.toLowerCase().replace(/^(www\.|m\.|music\.)/, '');
+
+// Erkennt Plattform und IDs einer Musik-URL, ohne Netzwerkzugriffe.
+// Rückgabe: { kind: 'youtube_video' | 'youtube_playlist' | 'twitch_vod' | 'twitch_channel' | 'audio', ... }
+export const parseMusicUrl = (input) => {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new MusicUrlError('empty');
+  }
+  const url = toUrl(input);
+  const host = normalizeHost(url.hostname);
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    if (segments[0] === 'playlist') {
+      const playlistId = url.searchParams.get('list');
+      if (!playlistId || !YOUTUBE_PLAYLIST_ID_PATTERN.test(playlistId)) {
+        throw new MusicUrlError('invalidPlaylistId');
+      }
+      return { kind: 'youtube_playlist', playlistId };
+    }
+    const videoId = segments[0] === 'watch'
+      ? url.searchParams.get('v')
+      : ['shorts', 'embed', 'live', 'v'].includes(segments[0]) ? segments[1] : null;
+    if (!videoId || !YOUTUBE_ID_PATTERN.test(videoId)) {
+      throw new MusicUrlError('invalidYoutubeVideoId');
+    }
+    return { kind: 'youtube_video', videoId };
+  }
+
+  if (host === 'youtu.be') {
+    const videoId = segments[0];
+    if (!videoId || !YOUTUBE_ID_PATTERN.test(videoId)) {
+      throw new MusicUrlError('invalidYoutubeVideoId');
+    }
+    return { kind: 'youtube_video', videoId };
+  }
+
+  if (host === 'twitch.tv') {
+    if (segments[0] === 'videos') {
+      if (!/^\d+$/.test(segments[1] || '')) {
+        throw new MusicUrlError('invalidTwitchVodId');
+      }
+      return { kind: 'twitch_vod', videoId: segments[1] };
+    }
+    const channel = segments[0];
+    if (segments.length === 1 && TWITCH_NAME_PATTERN.test(channel) && !TWITCH_RESERVED_PATHS.includes(channel.toLowerCase())) {
+      return { kind: 'twitch_channel', channel: channel.toLowerCase() };
+    }
+    throw new MusicUrlError('unsupportedTwitchUrl');
+  }
+
+  const fileName = segments[segments.length - 1] || '';
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  if (AUDIO_FILE_EXTENSIONS.includes(extension)) {
+    return { kind: 'audio', url: url.toString(), fileName };
+  }
+
+  throw new MusicUrlError('unsupportedUrl');
+};
+
+// Wandelt eine ISO-8601-Dauer der YouTube Data API (z.B. "PT1H2M3S") in Sekunden um
+export const parseIsoDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return total > 0 ? total : null; // Livestreams liefern "P0D"
+};
+
+// Wandelt eine Twitch-Dauer (z.B. "1h2m3s") in Sekunden um
+export const parseTwitchDuration = (value) => {
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value || '');
+  if (!match || !value) return null;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+// Formatiert eine Dauer in Sekunden als "m:ss" bzw. "h:mm:ss"
+export const formatDuration = (totalSeconds) => {
+  if (totalSeconds === null || totalSeconds === undefined || Number.isNaN(totalSeconds)) return null;
+  const rounded = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = String(rounded % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Erstellt ein einheitliches Song-Objekt für die Warteschlange.
+// title ist ein Text oder, für Songs ohne echten Titel (Twitch ohne Zugangsdaten), ein übersetzbarer Text
+// (music.songTitle.* in locales/). Dann enthält title den deutschen Text für den Worker und ältere Clients,
+// titleKey/titleParams den Schlüssel für die Anzeige in der gewählten Sprache (siehe getSongTitle).
+const createSong = ({ url, platform, videoId = null, title, duration = null, thumbnail = null }) => ({
+  id: Date.now() + Math.random(),
+  url,
+  platform,
+  videoId,
+  title: typeof title === 'string' ? title : toDefaultText(title),
+  ...(typeof title === 'string' ? {} : { titleKey: title.key, titleParams: title.params }),
+  duration,
+  thumbnail
+});
+
+// Titel eines Songs für die Anzeige: übersetzbarer Text oder der gespeicherte Titel
+// (mit translateMessage anzeigen oder als Platzhalter-Wert an t übergeben)
+export const getSongTitle = song => (song.titleKey ? translatable(song.titleKey, song.titleParams || {}) : song.title);
+
+// Wählt das beste verfügbare Vorschaubild aus einem YouTube-Thumbnail-Objekt
+const pickYoutubeThumbnail = (thumbnails = {}) =>
+  (thumbnails.medium || thumbnails.high || thumbnails.default || {}).url || null;
+
+// Fabrik für einen Resolver. Alle Netzwerkzugriffe laufen über fetchImpl und die konfigurierbaren Endpunkte.
+// Ohne YouTube-API-Schlüssel werden Videos per oEmbed aufgelöst (ohne Dauer); Playlists benötigen den Schlüssel.
+// Ohne Twitch-Zugangsdaten erhalten Twitch-Einträge einen generischen Titel.
+export const createMusicResolver = ({
+  fetchImpl = (...args) => fetch(...args),
+  youtubeApiKey = null,
+  twitchClientId = null,
+  twitchAccessToken = null,
+  endpoints = {}
+} = {}) => {
+  const api = { ...DEFAULT_MUSIC_ENDPOINTS, ...endpoints };
+  const hasTwitchCredentials = Boolean(twitchClientId && twitchAccessToken);
+
+  const getJson = async (url, options, notFoundKey) => {
+    const response = await fetchImpl(url, options);
+    if (response.status === 401 || response.status === 403 || response.status === 404) {
+      throw new MusicUrlError(notFoundKey);
+    }
+    if (!response.ok) {
+      throw new MusicUrlError('metadataHttpError', { status: response.status });
+    }
+    return response.json();
+  };
+
+  const getTwitchJson = (path) => getJson(`${api.twitchHelix}${path}`, {
+    headers: { 'Client-Id': twitchClientId, Authorization: `Bearer ${twitchAccessToken}` }
+  }, 'twitchNotFound');
+
+  // Lädt Titel, Dauer und Vorschaubild für bis zu 50 YouTube-Videos über die Data API
+  const fetchYoutubeVideos = async (videoIds) => {
+    const params = new URLSearchParams({ part: 'snippet,contentDetails', id: videoIds.join(','), key: youtubeApiKey });
+    const data = await getJson(`${api.youtubeDataApi}/videos?${params}`, undefined, 'youtubeVideoNotFound');
+    return (data.items || []).map(item => createSong({
+      url: `https://www.youtube.com/watch?v=${item.id}`,
+      platform: MUSIC_PLATFORMS.YOUTUBE,
+      videoId: item.id,
+      title: item.snippet.title,
+      duration: parseIsoDuration(item.contentDetails.duration),
+      thumbnail: pickYoutubeThumbnail(item.snippet.thumbnails)
+    }));
+  };
+
+  const resolveYoutubeVideo = async ({ videoId }) => {
+    if (youtubeApiKey) {
+      const [song] = await fetchYoutubeVideos([videoId]);
+      if (!song) throw new MusicUrlError('youtubeVideoNotFound');
+      return [song];
+    }
+    const url = `https://www.youtube.com/watch?v=${videoId}`;
+    const params = new URLSearchParams({ url, format: 'json' });
+    const data = await getJson(`${api.youtubeOEmbed}?${params}`, undefined, 'youtubeVideoNotFound');
+    return [createSong({
+      url,
+      platform: MUSIC_PLATFORMS.YOUTUBE,
+      videoId,
+      title: data.title,
+      thumbnail: data.thumbnail_url || null
+    })];
+  };
+
+  const resolveYoutubePlaylist = async ({ playlistId }) => {
+    if (!youtubeApiKey) {
+      throw new MusicUrlError('playlistNeedsApiKey');
+    }
+    // Alle Video-IDs seitenweise einsammeln
+    const videoIds = [];
+    let pageToken = null;
+    do {
+      const params = new URLSearchParams({ part: 'contentDetails', maxResults: '50', playlistId, key: youtubeApiKey });
+      if (pageToken) params.set('pageToken', pageToken);
+      const data = await getJson(`${api.youtubeDataApi}/playlistItems?${params}`, undefined, 'youtubePlaylistNotFound');
+      (data.items || []).forEach(item => videoIds.push(item.contentDetails.videoId));
+      pageToken = data.nextPageToken || null;
+    } while (pageToken && videoIds.length < MAX_PLAYLIST_ITEMS);
+
+    // Metadaten in 50er-Blöcken laden; private oder gelöschte Videos fehlen in der Antwort und werden übersprungen
+    const songs = [];
+    const limitedIds = videoIds.slice(0, MAX_PLAYLIST_ITEMS);
+    for (let i = 0; i < limitedIds.length; i += 50) {
+      songs.push(...await fetchYoutubeVideos(limitedIds.slice(i, i + 50)));
+    }
+    if (songs.length === 0) {
+      throw new MusicUrlError('playlistEmpty');
+    }
+    return songs;
+  };
+
+  const resolveTwitchVod = async ({ videoId }) => {
+    const url = `https://www.twitch.tv/videos/${videoId}`;
+    if (!hasTwitchCredentials) {
+      return [createSong({ url, platform: MUSIC_PLATFORMS.TWITCH_VOD, videoId, title: translatable('music.songTitle.twitchVod', { videoId }) })];
+    }
+    const data = await getTwitchJson(`/videos?id=${encodeURIComponent(videoId)}`);
+    const video = (data.data || [])[0];
+    if (!video) throw new MusicUrlError('twitchVodNotFound');
+    return [createSong({
+      url,
+      platform: MUSIC_PLATFORMS.TWITCH_VOD,
+      videoId,
+      title: video.title,
+      duration: parseTwitchDuration(video.duration),
+      thumbnail: video.thumbnail_url ? video.thumbnail_url.replace('%{width}', '320').replace('%{height}', '180') : null
+    })];
+  };
+
+  const resolveTwitchChannel = async ({ channel }) => {
+    const url = `https://www.twitch.tv/${channel}`;
+    if (!hasTwitchCredentials) {
+      return [createSong({ url, platform: MUSIC_PLATFORMS.TWITCH_CHANNEL, videoId: channel, title: translatable('music.songTitle.twitchChannel', { channel }) })];
+    }
+    const data = await getTwitchJson(`/streams?user_login=${encodeURIComponent(channel)}`);
+    const stream = (data.data || [])[0];
+    return [createSong({
+      url,
+      platform: MUSIC_PLATFORMS.TWITCH_CHANNEL,
+      videoId: channel,
+      title: stream ? `${stream.user_name}: ${stream.title}` : translatable('music.songTitle.twitchChannelOffline', { channel }),
+      thumbnail: stream && stream.thumbnail_url ? stream.thumbnail_url.replace('{width}', '320').replace('{height}', '180') : null
+    })];
+  };
+
+  const resolveAudioFile = async ({ url, fileName }) => {
+    let title = fileName;
+    try {
+      title = decodeURIComponent(fileName);
+    } catch (error) {
+      // Ungültige Prozent-Kodierung: Dateiname unverändert verwenden
+    }
+    return [createSong({ url, platform: MUSIC_PLATFORMS.AUDIO_FILE, title: title.replace(/\.[^.]+$/, '') })];
+  };
+
+  // Löst eine URL in ein oder mehrere Song-Objekte auf (Playlists ergeben mehrere Einträge)
+  const resolve = async (input) => {
+    const parsed = parseMusicUrl(input);
+    switch (parsed.kind) {
+      case 'youtube_video': return resolveYoutubeVideo(parsed);
+      case 'youtube_playlist': return resolveYoutubePlaylist(parsed);
+      case 'twitch_vod': return resolveTwitchVod(parsed);
+      case 'twitch_channel': return resolveTwitchChannel(parsed);
+      default: return resolveAudioFile(parsed);
+    }
+  };
+
+  return { resolve };
+};
@@ -0,0 +1,328 @@
+import {
+  createMusicResolver, parseMusicUrl, parseIsoDuration, parseTwitchDuration, formatDuration, getSongTitle,
+  MusicUrlError, MUSIC_PLATFORMS
+} from './musicResolver.js';
+import { createI18n } from './i18n.js';
+
+const de = createI18n('de');
+const en = createI18n('en');
+
+const endpoints = {
+  youtubeOEmbed: 'https://stub.test/oembed',
+  youtubeDataApi: 'https://stub.test/youtube/v3',
+  twitchHelix: 'https://stub.test/helix'
+};
+
+// Fetch-Stub: route(url, options) liefert { status, body } oder undefined (HTTP 404); alle Aufrufe stehen in fetchImpl.requests
+const createStubFetch = (route) => {
+  const fetchImpl = async (url, options) => {
+    fetchImpl.requests.push({ url: new URL(url), options });
+    const { status = 200, body = {} } = route(new URL(url), options) || { status: 404 };
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+  fetchImpl.requests = [];
+  return fetchImpl;
+};
+
+const resolverWith = (route, options = {}) => {
+  const fetchImpl = createStubFetch(route);
+  return { fetchImpl, resolver: createMusicResolver({ fetchImpl, endpoints, ...options }) };
+};
+
+// Liefert den MusicUrlError einer Auflösung
+const resolveError = async (resolver, url) => {
+  try {
+    await resolver.resolve(url);
+  } catch (error) {
+    expect(error).toBeInstanceOf(MusicUrlError);
+    return error;
+  }
+  throw new Error(`URL wurde aufgelöst: ${url}`);
+};
+
+const parseError = (input) => {
+  try {
+    parseMusicUrl(input);
+  } catch (error) {
+    expect(error).toBeInstanceOf(MusicUrlError);
+    return error.key.replace('errors.music.', '');
+  }
+  throw new Error(`URL wurde erkannt: ${input}`);
+};
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const youtubeVideo = (id, title = `Video ${id}`) => ({
+  id,
+  snippet: { title, thumbnails: { medium: { url: `https://i.ytimg.com/vi/${id}/mqdefault.jpg` } } },
+  contentDetails: { duration: 'PT3M33S' }
+});
+
+describe('parseMusicUrl', () => {
+  it.each([
+    [`https://www.youtube.com/watch?v=${VIDEO_ID}&t=42`, { kind: 'youtube_video', videoId: VIDEO_ID }],
+    [`youtu.be/${VIDEO_ID}`, { kind: 'youtube_video', videoId: VIDEO_ID }],
+    [`https://music.youtube.com/watch?v=${VIDEO_ID}`, { kind: 'youtube_video', videoId: VIDEO_ID }],
+    [`https://m.youtube.com/shorts/${VIDEO_ID}`, { kind: 'youtube_video', videoId: VIDEO_ID }],
+    [`https://www.youtube-nocookie.com/embed/${VIDEO_ID}`, { kind: 'youtube_video', videoId: VIDEO_ID }],
+    ['https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', { kind: 'youtube_playlist', playlistId: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf' }],
+    ['https://www.twitch.tv/videos/2012345678', { kind: 'twitch_vod', videoId: '2012345678' }],
+    ['twitch.tv/KanalUndFreunde', { kind: 'twitch_channel', channel: 'kanalundfreunde' }],
+    ['https://cdn.example.com/musik/Mein%20Song.MP3?token=1', { kind: 'audio', url: 'https://cdn.example.com/musik/Mein%20Song.MP3?token=1', fileName: 'Mein%20Song.MP3' }]
+  ])('erkennt %s', (input, expected) => {
+    expect(parseMusicUrl(input)).toEqual(expected);
+  });
+
+  it.each([
+    ['', 'empty'],
+    [null, 'empty'],
+    ['http://[kaputt', 'invalidUrl'],
+    ['ftp://cdn.example.com/song.mp3', 'invalidProtocol'],
+    ['https://www.youtube.com/watch?v=kurz', 'invalidYoutubeVideoId'],
+    ['https://www.youtube.com/@kanal', 'invalidYoutubeVideoId'],
+    ['https://youtu.be/', 'invalidYoutubeVideoId'],
+    ['https://www.youtube.com/playlist?list=x', 'invalidPlaylistId'],
+    ['https://www.twitch.tv/videos/abc', 'invalidTwitchVodId'],
+    ['https://www.twitch.tv/directory', 'unsupportedTwitchUrl'],
+    ['https://www.twitch.tv/kanal/clip/abc', 'unsupportedTwitchUrl'],
+    ['https://example.com/seite.html', 'unsupportedUrl']
+  ])('lehnt "%s" ab (%s)', (input, key) => {
+    expect(parseError(input)).toBe(key);
+  });
+});
+
+describe('Dauern', () => {
+  it('liest ISO-8601- und Twitch-Dauern und formatiert Sekunden', () => {
+    expect(parseIsoDuration('PT1H2M3S')).toBe(3723);
+    expect(parseIsoDuration('P1DT1S')).toBe(86401);
+    expect(parseIsoDuration('P0D')).toBeNull();
+    expect(parseIsoDuration('unsinn')).toBeNull();
+    expect(parseTwitchDuration('1h2m3s')).toBe(3723);
+    expect(parseTwitchDuration('45s')).toBe(45);
+    expect(parseTwitchDuration('')).toBeNull();
+    expect(formatDuration(3723)).toBe('1:02:03');
+    expect(formatDuration(65.9)).toBe('1:05');
+    expect(formatDuration(null)).toBeNull();
+  });
+});
+
+describe('createMusicResolver: YouTube', () => {
+  it('löst Videos ohne API-Schlüssel per oEmbed auf (ohne Dauer)', async () => {
+    const { resolver, fetchImpl } = resolverWith(url => (url.pathname === '/oembed'
+      ? { body: { title: 'Never Gonna Give You Up', thumbnail_url: 'https://i.ytimg.com/vi/x/hqdefault.jpg' } }
+      : undefined));
+
+    const [song] = await resolver.resolve(`https://youtu.be/${VIDEO_ID}`);
+
+    expect(song).toEqual(expect.objectContaining({
+      url: `https://www.youtube.com/watch?v=${VIDEO_ID}`,
+      platform: MUSIC_PLATFORMS.YOUTUBE,
+      videoId: VIDEO_ID,
+      title: 'Never Gonna Give You Up',
+      duration: null,
+      thumbnail: 'https://i.ytimg.com/vi/x/hqdefault.jpg'
+    }));
+    expect(fetchImpl.requests[0].url.searchParams.get('url')).toBe(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    expect(fetchImpl.requests[0].url.searchParams.get('format')).toBe('json');
+  });
+
+  it('nutzt mit API-Schlüssel die Data API mit Dauer und Vorschaubild', async () => {
+    const { resolver, fetchImpl } = resolverWith(url => (url.pathname === '/youtube/v3/videos'
+      ? { body: { items: [youtubeVideo(VIDEO_ID, 'Mit Dauer')] } }
+      : undefined), { youtubeApiKey: 'schluessel' });
+
+    const [song] = await resolver.resolve(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+
+    expect(song).toEqual(expect.objectContaining({ title: 'Mit Dauer', duration: 213, thumbnail: `https://i.ytimg.com/vi/${VIDEO_ID}/mqdefault.jpg` }));
+    expect(fetchImpl.requests[0].url.searchParams.get('key')).toBe('schluessel');
+    expect(fetchImpl.requests[0].url.searchParams.get('id')).toBe(VIDEO_ID);
+  });
+
+  it('meldet gelöschte oder private Videos', async () => {
+    const withApi = resolverWith(() => ({ body: { items: [] } }), { youtubeApiKey: 'schluessel' });
+    expect((await resolveError(withApi.resolver, `https://youtu.be/${VIDEO_ID}`)).key).toBe('errors.music.youtubeVideoNotFound');
+
+    const withOEmbed = resolverWith(() => ({ status: 401 }));
+    expect((await resolveError(withOEmbed.resolver, `https://youtu.be/${VIDEO_ID}`)).key).toBe('errors.music.youtubeVideoNotFound');
+  });
+
+  it('meldet andere HTTP-Fehler mit Statuscode', async () => {
+    const { resolver } = resolverWith(() => ({ status: 503 }));
+
+    const error = await resolveError(resolver, `https://youtu.be/${VIDEO_ID}`);
+
+    expect(error.key).toBe('errors.music.metadataHttpError');
+    expect(error.params).toEqual({ status: 503 });
+  });
+
+  it('lädt Playlists seitenweise und die Metadaten in 50er-Blöcken', async () => {
+    const ids = Array.from({ length: 60 }, (_, index) => `vid${String(index).padStart(8, '0')}`);
+    const pages = { '': { items: ids.slice(0, 50), nextPageToken: 'seite2' }, seite2: { items: ids.slice(50) } };
+    const { resolver, fetchImpl } = resolverWith((url) => {
+      if (url.pathname === '/youtube/v3/playlistItems') {
+        const page = pages[url.searchParams.get('pageToken') || ''];
+        return { body: { ...page, items: page.items.map(videoId => ({ contentDetails: { videoId } })) } };
+      }
+      if (url.pathname === '/youtube/v3/videos') {
+        // Das private Video vid00000003 fehlt in der Antwort
+        return { body: { items: url.searchParams.get('id').split(',').filter(id => id !== 'vid00000003').map(id => youtubeVideo(id)) } };
+      }
+      return undefined;
+    }, { youtubeApiKey: 'schluessel' });
+
+    const songs = await resolver.resolve('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+
+    expect(songs).toHaveLength(59);
+    expect(songs[0].title).toBe('Video vid00000000');
+    expect(songs.map(song => song.videoId)).not.toContain('vid00000003');
+    expect(fetchImpl.requests.map(request => [request.url.pathname, request.url.searchParams.get('pageToken')])).toEqual([
+      ['/youtube/v3/playlistItems', null],
+      ['/youtube/v3/playlistItems', 'seite2'],
+      ['/youtube/v3/videos', null],
+      ['/youtube/v3/videos', null]
+    ]);
+    expect(fetchImpl.requests[2].url.searchParams.get('id').split(',')).toHaveLength(50);
+    expect(fetchImpl.requests[3].url.searchParams.get('id').split(',')).toHaveLength(10);
+  });
+
+  it('lädt höchstens 200 Videos einer Playlist', async () => {
+    let page = 0;
+    const { resolver } = resolverWith((url) => {
+      if (url.pathname === '/youtube/v3/playlistItems') {
+        page += 1;
+        const items = Array.from({ length: 50 }, (_, index) => ({ contentDetails: { videoId: `p${page}v${index}`.padEnd(11, '0') } }));
+        return { body: { items, nextPageToken: `seite${page + 1}` } };
+      }
+      return { body: { items: url.searchParams.get('id').split(',').map(id => youtubeVideo(id)) } };
+    }, { youtubeApiKey: 'schluessel' });
+
+    const songs = await resolver.resolve('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+
+    expect(songs).toHaveLength(200);
+    expect(page).toBe(4);
+  });
+
+  it('verlangt für Playlists einen API-Schlüssel und meldet leere Playlists', async () => {
+    const withoutKey = resolverWith(() => undefined);
+    expect((await resolveError(withoutKey.resolver, 'https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf')).key)
+      .toBe('errors.music.playlistNeedsApiKey');
+    expect(withoutKey.fetchImpl.requests).toEqual([]);
+
+    const empty = resolverWith(() => ({ body: { items: [] } }), { youtubeApiKey: 'schluessel' });
+    expect((await resolveError(empty.resolver, 'https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf')).key)
+      .toBe('errors.music.playlistEmpty');
+
+    const missing = resolverWith(() => ({ status: 404 }), { youtubeApiKey: 'schluessel' });
+    expect((await resolveError(missing.resolver, 'https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf')).key)
+      .toBe('errors.music.youtubePlaylistNotFound');
+  });
+});
+
+describe('createMusicResolver: Twitch', () => {
+  const credentials = { twitchClientId: 'client-id', twitchAccessToken: 'token' };
+
+  it('löst VODs über die Helix-API mit Dauer und Vorschaubild auf', async () => {
+    const { resolver, fetchImpl } = resolverWith(url => (url.pathname === '/helix/videos'
+      ? { body: { data: [{ title: 'Langer Stream', duration: '1h2m3s', thumbnail_url: 'https://static.twitch.tv/%{width}x%{height}.jpg' }] } }
+      : undefined), credentials);
+
+    const [song] = await resolver.resolve('https://www.twitch.tv/videos/2012345678');
+
+    expect(song).toEqual(expect.objectContaining({
+      url: 'https://www.twitch.tv/videos/2012345678',
+      platform: MUSIC_PLATFORMS.TWITCH_VOD,
+      videoId: '2012345678',
+      title: 'Langer Stream',
+      duration: 3723,
+      thumbnail: 'https://static.twitch.tv/320x180.jpg'
+    }));
+    expect(song).not.toHaveProperty('titleKey');
+    expect(fetchImpl.requests[0].url.searchParams.get('id')).toBe('2012345678');
+    expect(fetchImpl.requests[0].options.headers).toEqual({ 'Client-Id': 'client-id', Authorization: 'Bearer token' });
+  });
+
+  it('meldet nicht gefundene VODs', async () => {
+    const empty = resolverWith(() => ({ body: { data: [] } }), credentials);
+    expect((await resolveError(empty.resolver, 'https://www.twitch.tv/videos/1')).key).toBe('errors.music.twitchVodNotFound');
+
+    const unauthorized = resolverWith(() => ({ status: 401 }), credentials);
+    expect((await resolveError(unauthorized.resolver, 'https://www.twitch.tv/videos/1')).key).toBe('errors.music.twitchNotFound');
+  });
+
+  it('zeigt einen laufenden Stream mit Kanal und Titel', async () => {
+    const { resolver, fetchImpl } = resolverWith(url => (url.pathname === '/helix/streams'
+      ? { body: { data: [{ user_name: 'KanalUndFreunde', title: 'Musik-Stream', thumbnail_url: 'https://static.twitch.tv/live-{width}x{height}.jpg' }] } }
+      : undefined), credentials);
+
+    const [song] = await resolver.resolve('https://www.twitch.tv/KanalUndFreunde');
+
+    expect(song).toEqual(expect.objectContaining({
+      url: 'https://www.twitch.tv/kanalundfreunde',
+      platform: MUSIC_PLATFORMS.TWITCH_CHANNEL,
+      videoId: 'kanalundfreunde',
+      title: 'KanalUndFreunde: Musik-Stream',
+      duration: null,
+      thumbnail: 'https://static.twitch.tv/live-320x180.jpg'
+    }));
+    expect(fetchImpl.requests[0].url.searchParams.get('user_login')).toBe('kanalundfreunde');
+  });
+
+  it('zeigt einen Offline-Kanal in der gewählten Sprache', async () => {
+    const { resolver } = resolverWith(() => ({ body: { data: [] } }), credentials);
+
+    const [song] = await resolver.resolve('https://www.twitch.tv/kanalundfreunde');
+
+    expect(song.title).toBe('Twitch-Kanal kanalundfreunde (offline)');
+    expect(song.thumbnail).toBeNull();
+    expect(en.translateMessage(getSongTitle(song))).toBe('Twitch channel kanalundfreunde (offline)');
+    expect(de.translateMessage(getSongTitle(song))).toBe('Twitch-Kanal kanalundfreunde (offline)');
+  });
+
+  it('vergibt ohne Zugangsdaten übersetzbare Titel, ohne die API aufzurufen', async () => {
+    const { resolver, fetchImpl } = resolverWith(() => undefined);
+
+    const [vod] = await resolver.resolve('https://www.twitch.tv/videos/2012345678');
+    const [channel] = await resolver.resolve('https://www.twitch.tv/kanalundfreunde');
+
+    expect(fetchImpl.requests).toEqual([]);
+    expect(vod).toEqual(expect.objectContaining({ title: 'Twitch-VOD 2012345678', titleKey: 'music.songTitle.twitchVod', titleParams: { videoId: '2012345678' } }));
+    expect(en.translateMessage(getSongTitle(vod))).toBe('Twitch VOD 2012345678');
+    expect(en.t('music.playing', { title: getSongTitle(channel) })).toContain('Twitch channel kanalundfreunde');
+  });
+});
+
+describe('createMusicResolver: Audiodateien', () => {
+  it('verwendet den dekodierten Dateinamen ohne Endung als Titel, ohne Netzwerkzugriff', async () => {
+    const { resolver, fetchImpl } = resolverWith(() => undefined);
+
+    const [song] = await resolver.resolve('https://cdn.example.com/musik/Mein%20Song.mp3');
+
+    expect(song).toEqual(expect.objectContaining({
+      url: 'https://cdn.example.com/musik/Mein%20Song.mp3',
+      platform: MUSIC_PLATFORMS.AUDIO_FILE,
+      title: 'Mein Song',
+      duration: null,
+      thumbnail: null
+    }));
+    expect(getSongTitle(song)).toBe('Mein Song');
+    expect(fetchImpl.requests).toEqual([]);
+  });
+
+  it('behält Dateinamen mit ungültiger Prozent-Kodierung bei', async () => {
+    const { resolver } = resolverWith(() => undefined);
+
+    const [song] = await resolver.resolve('https://cdn.example.com/100%25%zz.ogg');
+
+    expect(song.title).toBe('100%25%zz');
+  });
+
+  it('gibt Netzwerkfehler des Abrufs unverändert weiter', async () => {
+    const resolver = createMusicResolver({
+      endpoints,
+      fetchImpl: async () => {
+        throw new Error('socket hang up');
+      }
+    });
+
+    await expect(resolver.resolve(`https://youtu.be/${VIDEO_ID}`)).rejects.toThrow('socket hang up');
+  });
+});
@@ -0,0 +1,39 @@
+// Rollen und Berechtigungen für geteilte Dashboards.
+// Ein Besitzer kann andere Benutzer per Benutzer-ID in seine Bot-Konfiguration einladen.
+// Die gleichen Regeln werden serverseitig in firestore.rules durchgesetzt – Änderungen hier immer dort nachziehen.
+
+export const ROLES = {
+  OWNER: 'owner', // Vollzugriff
+  DJ: 'dj', // Nur Warteschlange und Wiedergabe steuern
+  VIEWER: 'viewer' // Nur lesen
+};
+
+// Aktionen, die im Dashboard geschützt sind
+export const ACTIONS = {
+  TOGGLE_BOT: 'toggleBot',
+  CONTROL_QUEUE: 'controlQueue',
+  MANAGE_ACCOUNTS: 'manageAccounts',
+  MANAGE_GUILDS: 'manageGuilds',
+  MANAGE_SCHEDULE: 'manageSchedule'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(ACTIONS),
+  [ROLES.DJ]: [ACTIONS.CONTROL_QUEUE],
+  [ROLES.VIEWER]: []
+};
+
+// Felder des Guild-Dokuments, die ein DJ ändern darf (siehe djQueueFields in firestore.rules)
+export const DJ_WRITABLE_FIELDS = ['musicQueue', 'currentSong', 'startedAt', 'pausedAt', 'position', 'loopMode', 'playHistory'];
+
+export const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+export const can = (role, action) => Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(action));
+
+// Mitglieder eines Dashboards: artifacts/{appId}/users/{ownerId}/members/{memberId}
+export const membersCollectionPath = (appId, ownerId) => `artifacts/${appId}/users/${ownerId}/members`;
+export const memberDocPath = (appId, ownerId, memberId) => `${membersCollectionPath(appId, ownerId)}/${memberId}`;
+
+// Verweise auf mit dem Benutzer geteilte Dashboards: artifacts/{appId}/users/{userId}/sharedDashboards/{ownerId}
+export const sharedDashboardsCollectionPath = (appId, userId) => `artifacts/${appId}/users/${userId}/sharedDashboards`;
+export const sharedDashboardDocPath = (appId, userId, ownerId) => `${sharedDashboardsCollectionPath(appId, userId)}/${ownerId}`;
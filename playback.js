@@ -0,0 +1,56 @@
+// Wiedergabe-Zeitleiste für den aktuellen Song.
+// Der Fortschritt wird ausschließlich aus den im Dokument gespeicherten Zeitstempeln abgeleitet
+// (startedAt, pausedAt, position), damit alle geöffneten Dashboards dieselbe Position anzeigen.
+//
+// - startedAt: Zeitpunkt, ab dem die Wiedergabe (erneut) läuft
+// - pausedAt:  Zeitpunkt der Pause oder null, wenn der Song läuft
+// - position:  bereits abgespielte Sekunden vor startedAt (wird beim Fortsetzen fortgeschrieben)
+
+// Zustand ohne laufende Wiedergabe
+export const STOPPED_PLAYBACK = { startedAt: null, pausedAt: null, position: 0 };
+
+// Wandelt Firestore-Timestamps, Date-Objekte und Zahlen in Millisekunden um
+export const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return null;
+};
+
+// Liest die Wiedergabefelder aus einem Bot-Datendokument
+export const readPlayback = (data = {}) => ({
+  startedAt: data.startedAt ?? null,
+  pausedAt: data.pausedAt ?? null,
+  position: data.position || 0
+});
+
+export const isPaused = (playback) => toMillis(playback.pausedAt) !== null;
+
+// Berechnet die bisher abgespielten Sekunden; "now" ist nur während der Wiedergabe relevant
+export const getElapsedSeconds = (playback, now) => {
+  const startedAt = toMillis(playback.startedAt);
+  const position = playback.position || 0;
+  if (startedAt === null) return position;
+  const end = isPaused(playback) ? toMillis(playback.pausedAt) : now;
+  return position + Math.max(0, end - startedAt) / 1000;
+};
+
+// Prüft, ob der Song mit bekannter Dauer vollständig abgespielt wurde
+export const hasPlaybackEnded = (song, playback, now) => {
+  if (!song || !song.duration || isPaused(playback) || toMillis(playback.startedAt) === null) return false;
+  return getElapsedSeconds(playback, now) >= song.duration;
+};
+
+// Felder für den Start eines neuen Songs; "timestamp" ist z.B. serverTimestamp()
+export const createStartPatch = (timestamp) => ({ startedAt: timestamp, pausedAt: null, position: 0 });
+
+// Felder für das Pausieren; die Position wird erst beim Fortsetzen aus startedAt/pausedAt berechnet
+export const createPausePatch = (timestamp) => ({ pausedAt: timestamp });
+
+// Felder für das Fortsetzen: die bis zur Pause abgespielte Zeit wandert in "position"
+export const createResumePatch = (playback, timestamp) => ({
+  position: getElapsedSeconds(playback, toMillis(playback.pausedAt)),
+  startedAt: timestamp,
+  pausedAt: null
+});
@@ -0,0 +1,119 @@
+import { Timestamp } from 'firebase/firestore';
+import {
+  STOPPED_PLAYBACK, toMillis, readPlayback, isPaused, getElapsedSeconds, hasPlaybackEnded,
+  createStartPatch, createPausePatch, createResumePatch
+} from './playback.js';
+
+const START = Date.UTC(2026, 9, 19, 20);
+const song = { id: 1, title: 'Intro', duration: 180 };
+
+// Wendet einen Patch wie das Dokument-Update auf die Wiedergabefelder an
+const apply = (playback, patch) => ({ ...playback, ...patch });
+
+describe('toMillis', () => {
+  it('liest Zahlen, Date-Objekte und Firestore-Timestamps', () => {
+    expect(toMillis(START)).toBe(START);
+    expect(toMillis(new Date(START))).toBe(START);
+    expect(toMillis(Timestamp.fromMillis(START + 250))).toBe(START + 250);
+  });
+
+  it('liefert null für fehlende und unbekannte Werte (z.B. ausstehende serverTimestamp())', () => {
+    expect(toMillis(null)).toBeNull();
+    expect(toMillis(undefined)).toBeNull();
+    expect(toMillis({})).toBeNull();
+    expect(toMillis('2026-10-19')).toBeNull();
+  });
+});
+
+describe('readPlayback', () => {
+  it('ergänzt fehlende Felder mit dem gestoppten Zustand', () => {
+    expect(readPlayback()).toEqual(STOPPED_PLAYBACK);
+    expect(readPlayback({ startedAt: START, position: 12 })).toEqual({ startedAt: START, pausedAt: null, position: 12 });
+  });
+});
+
+describe('Wiedergabe-Zeitleiste mit künstlicher Uhr', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(START);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('zählt ab dem Start mit der Uhr hoch', () => {
+    const playback = apply(STOPPED_PLAYBACK, createStartPatch(Date.now()));
+    expect(getElapsedSeconds(playback, Date.now())).toBe(0);
+
+    jest.advanceTimersByTime(42500);
+
+    expect(getElapsedSeconds(playback, Date.now())).toBe(42.5);
+    expect(isPaused(playback)).toBe(false);
+  });
+
+  it('hält während der Pause an und setzt an derselben Stelle fort', () => {
+    let playback = apply(STOPPED_PLAYBACK, createStartPatch(Date.now()));
+    jest.advanceTimersByTime(30000);
+
+    playback = apply(playback, createPausePatch(Date.now()));
+    expect(isPaused(playback)).toBe(true);
+    jest.advanceTimersByTime(600000);
+    expect(getElapsedSeconds(playback, Date.now())).toBe(30);
+
+    playback = apply(playback, createResumePatch(playback, Date.now()));
+    expect(playback).toEqual({ startedAt: Date.now(), pausedAt: null, position: 30 });
+    jest.advanceTimersByTime(15000);
+    expect(getElapsedSeconds(playback, Date.now())).toBe(45);
+  });
+
+  it('summiert die Position über mehrere Pausen', () => {
+    let playback = apply(STOPPED_PLAYBACK, createStartPatch(Date.now()));
+    [10000, 20000, 5000].forEach((playedMs) => {
+      jest.advanceTimersByTime(playedMs);
+      playback = apply(playback, createPausePatch(Date.now()));
+      jest.advanceTimersByTime(60000);
+      playback = apply(playback, createResumePatch(playback, Date.now()));
+    });
+
+    expect(playback.position).toBe(35);
+    expect(getElapsedSeconds(playback, Date.now())).toBe(35);
+  });
+
+  it('rechnet mit Firestore-Timestamps wie mit Millisekunden', () => {
+    let playback = apply(STOPPED_PLAYBACK, createStartPatch(Timestamp.fromMillis(Date.now())));
+    jest.advanceTimersByTime(20000);
+    playback = apply(playback, createPausePatch(Timestamp.fromMillis(Date.now())));
+
+    expect(getElapsedSeconds(playback, Date.now() + 99999)).toBe(20);
+    expect(createResumePatch(playback, 'serverTimestamp').position).toBe(20);
+  });
+
+  it('ignoriert eine Uhr, die vor dem Start steht (abweichende Client-Uhr)', () => {
+    const playback = apply(STOPPED_PLAYBACK, createStartPatch(Date.now()));
+
+    expect(getElapsedSeconds(playback, Date.now() - 5000)).toBe(0);
+  });
+
+  it('erkennt das Ende eines Songs mit bekannter Dauer', () => {
+    let playback = apply(STOPPED_PLAYBACK, createStartPatch(Date.now()));
+    jest.advanceTimersByTime(179999);
+    expect(hasPlaybackEnded(song, playback, Date.now())).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(hasPlaybackEnded(song, playback, Date.now())).toBe(true);
+
+    playback = apply(playback, createPausePatch(Date.now()));
+    expect(hasPlaybackEnded(song, playback, Date.now())).toBe(false);
+  });
+
+  it('meldet ohne Dauer, ohne Song oder ohne Start kein Ende', () => {
+    const playback = apply(STOPPED_PLAYBACK, createStartPatch(Date.now()));
+    jest.advanceTimersByTime(3600000);
+
+    expect(hasPlaybackEnded({ ...song, duration: null }, playback, Date.now())).toBe(false);
+    expect(hasPlaybackEnded(null, playback, Date.now())).toBe(false);
+    expect(hasPlaybackEnded(song, STOPPED_PLAYBACK, Date.now())).toBe(false);
+    expect(getElapsedSeconds(STOPPED_PLAYBACK, Date.now())).toBe(0);
+  });
+});
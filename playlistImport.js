@@ -0,0 +1,54 @@
+// Import von Playlists als Textdatei (eine URL pro Zeile) oder M3U/M3U8 direkt in die Warteschlange.
+// Jede URL wird über den Musik-Resolver aufgelöst; nicht auflösbare Zeilen werden übersprungen und gemeldet.
+// Bei M3U-Dateien ersetzen Titel und Dauer aus "#EXTINF" die Angaben direkter Audiodateien (dort nur der Dateiname).
+import { translatable } from './i18n.js';
+import { MUSIC_PLATFORMS, MusicUrlError } from './musicResolver.js';
+
+export const MAX_PLAYLIST_IMPORT_ENTRIES = 200; // Obergrenze pro Datei, wie bei YouTube-Playlists
+
+export const PLAYLIST_FILE_EXTENSIONS = ['.txt', '.m3u', '.m3u8'];
+
+// Zerlegt den Dateiinhalt in Einträge { url, line, title, duration }.
+// Leere Zeilen und Kommentare (# …) werden ignoriert; "#EXTINF:<Sekunden>,<Titel>" gilt für die folgende URL.
+export const parsePlaylistText = (text) => {
+  const entries = [];
+  let pendingInfo = null;
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/^\uFEFF/, '').trim();
+    if (line === '') return;
+    if (line.startsWith('#')) {
+      const match = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i.exec(line);
+      if (match) {
+        const seconds = Number(match[1]);
+        pendingInfo = { duration: seconds > 0 ? Math.round(seconds) : null, title: match[2].trim() || null };
+      }
+      return;
+    }
+    entries.push({ url: line, line: index + 1, title: null, duration: null, ...pendingInfo });
+    pendingInfo = null;
+  });
+  return entries;
+};
+
+// Löst die Einträge nacheinander auf. Rückgabe: { songs, failures: [{ line, url, reason }], truncated }
+// reason ist der MusicUrlError oder ein übersetzbarer Text (Anzeige mit translateMessage).
+export const resolvePlaylistEntries = async (entries, musicResolver) => {
+  const songs = [];
+  const failures = [];
+  const limited = entries.slice(0, MAX_PLAYLIST_IMPORT_ENTRIES);
+  for (const entry of limited) {
+    try {
+      const resolved = await musicResolver.resolve(entry.url);
+      songs.push(...resolved.map(song => (song.platform === MUSIC_PLATFORMS.AUDIO_FILE
+        ? { ...song, title: entry.title || song.title, duration: song.duration ?? entry.duration }
+        : song)));
+    } catch (error) {
+      failures.push({
+        line: entry.line,
+        url: entry.url,
+        reason: error instanceof MusicUrlError ? error : translatable('music.resolveError', { error: error.message })
+      });
+    }
+  }
+  return { songs, failures, truncated: entries.length > limited.length };
+};
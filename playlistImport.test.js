@@ -0,0 +1,94 @@
+import { parsePlaylistText, resolvePlaylistEntries, MAX_PLAYLIST_IMPORT_ENTRIES } from './playlistImport.js';
+import { createMusicResolver, MusicUrlError } from './musicResolver.js';
+import { createI18n } from './i18n.js';
+
+const { translateMessage } = createI18n('de');
+
+// Resolver mit Stub für oEmbed; ein Video ("netzwerk") schlägt mit einem Netzwerkfehler fehl
+const musicResolver = createMusicResolver({
+  fetchImpl: async (url) => {
+    const videoUrl = new URL(url).searchParams.get('url');
+    if (videoUrl.endsWith('netzwerk000')) {
+      throw new Error('socket hang up');
+    }
+    return { ok: true, status: 200, json: async () => ({ title: `Video ${videoUrl.slice(-11)}`, thumbnail_url: null }) };
+  }
+});
+
+describe('parsePlaylistText', () => {
+  it('liest eine URL pro Zeile und merkt sich die Zeilennummer', () => {
+    const text = 'https://cdn.example.com/a.mp3\n\n  https://youtu.be/dQw4w9WgXcQ  \r\n# Kommentar\nhttps://cdn.example.com/b.mp3';
+
+    expect(parsePlaylistText(text)).toEqual([
+      { url: 'https://cdn.example.com/a.mp3', line: 1, title: null, duration: null },
+      { url: 'https://youtu.be/dQw4w9WgXcQ', line: 3, title: null, duration: null },
+      { url: 'https://cdn.example.com/b.mp3', line: 5, title: null, duration: null }
+    ]);
+  });
+
+  it('übernimmt Titel und Dauer aus #EXTINF für die folgende URL', () => {
+    const text = [
+      '\uFEFF#EXTM3U', // mit Byte Order Mark
+      '#EXTINF:215,Künstler – Titel',
+      'https://cdn.example.com/titel.mp3',
+      '#EXTINF:-1 tvg-id="radio",Livestream',
+      'https://cdn.example.com/live.ogg',
+      'https://cdn.example.com/ohne-info.mp3'
+    ].join('\n');
+
+    expect(parsePlaylistText(text)).toEqual([
+      { url: 'https://cdn.example.com/titel.mp3', line: 3, title: 'Künstler – Titel', duration: 215 },
+      { url: 'https://cdn.example.com/live.ogg', line: 5, title: 'Livestream', duration: null },
+      { url: 'https://cdn.example.com/ohne-info.mp3', line: 6, title: null, duration: null }
+    ]);
+  });
+
+  it('liefert für leere Dateien und reine Kommentare keine Einträge', () => {
+    expect(parsePlaylistText('')).toEqual([]);
+    expect(parsePlaylistText('#EXTM3U\n#EXTINF:10,Ohne URL\n')).toEqual([]);
+  });
+});
+
+describe('resolvePlaylistEntries', () => {
+  it('löst die Einträge auf und ersetzt bei Audiodateien Titel und Dauer aus der M3U-Datei', async () => {
+    const entries = parsePlaylistText('#EXTINF:215,Intro\nhttps://cdn.example.com/intro.mp3\n#EXTINF:99,Ignoriert\nhttps://youtu.be/dQw4w9WgXcQ');
+
+    const { songs, failures, truncated } = await resolvePlaylistEntries(entries, musicResolver);
+
+    expect(songs.map(({ title, duration, platform }) => ({ title, duration, platform }))).toEqual([
+      { title: 'Intro', duration: 215, platform: 'audio' },
+      { title: 'Video dQw4w9WgXcQ', duration: null, platform: 'youtube' }
+    ]);
+    expect(failures).toEqual([]);
+    expect(truncated).toBe(false);
+  });
+
+  it('überspringt fehlerhafte Zeilen und meldet sie mit Zeile, URL und Grund', async () => {
+    const entries = parsePlaylistText([
+      'https://cdn.example.com/intro.mp3',
+      'https://example.com/seite.html',
+      'https://youtu.be/netzwerk000',
+      'https://cdn.example.com/outro.mp3'
+    ].join('\n'));
+
+    const { songs, failures } = await resolvePlaylistEntries(entries, musicResolver);
+
+    expect(songs.map(song => song.title)).toEqual(['intro', 'outro']);
+    expect(failures.map(({ line, url }) => ({ line, url }))).toEqual([
+      { line: 2, url: 'https://example.com/seite.html' },
+      { line: 3, url: 'https://youtu.be/netzwerk000' }
+    ]);
+    expect(failures[0].reason).toBeInstanceOf(MusicUrlError);
+    expect(translateMessage(failures[0].reason)).toBe(translateMessage(new MusicUrlError('unsupportedUrl')));
+    expect(translateMessage(failures[1].reason)).toContain('socket hang up');
+  });
+
+  it(`löst höchstens ${MAX_PLAYLIST_IMPORT_ENTRIES} Einträge auf`, async () => {
+    const entries = parsePlaylistText(Array.from({ length: MAX_PLAYLIST_IMPORT_ENTRIES + 5 }, (_, index) => `https://cdn.example.com/${index}.mp3`).join('\n'));
+
+    const { songs, truncated } = await resolvePlaylistEntries(entries, musicResolver);
+
+    expect(songs).toHaveLength(MAX_PLAYLIST_IMPORT_ENTRIES);
+    expect(truncated).toBe(true);
+  });
+});
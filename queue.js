@@ -0,0 +1,83 @@
+// Reine Funktionen für die Verwaltung der Musikwarteschlange.
+// Sie verändern keine Eingaben, sondern liefern immer neue Arrays bzw. Objekte zurück.
+
+// Wiederholungsmodi: aus, aktuellen Song wiederholen, gesamte Warteschlange wiederholen
+export const LOOP_MODES = {
+  OFF: 'off',
+  TRACK: 'track',
+  QUEUE: 'queue'
+};
+
+// Reihenfolge beim Durchschalten der Wiederholungsmodi über den Button
+const NEXT_LOOP_MODE = {
+  [LOOP_MODES.OFF]: LOOP_MODES.TRACK,
+  [LOOP_MODES.TRACK]: LOOP_MODES.QUEUE,
+  [LOOP_MODES.QUEUE]: LOOP_MODES.OFF
+};
+
+export const MAX_HISTORY_ENTRIES = 25; // Anzahl der gespeicherten "Zuletzt gespielt"-Einträge
+
+export const getNextLoopMode = (loopMode) => NEXT_LOOP_MODE[loopMode] || LOOP_MODES.OFF;
+
+// Verschiebt einen Eintrag von einer Position an eine andere (z.B. per Drag-and-drop)
+export const moveQueueItem = (queue, fromIndex, toIndex) => {
+  if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= queue.length || toIndex < 0 || toIndex >= queue.length) {
+    return queue;
+  }
+  const reordered = [...queue];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, moved);
+  return reordered;
+};
+
+// Entfernt einen einzelnen Eintrag anhand seiner ID
+export const removeQueueItem = (queue, songId) => queue.filter(song => song.id !== songId);
+
+// Fügt Songs am Anfang der Warteschlange ein ("Als Nächstes spielen")
+export const insertNext = (queue, songs) => [...songs, ...queue];
+
+// Mischt die Warteschlange (Fisher-Yates); "random" ist für Tests austauschbar
+export const shuffleQueue = (queue, random = Math.random) => {
+  const shuffled = [...queue];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Reproduzierbarer Zufallsgenerator (Mulberry32) für shuffleQueue: gleicher Startwert, gleiche Reihenfolge
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Trägt einen gespielten Song vorne in den Verlauf ein; doppelte Einträge werden nach vorne geholt
+export const addToHistory = (history, song, playedAt) =>
+  [{ ...song, playedAt }, ...history.filter(entry => entry.id !== song.id)].slice(0, MAX_HISTORY_ENTRIES);
+
+// Erstellt aus einem Verlaufseintrag einen neuen Warteschlangeneintrag mit eigener ID
+export const requeueSong = (entry) => {
+  const song = { ...entry, id: Date.now() + Math.random() };
+  delete song.playedAt;
+  return song;
+};
+
+// Berechnet den Zustand nach dem Ende bzw. Überspringen des aktuellen Songs.
+// - loopMode "track": der aktuelle Song startet erneut (außer beim Überspringen)
+// - loopMode "queue": der aktuelle Song wird wieder hinten angestellt
+// Rückgabe: { currentSong, musicQueue, playHistory, restarted }
+export const advanceQueue = ({ currentSong, musicQueue = [], loopMode = LOOP_MODES.OFF, playHistory = [] }, { skipped = false, now = Date.now() } = {}) => {
+  if (currentSong && loopMode === LOOP_MODES.TRACK && !skipped) {
+    return { currentSong, musicQueue, playHistory, restarted: true };
+  }
+  const updatedHistory = currentSong ? addToHistory(playHistory, currentSong, now) : playHistory;
+  const candidates = currentSong && loopMode === LOOP_MODES.QUEUE ? [...musicQueue, currentSong] : musicQueue;
+  const [nextSong = null, ...remainingQueue] = candidates;
+  return { currentSong: nextSong, musicQueue: remainingQueue, playHistory: updatedHistory, restarted: false };
+};
@@ -0,0 +1,143 @@
+import {
+  LOOP_MODES, MAX_HISTORY_ENTRIES, getNextLoopMode, moveQueueItem, removeQueueItem, insertNext, shuffleQueue,
+  createSeededRandom, addToHistory, requeueSong, advanceQueue
+} from './queue.js';
+
+const song = id => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}` });
+const ids = songs => songs.map(entry => entry.id);
+
+describe('advanceQueue', () => {
+  const state = loopMode => ({ currentSong: song(1), musicQueue: [song(2), song(3)], loopMode, playHistory: [] });
+
+  it('startet ohne Wiederholung den nächsten Song und trägt den alten in den Verlauf ein', () => {
+    const next = advanceQueue(state(LOOP_MODES.OFF), { now: 1000 });
+
+    expect(next.currentSong).toEqual(song(2));
+    expect(ids(next.musicQueue)).toEqual([3]);
+    expect(next.playHistory).toEqual([{ ...song(1), playedAt: 1000 }]);
+    expect(next.restarted).toBe(false);
+  });
+
+  it('startet im Modus "track" denselben Song neu, außer beim Überspringen', () => {
+    const restarted = advanceQueue(state(LOOP_MODES.TRACK), { now: 1000 });
+    expect(restarted).toEqual({ currentSong: song(1), musicQueue: [song(2), song(3)], playHistory: [], restarted: true });
+
+    const skipped = advanceQueue(state(LOOP_MODES.TRACK), { skipped: true, now: 1000 });
+    expect(skipped.currentSong).toEqual(song(2));
+    expect(skipped.restarted).toBe(false);
+  });
+
+  it('stellt im Modus "queue" den aktuellen Song wieder hinten an', () => {
+    const next = advanceQueue(state(LOOP_MODES.QUEUE), { now: 1000 });
+
+    expect(next.currentSong).toEqual(song(2));
+    expect(ids(next.musicQueue)).toEqual([3, 1]);
+  });
+
+  it('wiederholt im Modus "queue" auch einen einzelnen Song', () => {
+    const next = advanceQueue({ currentSong: song(1), musicQueue: [], loopMode: LOOP_MODES.QUEUE }, { now: 1000 });
+
+    expect(next.currentSong).toEqual(song(1));
+    expect(next.musicQueue).toEqual([]);
+  });
+
+  it('stoppt am Ende der Warteschlange', () => {
+    const next = advanceQueue({ currentSong: song(1), musicQueue: [], loopMode: LOOP_MODES.OFF }, { now: 1000 });
+
+    expect(next.currentSong).toBeNull();
+    expect(next.musicQueue).toEqual([]);
+    expect(ids(next.playHistory)).toEqual([1]);
+  });
+
+  it('startet ohne laufenden Song den ersten Eintrag, ohne den Verlauf zu ändern', () => {
+    const next = advanceQueue({ currentSong: null, musicQueue: [song(2)], playHistory: [{ ...song(9), playedAt: 1 }] });
+
+    expect(next.currentSong).toEqual(song(2));
+    expect(ids(next.playHistory)).toEqual([9]);
+  });
+});
+
+describe('moveQueueItem', () => {
+  const queue = [song(1), song(2), song(3)];
+
+  it('verschiebt nach vorne und nach hinten bis an die Grenzen', () => {
+    expect(ids(moveQueueItem(queue, 2, 0))).toEqual([3, 1, 2]);
+    expect(ids(moveQueueItem(queue, 0, 2))).toEqual([2, 3, 1]);
+    expect(ids(queue)).toEqual([1, 2, 3]);
+  });
+
+  it('lässt die Warteschlange bei Positionen außerhalb oder gleicher Position unverändert', () => {
+    expect(moveQueueItem(queue, 0, -1)).toBe(queue);
+    expect(moveQueueItem(queue, 2, 3)).toBe(queue);
+    expect(moveQueueItem(queue, -1, 0)).toBe(queue);
+    expect(moveQueueItem(queue, 3, 0)).toBe(queue);
+    expect(moveQueueItem(queue, 1, 1)).toBe(queue);
+  });
+});
+
+describe('Warteschlange bearbeiten', () => {
+  it('entfernt Einträge per ID und fügt Songs als Nächstes ein', () => {
+    expect(ids(removeQueueItem([song(1), song(2)], 1))).toEqual([2]);
+    expect(ids(insertNext([song(1)], [song(2), song(3)]))).toEqual([2, 3, 1]);
+  });
+
+  it('schaltet die Wiederholungsmodi der Reihe nach durch', () => {
+    expect(getNextLoopMode(LOOP_MODES.OFF)).toBe(LOOP_MODES.TRACK);
+    expect(getNextLoopMode(LOOP_MODES.TRACK)).toBe(LOOP_MODES.QUEUE);
+    expect(getNextLoopMode(LOOP_MODES.QUEUE)).toBe(LOOP_MODES.OFF);
+    expect(getNextLoopMode('unbekannt')).toBe(LOOP_MODES.OFF);
+  });
+});
+
+describe('shuffleQueue', () => {
+  const queue = [1, 2, 3, 4, 5, 6, 7, 8].map(song);
+
+  it('mischt mit demselben Startwert immer in dieselbe Reihenfolge', () => {
+    const first = shuffleQueue(queue, createSeededRandom(42));
+    const second = shuffleQueue(queue, createSeededRandom(42));
+
+    expect(ids(first)).toEqual(ids(second));
+    expect(ids(first)).not.toEqual(ids(queue));
+    expect([...ids(first)].sort()).toEqual(ids(queue));
+    expect(ids(queue)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('liefert mit anderem Startwert eine andere Reihenfolge', () => {
+    expect(ids(shuffleQueue(queue, createSeededRandom(1)))).not.toEqual(ids(shuffleQueue(queue, createSeededRandom(2))));
+  });
+
+  it('erzeugt Zufallszahlen im Bereich [0, 1)', () => {
+    const random = createSeededRandom(7);
+    const values = Array.from({ length: 1000 }, () => random());
+
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('Verlauf', () => {
+  it('holt doppelte Einträge nach vorne und begrenzt den Verlauf', () => {
+    const history = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, index) => ({ ...song(index), playedAt: index }));
+
+    const updated = addToHistory(history, song(5), 1000);
+
+    expect(updated).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(updated[0]).toEqual({ ...song(5), playedAt: 1000 });
+    expect(updated.filter(entry => entry.id === 5)).toHaveLength(1);
+
+    const capped = addToHistory(history, song(99), 1000);
+    expect(capped).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(capped[0].id).toBe(99);
+    expect(capped[capped.length - 1].id).toBe(MAX_HISTORY_ENTRIES - 2);
+  });
+
+  it('reiht einen Verlaufseintrag mit neuer ID und ohne Abspielzeit wieder ein', () => {
+    const entry = { ...song(1), playedAt: 1000 };
+
+    const requeued = requeueSong(entry);
+
+    expect(requeued.id).not.toBe(entry.id);
+    expect(requeued).not.toHaveProperty('playedAt');
+    expect(requeued).toEqual({ ...song(1), id: requeued.id });
+    expect(entry.playedAt).toBe(1000);
+  });
+});
@@ -0,0 +1,187 @@
+// Prüfung und Normalisierung der Eingaben für verfolgte Social-Media-Konten.
+// Jede Plattform wandelt die Eingabe (URL oder Benutzername) in eine kanonische Form um:
+// - YouTube: @handle oder Kanal-ID (UC…), gespeichert als https://www.youtube.com/@handle bzw. /channel/UC…
+// - Twitch:  Kanalname, gespeichert als https://www.twitch.tv/name
+// - X:       @name, gespeichert als https://x.com/name (twitter.com wird umgeschrieben)
+// - Andere:  RSS/Atom-Feed-URL (http/https)
+// Die kanonische URL in account.url ist zugleich der Schlüssel für die Duplikatprüfung.
+// Anzeigenamen der Plattformen: accountTypes.* in locales/
+import { TranslatableError, translatable } from './i18n.js';
+
+export const ACCOUNT_TYPES = ['YouTube', 'Twitch', 'X', 'Other'];
+
+const YOUTUBE_HANDLE_PATTERN = /^[A-Za-z0-9._-]{3,30}$/;
+const YOUTUBE_CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+const TWITCH_NAME_PATTERN = /^[A-Za-z0-9_]{3,25}$/;
+const TWITCH_RESERVED_PATHS = ['directory', 'downloads', 'jobs', 'p', 'search', 'settings', 'subscriptions', 'turbo', 'videos', 'wallet'];
+const X_NAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+const X_RESERVED_PATHS = ['home', 'explore', 'i', 'intent', 'messages', 'notifications', 'search', 'settings', 'share'];
+const FEED_PATH_PATTERN = /\.(xml|rss|atom)$|\/(feed|feeds|rss)(\/|$)/i; // z.B. youtube.com/feeds/videos.xml
+
+// Fehler für ungültige Konto-Eingaben (errors.account.*); die Meldung wird direkt unter dem Eingabefeld angezeigt
+export class AccountInputError extends TranslatableError {
+  constructor(key, params) {
+    super(`errors.account.${key}`, params);
+    this.name = 'AccountInputError';
+  }
+}
+
+const normalizeHost = hostname => hostname.toLowerCase().replace(/^(www\.|m\.|mobile\.)/, '');
+const pathSegments = url => url.pathname.split('/').filter(Boolean);
+
+const HOST_TYPES = {
+  'youtube.com': 'YouTube',
+  'youtu.be': 'YouTube',
+  'twitch.tv': 'Twitch',
+  'x.com': 'X',
+  'twitter.com': 'X'
+};
+
+// Wandelt die Eingabe in ein URL-Objekt um, falls sie wie eine URL aussieht; sonst null.
+// Ohne Protokoll zählen nur "host/pfad" und die bekannten Plattform-Hosts (sonst wäre "john.doe" eine Domain).
+const toUrl = (input) => {
+  const hasProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(input);
+  if (!hasProtocol && !/^[a-z0-9-]+(\.[a-z0-9-]+)+\//i.test(input) && !HOST_TYPES[normalizeHost(input)]) {
+    return null;
+  }
+  try {
+    const url = new URL(hasProtocol ? input : `https://${input}`);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Erkennt die Plattform anhand einer eingefügten URL. Andere http(s)-URLs und Feed-Pfade gelten als "Other".
+// Reine Benutzernamen sind nicht eindeutig und ergeben null (Auswahl bleibt unverändert).
+export const detectAccountType = (input) => {
+  const url = toUrl((input || '').trim());
+  if (!url) return null;
+  if (FEED_PATH_PATTERN.test(url.pathname)) return 'Other';
+  return HOST_TYPES[normalizeHost(url.hostname)] || 'Other';
+};
+
+const parseYoutube = (input, url) => {
+  let value = input;
+  if (url) {
+    const host = normalizeHost(url.hostname);
+    const segments = pathSegments(url);
+    if (host === 'youtu.be' || segments[0] === 'watch' || segments[0] === 'shorts') {
+      throw new AccountInputError('videoLink');
+    }
+    if (host !== 'youtube.com') {
+      throw new AccountInputError('notYoutube');
+    }
+    if (segments[0] === 'channel') {
+      value = segments[1] || '';
+    } else if (segments[0] && segments[0].startsWith('@')) {
+      value = segments[0];
+    } else {
+      throw new AccountInputError('unsupportedYoutubeUrl');
+    }
+  }
+  if (YOUTUBE_CHANNEL_ID_PATTERN.test(value)) {
+    return { url: `https://www.youtube.com/channel/${value}`, handle: value, channelId: value };
+  }
+  const handle = value.replace(/^@/, '');
+  if (!YOUTUBE_HANDLE_PATTERN.test(handle)) {
+    throw new AccountInputError('invalidYoutubeHandle');
+  }
+  const canonical = handle.toLowerCase();
+  return { url: `https://www.youtube.com/@${canonical}`, handle: `@${canonical}`, channelId: null };
+};
+
+const parseTwitch = (input, url) => {
+  let name = input;
+  if (url) {
+    if (normalizeHost(url.hostname) !== 'twitch.tv') {
+      throw new AccountInputError('notTwitch');
+    }
+    const segments = pathSegments(url);
+    if (segments.length !== 1 || TWITCH_RESERVED_PATHS.includes(segments[0].toLowerCase())) {
+      throw new AccountInputError('twitchChannelUrl');
+    }
+    name = segments[0];
+  }
+  if (!TWITCH_NAME_PATTERN.test(name)) {
+    throw new AccountInputError('invalidTwitchName');
+  }
+  const canonical = name.toLowerCase();
+  return { url: `https://www.twitch.tv/${canonical}`, handle: canonical };
+};
+
+const parseX = (input, url) => {
+  let name = input.replace(/^@/, '');
+  if (url) {
+    const host = normalizeHost(url.hostname);
+    if (host !== 'x.com' && host !== 'twitter.com') {
+      throw new AccountInputError('notX');
+    }
+    const segments = pathSegments(url);
+    if (segments.length === 0 || X_RESERVED_PATHS.includes(segments[0].toLowerCase()) || segments[1] === 'status') {
+      throw new AccountInputError('xProfileUrl');
+    }
+    name = segments[0];
+  }
+  if (!X_NAME_PATTERN.test(name)) {
+    throw new AccountInputError('invalidXName');
+  }
+  const canonical = name.toLowerCase();
+  return { url: `https://x.com/${canonical}`, handle: `@${canonical}` };
+};
+
+const parseFeed = (input, url) => {
+  if (!url) {
+    throw new AccountInputError('feedUrlRequired');
+  }
+  url.hash = '';
+  return { url: url.toString(), handle: `${url.hostname}${url.pathname === '/' ? '' : url.pathname}` };
+};
+
+const PARSERS = { YouTube: parseYoutube, Twitch: parseTwitch, X: parseX, Other: parseFeed };
+
+// Prüft eine Eingabe für die gewählte Plattform.
+// Rückgabe: { url (kanonisch), handle (Anzeige), channelId? (nur YouTube) }
+export const normalizeAccountInput = (type, input) => {
+  const parser = PARSERS[type];
+  if (!parser) {
+    throw new AccountInputError('unknownPlatform', { type });
+  }
+  const trimmed = (input || '').trim();
+  if (trimmed === '') {
+    throw new AccountInputError('empty');
+  }
+  const url = toUrl(trimmed);
+  // Eine erkennbare Plattform-URL unter der falschen Plattform ablehnen ("Andere" nimmt jeden Feed an)
+  const detectedType = url ? detectAccountType(trimmed) : null;
+  if (type !== 'Other' && detectedType && detectedType !== 'Other' && detectedType !== type) {
+    throw new AccountInputError('wrongPlatform', {
+      detected: translatable(`accountTypes.${detectedType}`),
+      type: translatable(`accountTypes.${type}`)
+    });
+  }
+  return parser(trimmed, url);
+};
+
+// Kanonische Darstellung eines gespeicherten Kontos (auch für ältere, nicht normalisierte Einträge).
+// Rückgabe: { handle, profileUrl } – profileUrl ist null, wenn die gespeicherte Eingabe ungültig ist.
+export const getAccountProfile = (account) => {
+  try {
+    const { url, handle } = normalizeAccountInput(account.type, account.url);
+    return { handle, profileUrl: url };
+  } catch (error) {
+    return { handle: account.url, profileUrl: null };
+  }
+};
+
+// Schlüssel für die Duplikatprüfung: Plattform und kanonische URL
+export const getAccountKey = (account) => {
+  const { profileUrl } = getAccountProfile(account);
+  return `${account.type}|${profileUrl || account.url.trim().toLowerCase()}`;
+};
+
+// Sucht ein bereits verfolgtes Konto mit derselben Plattform und kanonischen URL
+export const findDuplicateAccount = (accounts, candidate) => {
+  const key = getAccountKey(candidate);
+  return accounts.find(account => getAccountKey(account) === key) || null;
+};
@@ -0,0 +1,157 @@
+import {
+  normalizeAccountInput, detectAccountType, findDuplicateAccount, getAccountProfile, getAccountKey, AccountInputError
+} from './socialAccounts.js';
+import { createI18n } from './i18n.js';
+
+const { translateMessage } = createI18n('de');
+
+const CHANNEL_ID = 'UC4R8DWoMoI7CAwX8_LjQHig';
+
+// Liefert den Schlüssel (errors.account.*) des Fehlers einer ungültigen Eingabe
+const errorKey = (type, input) => {
+  try {
+    normalizeAccountInput(type, input);
+  } catch (error) {
+    expect(error).toBeInstanceOf(AccountInputError);
+    return error.key.replace('errors.account.', '');
+  }
+  throw new Error(`Eingabe wurde angenommen: ${input}`);
+};
+
+describe('normalizeAccountInput', () => {
+  it.each([
+    ['@KanalUndFreunde', 'https://www.youtube.com/@kanalundfreunde', '@kanalundfreunde'],
+    ['kanalundfreunde', 'https://www.youtube.com/@kanalundfreunde', '@kanalundfreunde'],
+    ['youtube.com/@KanalUndFreunde', 'https://www.youtube.com/@kanalundfreunde', '@kanalundfreunde'],
+    ['https://m.youtube.com/@kanalundfreunde/videos?view=0', 'https://www.youtube.com/@kanalundfreunde', '@kanalundfreunde'],
+    [CHANNEL_ID, `https://www.youtube.com/channel/${CHANNEL_ID}`, CHANNEL_ID],
+    [`https://www.youtube.com/channel/${CHANNEL_ID}/`, `https://www.youtube.com/channel/${CHANNEL_ID}`, CHANNEL_ID]
+  ])('normalisiert die YouTube-Eingabe %s', (input, url, handle) => {
+    expect(normalizeAccountInput('YouTube', input)).toEqual(expect.objectContaining({ url, handle }));
+  });
+
+  it('übernimmt die Kanal-ID nur bei /channel/-Eingaben', () => {
+    expect(normalizeAccountInput('YouTube', CHANNEL_ID).channelId).toBe(CHANNEL_ID);
+    expect(normalizeAccountInput('YouTube', '@kanalundfreunde').channelId).toBeNull();
+  });
+
+  it.each([
+    ['KanalUndFreunde', 'https://www.twitch.tv/kanalundfreunde'],
+    ['twitch.tv/KanalUndFreunde', 'https://www.twitch.tv/kanalundfreunde'],
+    ['https://www.twitch.tv/kanalundfreunde/', 'https://www.twitch.tv/kanalundfreunde'],
+    ['https://m.twitch.tv/kanalundfreunde?ref=abc', 'https://www.twitch.tv/kanalundfreunde']
+  ])('normalisiert die Twitch-Eingabe %s', (input, url) => {
+    expect(normalizeAccountInput('Twitch', input)).toEqual({ url, handle: 'kanalundfreunde' });
+  });
+
+  it.each([
+    ['@KanalFreunde', 'https://x.com/kanalfreunde'],
+    ['kanalfreunde', 'https://x.com/kanalfreunde'],
+    ['https://twitter.com/KanalFreunde', 'https://x.com/kanalfreunde'],
+    ['https://mobile.x.com/kanalfreunde/', 'https://x.com/kanalfreunde']
+  ])('normalisiert die X-Eingabe %s', (input, url) => {
+    expect(normalizeAccountInput('X', input)).toEqual({ url, handle: '@kanalfreunde' });
+  });
+
+  it('nimmt bei "Andere" jede http(s)-Feed-URL an und entfernt den Anker', () => {
+    expect(normalizeAccountInput('Other', 'https://Blog.Example.com/feed.xml#neu')).toEqual({
+      url: 'https://blog.example.com/feed.xml', handle: 'blog.example.com/feed.xml'
+    });
+    expect(normalizeAccountInput('Other', 'https://www.youtube.com/feeds/videos.xml?channel_id=abc').url)
+      .toBe('https://www.youtube.com/feeds/videos.xml?channel_id=abc');
+  });
+
+  it.each([
+    ['YouTube', '', 'empty'],
+    ['YouTube', '   ', 'empty'],
+    ['YouTube', 'https://youtu.be/dQw4w9WgXcQ', 'videoLink'],
+    ['YouTube', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'videoLink'],
+    ['YouTube', 'https://www.youtube.com/results?search_query=musik', 'unsupportedYoutubeUrl'],
+    ['YouTube', 'a!', 'invalidYoutubeHandle'],
+    ['YouTube', 'https://example.com/@kanal', 'notYoutube'],
+    ['Twitch', 'https://www.twitch.tv/videos/123', 'twitchChannelUrl'],
+    ['Twitch', 'https://www.twitch.tv/name/clips', 'twitchChannelUrl'],
+    ['Twitch', 'ab', 'invalidTwitchName'],
+    ['Twitch', 'https://example.com/name', 'notTwitch'],
+    ['X', 'https://x.com/home', 'xProfileUrl'],
+    ['X', 'https://x.com/kanalfreunde/status/1', 'xProfileUrl'],
+    ['X', '@viel_zu_langer_name', 'invalidXName'],
+    ['X', 'https://example.com/name', 'notX'],
+    ['Other', 'blog.example.com', 'feedUrlRequired'],
+    ['Other', 'ftp://example.com/feed.xml', 'feedUrlRequired'],
+    ['Mastodon', '@name', 'unknownPlatform']
+  ])('lehnt für %s die Eingabe "%s" ab (%s)', (type, input, key) => {
+    expect(errorKey(type, input)).toBe(key);
+  });
+
+  it.each([
+    ['YouTube', 'https://www.twitch.tv/kanalundfreunde', 'Twitch'],
+    ['Twitch', 'https://x.com/kanalfreunde', 'X'],
+    ['X', 'https://www.youtube.com/@kanalundfreunde', 'YouTube']
+  ])('meldet unter %s eine URL einer anderen Plattform', (type, input, detected) => {
+    let error;
+    try {
+      normalizeAccountInput(type, input);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.key).toBe('errors.account.wrongPlatform');
+    expect(translateMessage(error)).toContain(detected);
+  });
+
+  it('nimmt unter "Andere" auch Plattform-URLs an', () => {
+    expect(normalizeAccountInput('Other', 'https://www.twitch.tv/kanalundfreunde').url).toBe('https://www.twitch.tv/kanalundfreunde');
+  });
+});
+
+describe('detectAccountType', () => {
+  it.each([
+    ['https://www.youtube.com/@kanal', 'YouTube'],
+    ['youtu.be/dQw4w9WgXcQ', 'YouTube'],
+    ['twitch.tv/kanal', 'Twitch'],
+    ['https://twitter.com/kanal', 'X'],
+    ['x.com', 'X'],
+    ['https://www.youtube.com/feeds/videos.xml?channel_id=abc', 'Other'],
+    ['https://blog.example.com/rss', 'Other'],
+    ['https://blog.example.com/', 'Other']
+  ])('erkennt %s als %s', (input, type) => {
+    expect(detectAccountType(input)).toBe(type);
+  });
+
+  it.each(['@kanal', 'kanal', 'john.doe', '', null, 'ftp://example.com/feed.xml'])('erkennt in "%s" keine Plattform', (input) => {
+    expect(detectAccountType(input)).toBeNull();
+  });
+});
+
+describe('Duplikatprüfung', () => {
+  const tracked = [
+    { id: 1, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde' },
+    { id: 2, type: 'YouTube', url: 'https://www.youtube.com/@kanalundfreunde' },
+    { id: 3, type: 'X', url: 'https://x.com/kanalfreunde' }
+  ];
+
+  it.each([
+    ['Twitch', 'KanalUndFreunde', 1],
+    ['Twitch', 'https://m.twitch.tv/kanalundfreunde/?ref=abc', 1],
+    ['YouTube', 'youtube.com/@KanalUndFreunde', 2],
+    ['X', 'https://twitter.com/KanalFreunde', 3],
+    ['X', '@kanalfreunde', 3]
+  ])('findet unter %s das Konto zu "%s" trotz anderer Schreibweise', (type, url, id) => {
+    expect(findDuplicateAccount(tracked, { type, url })).toEqual(expect.objectContaining({ id }));
+  });
+
+  it('unterscheidet Plattformen und andere Konten', () => {
+    expect(findDuplicateAccount(tracked, { type: 'YouTube', url: 'https://www.twitch.tv/kanalundfreunde' })).toBeNull();
+    expect(findDuplicateAccount(tracked, { type: 'Other', url: 'https://www.twitch.tv/kanalundfreunde' })).toBeNull();
+    expect(findDuplicateAccount(tracked, { type: 'Twitch', url: 'anderer_kanal' })).toBeNull();
+  });
+
+  it('vergleicht ältere, nicht normalisierte Einträge ohne Groß-/Kleinschreibung', () => {
+    const legacy = [{ id: 4, type: 'Twitch', url: ' Nicht gültig! ' }];
+
+    expect(getAccountProfile(legacy[0])).toEqual({ handle: ' Nicht gültig! ', profileUrl: null });
+    expect(getAccountKey(legacy[0])).toBe('Twitch|nicht gültig!');
+    expect(findDuplicateAccount(legacy, { type: 'Twitch', url: 'NICHT GÜLTIG!' })).toEqual(legacy[0]);
+  });
+});
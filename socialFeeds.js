@@ -0,0 +1,258 @@
+// Abruf echter Social-Media-Updates pro Plattform:
+// YouTube-Kanal-RSS, Twitch-Live-Status (Helix), X über Nitter-RSS und generische RSS/Atom-Feeds ("Other").
+// Alle Netzwerkzugriffe laufen über eine injizierbare HTTP-Funktion, damit Tests mit
+// aufgezeichneten Feeds offline laufen können. Die Funktionen werden vom Dashboard und vom Worker genutzt.
+import { TranslatableError } from './i18n.js';
+
+// Standard-Endpunkte (können für Tests überschrieben werden)
+export const DEFAULT_FEED_ENDPOINTS = {
+  youtubeFeed: 'https://www.youtube.com/feeds/videos.xml',
+  twitchHelix: 'https://api.twitch.tv/helix',
+  nitter: 'https://nitter.net'
+};
+
+// Fehler beim Abrufen oder Auswerten eines Feeds (errors.feed.*); die Meldung wird am Konto angezeigt
+export class FeedError extends TranslatableError {
+  constructor(key, params) {
+    super(`errors.feed.${key}`, params);
+    this.name = 'FeedError';
+  }
+}
+
+// --- Feed-Parser (RSS 2.0 und Atom, ohne DOM, damit er auch im Node-Worker läuft) ---
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  })
+  .trim();
+
+// Liest den Inhalt des ersten Elements mit einem der angegebenen Namen (inkl. Namespace-Präfix wie "yt:videoId")
+const readTag = (xml, names) => {
+  for (const name of names) {
+    const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i').exec(xml);
+    if (match) return decodeXml(match[1]);
+  }
+  return null;
+};
+
+// Liest den Link eines Atom-Eintrags (<link rel="alternate" href="..."/>)
+const readAtomLink = (xml) => {
+  const links = xml.match(/<link\b[^>]*>/gi) || [];
+  const preferred = links.find(link => !/rel=/i.test(link) || /rel=["']alternate["']/i.test(link)) || links[0];
+  const href = preferred && /href=["']([^"']+)["']/i.exec(preferred);
+  return href ? decodeXml(href[1]) : null;
+};
+
+const parseDate = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+// Zerlegt einen RSS- oder Atom-Feed in Einträge { id, title, url, publishedAt } in Feed-Reihenfolge
+export const parseFeed = (xml) => {
+  if (typeof xml !== 'string' || !/<(rss|feed|rdf:RDF)\b/i.test(xml)) {
+    throw new FeedError('invalidFeed');
+  }
+  const isAtom = /<feed\b/i.test(xml);
+  const blocks = xml.match(isAtom ? /<entry\b[\s\S]*?<\/entry>/gi : /<item\b[\s\S]*?<\/item>/gi) || [];
+  return blocks.map((block) => {
+    const url = isAtom ? readAtomLink(block) : readTag(block, ['link']);
+    const id = readTag(block, isAtom ? ['yt:videoId', 'id'] : ['guid']) || url;
+    return {
+      id,
+      title: (readTag(block, ['title']) || '').replace(/<[^>]+>/g, '').trim() || '(ohne Titel)',
+      url,
+      publishedAt: parseDate(readTag(block, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date']))
+    };
+  }).filter(item => item.id);
+};
+
+// --- Hilfsfunktionen für Konten ---
+
+// Titel des Feeds selbst (Kanalname), also der erste <title> vor dem ersten Eintrag
+export const parseFeedTitle = (xml) => {
+  const header = xml.split(/<(?:entry|item)\b/i)[0];
+  const title = readTag(header, ['title']);
+  return title ? title.replace(/<[^>]+>/g, '').trim() || null : null;
+};
+
+// Liest einen Benutzernamen aus einer Profil-URL oder einer Eingabe wie "@name"
+const readHandle = (input, hosts) => {
+  const trimmed = (input || '').trim();
+  const urlMatch = new RegExp(`^(?:https?://)?(?:www\\.|m\\.|mobile\\.)?(?:${hosts.join('|')})/@?([A-Za-z0-9_]+)`, 'i').exec(trimmed);
+  if (urlMatch) return urlMatch[1];
+  const plainMatch = /^@?([A-Za-z0-9_]+)$/.exec(trimmed);
+  return plainMatch ? plainMatch[1] : null;
+};
+
+const YOUTUBE_CHANNEL_ID_PATTERN = /(UC[A-Za-z0-9_-]{22})/;
+
+// --- Fetcher ---
+
+// Fabrik für die Plattform-Fetcher.
+// http(url, options) muss eine fetch-kompatible Antwort liefern ({ ok, status, text(), json() }).
+// corsProxy: optionales Präfix für Browser-Abrufe (z.B. "https://proxy.example/?url="), wird URL-kodiert angehängt.
+export const createSocialFetchers = ({
+  http = (...args) => fetch(...args),
+  corsProxy = null,
+  twitchClientId = null,
+  twitchAccessToken = null,
+  endpoints = {}
+} = {}) => {
+  const api = { ...DEFAULT_FEED_ENDPOINTS, ...endpoints };
+  const withProxy = (url) => (corsProxy ? `${corsProxy}${encodeURIComponent(url)}` : url);
+
+  const request = async (url, options) => {
+    let response;
+    try {
+      response = await http(url, options);
+    } catch (error) {
+      throw new FeedError('network', { error: error.message });
+    }
+    if (!response.ok) {
+      throw new FeedError('httpStatus', { status: response.status });
+    }
+    return response;
+  };
+
+  // Lädt einen Feed; Rückgabe: { items, title }
+  const fetchFeed = async (url) => {
+    const xml = await (await request(withProxy(url))).text();
+    return { items: parseFeed(xml), title: parseFeedTitle(xml) };
+  };
+
+  // YouTube: Kanal-ID aus der URL oder (bei @handle-URLs) aus der Kanalseite ermitteln, dann RSS laden
+  const fetchYoutube = async (account) => {
+    let channelId = account.channelId || (YOUTUBE_CHANNEL_ID_PATTERN.exec(account.url) || [])[1] || null;
+    if (!channelId) {
+      const pageUrl = /^https?:\/\//i.test(account.url) ? account.url : `https://www.youtube.com/${account.url.startsWith('@') ? account.url : `@${account.url}`}`;
+      const html = await (await request(withProxy(pageUrl))).text();
+      const match = /"(?:channelId|externalId)":"(UC[A-Za-z0-9_-]{22})"/.exec(html)
+        || /<link rel="canonical" href="https:\/\/www\.youtube\.com\/channel\/(UC[A-Za-z0-9_-]{22})"/.exec(html);
+      if (!match) throw new FeedError('youtubeChannelId');
+      channelId = match[1];
+    }
+    const { items, title } = await fetchFeed(`${api.youtubeFeed}?channel_id=${channelId}`);
+    return { items, patch: { channelId, displayName: title || account.displayName || null } };
+  };
+
+  // Twitch: aktueller Livestream über die Helix-API; ein neuer Stream ergibt einen neuen Eintrag
+  const fetchTwitch = async (account) => {
+    if (!twitchClientId || !twitchAccessToken) {
+      throw new FeedError('twitchCredentials');
+    }
+    const login = readHandle(account.url, ['twitch\\.tv']);
+    if (!login) throw new FeedError('twitchName');
+    const response = await request(`${api.twitchHelix}/streams?user_login=${encodeURIComponent(login.toLowerCase())}`, {
+      headers: { 'Client-Id': twitchClientId, Authorization: `Bearer ${twitchAccessToken}` }
+    });
+    const stream = ((await response.json()).data || [])[0];
+    const items = stream ? [{
+      id: `stream:${stream.id}`,
+      title: stream.title || `${stream.user_name} ist live`,
+      url: `https://www.twitch.tv/${stream.user_login || login}`,
+      publishedAt: parseDate(stream.started_at),
+      isLive: true
+    }] : [];
+    return { items, patch: { displayName: stream ? stream.user_name || login : account.displayName || login } };
+  };
+
+  // X: RSS über eine Nitter-Instanz; Links zeigen wieder auf x.com
+  const fetchX = async (account) => {
+    const handle = readHandle(account.url, ['x\\.com', 'twitter\\.com']);
+    if (!handle) throw new FeedError('xName');
+    const { items } = await fetchFeed(`${api.nitter}/${handle}/rss`);
+    return {
+      items: items.map(item => ({
+        ...item,
+        url: item.url ? item.url.replace(/^https?:\/\/[^/]+/, 'https://x.com').replace(/#m$/, '') : item.url
+      })),
+      patch: { displayName: `@${handle}` }
+    };
+  };
+
+  // Andere: beliebiger RSS- oder Atom-Feed
+  const fetchGeneric = async (account) => {
+    if (!/^https?:\/\//i.test(account.url)) {
+      throw new FeedError('feedUrlRequired');
+    }
+    const { items, title } = await fetchFeed(account.url);
+    return { items, patch: { displayName: title || account.displayName || null } };
+  };
+
+  const fetchers = { YouTube: fetchYoutube, Twitch: fetchTwitch, X: fetchX, Other: fetchGeneric };
+
+  // Lädt die aktuellen Einträge eines Kontos. Rückgabe: { items, patch } – patch enthält
+  // ermittelte Zusatzdaten (z.B. channelId), die am Konto gespeichert werden sollen.
+  const fetchAccount = async (account) => {
+    const fetcher = fetchers[account.type];
+    if (!fetcher) throw new FeedError('unknownType', { type: account.type });
+    return fetcher(account);
+  };
+
+  return { fetchAccount };
+};
+
+// --- Deduplizierung ---
+
+// Wählt die wirklich neuen Einträge (neueste zuerst) anhand der zuletzt gesehenen Eintrags-ID.
+// - Erster Abruf: nur der neueste Eintrag, damit nicht der ganze Feed als "neu" erscheint
+// - Zuletzt gesehener Eintrag gefunden: alle Einträge davor
+// - Nicht mehr im Feed: alle Einträge, die nach dem letzten Abruf veröffentlicht wurden
+const sortNewestFirst = (items) => [...items].sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0));
+
+export const selectNewItems = (items, account) => {
+  const sorted = sortNewestFirst(items);
+  if (!account.lastSeenItemId) {
+    return sorted.slice(0, 1);
+  }
+  const lastSeenIndex = sorted.findIndex(item => item.id === account.lastSeenItemId);
+  if (lastSeenIndex >= 0) {
+    return sorted.slice(0, lastSeenIndex);
+  }
+  return sorted.filter(item => item.publishedAt !== null && account.lastFetched && item.publishedAt > account.lastFetched);
+};
+
+// Wendet ein Abrufergebnis auf ein Konto an.
+// Rückgabe: { account, newItems }; lastSeenItemId zeigt danach auf den neuesten Eintrag im Feed
+export const applyFetchResult = (account, { items, patch = {} }, now) => {
+  const newItems = selectNewItems(items, account);
+  const newest = sortNewestFirst(items)[0] || null;
+  return {
+    account: {
+      ...account,
+      ...patch,
+      lastFetched: now,
+      lastSeenItemId: newest ? newest.id : account.lastSeenItemId || null,
+      lastError: null,
+      lastErrorKey: null,
+      lastErrorParams: null
+    },
+    newItems
+  };
+};
+
+// Anzeigename eines Kontos (Kanalname aus dem Feed, sonst die eingegebene URL)
+export const getAccountDisplayName = (account) => account.displayName || account.url;
+
+// Erstellt aus einem neuen Feed-Eintrag ein Update für die Anzeige
+export const createUpdateFromItem = (account, item, now) => ({
+  id: `${account.id}:${item.id}`,
+  accountId: account.id,
+  accountType: account.type,
+  itemId: item.id,
+  title: item.title,
+  url: item.url,
+  text: item.isLive
+    ? `${getAccountDisplayName(account)} ist jetzt live: ${item.title}`
+    : `Neuer Beitrag von ${account.type} (${getAccountDisplayName(account)}): ${item.title}`,
+  timestamp: item.publishedAt || now
+});
@@ -0,0 +1,238 @@
+import {
+  parseFeed, parseFeedTitle, createSocialFetchers, applyFetchResult, createUpdateFromItem, FeedError
+} from './socialFeeds.js';
+import { readFeedFixture, createFixtureHttp } from './test/fixtureHttp.js';
+
+const CHANNEL_ID = 'UC4R8DWoMoI7CAwX8_LjQHig';
+const YOUTUBE_FEED_URL = `https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`;
+const TWITCH_STREAMS_URL = 'https://api.twitch.tv/helix/streams?user_login=kanalundfreunde';
+const NITTER_URL = 'https://nitter.net/kanalundfreunde/rss';
+const BLOG_URL = 'https://blog.example.org/feed/';
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const youtubeAccount = { id: 1, type: 'YouTube', url: `https://www.youtube.com/channel/${CHANNEL_ID}`, channelId: null };
+const twitchAccount = { id: 2, type: 'Twitch', url: 'https://www.twitch.tv/kanalundfreunde' };
+const xAccount = { id: 3, type: 'X', url: 'https://x.com/kanalundfreunde' };
+const blogAccount = { id: 4, type: 'Other', url: BLOG_URL };
+
+const twitchCredentials = { twitchClientId: 'client-id', twitchAccessToken: 'token' };
+
+const rejection = promise => promise.then(() => {
+  throw new Error('Kein Fehler geworfen');
+}, error => error);
+
+describe('parseFeed mit aufgezeichneten Feeds', () => {
+  it('liest YouTube-Kanalfeeds (Atom) mit Video-IDs', () => {
+    const xml = readFeedFixture('youtube-channel.xml');
+    expect(parseFeedTitle(xml)).toBe('Kanal & Freunde');
+    expect(parseFeed(xml)).toEqual([
+      {
+        id: 'dQw4w9WgXcQ',
+        title: 'Q&A-Stream – Teil 2',
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        publishedAt: Date.parse('2026-10-18T16:00:06+00:00')
+      },
+      expect.objectContaining({ id: '9bZkp7q19f0', title: 'Q&A-Stream – Teil 1' }),
+      expect.objectContaining({ id: 'kJQP7kiw5Fk', title: 'Setup-Tour 2026' })
+    ]);
+  });
+
+  it('liest Nitter-Feeds (RSS) mit Entitäten im Titel', () => {
+    const items = parseFeed(readFeedFixture('nitter-user.xml'));
+    expect(items).toHaveLength(3);
+    expect(items[0]).toEqual({
+      id: 'https://nitter.net/kanalundfreunde/status/1847312345678901234#m',
+      title: 'Heute um 20 Uhr live: Fragerunde & Musikwünsche <3',
+      url: 'https://nitter.net/kanalundfreunde/status/1847312345678901234#m',
+      publishedAt: Date.UTC(2026, 9, 18, 15, 30, 12)
+    });
+  });
+
+  it('liest RSS mit CDATA, Zeichenreferenzen, dc:date und fehlender guid', () => {
+    const xml = readFeedFixture('blog-rss.xml');
+    expect(parseFeedTitle(xml)).toBe('Server-Blog');
+    expect(parseFeed(xml)).toEqual([
+      {
+        id: 'https://blog.example.org/?p=812',
+        title: 'Patchnotes 1.4 – neue Befehle',
+        url: 'https://blog.example.org/2026/10/patchnotes-1-4/',
+        publishedAt: Date.UTC(2026, 9, 19, 7, 45)
+      },
+      {
+        id: 'https://blog.example.org/2026/10/turnier/',
+        title: 'Turnier am Samstag 🏆',
+        url: 'https://blog.example.org/2026/10/turnier/',
+        publishedAt: Date.UTC(2026, 9, 17, 12)
+      },
+      {
+        id: 'https://blog.example.org/2026/10/bild-der-woche/',
+        title: '(ohne Titel)',
+        url: 'https://blog.example.org/2026/10/bild-der-woche/',
+        publishedAt: null
+      }
+    ]);
+  });
+
+  it('liest Atom-Feeds mit mehreren Links und nur <updated>', () => {
+    const xml = readFeedFixture('blog-atom.xml');
+    expect(parseFeedTitle(xml)).toBe('Entwickler-Notizen');
+    expect(parseFeed(xml)).toEqual([
+      {
+        id: 'urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a',
+        title: 'Caching richtig gemacht',
+        url: 'https://notes.example.org/caching',
+        publishedAt: Date.UTC(2026, 9, 18, 20)
+      },
+      {
+        id: 'urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6b',
+        title: 'Erste Notiz',
+        url: 'https://notes.example.org/erste-notiz',
+        publishedAt: Date.UTC(2026, 9, 1, 8)
+      }
+    ]);
+  });
+
+  it('lehnt Antworten ab, die kein Feed sind', () => {
+    expect(() => parseFeed(readFeedFixture('youtube-consent-page.html'))).toThrow(FeedError);
+  });
+});
+
+describe('createSocialFetchers mit aufgezeichneten Antworten', () => {
+  it('lädt den YouTube-Feed direkt, wenn die Kanal-ID in der URL steht', async () => {
+    const http = createFixtureHttp({ [YOUTUBE_FEED_URL]: 'youtube-channel.xml' });
+    const { items, patch } = await createSocialFetchers({ http }).fetchAccount(youtubeAccount);
+    expect(http.requests.map(request => request.url)).toEqual([YOUTUBE_FEED_URL]);
+    expect(items.map(item => item.id)).toEqual(['dQw4w9WgXcQ', '9bZkp7q19f0', 'kJQP7kiw5Fk']);
+    expect(patch).toEqual({ channelId: CHANNEL_ID, displayName: 'Kanal & Freunde' });
+  });
+
+  it('ermittelt die Kanal-ID von @handle-URLs über die Kanalseite', async () => {
+    const http = createFixtureHttp({
+      'https://www.youtube.com/@kanalundfreunde': 'youtube-channel-page.html',
+      [YOUTUBE_FEED_URL]: 'youtube-channel.xml'
+    });
+    const { patch } = await createSocialFetchers({ http })
+      .fetchAccount({ ...youtubeAccount, url: 'https://www.youtube.com/@kanalundfreunde' });
+    expect(http.requests.map(request => request.url)).toEqual(['https://www.youtube.com/@kanalundfreunde', YOUTUBE_FEED_URL]);
+    expect(patch.channelId).toBe(CHANNEL_ID);
+  });
+
+  it('meldet einen Fehler, wenn die Kanalseite keine Kanal-ID enthält', async () => {
+    const http = createFixtureHttp({ 'https://www.youtube.com/@kanalundfreunde': 'youtube-consent-page.html' });
+    const error = await rejection(createSocialFetchers({ http })
+      .fetchAccount({ ...youtubeAccount, url: '@kanalundfreunde' }));
+    expect(error).toBeInstanceOf(FeedError);
+    expect(error.message).toBe('YouTube-Kanal-ID konnte nicht ermittelt werden.');
+    expect(error.key).toBe('errors.feed.youtubeChannelId');
+  });
+
+  it('liefert einen laufenden Twitch-Stream als Live-Eintrag', async () => {
+    const http = createFixtureHttp({ [TWITCH_STREAMS_URL]: 'twitch-streams-live.json' });
+    const { items, patch } = await createSocialFetchers({ http, ...twitchCredentials }).fetchAccount(twitchAccount);
+    expect(http.requests[0].options.headers).toEqual({ 'Client-Id': 'client-id', Authorization: 'Bearer token' });
+    expect(items).toEqual([{
+      id: 'stream:40952121085',
+      title: 'Fragerunde & Musikwünsche 🎵',
+      url: 'https://www.twitch.tv/kanalundfreunde',
+      publishedAt: Date.UTC(2026, 9, 18, 18, 0, 4),
+      isLive: true
+    }]);
+    expect(patch).toEqual({ displayName: 'KanalUndFreunde' });
+  });
+
+  it('liefert ohne laufenden Twitch-Stream keine Einträge', async () => {
+    const http = createFixtureHttp({ [TWITCH_STREAMS_URL]: 'twitch-streams-offline.json' });
+    const { items, patch } = await createSocialFetchers({ http, ...twitchCredentials })
+      .fetchAccount({ ...twitchAccount, url: 'KanalUndFreunde', displayName: 'KanalUndFreunde' });
+    expect(http.requests.map(request => request.url)).toEqual([TWITCH_STREAMS_URL]);
+    expect(items).toEqual([]);
+    expect(patch).toEqual({ displayName: 'KanalUndFreunde' });
+  });
+
+  it('ruft Twitch ohne Zugangsdaten nicht ab', async () => {
+    const http = createFixtureHttp({});
+    expect(await rejection(createSocialFetchers({ http }).fetchAccount(twitchAccount))).toBeInstanceOf(FeedError);
+    expect(http.requests).toEqual([]);
+  });
+
+  it('lädt X-Posts über Nitter und verlinkt sie auf x.com', async () => {
+    const http = createFixtureHttp({ [NITTER_URL]: 'nitter-user.xml' });
+    const { items, patch } = await createSocialFetchers({ http }).fetchAccount(xAccount);
+    expect(items.map(item => item.url)).toEqual([
+      'https://x.com/kanalundfreunde/status/1847312345678901234',
+      'https://x.com/freundin/status/1847320000000000000',
+      'https://x.com/kanalundfreunde/status/1846600000000000000'
+    ]);
+    expect(patch).toEqual({ displayName: '@kanalundfreunde' });
+  });
+
+  it('lädt beliebige Feeds und übernimmt den Feed-Titel als Namen', async () => {
+    const http = createFixtureHttp({ [BLOG_URL]: 'blog-rss.xml' });
+    const { items, patch } = await createSocialFetchers({ http }).fetchAccount(blogAccount);
+    expect(items).toHaveLength(3);
+    expect(patch).toEqual({ displayName: 'Server-Blog' });
+  });
+
+  it('hängt Abrufe URL-kodiert an den CORS-Proxy an', async () => {
+    const proxiedUrl = `https://proxy.example/?url=${encodeURIComponent(BLOG_URL)}`;
+    const http = createFixtureHttp({ [proxiedUrl]: 'blog-atom.xml' });
+    const { patch } = await createSocialFetchers({ http, corsProxy: 'https://proxy.example/?url=' }).fetchAccount(blogAccount);
+    expect(http.requests.map(request => request.url)).toEqual([proxiedUrl]);
+    expect(patch.displayName).toBe('Entwickler-Notizen');
+  });
+
+  it('meldet HTTP-, Netzwerk- und Formatfehler als FeedError', async () => {
+    const failing = createFixtureHttp({ [BLOG_URL]: { status: 503, body: 'Service Unavailable' } });
+    const httpError = await rejection(createSocialFetchers({ http: failing }).fetchAccount(blogAccount));
+    expect(httpError).toBeInstanceOf(FeedError);
+    expect(httpError.message).toBe('Abruf fehlgeschlagen (HTTP 503).');
+
+    const offline = async () => {
+      throw new TypeError('fetch failed');
+    };
+    const networkError = await rejection(createSocialFetchers({ http: offline }).fetchAccount(blogAccount));
+    expect(networkError.message).toBe('Netzwerkfehler beim Abruf: fetch failed');
+
+    const consentPage = createFixtureHttp({ [BLOG_URL]: 'youtube-consent-page.html' });
+    expect(await rejection(createSocialFetchers({ http: consentPage }).fetchAccount(blogAccount))).toBeInstanceOf(FeedError);
+  });
+});
+
+describe('Neue Einträge aus aufgezeichneten Feeds', () => {
+  const fetchNitter = () => createSocialFetchers({ http: createFixtureHttp({ [NITTER_URL]: 'nitter-user.xml' }) }).fetchAccount(xAccount);
+
+  it('kündigt beim ersten Abruf nur den neuesten Eintrag an', async () => {
+    const { account, newItems } = applyFetchResult(xAccount, await fetchNitter(), NOW);
+    // Der Retweet ist neuer als der erste Eintrag im Feed
+    expect(newItems.map(item => item.id)).toEqual(['https://nitter.net/freundin/status/1847320000000000000#m']);
+    expect(account).toEqual(expect.objectContaining({
+      displayName: '@kanalundfreunde',
+      lastFetched: NOW,
+      lastSeenItemId: 'https://nitter.net/freundin/status/1847320000000000000#m',
+      lastError: null
+    }));
+  });
+
+  it('liefert alle Einträge nach dem zuletzt gesehenen, neueste zuerst', async () => {
+    const seen = { ...xAccount, lastSeenItemId: 'https://nitter.net/kanalundfreunde/status/1846600000000000000#m', lastFetched: NOW - 86400000 };
+    const { newItems } = applyFetchResult(seen, await fetchNitter(), NOW);
+    expect(newItems.map(item => item.publishedAt)).toEqual([Date.UTC(2026, 9, 18, 16, 5), Date.UTC(2026, 9, 18, 15, 30, 12)]);
+  });
+
+  it('erstellt aus einem Twitch-Stream ein Live-Update', async () => {
+    const http = createFixtureHttp({ [TWITCH_STREAMS_URL]: 'twitch-streams-live.json' });
+    const { account, newItems } = applyFetchResult(
+      twitchAccount, await createSocialFetchers({ http, ...twitchCredentials }).fetchAccount(twitchAccount), NOW
+    );
+    expect(createUpdateFromItem(account, newItems[0], NOW)).toEqual({
+      id: '2:stream:40952121085',
+      accountId: 2,
+      accountType: 'Twitch',
+      itemId: 'stream:40952121085',
+      title: 'Fragerunde & Musikwünsche 🎵',
+      url: 'https://www.twitch.tv/kanalundfreunde',
+      text: 'KanalUndFreunde ist jetzt live: Fragerunde & Musikwünsche 🎵',
+      timestamp: Date.UTC(2026, 9, 18, 18, 0, 4)
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// Automatischer Abruf der Social-Media-Konten und Ankündigungen per Discord-Webhook.
+// Jedes Konto hat ein eigenes Abrufintervall und optional eine Webhook-URL (= Zielkanal).
+// Fehlgeschlagene Abrufe werden mit exponentiellem Backoff wiederholt; die Fehlermeldung steht in lastError
+// (deutscher Text) und lastErrorKey/-Params (übersetzbar, siehe getAccountError).
+// Die Logik wird vom Dashboard ("Updates abrufen") und vom Backend-Worker (Zeitplan) gemeinsam genutzt.
+import { applyFetchResult, createUpdateFromItem, getAccountDisplayName } from './socialFeeds.js';
+import { TranslatableError, translatable } from './i18n.js';
+
+export const DEFAULT_POLL_INTERVAL_MINUTES = 15;
+export const MIN_POLL_INTERVAL_MINUTES = 1;
+export const MAX_POLL_INTERVAL_MINUTES = 24 * 60;
+export const SCHEDULER_TICK_INTERVAL_MS = 60 * 1000; // Wie oft geprüft wird, welche Konten fällig sind
+export const RETRY_BASE_DELAY_MS = 60 * 1000; // Erste Wiederholung nach einem Fehler
+export const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // Obergrenze für den Backoff
+const MAX_WEBHOOK_CONTENT_LENGTH = 2000; // Limit von Discord für "content"
+
+// Standardvorlagen pro Plattform. Platzhalter: {channel}, {title}, {url}, {platform}
+export const ANNOUNCEMENT_TEMPLATES = {
+  YouTube: "{channel} hat ein neues Video veröffentlicht: {title} {url}",
+  Twitch: "{channel} ist jetzt live: {title} {url}",
+  X: "Neuer Post von {channel}: {title} {url}",
+  Other: "Neuer Beitrag von {channel}: {title} {url}"
+};
+
+// Felder, die ein Abruf am Konto ändert. Alle anderen Felder (URL, Intervall, Webhook, Vorlage)
+// gehören dem Benutzer und werden beim Speichern der Ergebnisse nicht überschrieben.
+const POLL_STATE_FIELDS = ['lastFetched', 'lastSeenItemId', 'lastError', 'lastErrorKey', 'lastErrorParams', 'failureCount', 'retryAt', 'channelId', 'displayName'];
+
+// Fehler bei der Zustellung an einen Webhook (errors.webhook.*); retryAfterMs ist gesetzt, wenn Discord ein Rate-Limit meldet
+export class WebhookError extends TranslatableError {
+  constructor(key, params, retryAfterMs = null) {
+    super(`errors.webhook.${key}`, params);
+    this.name = 'WebhookError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Prüft ein Abrufintervall in Minuten; gibt null zurück, wenn es ungültig ist
+export const normalizePollInterval = (minutes) => {
+  const value = Number(minutes);
+  return Number.isInteger(value) && value >= MIN_POLL_INTERVAL_MINUTES && value <= MAX_POLL_INTERVAL_MINUTES ? value : null;
+};
+
+// Prüft eine Webhook-URL (leer = keine Ankündigungen); gibt null zurück, wenn sie ungültig ist
+export const normalizeWebhookUrl = (url) => {
+  const trimmed = (url || '').trim();
+  if (trimmed === '') return '';
+  return /^https?:\/\/\S+$/i.test(trimmed) ? trimmed : null;
+};
+
+export const getPollIntervalMs = (account) =>
+  (normalizePollInterval(account.pollIntervalMinutes) || DEFAULT_POLL_INTERVAL_MINUTES) * 60 * 1000;
+
+// Wartezeit nach dem n-ten Fehlschlag in Folge: 1, 2, 4, ... Minuten, höchstens MAX_RETRY_DELAY_MS
+export const getRetryDelayMs = (failureCount) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(failureCount - 1, 0), MAX_RETRY_DELAY_MS);
+
+// Zeitpunkt des nächsten Abrufs: nach einem Fehler retryAt, sonst letzter Abruf + Intervall
+export const getNextPollAt = (account) => {
+  if (account.retryAt) return account.retryAt;
+  return account.lastFetched ? account.lastFetched + getPollIntervalMs(account) : 0;
+};
+
+// Fehlermeldung des letzten Abrufs für translateMessage (ältere Konten und unerwartete Fehler: fester Text)
+export const getAccountError = account => (account.lastErrorKey
+  ? translatable(account.lastErrorKey, account.lastErrorParams || {})
+  : account.lastError);
+
+export const isAccountDue = (account, now) => getNextPollAt(account) <= now;
+
+// In Ruhezeiten (siehe botSchedule.js) werden Konten mit Webhook nicht abgerufen. Ihre neuen Einträge gelten
+// so noch nicht als gesehen und werden nach dem Ende der Ruhezeit angekündigt.
+export const isAnnouncementHeld = (account, quiet) => quiet && Boolean(account.webhookUrl);
+
+// Ersetzt die Platzhalter einer Vorlage; unbekannte Platzhalter bleiben stehen
+export const renderTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : match));
+
+// Ankündigungstext für ein Update (eigene Vorlage des Kontos oder Standardvorlage der Plattform)
+export const renderAnnouncement = (account, update) => {
+  const template = account.announcementTemplate || ANNOUNCEMENT_TEMPLATES[account.type] || ANNOUNCEMENT_TEMPLATES.Other;
+  return renderTemplate(template, {
+    channel: getAccountDisplayName(account),
+    title: update.title,
+    url: update.url || '',
+    platform: account.type
+  }).trim().slice(0, MAX_WEBHOOK_CONTENT_LENGTH);
+};
+
+// Client für Discord-Webhooks. http(url, options) muss fetch-kompatibel sein,
+// damit die Zustellung gegen einen lokalen HTTP-Stub getestet werden kann.
+export const createWebhookClient = ({ http = (...args) => fetch(...args) } = {}) => ({
+  send: async (webhookUrl, content) => {
+    let response;
+    try {
+      response = await http(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // Keine @everyone/@here- oder Rollen-Erwähnungen aus Feed-Titeln zulassen
+        body: JSON.stringify({ content, allowed_mentions: { parse: [] } })
+      });
+    } catch (error) {
+      throw new WebhookError('unreachable', { error: error.message });
+    }
+    if (response.status === 429) {
+      const body = await response.json().catch(() => ({}));
+      const retryAfterMs = body.retry_after ? Math.ceil(body.retry_after * 1000) : null;
+      throw new WebhookError('rateLimited', {}, retryAfterMs);
+    }
+    if (!response.ok) {
+      throw new WebhookError('httpStatus', { status: response.status });
+    }
+  }
+});
+
+// Ruft ein Konto ab und kündigt neue Einträge (älteste zuerst) über den Webhook des Kontos an.
+// Rückgabe: { account, newUpdates, failed }
+// - Erfolg: failureCount/retryAt/lastError werden zurückgesetzt
+// - Fehler beim Abruf oder bei der Zustellung: failureCount steigt, retryAt folgt dem Backoff.
+//   Nicht zugestellte Einträge gelten nicht als gesehen und werden beim nächsten Versuch erneut angekündigt.
+export const pollAccount = async (account, { fetchers, webhook, now = Date.now() }) => {
+  const fail = (error, patch = {}) => {
+    const failureCount = (account.failureCount || 0) + 1;
+    const delay = Math.max(getRetryDelayMs(failureCount), error.retryAfterMs || 0);
+    return {
+      account: {
+        ...account,
+        ...patch,
+        lastError: error.message,
+        lastErrorKey: error.key || null,
+        lastErrorParams: error.key ? error.params : null,
+        failureCount,
+        retryAt: now + delay
+      },
+      newUpdates: [],
+      failed: true
+    };
+  };
+
+  let result;
+  try {
+    result = applyFetchResult(account, await fetchers.fetchAccount(account), now);
+  } catch (error) {
+    return fail(error);
+  }
+
+  const newUpdates = result.newItems.map(item => createUpdateFromItem(result.account, item, now));
+  const delivered = [];
+  if (account.webhookUrl) {
+    for (const update of [...newUpdates].reverse()) {
+      try {
+        await webhook.send(account.webhookUrl, renderAnnouncement(result.account, update));
+        delivered.unshift(update);
+      } catch (error) {
+        const lastDelivered = delivered[0];
+        const { account: failedAccount } = fail(error, {
+          ...result.account,
+          lastFetched: lastDelivered ? now : account.lastFetched,
+          lastSeenItemId: lastDelivered ? lastDelivered.itemId : account.lastSeenItemId || null
+        });
+        return { account: failedAccount, newUpdates: delivered, failed: true };
+      }
+    }
+  }
+
+  return {
+    account: { ...result.account, failureCount: 0, retryAt: null },
+    newUpdates,
+    failed: false
+  };
+};
+
+// Übernimmt die Abrufergebnisse in die aktuelle Kontenliste (nur Abruf-Felder, siehe POLL_STATE_FIELDS).
+// Inzwischen entfernte Konten bleiben entfernt.
+export const mergePollResults = (accounts, results) => {
+  const resultsById = new Map(results.map(result => [result.account.id, result.account]));
+  return accounts.map((account) => {
+    const polled = resultsById.get(account.id);
+    if (!polled) return account;
+    const patch = {};
+    POLL_STATE_FIELDS.forEach((field) => {
+      if (polled[field] !== undefined) patch[field] = polled[field];
+    });
+    return { ...account, ...patch };
+  });
+};
+
+// Zeitplan, der regelmäßig alle fälligen Konten abruft.
+// Optionen:
+// - getAccounts(): aktuelle Kontenliste
+// - onResults(results): speichert die Ergebnisse (z.B. saveSocialPollResults)
+// - fetchers, webhook: siehe pollAccount
+// - tickIntervalMs: Abstand der Prüfungen
+// - isQuiet(): true während der Ruhezeit (Ankündigungen werden zurückgehalten)
+// - now: Uhr (für Tests austauschbar)
+// - log: Funktion für Protokollausgaben
+export const createSocialScheduler = ({
+  getAccounts,
+  onResults,
+  fetchers,
+  webhook,
+  tickIntervalMs = SCHEDULER_TICK_INTERVAL_MS,
+  isQuiet = () => false,
+  now = Date.now,
+  log = console.log
+}) => {
+  let intervalId = null;
+  let running = null; // Laufender Durchgang; Ticks überlappen sich nicht
+
+  const runDueAccounts = async () => {
+    const quiet = isQuiet();
+    const dueAccounts = getAccounts().filter(account => isAccountDue(account, now()) && !isAnnouncementHeld(account, quiet));
+    if (dueAccounts.length === 0) {
+      return [];
+    }
+    const results = [];
+    for (const account of dueAccounts) {
+      const result = await pollAccount(account, { fetchers, webhook, now: now() });
+      if (result.failed) {
+        log(`Abruf von ${account.type} (${account.url}) fehlgeschlagen:`, result.account.lastError);
+      }
+      results.push(result);
+    }
+    await onResults(results);
+    return results;
+  };
+
+  // Führt einen Durchgang aus (oder wartet auf den laufenden); gibt die Ergebnisse zurück
+  const tick = () => {
+    if (!running) {
+      running = runDueAccounts()
+        .catch((error) => {
+          log("Fehler im Social-Media-Zeitplan:", error.message);
+          return [];
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  return {
+    tick,
+    start: () => {
+      if (intervalId) return;
+      intervalId = setInterval(tick, tickIntervalMs);
+      tick();
+    },
+    stop: async () => {
+      clearInterval(intervalId);
+      intervalId = null;
+      await running;
+    }
+  };
+};
@@ -0,0 +1,169 @@
+import { createServer } from 'node:http';
+import { createWebhookClient, pollAccount, getAccountError, WebhookError, RETRY_BASE_DELAY_MS } from './socialScheduler.js';
+import { createI18n } from './i18n.js';
+import { createSocialFetchers } from './socialFeeds.js';
+import { createFixtureHttp } from './test/fixtureHttp.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const rejection = promise => promise.then(() => {
+  throw new Error('Kein Fehler geworfen');
+}, error => error);
+
+// Lokaler Stub für Discord-Webhooks: beantwortet Anfragen der Reihe nach mit den vorgegebenen Antworten
+// ({ status, body? }) und merkt sich jede Anfrage ({ method, url, contentType, body })
+const startWebhookStub = async () => {
+  const stub = { requests: [], responses: [] };
+  const server = createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      stub.requests.push({ method: request.method, url: request.url, contentType: request.headers['content-type'], body: JSON.parse(body) });
+      const next = stub.responses.shift() || { status: 204 };
+      if (next.body === undefined) {
+        response.writeHead(next.status).end();
+      } else {
+        response.writeHead(next.status, { 'Content-Type': 'application/json' }).end(JSON.stringify(next.body));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}/api/webhooks/1/token`;
+  stub.close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return stub;
+};
+
+describe('createWebhookClient gegen einen lokalen Webhook', () => {
+  let stub;
+  const webhook = createWebhookClient();
+
+  beforeEach(async () => {
+    stub = await startWebhookStub();
+  });
+
+  afterEach(() => stub.close());
+
+  it('sendet die Ankündigung als JSON ohne Erwähnungen', async () => {
+    await webhook.send(stub.url, 'Neues Video: @everyone schaut rein');
+    expect(stub.requests).toEqual([{
+      method: 'POST',
+      url: '/api/webhooks/1/token',
+      contentType: 'application/json',
+      body: { content: 'Neues Video: @everyone schaut rein', allowed_mentions: { parse: [] } }
+    }]);
+  });
+
+  it('übernimmt bei einem Rate-Limit die Wartezeit aus retry_after', async () => {
+    stub.responses.push({ status: 429, body: { message: 'You are being rate limited.', retry_after: 1.2345, global: false } });
+    const error = await rejection(webhook.send(stub.url, 'Text'));
+    expect(error).toBeInstanceOf(WebhookError);
+    expect(error.message).toBe('Webhook-Rate-Limit erreicht.');
+    expect(error.retryAfterMs).toBe(1235);
+  });
+
+  it('meldet ein Rate-Limit ohne lesbare Wartezeit ohne retryAfterMs', async () => {
+    stub.responses.push({ status: 429 });
+    const error = await rejection(webhook.send(stub.url, 'Text'));
+    expect(error).toBeInstanceOf(WebhookError);
+    expect(error.retryAfterMs).toBeNull();
+  });
+
+  it('meldet andere HTTP-Fehler mit Statuscode', async () => {
+    stub.responses.push({ status: 404, body: { message: 'Unknown Webhook', code: 10015 } });
+    const error = await rejection(webhook.send(stub.url, 'Text'));
+    expect(error.message).toBe('Webhook-Zustellung fehlgeschlagen (HTTP 404).');
+    expect(error.retryAfterMs).toBeNull();
+  });
+
+  it('meldet einen nicht erreichbaren Webhook', async () => {
+    const { url } = stub;
+    await stub.close();
+    const error = await rejection(webhook.send(url, 'Text'));
+    expect(error).toBeInstanceOf(WebhookError);
+    expect(error.message).toMatch(/^Webhook nicht erreichbar: /);
+  });
+});
+
+describe('pollAccount mit Rate-Limit des Webhooks', () => {
+  const CHANNEL_ID = 'UC4R8DWoMoI7CAwX8_LjQHig';
+  const fetchers = createSocialFetchers({
+    http: createFixtureHttp({ [`https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`]: 'youtube-channel.xml' })
+  });
+  // Zuletzt gesehen: Setup-Tour; neu sind Teil 1 und Teil 2 (angekündigt wird älteste zuerst)
+  const account = {
+    id: 1,
+    type: 'YouTube',
+    url: `https://www.youtube.com/channel/${CHANNEL_ID}`,
+    channelId: CHANNEL_ID,
+    lastFetched: NOW - 86400000,
+    lastSeenItemId: 'kJQP7kiw5Fk'
+  };
+  let stub;
+
+  beforeEach(async () => {
+    stub = await startWebhookStub();
+  });
+
+  afterEach(() => stub.close());
+
+  it('wartet mindestens retry_after und kündigt nicht Zugestelltes erneut an', async () => {
+    stub.responses.push({ status: 204 }, { status: 429, body: { message: 'You are being rate limited.', retry_after: 300, global: false } });
+    const result = await pollAccount({ ...account, webhookUrl: stub.url }, { fetchers, webhook: createWebhookClient(), now: NOW });
+
+    expect(stub.requests.map(request => request.body.content)).toEqual([
+      expect.stringContaining('Teil 1'), expect.stringContaining('Teil 2')
+    ]);
+    expect(result.failed).toBe(true);
+    expect(result.newUpdates.map(update => update.itemId)).toEqual(['9bZkp7q19f0']);
+    expect(result.account).toEqual(expect.objectContaining({
+      lastError: 'Webhook-Rate-Limit erreicht.',
+      lastErrorKey: 'errors.webhook.rateLimited',
+      lastSeenItemId: '9bZkp7q19f0',
+      failureCount: 1,
+      retryAt: NOW + 300000
+    }));
+  });
+
+  it('nutzt den Backoff, wenn retry_after kürzer ist', async () => {
+    stub.responses.push({ status: 429, body: { message: 'You are being rate limited.', retry_after: 0.5, global: false } });
+    const result = await pollAccount({ ...account, webhookUrl: stub.url }, { fetchers, webhook: createWebhookClient(), now: NOW });
+
+    expect(result.newUpdates).toEqual([]);
+    expect(result.account).toEqual(expect.objectContaining({
+      lastSeenItemId: 'kJQP7kiw5Fk',
+      lastFetched: NOW - 86400000,
+      retryAt: NOW + RETRY_BASE_DELAY_MS
+    }));
+  });
+});
+
+describe('getAccountError', () => {
+  const { translateMessage } = createI18n('en');
+
+  it('übersetzt gespeicherte Abruf- und Zustellungsfehler in die gewählte Sprache', async () => {
+    const failingFetchers = { fetchAccount: () => Promise.reject(new WebhookError('httpStatus', { status: 404 })) };
+    const { account } = await pollAccount({ id: 1, type: 'Other' }, { fetchers: failingFetchers, now: NOW });
+
+    expect(account).toEqual(expect.objectContaining({
+      lastError: 'Webhook-Zustellung fehlgeschlagen (HTTP 404).',
+      lastErrorKey: 'errors.webhook.httpStatus',
+      lastErrorParams: { status: 404 }
+    }));
+    expect(translateMessage(getAccountError(account))).toBe('Webhook delivery failed (HTTP 404).');
+  });
+
+  it('zeigt unerwartete Fehler und ältere Konten ohne Schlüssel unverändert', async () => {
+    const failingFetchers = { fetchAccount: () => Promise.reject(new TypeError('boom')) };
+    const { account } = await pollAccount({ id: 1, type: 'Other' }, { fetchers: failingFetchers, now: NOW });
+
+    expect(account).toEqual(expect.objectContaining({ lastError: 'boom', lastErrorKey: null, lastErrorParams: null }));
+    expect(translateMessage(getAccountError(account))).toBe('boom');
+    expect(translateMessage(getAccountError({ lastError: 'Abruf fehlgeschlagen (HTTP 503).' }))).toBe('Abruf fehlgeschlagen (HTTP 503).');
+  });
+});
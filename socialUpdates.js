@@ -0,0 +1,134 @@
+// Verlauf der Social-Media-Updates als eigene Untersammlung jeder Guild:
+// artifacts/{appId}/users/{userId}/guilds/{guildId}/updates/{updateId}
+// Jedes Update ist ein eigenes Dokument mit Zeitstempel, Kontoverweis (accountId, accountType) und Gelesen-Status.
+// So bleibt der Verlauf vollständig erhalten und das Guild-Dokument wächst nicht mit jedem Abruf.
+import {
+  doc, collection, query, where, orderBy, limit, startAfter, getDocs, runTransaction, writeBatch, serverTimestamp, deleteField
+} from 'firebase/firestore';
+
+export const UPDATES_COLLECTION = 'updates';
+export const UPDATES_PAGE_SIZE = 20; // Updates pro nachgeladener Seite
+export const MAX_UNREAD_COUNT = 99; // Darüber wird "99+" angezeigt
+const SEARCH_PAGE_SIZE = 100; // Updates pro gelesener Seite bei der Textsuche im Verlauf
+const BATCH_LIMIT = 500; // Maximale Anzahl Schreibvorgänge pro Batch
+
+export const updatesCollectionRef = (guildDocRef) => collection(guildDocRef, UPDATES_COLLECTION);
+
+// Dokument-ID eines Updates; die Update-ID kann Schrägstriche aus Feed-URLs enthalten
+export const updateDocId = (update) => encodeURIComponent(String(update.id));
+
+// Dokument für ein neu gefundenes Update
+export const createUpdateDoc = (update) => ({
+  ...update,
+  read: false,
+  createdAt: serverTimestamp()
+});
+
+// Abfrage für die Anzeige: neueste zuerst, optional nach Plattform oder Konto gefiltert.
+// pageCount bestimmt, wie viele Seiten geladen sind (ein Listener über alle Seiten vermeidet Lücken,
+// wenn oben neue Updates hinzukommen). Die Filter benötigen die Indizes aus firestore.indexes.json.
+const filterConstraints = ({ accountType = '', accountId = null } = {}) => {
+  if (accountId !== null) {
+    return [where('accountId', '==', accountId)]; // Das Konto legt die Plattform bereits fest
+  }
+  return accountType ? [where('accountType', '==', accountType)] : [];
+};
+
+export const createUpdatesQuery = (updatesRef, filter, pageCount = 1) =>
+  query(updatesRef, ...filterConstraints(filter), orderBy('timestamp', 'desc'), limit(pageCount * UPDATES_PAGE_SIZE));
+
+// Abfrage der ungelesenen Updates (für den Zähler)
+export const createUnreadUpdatesQuery = (updatesRef) =>
+  query(updatesRef, where('read', '==', false), limit(MAX_UNREAD_COUNT + 1));
+
+// Textsuche in einem Update (Titel, Text, Plattform); alle Suchbegriffe müssen vorkommen
+export const matchesSearch = (update, search) => {
+  const terms = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const haystack = [update.title, update.text, update.accountType].filter(Boolean).join(' ').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+};
+
+// Durchsucht den gespeicherten Verlauf (neueste zuerst), bis resultCount Treffer gefunden sind oder der Verlauf
+// zu Ende ist. Firestore kennt keine Volltextsuche, daher wird seitenweise gelesen und mit matchesSearch gefiltert.
+// Liefert { updates, hasMore }; hasMore bedeutet, dass hinter dem letzten Treffer noch ungelesene Seiten liegen.
+export const searchUpdates = async (updatesRef, filter, search, resultCount = UPDATES_PAGE_SIZE) => {
+  const baseQuery = query(updatesRef, ...filterConstraints(filter), orderBy('timestamp', 'desc'), limit(SEARCH_PAGE_SIZE));
+  const matches = [];
+  let lastDoc = null;
+  for (;;) {
+    const querySnap = await getDocs(lastDoc ? query(baseQuery, startAfter(lastDoc)) : baseQuery);
+    for (const [index, docSnap] of querySnap.docs.entries()) {
+      const update = { ...docSnap.data(), docId: docSnap.id };
+      if (matchesSearch(update, search)) {
+        matches.push(update);
+        if (matches.length === resultCount) {
+          return { updates: matches, hasMore: index < querySnap.size - 1 || querySnap.size === SEARCH_PAGE_SIZE };
+        }
+      }
+    }
+    if (querySnap.size < SEARCH_PAGE_SIZE) {
+      return { updates: matches, hasMore: false };
+    }
+    lastDoc = querySnap.docs[querySnap.size - 1];
+  }
+};
+
+// Führt eine Funktion für alle Dokumente einer Abfrage in Batches aus, bis die Abfrage leer ist.
+// Die Funktion muss die Dokumente aus der Abfrage entfernen (löschen oder Filterfeld ändern).
+const processInBatches = async (db, baseQuery, apply) => {
+  let total = 0;
+  for (;;) {
+    const querySnap = await getDocs(query(baseQuery, limit(BATCH_LIMIT)));
+    if (querySnap.empty) {
+      return total;
+    }
+    const batch = writeBatch(db);
+    querySnap.docs.forEach(docSnap => apply(batch, docSnap.ref));
+    await batch.commit();
+    total += querySnap.size;
+  }
+};
+
+export const markUpdatesRead = async (db, updatesRef, updateIds) => {
+  const batch = writeBatch(db);
+  updateIds.forEach(id => batch.update(doc(updatesRef, id), { read: true }));
+  await batch.commit();
+};
+
+// Markiert alle ungelesenen Updates als gelesen; gibt die Anzahl zurück
+export const markAllUpdatesRead = (db, updatesRef) =>
+  processInBatches(db, query(updatesRef, where('read', '==', false)), (batch, ref) => batch.update(ref, { read: true }));
+
+// Löscht den Update-Verlauf eines Kontos; gibt die Anzahl zurück
+export const deleteAccountUpdates = (db, updatesRef, accountId) =>
+  processInBatches(db, query(updatesRef, where('accountId', '==', accountId)), (batch, ref) => batch.delete(ref));
+
+// Löscht den gesamten Update-Verlauf (z.B. vor dem Löschen einer Guild)
+export const deleteAllUpdates = (db, updatesRef) =>
+  processInBatches(db, query(updatesRef), (batch, ref) => batch.delete(ref));
+
+// Verschiebt das alte Feld "socialUpdates" (die letzten 10 Updates im Guild-Dokument) in die Untersammlung.
+// Gibt true zurück, wenn etwas übernommen wurde.
+export const migrateLegacySocialUpdates = (db, guildDocRef) =>
+  runTransaction(db, async (transaction) => {
+    const docSnap = await transaction.get(guildDocRef);
+    const legacyUpdates = docSnap.exists() ? docSnap.data().socialUpdates : undefined;
+    if (!Array.isArray(legacyUpdates)) {
+      return false; // Bereits migriert (z.B. von einem anderen Tab)
+    }
+    const updatesRef = updatesCollectionRef(guildDocRef);
+    legacyUpdates.forEach((update) => {
+      const id = String(update.id);
+      transaction.set(doc(updatesRef, updateDocId({ id })), {
+        ...update,
+        id,
+        title: update.title || update.text,
+        accountType: update.accountType || null,
+        read: true, // Alte Updates wurden bereits angezeigt
+        createdAt: serverTimestamp()
+      });
+    });
+    transaction.update(guildDocRef, { socialUpdates: deleteField() });
+    return legacyUpdates.length > 0;
+  });
@@ -0,0 +1,79 @@
+// Sync-Status der Datenspeicherung für die Anzeige im Dashboard.
+// - synced:  alle Änderungen sind beim Server angekommen
+// - pending: Änderungen werden gerade übertragen
+// - offline: keine Verbindung; Änderungen werden vorgemerkt und nach dem Reconnect übertragen
+// - error:   die letzte Übertragung ist fehlgeschlagen (z.B. fehlende Berechtigung)
+// - local:   reiner Browser-Speicher ohne Server (Demo-Modus)
+// Die Texte der Anzeige stehen unter sync.status.* in locales/.
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+  LOCAL: 'local'
+};
+
+// Verfolgt laufende Schreibvorgänge und den Verbindungsstatus.
+// Listener erhalten { status, pendingCount, error }.
+// isConnectionError(error): Fehler, die nur eine fehlende Verbindung bedeuten, zählen als "offline" statt "error".
+// Offline endet mit setOnline(true) (Browser-Ereignis, Snapshot vom Server) oder der nächsten erfolgreichen Übertragung.
+export const createSyncTracker = ({ online = true, isConnectionError = () => false } = {}) => {
+  const listeners = new Set();
+  let isOnline = online;
+  let pendingCount = 0;
+  let lastError = null;
+
+  const getState = () => {
+    let status = SYNC_STATUS.SYNCED;
+    if (!isOnline) status = SYNC_STATUS.OFFLINE;
+    else if (lastError) status = SYNC_STATUS.ERROR;
+    else if (pendingCount > 0) status = SYNC_STATUS.PENDING;
+    return { status, pendingCount, error: lastError };
+  };
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  return {
+    getState,
+    isOnline: () => isOnline,
+
+    setOnline: (value) => {
+      if (value !== isOnline) {
+        isOnline = value;
+        notify();
+      }
+    },
+
+    // Zählt einen Schreibvorgang, bis sein Promise erfüllt oder abgelehnt ist; gibt das Promise weiter
+    track: (promise) => {
+      pendingCount += 1;
+      notify();
+      return promise.then((result) => {
+        pendingCount -= 1;
+        lastError = null;
+        isOnline = true; // Der Server hat bestätigt, ist also erreichbar
+        notify();
+        return result;
+      }, (error) => {
+        pendingCount -= 1;
+        if (isConnectionError(error)) {
+          isOnline = false;
+        } else {
+          lastError = error;
+        }
+        notify();
+        throw error;
+      });
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(getState());
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,43 @@
+import { createSyncTracker, SYNC_STATUS } from './syncStatus.js';
+
+const connectionError = () => Object.assign(new Error('offline'), { code: 'unavailable' });
+
+describe('createSyncTracker', () => {
+  let tracker;
+  let states;
+
+  beforeEach(() => {
+    tracker = createSyncTracker({ isConnectionError: error => error.code === 'unavailable' });
+    states = [];
+    tracker.subscribe(state => states.push(state.status));
+  });
+
+  it('zeigt laufende und abgeschlossene Übertragungen an', async () => {
+    await tracker.track(Promise.resolve());
+    expect(states).toEqual([SYNC_STATUS.SYNCED, SYNC_STATUS.PENDING, SYNC_STATUS.SYNCED]);
+  });
+
+  it('geht bei Verbindungsfehlern offline und mit der nächsten erfolgreichen Übertragung wieder online', async () => {
+    await expect(tracker.track(Promise.reject(connectionError()))).rejects.toThrow('offline');
+    expect(tracker.isOnline()).toBe(false);
+    expect(tracker.getState().status).toBe(SYNC_STATUS.OFFLINE);
+
+    await tracker.track(Promise.resolve());
+    expect(tracker.isOnline()).toBe(true);
+    expect(tracker.getState().status).toBe(SYNC_STATUS.SYNCED);
+  });
+
+  it('geht mit setOnline(true) wieder online (z.B. nach einem Snapshot vom Server)', async () => {
+    await expect(tracker.track(Promise.reject(connectionError()))).rejects.toThrow();
+    tracker.setOnline(true);
+    expect(tracker.getState().status).toBe(SYNC_STATUS.SYNCED);
+  });
+
+  it('meldet andere Fehler bis zur nächsten erfolgreichen Übertragung', async () => {
+    await expect(tracker.track(Promise.reject(new Error('permission-denied')))).rejects.toThrow();
+    expect(tracker.getState()).toMatchObject({ status: SYNC_STATUS.ERROR, pendingCount: 0 });
+    expect(tracker.isOnline()).toBe(true);
+    await tracker.track(Promise.resolve());
+    expect(tracker.getState()).toMatchObject({ status: SYNC_STATUS.SYNCED, error: null });
+  });
+});
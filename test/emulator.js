@@ -0,0 +1,28 @@
+// Hilfen für Tests gegen den Firestore-Emulator (npm run test:emulator).
+// Ohne laufenden Emulator (FIRESTORE_EMULATOR_HOST nicht gesetzt) werden diese Tests übersprungen.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+export const PROJECT_ID = 'demo-bot'; // wie in "test:emulator"
+export const APP_ID = 'test-app';
+
+export const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+// Testumgebung mit den echten Regeln aus firestore.rules (Tests laufen im Projektverzeichnis)
+export const setupTestEnvironment = () => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+});
+
+// Wartet, bis check() einen truthy Wert liefert, und gibt ihn zurück
+export const waitFor = async (check, { timeoutMs = 10000, intervalMs = 100 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`Bedingung nach ${timeoutMs} ms nicht erfüllt.`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
@@ -0,0 +1,27 @@
+// Aufgezeichnete Feeds und API-Antworten (test/fixtures/feeds) für Tests der Social-Media-Abrufe.
+// Die Dateien haben das Format der echten Antworten der Plattformen, mit Beispielkonten und gekürzt.
+import { readFileSync } from 'node:fs';
+
+// Liest eine aufgezeichnete Antwort (Tests laufen im Projektverzeichnis)
+export const readFeedFixture = name => readFileSync(`test/fixtures/feeds/${name}`, 'utf8');
+
+// Fetch-kompatible HTTP-Funktion (siehe createSocialFetchers) mit festen Antworten pro URL.
+// routes: { [url]: Dateiname | { status, body } }; unbekannte URLs ergeben HTTP 404.
+// Alle Aufrufe stehen in http.requests ({ url, options }).
+export const createFixtureHttp = (routes) => {
+  const http = async (url, options = {}) => {
+    http.requests.push({ url, options });
+    const route = routes[url];
+    const { status, body } = typeof route === 'string'
+      ? { status: 200, body: readFeedFixture(route) }
+      : route || { status: 404, body: '' };
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  };
+  http.requests = [];
+  return http;
+};
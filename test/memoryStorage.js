@@ -0,0 +1,10 @@
+// Web-Storage-kompatibler Speicher im Arbeitsspeicher für createLocalBotStorage in Tests
+export const createMemoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: itemKey => (items.has(itemKey) ? items.get(itemKey) : null),
+    setItem: (itemKey, value) => items.set(itemKey, String(value)),
+    removeItem: itemKey => items.delete(itemKey),
+    clear: () => items.clear()
+  };
+};
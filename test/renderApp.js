@@ -0,0 +1,103 @@
+// Rendert das Dashboard (App.js) mit einem Speicher im Arbeitsspeicher für die Tests der Panels (jsdom).
+// Grundlage ist der lokale Speicher (localBotStorage.js) mit createMemoryStorage; Musik-URLs löst ein Stub auf.
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import App from '../App.js';
+import { createLocalBotStorage, LOCAL_USER_ID } from '../localBotStorage.js';
+import { DEFAULT_GUILD_ID, DEFAULT_GUILD_NAME } from '../guilds.js';
+import { MUSIC_PLATFORMS } from '../musicResolver.js';
+import { createI18n } from '../i18n.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+export const { t, translateMessage } = createI18n('de');
+
+// options: weitere Optionen für createLocalBotStorage (z.B. now)
+export const createTestStorage = (options = {}) => createLocalBotStorage({ storage: createMemoryStorage(), ...options });
+
+// Audiodatei-Song wie aus createMusicResolver; der Titel ist der Dateiname der URL
+let songCount = 0;
+export const createTestSong = url => ({
+  id: `${url}#${++songCount}`,
+  url,
+  platform: MUSIC_PLATFORMS.AUDIO_FILE,
+  videoId: null,
+  title: url.split('/').pop(),
+  duration: 180,
+  thumbnail: null
+});
+
+// Ergänzt den lokalen Speicher um Mitglieder und geteilte Dashboards im Arbeitsspeicher (wie mit Firebase).
+// members: { [ownerId]: { [memberId]: role } }
+export const withMemorySharing = (storage, members = {}) => {
+  let currentMembers = members;
+  const listeners = new Set();
+  const watch = (compute) => {
+    listeners.add(compute);
+    compute();
+    return () => listeners.delete(compute);
+  };
+  const setMembers = (ownerId, change) => {
+    const next = { ...currentMembers[ownerId] };
+    change(next);
+    currentMembers = { ...currentMembers, [ownerId]: next };
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    ...storage,
+    supportsSharing: true,
+    subscribeMembers: (ownerId, onChange) => watch(() => onChange(
+      Object.entries(currentMembers[ownerId] || {}).map(([userId, role]) => ({ userId, role }))
+    )),
+    saveMember: async (ownerId, memberId, role) => setMembers(ownerId, (next) => {
+      next[memberId] = role;
+    }),
+    removeMember: async (ownerId, memberId) => setMembers(ownerId, (next) => {
+      delete next[memberId];
+    }),
+    subscribeSharedDashboards: (userId, onChange) => watch(() => onChange(
+      Object.entries(currentMembers)
+        .filter(([, ownerMembers]) => ownerMembers[userId])
+        .map(([ownerId, ownerMembers]) => ({ ownerId, role: ownerMembers[userId] }))
+    )),
+    subscribeMemberRole: (ownerId, userId, onChange) => watch(() => onChange((currentMembers[ownerId] || {})[userId] || null))
+  };
+};
+
+// Liest den aktuellen Wert eines subscribe*-Aufrufs des Speichers (z.B. subscribeGuild) ohne Listener
+export const readOnce = (subscribe, ...args) => {
+  let value;
+  subscribe(...args, (next) => {
+    value = next;
+  })();
+  return value;
+};
+
+export const readGuild = (storage, guildId = DEFAULT_GUILD_ID, ownerId = LOCAL_USER_ID) =>
+  readOnce(storage.subscribeGuild, ownerId, guildId);
+
+// Optionen:
+// - storage: eigener Speicher (Standard: lokaler Speicher im Arbeitsspeicher mit Standard-Server und deutscher Oberfläche)
+// - songs(url): Songs, die der Musik-Resolver für eine URL liefert
+// - socialFetchers/webhookClient: wie die gleichnamigen Props von App
+// Rückgabe: { storage, musicResolver } zusätzlich zum Ergebnis von render
+export const renderApp = async ({
+  storage = createTestStorage(),
+  songs = url => [createTestSong(url)],
+  socialFetchers = {},
+  webhookClient = { send: async () => {} }
+} = {}) => {
+  await storage.ensureDefaultGuild(LOCAL_USER_ID);
+  await storage.saveUserSettings(LOCAL_USER_ID, { language: 'de' });
+  const musicResolver = { resolve: jest.fn(async url => songs(url)) };
+  const result = render(
+    <App storage={storage} musicResolver={musicResolver} socialFetchers={socialFetchers} webhookClient={webhookClient} />
+  );
+  await screen.findByDisplayValue(DEFAULT_GUILD_NAME);
+  return { ...result, storage, musicResolver };
+};
+
+// jsdom kennt kein Scrollen; die Chat-Konsole scrollt bei neuen Nachrichten ans Ende
+if (!Element.prototype.scrollIntoView) {
+  Element.prototype.scrollIntoView = () => {};
+}
@@ -0,0 +1,11 @@
+// Persönliche Einstellungen eines Benutzers, unabhängig vom angezeigten Dashboard:
+// artifacts/{appId}/users/{userId}/settings/preferences
+// Bisher nur die Sprache der Oberfläche; null bedeutet "noch nicht gewählt" (dann gilt die Browsersprache).
+import { isSupportedLanguage } from './i18n.js';
+
+export const userSettingsDocPath = (appId, userId) => `artifacts/${appId}/users/${userId}/settings/preferences`;
+
+// Liest gespeicherte Einstellungen; fehlende oder ungültige Werte werden zu null
+export const readUserSettings = data => ({
+  language: data && isSupportedLanguage(data.language) ? data.language : null
+});
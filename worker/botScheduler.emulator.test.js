@@ -0,0 +1,64 @@
+import { doc, setDoc, getDoc, getDocs } from 'firebase/firestore';
+import { guildDocPath, createGuildData, DEFAULT_GUILD_ID } from '../guilds.js';
+import { scheduleDocPath, zonedTimeToMillis } from '../botSchedule.js';
+import { activityCollectionRef, ACTIVITY_ACTIONS, SYSTEM_ACTOR_ID } from '../activityLog.js';
+import { createBotScheduler } from './botScheduler.js';
+import { describeWithEmulator, setupTestEnvironment, waitFor, APP_ID } from '../test/emulator.js';
+
+jest.setTimeout(30000);
+
+const OWNER_ID = 'owner';
+const EVENT_START = zonedTimeToMillis('2026-10-24T20:00', 'Europe/Berlin');
+
+describeWithEmulator('Zeitplan im Backend-Worker', () => {
+  let testEnv;
+  let schedulers = [];
+
+  beforeAll(async () => {
+    testEnv = await setupTestEnvironment();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  afterEach(() => Promise.all(schedulers.map(scheduler => scheduler.stop())));
+
+  it('startet ein Event auch mit zwei Workern nur einmal', async () => {
+    await testEnv.clearFirestore();
+    // Zwei Worker mit eigener Verbindung, deren Uhr auf dem Beginn des Events steht
+    schedulers = [0, 1].map(() => {
+      const db = testEnv.authenticatedContext(OWNER_ID).firestore();
+      return createBotScheduler({
+        db,
+        guildDocRef: doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID)),
+        scheduleDocRef: doc(db, scheduleDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID)),
+        tickIntervalMs: 100,
+        now: () => EVENT_START,
+        log: () => {}
+      });
+    });
+    const db = testEnv.authenticatedContext(OWNER_ID).firestore();
+    const guildDocRef = doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID));
+    await setDoc(guildDocRef, createGuildData('Test'));
+    await setDoc(doc(db, scheduleDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID)), {
+      timeZone: 'Europe/Berlin',
+      onlineWindows: [],
+      quietHours: null,
+      playlists: [{ id: 'party', name: 'Party', songs: [{ id: 1, title: 'A', url: 'https://example.com/a.mp3' }] }],
+      events: [{ id: 'event', title: 'Party', startsAt: '2026-10-24T20:00', durationMinutes: 60, playlistId: 'party', startedAt: null }]
+    });
+
+    schedulers.forEach(scheduler => scheduler.start());
+    await waitFor(async () => (await getDoc(guildDocRef)).data().currentSong);
+    await Promise.all(schedulers.map(scheduler => scheduler.tick()));
+
+    const data = (await getDoc(guildDocRef)).data();
+    expect(data.currentSong.title).toBe('A');
+    expect(data.musicQueue).toEqual([]);
+    expect(data.playHistory).toEqual([]); // Ein zweiter Start hätte Song A in den Verlauf geschoben
+
+    const entries = (await getDocs(activityCollectionRef(guildDocRef))).docs.map(entryDoc => entryDoc.data());
+    expect(entries.filter(entry => entry.action === ACTIVITY_ACTIONS.SCHEDULED_PLAYLIST)).toEqual([
+      expect.objectContaining({ actorId: SYSTEM_ACTOR_ID, summaryKey: 'activity.summary.scheduledPlaylist' })
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+// Zeitplan des Bots im Backend-Worker (siehe botSchedule.js).
+// Hält den Zeitplan der Guild per Listener aktuell, schaltet den Bot in den Online-Fenstern ein und aus,
+// startet geplante Events mit ihrer Playlist und liefert dem Social-Media-Abruf die Ruhezeiten.
+// Die Änderungen erscheinen im Aktivitätsprotokoll mit SYSTEM_ACTOR_ID.
+import { onSnapshot } from 'firebase/firestore';
+import { commitGuildMutation } from '../guildMutations.js';
+import { SYSTEM_ACTOR_ID } from '../activityLog.js';
+import { createScheduleRunner, readSchedule, claimScheduledEvent, SCHEDULE_TICK_INTERVAL_MS } from '../botSchedule.js';
+
+// Optionen:
+// - db, guildDocRef: Firestore-Instanz und Referenz auf das Guild-Dokument
+// - scheduleDocRef: Referenz auf das Zeitplan-Dokument der Guild (scheduleDocPath)
+// - tickIntervalMs: Abstand der Auswertungen
+// - now: Uhr (für Tests austauschbar)
+// - log: Funktion für Protokollausgaben
+export const createBotScheduler = ({
+  db,
+  guildDocRef,
+  scheduleDocRef,
+  tickIntervalMs = SCHEDULE_TICK_INTERVAL_MS,
+  now = Date.now,
+  log = console.log
+}) => {
+  let schedule = null; // null, solange der Zeitplan nicht geladen ist oder keiner existiert
+  let unsubscribe = null;
+
+  const runner = createScheduleRunner({
+    getSchedule: () => schedule,
+    commitMutation: mutation => commitGuildMutation(db, guildDocRef, mutation, SYSTEM_ACTOR_ID),
+    markEventStarted: (eventId, startedAt) => claimScheduledEvent(db, scheduleDocRef, eventId, startedAt),
+    tickIntervalMs,
+    now,
+    log
+  });
+
+  return {
+    start: () => {
+      if (unsubscribe) return;
+      unsubscribe = onSnapshot(scheduleDocRef, (docSnap) => {
+        schedule = docSnap.exists() ? readSchedule(docSnap.data()) : null;
+      }, (error) => {
+        log("Fehler beim Abrufen des Zeitplans:", error.message);
+      });
+      runner.start();
+    },
+
+    stop: async () => {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      await runner.stop();
+    },
+
+    isQuiet: runner.isQuiet,
+
+    // Wertet den Zeitplan sofort aus (für Tests)
+    tick: runner.tick
+  };
+};
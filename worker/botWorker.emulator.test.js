@@ -0,0 +1,83 @@
+import { doc, setDoc, getDoc } from 'firebase/firestore';
+import { guildDocPath, DEFAULT_GUILD_ID } from '../guilds.js';
+import { createBotWorker } from './botWorker.js';
+import { createFakeAudioSink } from './fakeAudioSink.js';
+import { describeWithEmulator, setupTestEnvironment, waitFor, APP_ID } from '../test/emulator.js';
+
+jest.setTimeout(30000);
+
+const OWNER_ID = 'owner';
+
+const song = (id, duration) => ({
+  id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, platform: 'audio_file', videoId: null, duration, thumbnail: null
+});
+
+describeWithEmulator('Backend-Worker mit simulierter Audioausgabe', () => {
+  let testEnv;
+  let db;
+  let guildDocRef;
+  let worker;
+
+  beforeAll(async () => {
+    testEnv = await setupTestEnvironment();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    // Der Worker meldet sich als Besitzer an (siehe README)
+    db = testEnv.authenticatedContext(OWNER_ID).firestore();
+    guildDocRef = doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID));
+    worker = null;
+  });
+
+  afterEach(async () => {
+    if (worker) await worker.stop();
+  });
+
+  const startWorker = (audioSink) => {
+    worker = createBotWorker({ db, guildDocRef, audioSink, log: () => {} });
+    worker.start();
+  };
+
+  it('spielt die Warteschlange ab und schaltet am Ende jedes Songs selbst weiter', async () => {
+    const audioSink = createFakeAudioSink();
+    await setDoc(guildDocRef, {
+      name: 'Test', isBotOnline: true, currentSong: song(1, 1), startedAt: Date.now(), pausedAt: null, position: 0,
+      musicQueue: [song(2, 1)], loopMode: 'off', playHistory: [], socialAccounts: []
+    });
+    startWorker(audioSink);
+
+    const data = await waitFor(async () => {
+      const snapshot = (await getDoc(guildDocRef)).data();
+      return snapshot.currentSong === null && snapshot.playHistory.length === 2 ? snapshot : null;
+    });
+    await worker.idle();
+
+    expect(data.musicQueue).toEqual([]);
+    expect(data.playHistory.map(entry => entry.id)).toEqual([2, 1]);
+    expect(audioSink.events.filter(event => event.type === 'play' || event.type === 'ended').map(event => [event.type, event.songId]))
+      .toEqual([['play', 1], ['ended', 1], ['play', 2], ['ended', 2]]);
+  });
+
+  it('lässt einen pausierten Song nicht enden und meldet den laufenden Song', async () => {
+    const audioSink = createFakeAudioSink();
+    const startedAt = Date.now();
+    await setDoc(guildDocRef, {
+      name: 'Test', isBotOnline: true, currentSong: song(1, 1), startedAt, pausedAt: startedAt, position: 0,
+      musicQueue: [], loopMode: 'off', playHistory: [], socialAccounts: []
+    });
+    startWorker(audioSink);
+
+    const data = await waitFor(async () => {
+      const snapshot = (await getDoc(guildDocRef)).data();
+      return snapshot.worker && snapshot.worker.nowPlayingSongId === 1 ? snapshot : null;
+    });
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    expect(data.worker.online).toBe(true);
+    expect((await getDoc(guildDocRef)).data().currentSong.id).toBe(1);
+    expect(audioSink.events.map(event => event.type)).not.toContain('ended');
+  });
+});
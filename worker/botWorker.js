@@ -0,0 +1,189 @@
+// Headless-Worker, der den Bot tatsächlich ausführt.
+// Er hört auf dasselbe Guild-Dokument, das das Dashboard schreibt, reagiert auf isBotOnline,
+// currentSong (inkl. Pause/Fortsetzen) und musicQueue und schreibt unter dem Feld "worker"
+// Heartbeat, tatsächlichen Online-Status, "Jetzt läuft"-Bestätigungen und Fehler zurück.
+import { onSnapshot, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { readPlayback, isPaused, getElapsedSeconds, toMillis } from '../playback.js';
+import { advanceFinishedSong } from '../guilds.js';
+import { WORKER_FIELD, WORKER_HEARTBEAT_INTERVAL_MS } from '../workerStatus.js';
+
+// Optionen:
+// - db, guildDocRef: Firestore-Instanz und Referenz auf das Guild-Dokument
+// - audioSink: Audioausgabe (z.B. createFakeAudioSink oder eine Discord-Voice-Anbindung)
+// - heartbeatIntervalMs: Abstand der Heartbeats
+// - now: Uhr für die Berechnung der Wiedergabeposition (für Tests austauschbar)
+// - log: Funktion für Protokollausgaben
+export const createBotWorker = ({
+  db,
+  guildDocRef,
+  audioSink,
+  heartbeatIntervalMs = WORKER_HEARTBEAT_INTERVAL_MS,
+  now = Date.now,
+  log = console.log
+}) => {
+  // Interner Zustand: was der Worker tatsächlich gerade tut
+  const state = {
+    connected: false,
+    playingSongId: null,
+    playingStartedAt: null,
+    paused: false,
+    preloadedSongId: null,
+    failedSongId: null, // Song, dessen Wiedergabe fehlschlug; wird nicht bei jedem Snapshot erneut versucht
+    docExists: false
+  };
+  let unsubscribe = null;
+  let heartbeatId = null;
+  let pending = Promise.resolve(); // Snapshots werden nacheinander verarbeitet
+
+  // Schreibt Felder unter "worker" per Punktnotation, ohne den Rest des Dokuments zu berühren
+  const report = async (fields) => {
+    if (!state.docExists) {
+      return;
+    }
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      update[`${WORKER_FIELD}.${key}`] = value;
+    });
+    try {
+      await updateDoc(guildDocRef, update);
+    } catch (error) {
+      log("Fehler beim Schreiben des Worker-Status:", error.message);
+    }
+  };
+
+  const reportError = (error) => {
+    log("Worker-Fehler:", error.message);
+    return report({ error: { message: error.message, at: serverTimestamp() } });
+  };
+
+  const sendHeartbeat = () => report({ heartbeatAt: serverTimestamp(), online: state.connected });
+
+  const stopPlayback = async () => {
+    if (state.playingSongId !== null) {
+      await audioSink.stop();
+    }
+    state.playingSongId = null;
+    state.playingStartedAt = null;
+    state.paused = false;
+  };
+
+  // Gleicht den tatsächlichen Zustand mit dem gewünschten Zustand aus dem Dokument ab
+  const reconcile = async (data) => {
+    // Online/Offline
+    if (data.isBotOnline && !state.connected) {
+      await audioSink.connect();
+      state.connected = true;
+      await report({ online: true, heartbeatAt: serverTimestamp(), error: null });
+    } else if (!data.isBotOnline && state.connected) {
+      await stopPlayback();
+      await audioSink.disconnect();
+      state.connected = false;
+      state.preloadedSongId = null;
+      await report({ online: false, nowPlayingSongId: null });
+      return;
+    }
+    if (!state.connected) {
+      return;
+    }
+
+    // Aktueller Song
+    const song = data.currentSong || null;
+    const playback = readPlayback(data);
+    const startedAt = toMillis(playback.startedAt);
+    if (!song) {
+      if (state.playingSongId !== null) {
+        await stopPlayback();
+        await report({ nowPlayingSongId: null });
+      }
+    } else {
+      const isNewSong = song.id !== state.playingSongId && song.id !== state.failedSongId;
+      // Gleicher Song mit neuem Startzeitpunkt ab Position 0: Neustart (z.B. Wiederholungsmodus "track")
+      const isRestart = !isNewSong && !state.paused && startedAt !== state.playingStartedAt && playback.position === 0;
+      if (isNewSong || isRestart) {
+        try {
+          await audioSink.play(song, getElapsedSeconds(playback, now()));
+          state.playingSongId = song.id;
+          state.playingStartedAt = startedAt;
+          state.paused = false;
+          state.failedSongId = null;
+          if (isPaused(playback)) {
+            await audioSink.pause();
+            state.paused = true;
+          }
+          await report({ nowPlayingSongId: song.id, nowPlayingAckAt: serverTimestamp(), error: null });
+        } catch (error) {
+          state.playingSongId = null;
+          state.failedSongId = song.id;
+          await reportError(error);
+        }
+      } else if (isPaused(playback) && !state.paused) {
+        await audioSink.pause();
+        state.paused = true;
+      } else if (!isPaused(playback) && state.paused) {
+        await audioSink.resume();
+        state.paused = false;
+        state.playingStartedAt = startedAt;
+      }
+    }
+
+    // Nächsten Song der Warteschlange vorab laden
+    const [nextSong] = data.musicQueue || [];
+    if (nextSong && nextSong.id !== state.preloadedSongId && audioSink.preload) {
+      state.preloadedSongId = nextSong.id;
+      await audioSink.preload(nextSong);
+    }
+  };
+
+  const handleSnapshot = (docSnap) => {
+    state.docExists = docSnap.exists();
+    if (!state.docExists) {
+      log("Guild-Dokument existiert nicht (mehr); warte auf Daten.");
+      return;
+    }
+    const data = docSnap.data({ serverTimestamps: 'estimate' });
+    pending = pending
+      .then(() => reconcile(data))
+      .catch(reportError);
+  };
+
+  // Meldet das natürliche Ende eines Songs und schaltet wie das Dashboard weiter
+  const handleEnded = (song) => {
+    pending = pending
+      .then(() => advanceFinishedSong(db, guildDocRef, song.id))
+      .catch(reportError);
+  };
+
+  return {
+    start: () => {
+      if (unsubscribe) return;
+      if (audioSink.onEnded) {
+        audioSink.onEnded(handleEnded);
+      }
+      unsubscribe = onSnapshot(guildDocRef, handleSnapshot, (error) => {
+        log("Fehler beim Abrufen des Guild-Dokuments:", error.message);
+      });
+      heartbeatId = setInterval(sendHeartbeat, heartbeatIntervalMs);
+      log(`Worker gestartet für ${guildDocRef.path}`);
+    },
+
+    // Beendet den Worker und meldet ihn als offline
+    stop: async () => {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      clearInterval(heartbeatId);
+      await pending;
+      if (state.connected) {
+        await stopPlayback();
+        await audioSink.disconnect();
+        state.connected = false;
+      }
+      await report({ online: false, nowPlayingSongId: null });
+      log("Worker gestoppt.");
+    },
+
+    // Wartet, bis alle bisher empfangenen Snapshots verarbeitet sind (für Tests)
+    idle: () => pending,
+
+    getState: () => ({ ...state })
+  };
+};
@@ -0,0 +1,126 @@
+// Simulierte Audioausgabe für den Backend-Worker.
+// Sie implementiert dieselbe Schnittstelle wie eine echte Discord-Voice-Anbindung
+// (connect, disconnect, play, pause, resume, stop, preload, onEnded), spielt aber nichts ab,
+// sondern protokolliert alle Aufrufe in "events". So lässt sich der Worker vollständig
+// gegen den Firestore-Emulator testen.
+// Wie eine echte Ausgabe meldet sie das Ende eines Songs nach Ablauf seiner Dauer (abzüglich
+// Startposition, Pausen werden angehalten). Songs ohne Dauer (z.B. Livestreams) enden nie von selbst.
+//
+// Optionen:
+// - failOnPlay(song): liefert true, wenn play() für diesen Song fehlschlagen soll
+// - setTimer, clearTimer, now: Timer und Uhr (für Tests mit simulierter Zeit austauschbar)
+// - log: Funktion für Protokollausgaben (Standard: keine Ausgabe)
+
+export const createFakeAudioSink = ({
+  failOnPlay = () => false,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  now = Date.now,
+  log = () => {}
+} = {}) => {
+  const events = [];
+  const endedListeners = [];
+  let connected = false;
+  let currentSong = null;
+  let endTimerId = null;
+  let endsAt = null; // Zeitpunkt, an dem der laufende Song endet
+  let remainingMs = null; // Restdauer eines pausierten Songs
+
+  const record = (type, details = {}) => {
+    const event = { type, at: now(), ...details };
+    events.push(event);
+    log(`[audio] ${type}`, details);
+  };
+
+  const clearEndTimer = () => {
+    if (endTimerId !== null) clearTimer(endTimerId);
+    endTimerId = null;
+    endsAt = null;
+  };
+
+  const end = () => {
+    const endedSong = currentSong;
+    clearEndTimer();
+    remainingMs = null;
+    if (!endedSong) return;
+    currentSong = null;
+    record('ended', { songId: endedSong.id });
+    endedListeners.forEach(listener => listener(endedSong));
+  };
+
+  const scheduleEnd = (durationMs) => {
+    clearEndTimer();
+    endsAt = now() + durationMs;
+    endTimerId = setTimer(end, durationMs);
+  };
+
+  return {
+    events,
+
+    isConnected: () => connected,
+    getCurrentSong: () => currentSong,
+
+    connect: async () => {
+      connected = true;
+      record('connect');
+    },
+
+    disconnect: async () => {
+      clearEndTimer();
+      connected = false;
+      currentSong = null;
+      record('disconnect');
+    },
+
+    play: async (song, positionSeconds = 0) => {
+      if (!connected) {
+        throw new Error("Audioausgabe ist nicht mit einem Sprachkanal verbunden.");
+      }
+      if (failOnPlay(song)) {
+        record('error', { songId: song.id });
+        throw new Error(`Song konnte nicht abgespielt werden: ${song.title}`);
+      }
+      currentSong = song;
+      remainingMs = null;
+      record('play', { songId: song.id, positionSeconds });
+      if (Number.isFinite(song.duration) && song.duration > 0) {
+        scheduleEnd(Math.max(0, song.duration - positionSeconds) * 1000);
+      } else {
+        clearEndTimer();
+      }
+    },
+
+    pause: async () => {
+      if (endsAt !== null) {
+        remainingMs = Math.max(0, endsAt - now());
+        clearEndTimer();
+      }
+      record('pause', { songId: currentSong && currentSong.id });
+    },
+
+    resume: async () => {
+      if (currentSong && remainingMs !== null) {
+        scheduleEnd(remainingMs);
+        remainingMs = null;
+      }
+      record('resume', { songId: currentSong && currentSong.id });
+    },
+
+    stop: async () => {
+      clearEndTimer();
+      remainingMs = null;
+      record('stop', { songId: currentSong && currentSong.id });
+      currentSong = null;
+    },
+
+    preload: async (song) => record('preload', { songId: song.id }),
+
+    // Registriert einen Listener, der beim Ende eines Songs aufgerufen wird
+    onEnded: (listener) => {
+      endedListeners.push(listener);
+    },
+
+    // Nur für Tests: beendet den aktuellen Song sofort, ohne seine Dauer abzuwarten
+    simulateEnded: end
+  };
+};
@@ -0,0 +1,67 @@
+import { createFakeAudioSink } from './fakeAudioSink.js';
+
+const song = (id, duration) => ({ id, url: `https://example.com/${id}.mp3`, title: `Song ${id}`, duration });
+
+describe('createFakeAudioSink', () => {
+  let audioSink;
+  let ended;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    ended = [];
+    audioSink = createFakeAudioSink();
+    audioSink.onEnded(endedSong => ended.push(endedSong.id));
+    await audioSink.connect();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('meldet das Ende eines Songs nach Ablauf seiner Dauer', async () => {
+    await audioSink.play(song(1, 10));
+    jest.advanceTimersByTime(9999);
+    expect(ended).toEqual([]);
+    jest.advanceTimersByTime(1);
+    expect(ended).toEqual([1]);
+    expect(audioSink.getCurrentSong()).toBeNull();
+  });
+
+  it('berücksichtigt die Startposition', async () => {
+    await audioSink.play(song(1, 10), 7);
+    jest.advanceTimersByTime(3000);
+    expect(ended).toEqual([1]);
+  });
+
+  it('hält die Restdauer während einer Pause an', async () => {
+    await audioSink.play(song(1, 10));
+    jest.advanceTimersByTime(4000);
+    await audioSink.pause();
+    jest.advanceTimersByTime(60000);
+    expect(ended).toEqual([]);
+    await audioSink.resume();
+    jest.advanceTimersByTime(5999);
+    expect(ended).toEqual([]);
+    jest.advanceTimersByTime(1);
+    expect(ended).toEqual([1]);
+  });
+
+  it('meldet kein Ende nach stop, disconnect oder einem neuen Song', async () => {
+    await audioSink.play(song(1, 5));
+    await audioSink.play(song(2, 20));
+    jest.advanceTimersByTime(10000);
+    await audioSink.stop();
+    await audioSink.play(song(3, 5));
+    await audioSink.disconnect();
+    jest.advanceTimersByTime(60000);
+    expect(ended).toEqual([]);
+  });
+
+  it('lässt Songs ohne Dauer nie von selbst enden', async () => {
+    await audioSink.play(song(1, null));
+    jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+    expect(ended).toEqual([]);
+    audioSink.simulateEnded();
+    expect(ended).toEqual([1]);
+  });
+});
@@ -0,0 +1,95 @@
+// Einstiegspunkt des Backend-Workers (Node).
+// Konfiguration über Umgebungsvariablen:
+// - FIREBASE_CONFIG: Firebase-Konfiguration als JSON (wie __firebase_config im Dashboard)
+// - APP_ID: App-ID (wie __app_id), Standard "default-app-id"
+// - OWNER_ID: Benutzer-ID des Dashboard-Besitzers
+// - GUILD_ID: zu bedienende Guild, Standard "default"
+// - BOT_AUTH_TOKEN: optionales Custom-Token; ohne Token meldet sich der Worker anonym an
+//   und muss vom Besitzer mit der Rolle "Besitzer" eingeladen werden
+// - SOCIAL_FEED_CONFIG: optionale Konfiguration der Social-Media-Fetcher als JSON (wie __social_feed_config),
+//   z.B. Twitch-Zugangsdaten oder eigene Endpunkte; ein CORS-Proxy ist im Worker nicht nötig
+// - FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST: Emulator statt echter Dienste (z.B. "localhost:8080")
+//
+// Eine echte Discord-Voice-Anbindung ist nicht enthalten; bis dahin wird die simulierte Audioausgabe verwendet.
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, doc, connectFirestoreEmulator } from 'firebase/firestore';
+import { guildDocPath, DEFAULT_GUILD_ID } from '../guilds.js';
+import { createBotWorker } from './botWorker.js';
+import { createFakeAudioSink } from './fakeAudioSink.js';
+import { createSocialPoller } from './socialPoller.js';
+import { createBotScheduler } from './botScheduler.js';
+import { createSocialFetchers } from '../socialFeeds.js';
+import { createWebhookClient } from '../socialScheduler.js';
+import { scheduleDocPath } from '../botSchedule.js';
+
+const appId = process.env.APP_ID || 'default-app-id';
+const ownerId = process.env.OWNER_ID;
+const guildId = process.env.GUILD_ID || DEFAULT_GUILD_ID;
+const firebaseConfig = process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG) : { projectId: 'demo-bot' };
+const socialFeedConfig = process.env.SOCIAL_FEED_CONFIG ? JSON.parse(process.env.SOCIAL_FEED_CONFIG) : {};
+
+const main = async () => {
+  if (!ownerId) {
+    console.error("OWNER_ID fehlt: Bitte die Benutzer-ID des Dashboard-Besitzers angeben.");
+    process.exit(1);
+  }
+
+  const firebaseApp = initializeApp(firebaseConfig);
+  const db = getFirestore(firebaseApp);
+  const auth = getAuth(firebaseApp);
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+  }
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+  }
+
+  const credential = process.env.BOT_AUTH_TOKEN
+    ? await signInWithCustomToken(auth, process.env.BOT_AUTH_TOKEN)
+    : await signInAnonymously(auth);
+  console.log("Worker angemeldet als:", credential.user.uid);
+
+  const guildDocRef = doc(db, guildDocPath(appId, ownerId, guildId));
+  const worker = createBotWorker({
+    db,
+    guildDocRef,
+    audioSink: createFakeAudioSink({ log: console.log })
+  });
+  worker.start();
+
+  // Online-Fenster, geplante Events und Ruhezeiten aus dem Zeitplan-Editor
+  const botScheduler = createBotScheduler({
+    db,
+    guildDocRef,
+    scheduleDocRef: doc(db, scheduleDocPath(appId, ownerId, guildId))
+  });
+  botScheduler.start();
+
+  // Social-Media-Konten nach Zeitplan abrufen und neue Einträge per Webhook ankündigen
+  const socialPoller = createSocialPoller({
+    db,
+    guildDocRef,
+    fetchers: createSocialFetchers(socialFeedConfig),
+    webhook: createWebhookClient(),
+    isQuiet: botScheduler.isQuiet
+  });
+  socialPoller.start();
+
+  // Beim Beenden sauber als offline melden
+  const shutdown = async () => {
+    await socialPoller.stop();
+    await botScheduler.stop();
+    await worker.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error("Worker konnte nicht gestartet werden:", error);
+  process.exit(1);
+});
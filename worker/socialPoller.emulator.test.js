@@ -0,0 +1,118 @@
+import { doc, setDoc, getDoc, getDocs } from 'firebase/firestore';
+import { guildDocPath, createGuildData, DEFAULT_GUILD_ID } from '../guilds.js';
+import { updatesCollectionRef } from '../socialUpdates.js';
+import { createSocialFetchers } from '../socialFeeds.js';
+import { RETRY_BASE_DELAY_MS } from '../socialScheduler.js';
+import { createSocialPoller } from './socialPoller.js';
+import { createFixtureHttp } from '../test/fixtureHttp.js';
+import { describeWithEmulator, setupTestEnvironment, waitFor, APP_ID } from '../test/emulator.js';
+
+jest.setTimeout(30000);
+
+const OWNER_ID = 'owner';
+const NOW = Date.UTC(2026, 9, 19, 12);
+const CHANNEL_ID = 'UC4R8DWoMoI7CAwX8_LjQHig';
+const YOUTUBE_FEED_URL = `https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`;
+const NITTER_URL = 'https://nitter.net/kanalundfreunde/rss';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/1/token';
+
+// Zuletzt gesehen: Teil 1; neu im Feed ist damit nur Teil 2
+const youtubeAccount = {
+  id: 1,
+  type: 'YouTube',
+  url: `https://www.youtube.com/channel/${CHANNEL_ID}`,
+  handle: null,
+  channelId: null,
+  lastFetched: NOW - 86400000,
+  lastSeenItemId: '9bZkp7q19f0',
+  webhookUrl: WEBHOOK_URL
+};
+const xAccount = { id: 2, type: 'X', url: 'https://x.com/kanalundfreunde', handle: 'kanalundfreunde', channelId: null };
+
+describeWithEmulator('Social-Media-Abruf im Backend-Worker', () => {
+  let testEnv;
+  let guildDocRef;
+  let poller = null;
+  let webhook;
+
+  beforeAll(async () => {
+    testEnv = await setupTestEnvironment();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    const db = testEnv.authenticatedContext(OWNER_ID).firestore();
+    guildDocRef = doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID));
+    await setDoc(guildDocRef, { ...createGuildData('Test'), socialAccounts: [youtubeAccount, xAccount] });
+    webhook = { send: jest.fn(async () => {}) };
+  });
+
+  afterEach(async () => {
+    if (poller) await poller.stop();
+    poller = null;
+  });
+
+  // Startet einen Worker, der die Feeds aus den aufgezeichneten Antworten lädt
+  const startPoller = (routes) => {
+    const db = testEnv.authenticatedContext(OWNER_ID).firestore();
+    poller = createSocialPoller({
+      db,
+      guildDocRef: doc(db, guildDocPath(APP_ID, OWNER_ID, DEFAULT_GUILD_ID)),
+      fetchers: createSocialFetchers({ http: createFixtureHttp(routes) }),
+      webhook,
+      tickIntervalMs: 100,
+      now: () => NOW,
+      log: () => {}
+    });
+    poller.start();
+  };
+
+  const readAccounts = async () => (await getDoc(guildDocRef)).data().socialAccounts;
+
+  it('speichert neue Einträge, kündigt sie an und merkt sich den Abruf', async () => {
+    startPoller({ [YOUTUBE_FEED_URL]: 'youtube-channel.xml', [NITTER_URL]: 'nitter-user.xml' });
+    const [youtube, x] = await waitFor(async () => {
+      const accounts = await readAccounts();
+      return accounts.every(account => account.lastFetched === NOW) && accounts;
+    });
+
+    expect(youtube).toEqual(expect.objectContaining({
+      channelId: CHANNEL_ID, displayName: 'Kanal & Freunde', lastSeenItemId: 'dQw4w9WgXcQ', lastError: null, failureCount: 0
+    }));
+    expect(x).toEqual(expect.objectContaining({
+      displayName: '@kanalundfreunde', lastSeenItemId: 'https://nitter.net/freundin/status/1847320000000000000#m'
+    }));
+    expect(webhook.send).toHaveBeenCalledTimes(1);
+    expect(webhook.send).toHaveBeenCalledWith(
+      WEBHOOK_URL, 'Kanal & Freunde hat ein neues Video veröffentlicht: Q&A-Stream – Teil 2 https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+    );
+
+    const updates = (await getDocs(updatesCollectionRef(guildDocRef))).docs.map(updateDoc => updateDoc.data());
+    expect(updates.map(update => update.id).sort()).toEqual([
+      '1:dQw4w9WgXcQ', '2:https://nitter.net/freundin/status/1847320000000000000#m'
+    ]);
+    expect(updates.every(update => update.read === false)).toBe(true);
+  });
+
+  it('speichert Abruffehler am Konto und plant eine Wiederholung', async () => {
+    startPoller({ [YOUTUBE_FEED_URL]: { status: 503, body: 'Service Unavailable' }, [NITTER_URL]: 'nitter-user.xml' });
+    const [youtube] = await waitFor(async () => {
+      const accounts = await readAccounts();
+      return accounts[0].lastError && accounts;
+    });
+
+    expect(youtube).toEqual(expect.objectContaining({
+      lastError: 'Abruf fehlgeschlagen (HTTP 503).',
+      lastErrorKey: 'errors.feed.httpStatus',
+      lastErrorParams: { status: 503 },
+      failureCount: 1,
+      retryAt: NOW + RETRY_BASE_DELAY_MS,
+      lastSeenItemId: '9bZkp7q19f0'
+    }));
+    expect(webhook.send).not.toHaveBeenCalled();
+    const updates = (await getDocs(updatesCollectionRef(guildDocRef))).docs.map(updateDoc => updateDoc.data());
+    expect(updates.every(update => update.accountId === 2)).toBe(true);
+  });
+});
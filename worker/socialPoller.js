@@ -0,0 +1,60 @@
+// Zeitgesteuerter Abruf der Social-Media-Konten im Backend-Worker.
+// Hält die Kontenliste des Guild-Dokuments per Listener aktuell, ruft fällige Konten ab,
+// kündigt neue Einträge über die Webhooks der Konten an und speichert die Ergebnisse.
+import { onSnapshot } from 'firebase/firestore';
+import { saveSocialPollResults } from '../guilds.js';
+import { createSocialScheduler, SCHEDULER_TICK_INTERVAL_MS } from '../socialScheduler.js';
+
+// Optionen:
+// - db, guildDocRef: Firestore-Instanz und Referenz auf das Guild-Dokument
+// - fetchers: Plattform-Fetcher (createSocialFetchers)
+// - webhook: Webhook-Client (createWebhookClient)
+// - tickIntervalMs: wie oft fällige Konten gesucht werden
+// - isQuiet(): true während der Ruhezeit des Zeitplans (siehe botScheduler.js)
+// - now: Uhr (für Tests austauschbar)
+// - log: Funktion für Protokollausgaben
+export const createSocialPoller = ({
+  db,
+  guildDocRef,
+  fetchers,
+  webhook,
+  tickIntervalMs = SCHEDULER_TICK_INTERVAL_MS,
+  isQuiet = () => false,
+  now = Date.now,
+  log = console.log
+}) => {
+  let accounts = [];
+  let unsubscribe = null;
+
+  const scheduler = createSocialScheduler({
+    getAccounts: () => accounts,
+    onResults: (results) => saveSocialPollResults(db, guildDocRef, results),
+    fetchers,
+    webhook,
+    tickIntervalMs,
+    isQuiet,
+    now,
+    log
+  });
+
+  return {
+    start: () => {
+      if (unsubscribe) return;
+      unsubscribe = onSnapshot(guildDocRef, (docSnap) => {
+        accounts = docSnap.exists() ? docSnap.data().socialAccounts || [] : [];
+      }, (error) => {
+        log("Fehler beim Abrufen der Social-Media-Konten:", error.message);
+      });
+      scheduler.start();
+    },
+
+    stop: async () => {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      await scheduler.stop();
+    },
+
+    // Führt sofort einen Durchgang aus (für Tests)
+    tick: scheduler.tick
+  };
+};
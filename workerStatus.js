@@ -0,0 +1,33 @@
+// Gemeinsame Definition des Worker-Status im Guild-Dokument.
+// Der Backend-Worker schreibt unter dem Feld "worker" Heartbeat, tatsächlichen Online-Status,
+// Bestätigung des laufenden Songs und Fehler; das Dashboard wertet sie aus.
+import { toMillis } from './playback.js';
+
+export const WORKER_FIELD = 'worker';
+export const WORKER_HEARTBEAT_INTERVAL_MS = 10000; // Wie oft der Worker einen Heartbeat schreibt
+export const WORKER_HEARTBEAT_TIMEOUT_MS = 30000; // Ab wann ein Worker ohne Heartbeat als nicht erreichbar gilt
+
+// Liest und bewertet den Worker-Status eines Guild-Dokuments
+export const getWorkerState = (worker, now) => {
+  const heartbeatAt = worker ? toMillis(worker.heartbeatAt) : null;
+  const isAlive = heartbeatAt !== null && now - heartbeatAt <= WORKER_HEARTBEAT_TIMEOUT_MS;
+  return {
+    isAlive,
+    isOnline: isAlive && Boolean(worker.online),
+    heartbeatAt,
+    nowPlayingSongId: isAlive ? worker.nowPlayingSongId ?? null : null,
+    error: worker && worker.error ? worker.error : null
+  };
+};
+
+// Bestimmt die Statusanzeige aus gewünschtem Status (isBotOnline) und tatsächlichem Worker-Status.
+// status: 'online', 'connecting', 'requested' (kein Worker erreichbar) oder 'offline' (Text siehe bot.state.* in locales/)
+export const getBotStatusIndicator = (isBotOnline, workerState) => {
+  if (workerState.isOnline) {
+    return { color: 'bg-green-500', status: 'online' };
+  }
+  if (isBotOnline) {
+    return { color: 'bg-yellow-500', status: workerState.isAlive ? 'connecting' : 'requested' };
+  }
+  return { color: 'bg-red-500', status: 'offline' };
+};